@@ -10,65 +10,116 @@
  * 1. User Authentication Layer
  *    - Registration (/register)
  *    - Login with JWT generation (/login)
- *    - Logout with session destruction (/logout)
+ *    - Refresh token rotation (/token/refresh)
+ *    - Logout with session destruction and token revocation (/logout)
+ *    - Log out everywhere (/logout-all)
+ *    - Optional TOTP two-factor authentication (/login/2fa, /me/2fa)
+ *    - Email verification (/verify-email) and password reset (/password)
  *    - Session management with express-session
  * 
  * 2. Protected API Layer (requires authentication)
- *    - All /friends endpoints are protected by JWT middleware
- *    - CRUD operations for managing friends
+ *    - All /friends endpoints are protected by JWT middleware, or a scoped
+ *      personal access token
+ *    - CRUD operations for managing friends, with a restorable trash
+ *    - Upcoming birthdays and birthday reminders (background jobs)
+ *    - Live change feed over Server-Sent Events (/friends/stream)
+ *    - Browsing friends by tag (/tags)
+ *    - Outgoing signed webhooks for friend and login events (/webhooks)
+ *    - Friend requests, mutual connections and blocking between users (/connections)
+ *    - Login session listing and revocation (/sessions)
+ *    - Personal access tokens for scripts and integrations (/tokens)
+ *    - Role-based admin user management and audit log (/admin)
+ *    - Account self-service: profile, password, 2FA, deletion (/me)
  * 
  * 3. Utility Endpoints
  *    - Health check (/health)
  *    - Server status monitoring
  * 
  * SECURITY FEATURES:
- * - JWT (JSON Web Tokens) for stateless authentication
+ * - JWT (JSON Web Tokens) via session cookie or Authorization: Bearer header
  * - Session management with secure cookies
  * - Protected routes middleware
- * - Input validation and sanitization
- * - Password hashing (to be implemented in production)
+ * - Role-based permissions (user, admin)
+ * - Schema-based input validation (422 with every failing field)
+ * - Rate limiting and growing lockout on /login and /register
+ * - Salted scrypt password hashing with automatic rehash on login
+ * - Append-only audit log of friend changes and auth events
  * 
  * TECHNOLOGIES:
  * - Express.js - Web application framework
  * - JWT - Token-based authentication
  * - express-session - Session management
- * - In-memory storage (for demonstration only)
+ * - Pluggable storage (in-memory or JSON file, see ./storage)
+ * 
+ * CONFIGURATION: environment variables or a JSON config file, with a
+ * profile per NODE_ENV (development, test, production), checked at startup
+ * (see ./lib/config.js). In production the server refuses to start with
+ * the default secrets.
  * 
  * PRODUCTION CONSIDERATIONS:
- * 1. Replace in-memory storage with a database (MongoDB, PostgreSQL)
- * 2. Use environment variables for configuration
- * 3. Implement password hashing (bcrypt)
- * 4. Add rate limiting
- * 5. Enable CORS for cross-origin requests
- * 6. Use HTTPS in production
- * 7. Add request logging and monitoring
+ * 1. Replace the file storage backend with a database (MongoDB, PostgreSQL)
+ * 2. Set NODE_ENV=production and real secrets (SESSION_SECRET, JWT_SECRET
+ *    or a key pair, ACCOUNT_TOKEN_SECRET)
+ * 3. Use a shared rate limit store when running several instances
+ * 4. Enable CORS for cross-origin requests
+ * 5. Use HTTPS in production
+ * 6. Add request logging and monitoring
  * ============================================================================
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const session = require('express-session');
 const routes = require('./router/friends.js'); // Import the friends router
-
-/**
- * ----------------------------------------------------------------------------
- * In-Memory User Storage
- * ----------------------------------------------------------------------------
- * 
- * ⚠️ WARNING: This is for demonstration purposes only.
- * In a production environment, this should be replaced with a proper database.
- * 
- * Structure: Array of user objects
- * [
- *   {
- *     username: string,      // Unique identifier for the user
- *     password: string,      // Plain text password (⚠️ should be hashed in production)
- *     createdAt: string      // ISO timestamp of user creation
- *   }
- * ]
- * ----------------------------------------------------------------------------
- */
-const users = [];
+const sessionRoutes = require('./router/sessions.js');
+const adminRoutes = require('./router/admin.js');
+const meRoutes = require('./router/me.js');
+const tagRoutes = require('./router/tags.js');
+const webhookRoutes = require('./router/webhooks.js');
+const connectionRoutes = require('./router/connections.js');
+const tokenRoutes = require('./router/tokens.js');
+const { createStore, StorageSessionStore, MemoryRateLimitStore } = require('./storage');
+const { hashParams, hashPassword, verifyPassword, dummyHash, needsRehash } = require('./lib/password.js');
+const { signAccessToken, verifyAccessToken } = require('./lib/tokens.js');
+const {
+    RefreshTokenError,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = require('./lib/refresh-tokens.js');
+const { revokeAccessToken, revokeAllSessions } = require('./lib/revocation.js');
+const { DEFAULT_ROLE } = require('./lib/roles.js');
+const { findUserByEmail, userLockKey, emailLockKey, withUser } = require('./lib/users.js');
+const { createMailer } = require('./lib/mailer.js');
+const {
+    AccountTokenError,
+    accountTokenSettings,
+    issueAccountToken,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+} = require('./lib/account-tokens.js');
+const { TwoFactorError, isTwoFactorEnabled, useSecondFactor } = require('./lib/two-factor.js');
+const { lockoutRemaining, recordLoginFailure, recordLoginSuccess } = require('./lib/lockout.js');
+const { trashSettings, purgeAllTrash } = require('./lib/trash.js');
+const { reminderSettings, sendBirthdayReminders } = require('./lib/reminders.js');
+const { JobRunner } = require('./lib/jobs.js');
+const { recordAudit } = require('./lib/audit.js');
+const { FriendStreamHub } = require('./lib/friend-stream.js');
+const { webhookSettings, dispatchAuditEvent, dispatchReminder, retryDueDeliveries } = require('./lib/webhooks.js');
+const { authMiddleware, scopedAuthMiddleware, extractToken } = require('./middleware/auth.js');
+const { validate } = require('./middleware/validate.js');
+const {
+    tooManyRequests,
+    loginIpLimiter,
+    loginUsernameLimiter,
+    registerIpLimiter,
+    accountEmailIpLimiter,
+    accountEmailAddressLimiter
+} = require('./middleware/rate-limit.js');
+const schemas = require('./lib/schemas.js');
+const { ConfigError, loadConfig } = require('./lib/config.js');
 
 /**
  * ----------------------------------------------------------------------------
@@ -77,157 +128,167 @@ const users = [];
  */
 
 /**
- * Check if a username already exists in the users array
+ * Check if a username is already registered
  * 
+ * @param {Store} store - Storage backend
  * @param {string} username - The username to check for existence
- * @returns {boolean} - True if username exists, false otherwise
+ * @returns {Promise<boolean>} - True if username exists, false otherwise
  * 
  * @example
- * doesExist('john_doe'); // Returns: true or false
+ * await doesExist(store, 'john_doe'); // Returns: true or false
  */
-const doesExist = (username) => {
-    return users.some(user => user.username === username);
+const doesExist = async (store, username) => {
+    return (await store.getUser(username)) !== null;
 };
 
 /**
  * Authenticate user credentials against the stored users
  * 
+ * The password is compared against the stored hash in constant time. When
+ * the user doesn't exist, it is compared against a dummy hash instead, so
+ * the response time doesn't tell which usernames are registered. When the
+ * stored hash was produced with outdated cost settings (or is a legacy plain
+ * text value), it is transparently replaced with a fresh hash. Legacy records
+ * without an id are given one at the same time.
+ * 
+ * @param {Object} config - Application config (see ./lib/config.js)
+ * @param {Store} store - Storage backend
  * @param {string} username - The username to authenticate
  * @param {string} password - The password to verify
- * @returns {boolean} - True if credentials are valid, false otherwise
+ * @returns {Promise<Object|null>} - The user record if credentials are valid,
+ *                                   null otherwise
  * 
  * @example
- * authenticatedUser('john_doe', 'secret123'); // Returns: true or false
- * 
- * ⚠️ SECURITY NOTE: In production, passwords should be hashed and compared
- * using a secure hashing algorithm like bcrypt.
+ * await authenticatedUser(config, store, 'john_doe', 'secret123'); // Returns: user or null
  */
-const authenticatedUser = (username, password) => {
-    return users.some(user =>
-        user.username === username && user.password === password
-    );
-};
+const authenticatedUser = async (config, store, username, password) => {
+    const user = await store.getUser(username);
 
-/**
- * ----------------------------------------------------------------------------
- * Express Application Initialization
- * ----------------------------------------------------------------------------
- */
-const app = express();
+    if (user === null) {
+        await verifyPassword(password, await dummyHash(hashParams(config)));
+        return null;
+    }
 
-/**
- * ----------------------------------------------------------------------------
- * Middleware Configuration
- * ----------------------------------------------------------------------------
- */
+    if (!(await verifyPassword(password, user.password))) {
+        return null;
+    }
+
+    if (!needsRehash(user.password, hashParams(config)) && user.id) {
+        return user;
+    }
+
+    // Upgrade the stored hash if the cost settings have changed, unless the
+    // password was changed in the meantime
+    const rehashed = await hashPassword(password, hashParams(config));
+
+    return withUser(store, username, async (current) => {
+        if (!current || current.password !== user.password) return current;
+
+        if (needsRehash(current.password, hashParams(config))) {
+            current.password = rehashed;
+        }
+        if (!current.id) {
+            current.id = crypto.randomUUID();
+        }
+        return store.saveUser(current);
+    });
+};
 
 /**
- * Session Management Middleware
+ * Create the initial administrator account
  * 
- * Configures express-session for managing user sessions.
- * In production, use a session store (Redis, MongoDB) instead of in-memory.
+ * When config.admin (ADMIN_USERNAME and ADMIN_PASSWORD) is set and no user
+ * with that name exists yet, an admin account is created at startup. Further
+ * admins can then be promoted through PATCH /admin/users/:username.
  * 
- * @see https://www.npmjs.com/package/express-session
+ * @param {Object} config - Application config (see ./lib/config.js)
+ * @param {Store} store - Storage backend
+ * @returns {Promise<void>}
  */
-app.use(session({
-    secret: "friends-api-secret-key", // Should be a strong, environment variable in production
-    resave: false,                    // Don't save session if unmodified
-    saveUninitialized: false,         // Don't create session until something is stored
-    cookie: {
-        secure: false,                // Set to true in production with HTTPS
-        httpOnly: true,               // Prevent client-side JavaScript access
-        sameSite: 'strict',           // Protection against CSRF attacks
-        maxAge: 60 * 60 * 1000        // Session expires after 1 hour
+const seedAdmin = async (config, store) => {
+    const { username, password } = config.admin;
+
+    if (!username || !password) {
+        return;
     }
-}));
 
-/**
- * JSON Body Parser Middleware
- * 
- * Parses incoming JSON requests and makes the data available in req.body
- */
-app.use(express.json());
+    const created = await withUser(store, username, async (existing) => {
+        if (existing) return false;
+
+        await store.saveUser({
+            id: crypto.randomUUID(),
+            username: username,
+            password: await hashPassword(password, hashParams(config)),
+            role: 'admin',
+            createdAt: new Date().toISOString()
+        });
+        return true;
+    });
+    if (!created) return;
+
+    console.log(`👤 Created admin user '${username}'`);
+};
 
 /**
- * ----------------------------------------------------------------------------
- * Authentication Middleware for Protected Routes
- * ----------------------------------------------------------------------------
+ * Format a duration in seconds for humans
  * 
- * This middleware protects all routes under the /friends path.
- * It verifies the JWT token stored in the session before allowing access
- * to the protected resources.
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "1 hour", "15 minutes", "90 seconds"
  * 
- * WORKFLOW:
- * 1. Check if user has an active session with authorization data
- * 2. Extract JWT token from session
- * 3. Verify the token using the secret key
- * 4. If valid, attach user data to request object and proceed
- * 5. If invalid, return appropriate error response
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * @example
+ * formatDuration(3600); // Returns: "1 hour"
  */
-app.use("/friends", function authMiddleware(req, res, next) {
-    // Check if user has an active session
-    if (!req.session.authorization) {
-        return res.status(401).json({
-            success: false,
-            message: "Authentication required. Please login first."
-        });
-    }
-
-    const token = req.session.authorization.accessToken;
-    const username = req.session.authorization.username;
+const formatDuration = (seconds) => {
+    const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
 
-    // Verify the JWT token
-    jwt.verify(token, "access", (err, decoded) => {
-        if (err) {
-            // Token is invalid or expired
-            return res.status(403).json({
-                success: false,
-                message: "Session expired or invalid. Please login again."
-            });
+    for (const [unit, size] of units) {
+        if (seconds % size === 0) {
+            const count = seconds / size;
+            return `${count} ${unit}${count === 1 ? '' : 's'}`;
         }
+    }
 
-        // Attach user information to the request object for downstream handlers
-        req.user = {
-            username: username,
-            data: decoded.data
-        };
-
-        // Proceed to the protected route handler
-        next();
-    });
-});
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
 
 /**
  * ============================================================================
  * Public Routes (No Authentication Required)
  * ============================================================================
+ * 
+ * Registration, login, account emails and /health. createApp() mounts them
+ * at the root, alongside the protected routers.
  */
+const publicRoutes = express.Router();
 
 /**
  * POST /register
  * ----------------------------------------------------------------------------
  * Registers a new user account.
  * 
- * VALIDATION:
- * - Username and password must be provided
+ * VALIDATION (see ./lib/schemas.js):
+ * - Username: 3-32 letters, digits, ".", "_" or "-"
+ * - Password: must meet the configured password policy
  * - Username must be unique (not already registered)
+ * - Email: optional (required when REQUIRE_EMAIL_VERIFICATION=true), unique
+ * 
+ * When an email address is given, a verification email is sent to it (see
+ * POST /verify-email). With REQUIRE_EMAIL_VERIFICATION=true the account
+ * can't login until the address is verified.
  * 
  * SECURITY NOTES:
- * - In production, passwords should be hashed before storage
- * - Consider adding password strength requirements
- * - Implement email verification for production systems
+ * - Passwords are stored as salted scrypt hashes, never in plain text
  * 
  * @route POST /register
  * @group Authentication - User registration and authentication
  * @param {string} username.body.required - Desired username
  * @param {string} password.body.required - Desired password
+ * @param {string} email.body.optional - Email address, for verification and password resets
  * @returns {object} 201 - User registered successfully
- * @returns {object} 400 - Missing username or password
- * @returns {object} 409 - Username already exists
+ * @returns {object} 409 - Username or email already used
+ * @returns {object} 422 - Invalid username, password or email (lists every failing field)
+ * @returns {object} 429 - Too many registrations from this IP (see Retry-After)
+ * @returns {object} 500 - Server error
  * 
  * @example
  * // Request
@@ -243,38 +304,143 @@ app.use("/friends", function authMiddleware(req, res, next) {
  *   "message": "User registered successfully. You can now login."
  * }
  */
-app.post("/register", (req, res) => {
-    const { username, password } = req.body;
+publicRoutes.post("/register", registerIpLimiter, validate({ body: schemas.register }), async (req, res) => {
+    const { store, config, mailer } = req.app.locals;
+    const { username, password, email } = req.body;
+    const { requireVerifiedEmail } = accountTokenSettings(req.app.locals.config);
 
-    // Input validation
-    if (!username || !password) {
-        return res.status(400).json({
+    if (requireVerifiedEmail && !email) {
+        return res.status(422).json({
             success: false,
-            message: "Username and password are required."
+            message: "Validation failed",
+            errors: [{ field: 'email', location: 'body', message: 'is required' }]
         });
     }
 
-    // Check if username is already taken
-    if (doesExist(username)) {
-        return res.status(409).json({
+    try {
+        // Check and create under the username's (and email's) lock, so two
+        // concurrent registrations can't both find them free
+        const conflict = await store.exclusive(userLockKey(username), async () => {
+            // Check if username is already taken
+            if (await doesExist(store, username)) {
+                return "Username already exists. Please choose a different username.";
+            }
+
+            const create = async () => {
+                if (email && await findUserByEmail(store, email)) {
+                    return "Email address is already used by another account";
+                }
+
+                // Store new user with a salted password hash
+                await store.saveUser({
+                    id: crypto.randomUUID(),
+                    username: username,
+                    password: await hashPassword(password, hashParams(req.app.locals.config)),
+                    ...(email ? { email: email, emailVerified: false } : {}),
+                    role: DEFAULT_ROLE,
+                    createdAt: new Date().toISOString()
+                });
+                return null;
+            };
+
+            return email ? store.exclusive(emailLockKey(email), create) : create();
+        });
+
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict
+            });
+        }
+
+        const user = await store.getUser(username);
+        await recordAudit(req, { action: 'auth.register', actor: username });
+
+        if (email) {
+            // The account exists either way; a lost email can be sent again
+            await sendVerificationEmail(config, mailer, user).catch((error) => {
+                console.error("Error sending verification email:", error);
+            });
+        }
+
+        // Return success response
+        res.status(201).json({
+            success: true,
+            message: !email
+                ? "User registered successfully. You can now login."
+                : requireVerifiedEmail
+                    ? `User registered successfully. Check ${email} to verify your address, then login.`
+                    : `User registered successfully. You can now login; check ${email} to verify your address.`
+        });
+    } catch (error) {
+        console.error("Error registering user:", error);
+        res.status(500).json({
             success: false,
-            message: "Username already exists. Please choose a different username."
+            message: "Internal server error while registering user"
         });
     }
+});
 
-    // Store new user (in production, hash the password first)
-    users.push({
-        username: username,
-        password: password, // ⚠️ In production, use: bcrypt.hashSync(password, 10)
-        createdAt: new Date().toISOString()
-    });
+/**
+ * Start a login session for an authenticated user and answer with its
+ * tokens (last step of POST /login and POST /login/2fa)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - The authenticated user record
+ * @param {Object} [options]
+ * @param {string} [options.secondFactor] - How the second factor was given
+ * @param {string} [options.message] - Response message (default: "Login successful")
+ */
+const completeLogin = async (req, res, user, { secondFactor, message } = {}) => {
+    const { store, config } = req.app.locals;
+
+    // Start a new refresh token family (login session) for this login
+    let refresh;
+    try {
+        refresh = await issueRefreshToken(req.app.locals.config, store, user, {
+            userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+    } catch (error) {
+        console.error("Error issuing refresh token:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error while logging in"
+        });
+    }
+
+    // Generate JWT access token (no credentials inside, see ./lib/tokens.js)
+    const { token: accessToken, expiresIn } = signAccessToken(config, user, refresh.familyId);
+
+    // Store tokens and user info in session
+    req.session.authorization = {
+        accessToken: accessToken,
+        refreshToken: refresh.token,
+        username: user.username
+    };
+
+    // Keep the session as long as the refresh token, so cookie clients can
+    // renew their access token through POST /token/refresh
+    req.session.cookie.maxAge = refresh.expiresIn * 1000;
+
+    await recordAudit(req, { action: 'auth.login', actor: user.username, secondFactor: secondFactor });
 
     // Return success response
-    res.status(201).json({
+    res.status(200).json({
         success: true,
-        message: "User registered successfully. You can now login."
+        message: message || "Login successful",
+        data: {
+            username: user.username,
+            accessToken: accessToken,
+            tokenType: "Bearer",
+            expiresIn: expiresIn,
+            tokenExpiresIn: formatDuration(expiresIn),
+            refreshToken: refresh.token,
+            refreshTokenExpiresIn: refresh.expiresIn
+        }
     });
-});
+};
 
 /**
  * POST /login
@@ -283,18 +449,28 @@ app.post("/register", (req, res) => {
  * 
  * WORKFLOW:
  * 1. Validate input (username and password)
- * 2. Authenticate credentials against stored users
- * 3. Generate JWT token with expiration
- * 4. Store token in session
- * 5. Return success response with token information
+ * 2. Apply rate limits (per IP, per username) and failed-login lockout
+ *    (see ./middleware/rate-limit.js and ./lib/lockout.js)
+ * 3. Authenticate credentials against stored users
+ * 4. With two-factor authentication on, answer 202 with a challenge token
+ *    for POST /login/2fa and stop here
+ * 5. Generate JWT token with expiration (claims: sub, iat, exp, jti, iss, aud)
+ * 6. Issue a long-lived refresh token (see POST /token/refresh)
+ * 7. Store both tokens in session (cookie clients)
+ * 8. Return the tokens in the response (API clients using Bearer auth)
  * 
  * @route POST /login
  * @group Authentication - User registration and authentication
  * @param {string} username.body.required - Registered username
  * @param {string} password.body.required - User's password
  * @returns {object} 200 - Login successful with session information
- * @returns {object} 400 - Missing username or password
+ * @returns {object} 202 - Password accepted, second factor required (see POST /login/2fa)
  * @returns {object} 401 - Invalid username or password
+ * @returns {object} 403 - Account is locked, or its email is not verified
+ *                         (REQUIRE_EMAIL_VERIFICATION=true)
+ * @returns {object} 422 - Missing username or password
+ * @returns {object} 429 - Rate limited or temporarily locked out (see Retry-After)
+ * @returns {object} 500 - Server error
  * 
  * @example
  * // Request
@@ -310,71 +486,319 @@ app.post("/register", (req, res) => {
  *   "message": "Login successful",
  *   "data": {
  *     "username": "john_doe",
- *     "tokenExpiresIn": "1 hour"
+ *     "accessToken": "eyJhbGciOiJIUzI1NiIs...",
+ *     "tokenType": "Bearer",
+ *     "expiresIn": 3600,
+ *     "tokenExpiresIn": "1 hour",
+ *     "refreshToken": "0b7c6a5e-....Jx9vQ...",
+ *     "refreshTokenExpiresIn": 2592000
+ *   }
+ * }
+ * 
+ * // Response with two-factor authentication on (202 Accepted)
+ * {
+ *   "success": true,
+ *   "message": "Enter the code from your authenticator app, or a recovery code, at /login/2fa",
+ *   "data": {
+ *     "twoFactorRequired": true,
+ *     "challengeToken": "eyJhbGciOiJIUzI1NiIs...",
+ *     "expiresIn": 300
  *   }
  * }
  */
-app.post("/login", (req, res) => {
+publicRoutes.post("/login", loginIpLimiter, validate({ body: schemas.login }), loginUsernameLimiter, async (req, res) => {
     const { username, password } = req.body;
+    const limits = req.app.locals.rateLimitStore;
 
-    // Input validation
-    if (!username || !password) {
-        return res.status(400).json({
+    // Authenticate user credentials (unless the username is locked out)
+    let user;
+    try {
+        const lockedFor = await lockoutRemaining(limits, username);
+        if (lockedFor > 0) {
+            await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'locked-out' });
+            return tooManyRequests(res, lockedFor, "Too many failed login attempts. Please try again later.");
+        }
+
+        user = await authenticatedUser(req.app.locals.config, req.app.locals.store, username, password);
+
+        if (user) {
+            // With 2FA on, failures are only forgiven once the code is right
+            if (!isTwoFactorEnabled(user)) await recordLoginSuccess(limits, username);
+        } else {
+            await recordLoginFailure(req.app.locals.config, limits, username);
+            await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'credentials' });
+        }
+    } catch (error) {
+        console.error("Error authenticating user:", error);
+        return res.status(500).json({
             success: false,
-            message: "Username and password are required."
+            message: "Internal server error while logging in"
         });
     }
 
-    // Authenticate user credentials
-    if (!authenticatedUser(username, password)) {
+    if (!user) {
         return res.status(401).json({
             success: false,
             message: "Invalid username or password."
         });
     }
 
-    // Generate JWT access token (valid for 1 hour)
-    const accessToken = jwt.sign(
-        {
-            username: username,
-            data: password // In production, use user ID or other non-sensitive data
-        },
-        'access', // Secret key - should be an environment variable in production
-        { expiresIn: 60 * 60 } // 1 hour expiration
-    );
+    if (user.locked) {
+        await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'locked' });
+        return res.status(403).json({
+            success: false,
+            message: "Account is locked. Please contact an administrator."
+        });
+    }
 
-    // Store token and user info in session
-    req.session.authorization = {
-        accessToken: accessToken,
-        username: username
-    };
+    // Accounts registered before verification was required have no
+    // emailVerified flag and keep working
+    if (accountTokenSettings(req.app.locals.config).requireVerifiedEmail && user.emailVerified === false) {
+        await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'unverified' });
+        return res.status(403).json({
+            success: false,
+            message: "Please verify your email address first. Check your inbox, or ask for a new email at /verify-email/resend."
+        });
+    }
 
-    // Set session expiration to match token expiration
-    req.session.cookie.maxAge = 60 * 60 * 1000;
+    // Second step: the tokens are only issued by POST /login/2fa
+    if (isTwoFactorEnabled(user)) {
+        const { token } = issueAccountToken(req.app.locals.config, user, 'login-2fa');
 
-    // Return success response
-    res.status(200).json({
-        success: true,
-        message: "Login successful",
-        data: {
-            username: username,
-            tokenExpiresIn: "1 hour"
+        return res.status(202).json({
+            success: true,
+            message: "Enter the code from your authenticator app, or a recovery code, at /login/2fa",
+            data: {
+                twoFactorRequired: true,
+                challengeToken: token,
+                expiresIn: accountTokenSettings(req.app.locals.config).lifetimes['login-2fa']
+            }
+        });
+    }
+
+    await completeLogin(req, res, user);
+});
+
+/**
+ * POST /login/2fa
+ * ----------------------------------------------------------------------------
+ * Second login step for accounts with two-factor authentication: exchanges
+ * the challenge token from POST /login and a code for the session tokens
+ * (same response as a plain POST /login).
+ * 
+ * The code is either the current TOTP code from the authenticator app or
+ * one of the recovery codes (see ./lib/two-factor.js). Each works once. A
+ * wrong code counts as a failed login towards the lockout; the challenge
+ * can be retried until it expires.
+ * 
+ * @route POST /login/2fa
+ * @group Authentication - User registration and authentication
+ * @param {string} challengeToken.body.required - Challenge token from POST /login
+ * @param {string} code.body.required - TOTP code or recovery code
+ * @returns {object} 200 - Login successful with session information
+ * @returns {object} 401 - Wrong code, or challenge invalid, expired or used
+ * @returns {object} 403 - Account is locked
+ * @returns {object} 422 - Missing challenge token or code
+ * @returns {object} 429 - Rate limited or temporarily locked out (see Retry-After)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /login/2fa
+ * {
+ *   "challengeToken": "eyJhbGciOiJIUzI1NiIs...",
+ *   "code": "492039"
+ * }
+ */
+publicRoutes.post("/login/2fa", loginIpLimiter, validate({ body: schemas.loginTwoFactor }), async (req, res) => {
+    const { challengeToken, code } = req.body;
+    const { store, config } = req.app.locals;
+    const limits = req.app.locals.rateLimitStore;
+
+    let username;
+    let lockedFor = 0;
+    let used;
+    let user;
+    try {
+        // The challenge is only spent once the code is right (or the
+        // username is locked out: login again afterwards)
+        user = await consumeAccountToken(config, store, challengeToken, 'login-2fa', async (candidate) => {
+            username = candidate.username;
+            lockedFor = await lockoutRemaining(limits, username);
+            if (lockedFor === 0) {
+                used = await useSecondFactor(store, username, code);
+            }
+        });
+    } catch (error) {
+        if (error instanceof TwoFactorError && error.reason === 'invalid-code') {
+            await recordLoginFailure(req.app.locals.config, limits, username);
+            await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: '2fa' });
+            return res.status(401).json({
+                success: false,
+                message: "Invalid authentication code."
+            });
         }
+
+        // Includes 2FA being turned off since the challenge was issued
+        if (error instanceof AccountTokenError || error instanceof TwoFactorError) {
+            return res.status(401).json({
+                success: false,
+                message: "This login challenge is invalid or has expired. Please login again."
+            });
+        }
+
+        console.error("Error checking second factor:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error while logging in"
+        });
+    }
+
+    if (lockedFor > 0) {
+        await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'locked-out' });
+        return tooManyRequests(res, lockedFor, "Too many failed login attempts. Please try again later.");
+    }
+
+    if (user.locked) {
+        await recordAudit(req, { action: 'auth.login.failed', actor: username, reason: 'locked' });
+        return res.status(403).json({
+            success: false,
+            message: "Account is locked. Please contact an administrator."
+        });
+    }
+
+    await recordLoginSuccess(limits, username);
+
+    await completeLogin(req, res, user, {
+        secondFactor: used.method,
+        message: used.method === 'recovery-code'
+            ? `Login successful. ${used.recoveryCodesLeft} recovery code${used.recoveryCodesLeft === 1 ? '' : 's'} left.`
+            : undefined
     });
 });
 
+/**
+ * POST /token/refresh
+ * ----------------------------------------------------------------------------
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * 
+ * The refresh token is read from the request body, or from the session for
+ * cookie clients. Every refresh token can be used exactly once: presenting a
+ * token that was already rotated revokes its whole family, and the user has
+ * to login again.
+ * 
+ * @route POST /token/refresh
+ * @group Authentication - User registration and authentication
+ * @param {string} refreshToken.body.optional - Refresh token (defaults to the session's)
+ * @returns {object} 200 - New access and refresh tokens
+ * @returns {object} 400 - No refresh token provided
+ * @returns {object} 401 - Refresh token invalid, expired, revoked or reused
+ * @returns {object} 422 - Malformed request body
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /token/refresh
+ * {
+ *   "refreshToken": "0b7c6a5e-....Jx9vQ..."
+ * }
+ * 
+ * // Response (200 OK)
+ * {
+ *   "success": true,
+ *   "message": "Token refreshed",
+ *   "data": {
+ *     "username": "john_doe",
+ *     "accessToken": "eyJhbGciOiJIUzI1NiIs...",
+ *     "tokenType": "Bearer",
+ *     "expiresIn": 3600,
+ *     "refreshToken": "5d1e2f7a-....Qm3kP...",
+ *     "refreshTokenExpiresIn": 2592000
+ *   }
+ * }
+ */
+publicRoutes.post("/token/refresh", validate({ body: schemas.refreshToken }), async (req, res) => {
+    const { store, config } = req.app.locals;
+    const sessionAuth = req.session.authorization;
+    const presented = req.body.refreshToken ||
+        (sessionAuth && sessionAuth.refreshToken);
+
+    if (!presented) {
+        return res.status(400).json({
+            success: false,
+            message: "Refresh token is required."
+        });
+    }
+
+    try {
+        const rotated = await rotateRefreshToken(req.app.locals.config, store, presented);
+        const user = await store.getUser(rotated.family.username);
+
+        // The account was deleted (or re-created) or locked since the family was issued
+        if (!user || user.id !== rotated.family.userId || user.locked) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid refresh token."
+            });
+        }
+
+        const { token: accessToken, expiresIn } = signAccessToken(config, user, rotated.family.id);
+
+        // Keep cookie clients in sync with the rotated tokens
+        if (sessionAuth && sessionAuth.refreshToken === presented) {
+            req.session.authorization = {
+                accessToken: accessToken,
+                refreshToken: rotated.token,
+                username: user.username
+            };
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Token refreshed",
+            data: {
+                username: user.username,
+                accessToken: accessToken,
+                tokenType: "Bearer",
+                expiresIn: expiresIn,
+                refreshToken: rotated.token,
+                refreshTokenExpiresIn: rotated.expiresIn
+            }
+        });
+    } catch (error) {
+        if (error instanceof RefreshTokenError) {
+            return res.status(401).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error("Error refreshing token:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error while refreshing token"
+        });
+    }
+});
+
 /**
  * POST /logout
  * ----------------------------------------------------------------------------
- * Logs out the current user by destroying their session.
+ * Logs out the current user by destroying their session and revoking their
+ * tokens: the access token (from the Authorization header or the session) and
+ * the refresh token (from the request body or the session).
  * 
  * SECURITY NOTES:
  * - Session destruction prevents token reuse
+ * - The access token is added to the server-side revocation list
+ * - The refresh token's whole family is revoked, so it can't be renewed
  * - Client should also clear any stored tokens
  * 
  * @route POST /logout
  * @group Authentication - User registration and authentication
+ * @param {string} refreshToken.body.optional - Refresh token to revoke (defaults to the session's)
  * @returns {object} 200 - Logout successful
+ * @returns {object} 422 - Malformed request body
  * @returns {object} 500 - Server error during logout
  * 
  * @example
@@ -387,7 +811,41 @@ app.post("/login", (req, res) => {
  *   "message": "Logout successful"
  * }
  */
-app.post("/logout", (req, res) => {
+publicRoutes.post("/logout", validate({ body: schemas.refreshToken }), async (req, res) => {
+    const { store, config } = req.app.locals;
+    const sessionAuth = req.session.authorization;
+    const refreshToken = req.body.refreshToken ||
+        (sessionAuth && sessionAuth.refreshToken);
+
+    try {
+        let username = sessionAuth && sessionAuth.username;
+
+        const accessToken = extractToken(req);
+        if (accessToken) {
+            // An invalid or expired token needs no revocation
+            const claims = await verifyAccessToken(config, accessToken).catch(() => null);
+            if (claims) {
+                await revokeAccessToken(store, claims);
+                username = claims.username;
+            }
+        }
+
+        if (refreshToken) {
+            await revokeRefreshToken(store, refreshToken);
+        }
+
+        // Anonymous logouts (nothing to revoke) are not worth recording
+        if (username) {
+            await recordAudit(req, { action: 'auth.logout', actor: username });
+        }
+    } catch (error) {
+        console.error("Error revoking tokens:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Error logging out. Please try again."
+        });
+    }
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({
@@ -403,6 +861,301 @@ app.post("/logout", (req, res) => {
     });
 });
 
+/**
+ * POST /logout-all
+ * ----------------------------------------------------------------------------
+ * Logs the current user out everywhere: every access token and every refresh
+ * token they hold stops working, including the ones used for this request.
+ * 
+ * WORKFLOW:
+ * 1. Bump the user's token version (invalidates all access tokens)
+ * 2. Revoke all of the user's refresh token families (login sessions)
+ * 3. Destroy the current session
+ * 
+ * @route POST /logout-all
+ * @group Authentication - User registration and authentication
+ * @returns {object} 200 - All sessions ended
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /logout-all
+ * 
+ * // Response (200 OK)
+ * {
+ *   "success": true,
+ *   "message": "Logged out from all sessions"
+ * }
+ */
+publicRoutes.post("/logout-all", authMiddleware, async (req, res) => {
+    const store = req.app.locals.store;
+
+    try {
+        const user = await store.getUser(req.user.username);
+        await revokeAllSessions(store, user, 'logout-all');
+    } catch (error) {
+        console.error("Error logging out everywhere:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Error logging out. Please try again."
+        });
+    }
+
+    req.session.destroy((err) => {
+        if (err) {
+            return res.status(500).json({
+                success: false,
+                message: "Error logging out. Please try again."
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out from all sessions"
+        });
+    });
+});
+
+/**
+ * POST /verify-email
+ * ----------------------------------------------------------------------------
+ * Confirms the user's email address with the token emailed at registration
+ * or after changing the address through PATCH /me (see
+ * ./lib/account-tokens.js). Each token works once.
+ * 
+ * @route POST /verify-email
+ * @group Authentication - User registration and authentication
+ * @param {string} token.body.required - Token from the verification email
+ * @returns {object} 200 - Email address verified
+ * @returns {object} 400 - Token invalid, expired or already used
+ * @returns {object} 422 - Missing token
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /verify-email
+ * { "token": "eyJhbGciOiJIUzI1NiIs..." }
+ * 
+ * // Response (200 OK)
+ * {
+ *   "success": true,
+ *   "message": "Email address john@example.com verified"
+ * }
+ */
+publicRoutes.post("/verify-email", validate({ body: schemas.verifyEmail }), async (req, res) => {
+    const { store, config } = req.app.locals;
+
+    try {
+        const user = await consumeAccountToken(config, store, req.body.token, 'verify-email');
+
+        const verified = await withUser(store, user.username, async (current) => {
+            if (!current || current.emailVerified || current.email !== user.email) return false;
+
+            current.emailVerified = true;
+            current.emailVerifiedAt = new Date().toISOString();
+            await store.saveUser(current);
+            return true;
+        });
+        if (verified) {
+            await recordAudit(req, { action: 'auth.email.verify', actor: user.username, email: user.email });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Email address ${user.email} verified`
+        });
+    } catch (error) {
+        if (error instanceof AccountTokenError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error("Error verifying email:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error while verifying email"
+        });
+    }
+});
+
+/**
+ * Answer the endpoints that send account emails, whether or not an account
+ * matched, so they can't be used to find out which addresses are registered
+ * 
+ * @param {Object} res - Express response object
+ */
+const accountEmailAccepted = (res) => {
+    res.status(202).json({
+        success: true,
+        message: "If an account uses this address, an email is on its way."
+    });
+};
+
+/**
+ * POST /verify-email/resend
+ * ----------------------------------------------------------------------------
+ * Sends a new verification email, e.g. when the first one expired. Only
+ * accounts whose address is not verified yet get one.
+ * 
+ * @route POST /verify-email/resend
+ * @group Authentication - User registration and authentication
+ * @param {string} email.body.required - The account's email address
+ * @returns {object} 202 - Email sent if an account matched
+ * @returns {object} 422 - Invalid email address
+ * @returns {object} 429 - Too many emails requested (see Retry-After)
+ * @returns {object} 500 - Server error
+ */
+publicRoutes.post(
+    "/verify-email/resend",
+    accountEmailIpLimiter,
+    validate({ body: schemas.accountEmailRequest }),
+    accountEmailAddressLimiter,
+    async (req, res) => {
+        const { store, config, mailer } = req.app.locals;
+
+        try {
+            const user = await findUserByEmail(store, req.body.email);
+
+            if (user && !user.emailVerified) {
+                await sendVerificationEmail(config, mailer, user);
+            }
+
+            accountEmailAccepted(res);
+        } catch (error) {
+            console.error("Error resending verification email:", error);
+            res.status(500).json({
+                success: false,
+                message: "Internal server error while sending email"
+            });
+        }
+    }
+);
+
+/**
+ * POST /password/forgot
+ * ----------------------------------------------------------------------------
+ * Emails a password reset link to the address on the account (see
+ * POST /password/reset). Accounts without an email address can't be reset
+ * this way.
+ * 
+ * @route POST /password/forgot
+ * @group Authentication - User registration and authentication
+ * @param {string} email.body.required - The account's email address
+ * @returns {object} 202 - Email sent if an account matched
+ * @returns {object} 422 - Invalid email address
+ * @returns {object} 429 - Too many emails requested (see Retry-After)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /password/forgot
+ * { "email": "john@example.com" }
+ * 
+ * // Response (202 Accepted)
+ * {
+ *   "success": true,
+ *   "message": "If an account uses this address, an email is on its way."
+ * }
+ */
+publicRoutes.post(
+    "/password/forgot",
+    accountEmailIpLimiter,
+    validate({ body: schemas.accountEmailRequest }),
+    accountEmailAddressLimiter,
+    async (req, res) => {
+        const { store, config, mailer } = req.app.locals;
+
+        try {
+            const user = await findUserByEmail(store, req.body.email);
+
+            if (user) {
+                await sendPasswordResetEmail(config, mailer, user);
+                await recordAudit(req, { action: 'auth.password.forgot', actor: user.username });
+            }
+
+            accountEmailAccepted(res);
+        } catch (error) {
+            console.error("Error sending password reset email:", error);
+            res.status(500).json({
+                success: false,
+                message: "Internal server error while sending email"
+            });
+        }
+    }
+);
+
+/**
+ * POST /password/reset
+ * ----------------------------------------------------------------------------
+ * Sets a new password with the token from a password reset email.
+ * 
+ * WORKFLOW:
+ * 1. Check the token (signature, expiry, not used, password unchanged since)
+ * 2. Store the new password hash
+ * 3. End every session, like POST /logout-all (older reset links die too)
+ * 4. Clear the failed login lockout and mark the email address verified:
+ *    the user just proved they read its mail
+ * 
+ * @route POST /password/reset
+ * @group Authentication - User registration and authentication
+ * @param {string} token.body.required - Token from the reset email
+ * @param {string} newPassword.body.required - The new password
+ * @returns {object} 200 - Password changed, all sessions ended
+ * @returns {object} 400 - Token invalid, expired or already used
+ * @returns {object} 422 - Missing token or new password violates the policy
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request
+ * POST /password/reset
+ * { "token": "eyJhbGciOiJIUzI1NiIs...", "newPassword": "new-secret" }
+ * 
+ * // Response (200 OK)
+ * {
+ *   "success": true,
+ *   "message": "Password changed. Please login with your new password."
+ * }
+ */
+publicRoutes.post("/password/reset", validate({ body: schemas.resetPassword }), async (req, res) => {
+    const { store, config } = req.app.locals;
+
+    try {
+        const user = await consumeAccountToken(config, store, req.body.token, 'password-reset');
+        const password = await hashPassword(req.body.newPassword, hashParams(req.app.locals.config));
+
+        await revokeAllSessions(store, user, 'password-reset', (current) => {
+            current.password = password;
+            if (!current.emailVerified) {
+                current.emailVerified = true;
+                current.emailVerifiedAt = new Date().toISOString();
+            }
+        });
+        await recordLoginSuccess(req.app.locals.rateLimitStore, user.username);
+        await recordAudit(req, { action: 'auth.password.reset', actor: user.username });
+
+        res.status(200).json({
+            success: true,
+            message: "Password changed. Please login with your new password."
+        });
+    } catch (error) {
+        if (error instanceof AccountTokenError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error("Error resetting password:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error while resetting password"
+        });
+    }
+});
+
 /**
  * GET /health
  * ----------------------------------------------------------------------------
@@ -413,6 +1166,9 @@ app.post("/logout", (req, res) => {
  * - Monitoring system uptime
  * - API status verification
  * 
+ * version is config.version: the one in package.json, unless APP_VERSION
+ * is set.
+ * 
  * @route GET /health
  * @group System - Server monitoring and status
  * @returns {object} 200 - Server is healthy and running
@@ -426,71 +1182,322 @@ app.post("/logout", (req, res) => {
  *   "success": true,
  *   "message": "Friends API Server is running",
  *   "timestamp": "2024-01-15T10:30:00.000Z",
- *   "version": "1.0.0"
+ *   "version": "1.0.1"
  * }
  */
-app.get("/health", (req, res) => {
+publicRoutes.get("/health", (req, res) => {
     res.status(200).json({
         success: true,
         message: "Friends API Server is running",
         timestamp: new Date().toISOString(),
-        version: "1.0.0"
+        version: req.app.locals.config.version
     });
 });
 
 /**
  * ============================================================================
- * Mount Protected Routes
+ * Application Factory
  * ============================================================================
  * 
- * All routes defined in ./router/friends.js are mounted under the /friends path.
- * These routes are protected by the authentication middleware above.
+ * Builds the Express application for a configuration (see ./lib/config.js):
+ * storage, middleware, public routes and the protected routers. Nothing is
+ * started: the caller listens and starts the background jobs
+ * (app.locals.jobs).
+ * 
+ * Tests build an app of their own (the test profile keeps its data in
+ * memory) and can override any setting.
+ * 
+ * @param {Object} config - Application config, from loadConfig()
+ * @returns {Object} - The Express app
+ * 
+ * @example
+ * const app = createApp(loadConfig({
+ *     env: { NODE_ENV: 'test' },
+ *     overrides: { jwt: { expiresIn: 5 } }
+ * }));
  */
-app.use("/friends", routes);
+const createApp = (config) => {
+    const app = express();
+
+    /**
+     * ------------------------------------------------------------------------
+     * Storage
+     * ------------------------------------------------------------------------
+     * 
+     * Users, friends and sessions are kept in a pluggable storage backend
+     * chosen by config.storage (STORAGE_DRIVER, see ./storage/index.js).
+     * The default in-memory backend loses its data on restart; use
+     * STORAGE_DRIVER=file (the production default) to persist everything to
+     * a JSON file.
+     * 
+     * User record structure:
+     * {
+     *   id: string,            // Random UUID, used as the JWT subject
+     *   username: string,      // Unique login name
+     *   password: string,      // Salted scrypt hash (see ./lib/password.js)
+     *   displayName: string,   // Optional, set through PATCH /me
+     *   email: string,         // Optional, unique, set at registration or through PATCH /me
+     *   emailVerified: boolean, // Set by POST /verify-email (see ./lib/account-tokens.js)
+     *   twoFactor: object,     // TOTP secret and hashed recovery codes (see ./lib/two-factor.js)
+     *   role: string,          // "user" or "admin" (see ./lib/roles.js)
+     *   locked: boolean,       // Locked accounts can't login
+     *   tokenVersion: number,  // Bumped to invalidate every issued token
+     *   createdAt: string      // ISO timestamp of user creation
+     * }
+     * ------------------------------------------------------------------------
+     */
+    const store = createStore(config.storage);
+
+    // Expose the configuration and storage backend to routes
+    // (req.app.locals.config, req.app.locals.store)
+    app.locals.config = config;
+    app.locals.store = store;
+
+    // Rate limiting and lockout state (see ./storage/rate-limit.js)
+    app.locals.rateLimitStore = new MemoryRateLimitStore();
+
+    // Sends verification and password reset emails (see ./lib/mailer.js)
+    app.locals.mailer = createMailer(config.mail);
+
+    // In-process events of this app: "recorded" audit events (see
+    // ./lib/audit.js) and notifications by type (see ./lib/notifications.js).
+    // They belong to the app, so two apps in one process don't see each
+    // other's events.
+    app.locals.auditEvents = new EventEmitter();
+    app.locals.notifications = new EventEmitter();
+
+    // Fans audit events out to the open GET /friends/stream responses
+    // (see ./lib/friend-stream.js)
+    app.locals.friendStream = new FriendStreamHub(app.locals.auditEvents);
+
+    /**
+     * Background Jobs (see ./lib/jobs.js)
+     * 
+     * - trash-purge: permanently remove friends that have been in the trash
+     *   too long (./lib/trash.js)
+     * - birthday-reminders: notify users of upcoming birthdays
+     *   (./lib/reminders.js)
+     * - webhook-retries: retry failed webhook deliveries (./lib/webhooks.js)
+     */
+    app.locals.jobs = new JobRunner()
+        .every('trash-purge', trashSettings(config).purgeIntervalMs, () => purgeAllTrash(app.locals))
+        .every('birthday-reminders', reminderSettings(config).checkIntervalMs, () => sendBirthdayReminders(app.locals))
+        .every('webhook-retries', webhookSettings(config).retryIntervalMs, () => retryDueDeliveries(app.locals));
+
+    // Forward friend changes, logins and birthday reminders to users' webhooks
+    app.locals.auditEvents.on('recorded', (event) => dispatchAuditEvent(app.locals, event));
+    app.locals.notifications.on('birthday.reminder', (notification) => dispatchReminder(app.locals, notification));
+
+    /**
+     * Session Management Middleware
+     * 
+     * Configures express-session for managing user sessions.
+     * Sessions are kept in the configured storage backend, so they survive
+     * restarts when a persistent driver is used. The secret, the secure flag
+     * and the lifetime come from config.session.
+     * 
+     * @see https://www.npmjs.com/package/express-session
+     */
+    app.use(session({
+        store: new StorageSessionStore(store),
+        secret: config.session.secret,
+        resave: false,                           // Don't save session if unmodified
+        saveUninitialized: false,                // Don't create session until something is stored
+        cookie: {
+            secure: config.session.cookieSecure, // HTTPS only (on in production)
+            httpOnly: true,                      // Prevent client-side JavaScript access
+            sameSite: 'strict',                  // Protection against CSRF attacks
+            maxAge: config.session.maxAge * 1000 // Until login extends it
+        }
+    }));
+
+    /**
+     * JSON Body Parser Middleware
+     * 
+     * Parses incoming JSON requests and makes the data available in req.body
+     */
+    app.use(express.json());
+
+    /**
+     * Authentication Middleware for Protected Routes
+     * 
+     * This middleware protects all routes under the /friends, /tags, /webhooks,
+     * /connections, /sessions, /tokens, /admin and /me paths.
+     * It accepts the JWT either from an "Authorization: Bearer <token>" header
+     * or from the session created by /login (see ./middleware/auth.js).
+     * /friends and /tags also accept personal access tokens, whose scopes
+     * their routes check (see ./lib/personal-tokens.js).
+     */
+    app.use("/friends", scopedAuthMiddleware);
+    app.use("/tags", scopedAuthMiddleware);
+    app.use("/webhooks", authMiddleware);
+    app.use("/connections", authMiddleware);
+    app.use("/sessions", authMiddleware);
+    app.use("/tokens", authMiddleware);
+    app.use("/admin", authMiddleware);
+    app.use("/me", authMiddleware);
+
+    app.use(publicRoutes);
+
+    /**
+     * Mount Protected Routes
+     * 
+     * All routes defined in ./router/friends.js are mounted under the /friends path,
+     * the tag listing in ./router/tags.js under /tags, the session management routes in ./router/sessions.js under /sessions,
+     * the personal access token routes in ./router/tokens.js under /tokens,
+     * the admin user-management routes in ./router/admin.js under /admin, and
+     * the account self-service routes in ./router/me.js under /me.
+     * These routes are protected by the authentication middleware above.
+     */
+    app.use("/friends", routes);
+    app.use("/tags", tagRoutes);
+    app.use("/webhooks", webhookRoutes);
+    app.use("/connections", connectionRoutes);
+    app.use("/sessions", sessionRoutes);
+    app.use("/tokens", tokenRoutes);
+    app.use("/admin", adminRoutes);
+    app.use("/me", meRoutes);
+
+    return app;
+};
 
 /**
  * ============================================================================
  * Server Configuration and Startup
  * ============================================================================
+ * 
+ * Only when run directly (node index.js): requiring this file just gives
+ * access to createApp().
+ * 
+ * The configuration is loaded and checked first (see ./lib/config.js); an
+ * invalid one, or default secrets in production, stop the server before it
+ * listens. SIGINT and SIGTERM stop the jobs and write the changes the
+ * storage backend still buffers before exiting.
+ * 
+ * @listens {number} config.server.port - The port on which the server will listen
  */
+if (require.main === module) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
 
-// Server configuration
-const PORT = process.env.PORT || 5000;
-const HOST = process.env.HOST || 'localhost';
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 
-/**
- * Start the Express server
- * 
- * @listens {number} PORT - The port on which the server will listen
- */
-app.listen(PORT, () => {
-    console.log(`🚀 Server running at http://${HOST}:${PORT}`);
-    console.log(`📝 API Documentation:`);
-    console.log(`   POST /register    - Register new user`);
-    console.log(`   POST /login       - Login and get JWT token`);
-    console.log(`   POST /logout      - Logout and destroy session`);
-    console.log(`   GET  /health      - Server health check`);
-    console.log(`   GET  /friends     - Get all friends (protected)`);
-    console.log(`   GET  /friends/:email - Get specific friend (protected)`);
-    console.log(`   POST /friends     - Add new friend (protected)`);
-    console.log(`   PUT  /friends/:email - Update friend (protected)`);
-    console.log(`   DELETE /friends/:email - Delete friend (protected)`);
-    console.log(``);
-    console.log(`🔒 Security Notes:`);
-    console.log(`   - All /friends endpoints require authentication`);
-    console.log(`   - JWT tokens expire after 1 hour`);
-    console.log(`   - Sessions are managed server-side`);
-    console.log(`   - In production: Use HTTPS, hash passwords, use database`);
-});
+    const app = createApp(config);
+
+    seedAdmin(config, app.locals.store).catch((error) => {
+        console.error("Error creating admin user:", error);
+    });
+
+    app.locals.jobs.start();
+
+    const server = app.listen(config.server.port, () => {
+        const { port } = server.address();
+
+        console.log(`🚀 Server running at http://${config.server.host}:${port} (${config.profile})`);
+        console.log(`📝 API Documentation:`);
+        console.log(`   POST /register    - Register new user`);
+        console.log(`   POST /login       - Login and get JWT token`);
+        console.log(`   POST /login/2fa   - Finish a login with a two-factor code`);
+        console.log(`   POST /logout      - Logout and destroy session`);
+        console.log(`   POST /token/refresh - Exchange a refresh token for new tokens`);
+        console.log(`   POST /logout-all  - Logout from every session (protected)`);
+        console.log(`   POST /verify-email - Verify an email address with the emailed token`);
+        console.log(`   POST /verify-email/resend - Send a new verification email`);
+        console.log(`   POST /password/forgot - Email a password reset link`);
+        console.log(`   POST /password/reset - Set a new password with the emailed token`);
+        console.log(`   GET  /health      - Server health check`);
+        console.log(`   GET  /friends     - List, search and page friends (protected)`);
+        console.log(`   GET  /friends/export - Download friends as CSV, JSON or vCard (protected)`);
+        console.log(`   POST /friends/import - Bulk-add friends from CSV, JSON or vCard (protected)`);
+        console.log(`   GET  /friends/birthdays - Upcoming birthdays (protected)`);
+        console.log(`   GET  /friends/stream - Live change feed, Server-Sent Events (protected)`);
+        console.log(`   GET  /friends/:id - Get specific friend (protected)`);
+        console.log(`   GET  /friends/:id/history - Change history of a friend (protected)`);
+        console.log(`   POST /friends     - Add new friend (protected)`);
+        console.log(`   PUT  /friends/:id - Update friend (protected)`);
+        console.log(`   PATCH /friends/:id - Merge Patch / JSON Patch a friend (protected)`);
+        console.log(`   DELETE /friends/:id - Move friend to the trash (protected)`);
+        console.log(`   POST /friends/bulk-delete - Move several friends to the trash (protected)`);
+        console.log(`   GET  /friends/trash - List deleted friends (protected)`);
+        console.log(`   POST /friends/:id/restore - Restore a deleted friend (protected)`);
+        console.log(`   POST /friends/bulk-restore - Restore several friends (protected)`);
+        console.log(`   DELETE /friends/trash - Empty the trash (protected)`);
+        console.log(`   DELETE /friends/trash/:id - Permanently delete a trashed friend (protected)`);
+        console.log(`   GET  /tags        - List tags with friend counts (protected)`);
+        console.log(`   GET  /webhooks    - List webhooks (protected)`);
+        console.log(`   POST /webhooks    - Register a webhook (protected)`);
+        console.log(`   PATCH /webhooks/:id - Change a webhook (protected)`);
+        console.log(`   DELETE /webhooks/:id - Remove a webhook (protected)`);
+        console.log(`   POST /webhooks/:id/test - Send a test event (protected)`);
+        console.log(`   GET  /webhooks/:id/deliveries - Webhook delivery log (protected)`);
+        console.log(`   GET  /connections - List connections with other users (protected)`);
+        console.log(`   DELETE /connections/:username - Remove a connection (protected)`);
+        console.log(`   GET  /connections/mutual/:username - Connections shared with a user (protected)`);
+        console.log(`   GET  /connections/requests - Pending friend requests (protected)`);
+        console.log(`   POST /connections/requests - Send a friend request (protected)`);
+        console.log(`   POST /connections/requests/:id/accept - Accept a friend request (protected)`);
+        console.log(`   POST /connections/requests/:id/decline - Decline a friend request (protected)`);
+        console.log(`   DELETE /connections/requests/:id - Cancel a friend request (protected)`);
+        console.log(`   GET  /connections/blocks - List blocked users (protected)`);
+        console.log(`   PUT  /connections/blocks/:username - Block a user (protected)`);
+        console.log(`   DELETE /connections/blocks/:username - Unblock a user (protected)`);
+        console.log(`   GET  /sessions    - List active login sessions (protected)`);
+        console.log(`   DELETE /sessions/:id - End a login session (protected)`);
+        console.log(`   GET  /tokens      - List personal access tokens (protected)`);
+        console.log(`   POST /tokens      - Create a personal access token (protected)`);
+        console.log(`   DELETE /tokens/:id - Revoke a personal access token (protected)`);
+        console.log(`   GET  /me          - View profile (protected)`);
+        console.log(`   PATCH /me         - Update profile (protected)`);
+        console.log(`   POST /me/password - Change password (protected)`);
+        console.log(`   POST /me/2fa      - Start two-factor enrolment (protected)`);
+        console.log(`   POST /me/2fa/confirm - Turn on two-factor authentication (protected)`);
+        console.log(`   DELETE /me/2fa    - Turn off two-factor authentication (protected)`);
+        console.log(`   DELETE /me        - Delete account (protected)`);
+        console.log(`   GET  /admin/users - List users (admin)`);
+        console.log(`   PATCH /admin/users/:username - Change role, lock or unlock (admin)`);
+        console.log(`   DELETE /admin/users/:username - Delete a user (admin)`);
+        console.log(`   GET  /admin/audit - Query the audit log (admin)`);
+        console.log(``);
+        console.log(`🔒 Security Notes:`);
+        console.log(`   - All /friends endpoints require authentication`);
+        console.log(`   - Send the JWT as a session cookie or "Authorization: Bearer <token>"`);
+        console.log(`   - Sessions are managed server-side`);
+        console.log(`   - Passwords are stored as salted scrypt hashes`);
+        console.log(`   - In production: Use HTTPS, use database`);
+    });
+
+    const shutdown = (signal) => {
+        console.log(`👋 ${signal} received, shutting down`);
+        app.locals.jobs.stop();
+        server.close();
+        app.locals.store.close()
+            .catch((error) => console.error("Error closing storage:", error))
+            .finally(() => process.exit(0));
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
 
 /**
  * ----------------------------------------------------------------------------
  * Module Export
  * ----------------------------------------------------------------------------
  * 
- * Export the Express app for:
+ * Export the application factory (and the config loader to go with it) for:
  * 1. Unit testing and integration testing
  * 2. Serverless deployment (AWS Lambda, etc.)
  * 3. Import in other modules if needed
+ * 
+ * @example
+ * const { createApp, loadConfig } = require('./index.js');
+ * const app = createApp(loadConfig());
  */
-module.exports = app;
\ No newline at end of file
+module.exports = {
+    createApp,
+    loadConfig
+};
@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * Account Tokens (email verification, password reset, login challenges)
+ * ============================================================================
+ * 
+ * Signed, time-limited, single-use tokens that are emailed to a user to
+ * prove they control their address, or handed out by POST /login while the
+ * second factor is pending (see ./two-factor.js).
+ * 
+ * | purpose         | Used by               | Lifetime (default)                      |
+ * | --------------- | --------------------- | --------------------------------------- |
+ * | verify-email    | POST /verify-email    | EMAIL_VERIFICATION_EXPIRES_IN (24h)     |
+ * | password-reset  | POST /password/reset  | PASSWORD_RESET_EXPIRES_IN (1h)          |
+ * | login-2fa       | POST /login/2fa       | TWO_FACTOR_CHALLENGE_EXPIRES_IN (5 min) |
+ * 
+ * TOKEN: a JWT signed with config.accountTokens.secret (see ./config.js).
+ * Claims: sub (user id), purpose, email, ver (token version), jti, iat, exp,
+ * iss (config.jwt.issuer). Its audience is "<config.jwt.audience>:<purpose>",
+ * so it is never accepted as an access token nor for another purpose.
+ * 
+ * A token is accepted only if:
+ * - its signature, expiry and purpose are valid
+ * - the user still exists and still has the email address it was sent to
+ * - the user's token version is unchanged: resetting or changing the
+ *   password and logging out everywhere void every outstanding link
+ * - it was not used before (used ids are kept until they expire)
+ * 
+ * CONFIGURATION (config.accountTokens, see ./config.js):
+ * - verifyEmailExpiresIn     EMAIL_VERIFICATION_EXPIRES_IN    Seconds (default: 86400)
+ * - passwordResetExpiresIn   PASSWORD_RESET_EXPIRES_IN        Seconds (default: 3600)
+ * - loginChallengeExpiresIn  TWO_FACTOR_CHALLENGE_EXPIRES_IN  Seconds (default: 300)
+ * - requireVerifiedEmail     REQUIRE_EMAIL_VERIFICATION       true to require an email
+ *                            address at registration and refuse logins until
+ *                            it is verified (default: false)
+ * - appUrl                   APP_URL  Frontend base URL; when set, emails link
+ *                            to <APP_URL>/verify-email?token=... and
+ *                            <APP_URL>/reset-password?token=...
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Error raised when an account token can't be used
+ * 
+ * reason is one of: "invalid", "expired", "used"
+ */
+class AccountTokenError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'AccountTokenError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Resolve the account token settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { lifetimes, requireVerifiedEmail, appUrl }
+ */
+const accountTokenSettings = (config) => ({
+    lifetimes: {
+        'verify-email': config.accountTokens.verifyEmailExpiresIn,
+        'password-reset': config.accountTokens.passwordResetExpiresIn,
+        'login-2fa': config.accountTokens.loginChallengeExpiresIn
+    },
+    requireVerifiedEmail: config.accountTokens.requireVerifiedEmail,
+    appUrl: config.accountTokens.appUrl ? config.accountTokens.appUrl.replace(/\/+$/, '') : null
+});
+
+/**
+ * Sign a token for a user
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Object} user - User record (with an email address, except for
+ *                        "login-2fa")
+ * @param {string} purpose - "verify-email", "password-reset" or "login-2fa"
+ * @returns {{token: string, expiresAt: string}}
+ */
+const issueAccountToken = (config, user, purpose) => {
+    const expiresIn = accountTokenSettings(config).lifetimes[purpose];
+
+    const token = jwt.sign(
+        { purpose: purpose, email: user.email, ver: user.tokenVersion || 0 },
+        config.accountTokens.secret,
+        {
+            algorithm: 'HS256',
+            subject: user.id,
+            issuer: config.jwt.issuer,
+            audience: `${config.jwt.audience}:${purpose}`,
+            expiresIn: expiresIn,
+            jwtid: crypto.randomUUID()
+        }
+    );
+
+    return { token, expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString() };
+};
+
+/**
+ * Check a token and mark it as used
+ * 
+ * An optional check runs once the token is known to be valid, before it is
+ * marked as used: when it throws, the error is passed on and the token can
+ * be tried again (e.g. after mistyping a two-factor code).
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Store} store - Storage backend
+ * @param {string} token - The token
+ * @param {string} purpose - Expected purpose
+ * @param {Function} [check] - async (user) => void
+ * @returns {Promise<Object>} - The user the token was issued for
+ * @throws {AccountTokenError} - If the token can't be used
+ */
+const consumeAccountToken = async (config, store, token, purpose, check) => {
+    let claims;
+    try {
+        claims = jwt.verify(token, config.accountTokens.secret, {
+            algorithms: ['HS256'],
+            issuer: config.jwt.issuer,
+            audience: `${config.jwt.audience}:${purpose}`
+        });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new AccountTokenError('expired', "This link has expired. Please request a new one.");
+        }
+        throw new AccountTokenError('invalid', "This link is invalid.");
+    }
+
+    return store.exclusive(`account-token:${claims.jti}`, async () => {
+        if (await store.getUsedAccountToken(claims.jti)) {
+            throw new AccountTokenError('used', "This link has already been used.");
+        }
+
+        const user = (await store.listUsers()).find(candidate => candidate.id === claims.sub);
+        if (!user || user.email !== claims.email || (user.tokenVersion || 0) !== claims.ver) {
+            throw new AccountTokenError('invalid', "This link is no longer valid. Please request a new one.");
+        }
+
+        if (check) await check(user);
+
+        // Forget used tokens that would have expired anyway
+        const now = Date.now();
+        for (const record of await store.listUsedAccountTokens()) {
+            if (new Date(record.expiresAt).getTime() <= now) {
+                await store.deleteUsedAccountToken(record.jti);
+            }
+        }
+
+        await store.saveUsedAccountToken({
+            jti: claims.jti,
+            purpose: purpose,
+            expiresAt: new Date(claims.exp * 1000).toISOString(),
+            usedAt: new Date(now).toISOString()
+        });
+
+        return user;
+    });
+};
+
+/**
+ * Text telling the user how to use a token: a link to the frontend when
+ * APP_URL is set, the bare token otherwise
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {string} page - Frontend page ("verify-email" or "reset-password")
+ * @param {string} token - The token
+ * @returns {string}
+ */
+const tokenInstructions = (config, page, token) => {
+    const { appUrl } = accountTokenSettings(config);
+
+    return appUrl
+        ? `Open this link:\n\n  ${appUrl}/${page}?token=${encodeURIComponent(token)}`
+        : `Use this token:\n\n  ${token}`;
+};
+
+/**
+ * Email a verification link for the user's current address
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Mailer} mailer - See ./mailer.js
+ * @param {Object} user - User record (with an email address)
+ * @returns {Promise<Object>} - The message sent
+ */
+const sendVerificationEmail = (config, mailer, user) => {
+    const { token, expiresAt } = issueAccountToken(config, user, 'verify-email');
+
+    return mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+            `Hello ${user.displayName || user.username},`,
+            '',
+            `Please confirm that ${user.email} is your email address. ${tokenInstructions(config, 'verify-email', token)}`,
+            '',
+            `It can be used once, until ${new Date(expiresAt).toUTCString()}.`,
+            'If you did not create an account, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+/**
+ * Email a password reset link
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Mailer} mailer - See ./mailer.js
+ * @param {Object} user - User record (with an email address)
+ * @returns {Promise<Object>} - The message sent
+ */
+const sendPasswordResetEmail = (config, mailer, user) => {
+    const { token, expiresAt } = issueAccountToken(config, user, 'password-reset');
+
+    return mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+            `Hello ${user.displayName || user.username},`,
+            '',
+            `Someone asked to reset the password of the account ${user.username}. ${tokenInstructions(config, 'reset-password', token)}`,
+            '',
+            `It can be used once, until ${new Date(expiresAt).toUTCString()}.`,
+            'If you did not ask for this, you can ignore this email: your password has not changed.'
+        ].join('\n')
+    });
+};
+
+module.exports = {
+    AccountTokenError,
+    accountTokenSettings,
+    issueAccountToken,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
@@ -0,0 +1,185 @@
+/**
+ * ============================================================================
+ * Audit Log
+ * ============================================================================
+ * 
+ * An append-only record of who changed what. Events are written by the
+ * route handlers after a change has been made and are never modified, until
+ * a user is deleted: their own events and those about their friends are
+ * removed, and other users' events keep target: null in place of their
+ * name (see Store#deleteUser()).
+ * 
+ * ACTIONS:
+ * - auth.register        A user registered
+ * - auth.login           Successful login (secondFactor: totp or
+ *                        recovery-code when 2FA is on)
+ * - auth.login.failed    Failed login (reason: credentials, locked, locked-out,
+ *                        unverified, 2fa)
+ * - auth.logout          Logout
+ * - auth.email.verify    Email address verified (email)
+ * - auth.password.forgot Password reset email sent
+ * - auth.password.reset  Password reset with an emailed token
+ * - auth.2fa.enable      Two-factor authentication turned on
+ * - auth.2fa.disable     Two-factor authentication turned off
+ * - auth.token.create    Personal access token created (tokenId, scopes)
+ * - auth.token.revoke    Personal access token revoked (tokenId)
+ * - friend.create        Friend added (after)
+ * - friend.update        Friend changed (before, after, changes)
+ * - friend.delete        Friend moved to the trash (before)
+ * - friend.restore       Friend restored from the trash (after)
+ * - friend.purge         Friend permanently deleted from the trash (before)
+ * - connection.request   Friend request sent (target, requestId)
+ * - connection.accept    Friend request accepted (target: the sender)
+ * - connection.decline   Friend request declined (target: the sender)
+ * - connection.cancel    Friend request cancelled (target: the recipient)
+ * - connection.remove    Connection removed (target)
+ * - connection.block     User blocked (target)
+ * - connection.unblock   User unblocked (target)
+ * 
+ * EVENT STRUCTURE:
+ *   {
+ *     id, at,              Unique id, ISO timestamp
+ *     action, actor,       What happened, username of who did it ("system"
+ *                          for background jobs)
+ *     owner, friendId,     Friend events: whose list, which friend
+ *     before, after,       Friend events: the record before / after
+ *     changes,             friend.update: names of the changed fields
+ *     target, requestId,   Connection events: the other user, the request
+ *     secondFactor,        auth.login: how the second factor was given
+ *     tokenId, scopes,     auth.token events: the personal access token
+ *     source, reason,      Optional context ("import", "expired"...)
+ *     ip, userAgent        Request the event came from
+ *   }
+ * 
+ * Writing an event never fails the request that caused it: the change has
+ * already been made by then, so errors are logged instead.
+ * 
+ * Every stored event is also emitted in-process as "recorded" on the app's
+ * audit emitter (app.locals.auditEvents, one per app built by createApp()),
+ * which is how webhooks (./webhooks.js) and the live change feed
+ * (./friend-stream.js) learn about changes.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const AUDIT_ACTIONS = [
+    'auth.register',
+    'auth.login',
+    'auth.login.failed',
+    'auth.logout',
+    'auth.email.verify',
+    'auth.password.forgot',
+    'auth.password.reset',
+    'auth.2fa.enable',
+    'auth.2fa.disable',
+    'auth.token.create',
+    'auth.token.revoke',
+    'friend.create',
+    'friend.update',
+    'friend.delete',
+    'friend.restore',
+    'friend.purge',
+    'connection.request',
+    'connection.accept',
+    'connection.decline',
+    'connection.cancel',
+    'connection.remove',
+    'connection.block',
+    'connection.unblock'
+];
+
+// Actor recorded for events not caused by a request (e.g. the trash purger)
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Append an event to the audit log
+ * 
+ * @param {Object} locals - The app's locals ({ store, auditEvents })
+ * @param {Object} event - Event fields (action and actor at least)
+ * @returns {Promise<Object|null>} - The stored event, or null if writing failed
+ */
+const appendAudit = async ({ store, auditEvents }, event) => {
+    const record = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        ...event
+    };
+
+    // Drop empty fields so every action only carries what applies to it
+    for (const [key, value] of Object.entries(record)) {
+        if (value === undefined) delete record[key];
+    }
+
+    try {
+        await store.appendAuditEvent(record);
+    } catch (error) {
+        console.error(`Error writing audit event ${record.action}:`, error);
+        return null;
+    }
+
+    try {
+        auditEvents.emit('recorded', record);
+    } catch (error) {
+        console.error(`Error in audit listener for ${record.action}:`, error);
+    }
+    return record;
+};
+
+/**
+ * Append an event caused by a request
+ * 
+ * The actor defaults to the authenticated user; the client's IP address and
+ * User-Agent are added.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} event - Event fields (action at least)
+ * @returns {Promise<Object|null>} - The stored event, or null if writing failed
+ * 
+ * @example
+ * await recordAudit(req, { action: 'friend.update', owner: 'alice', friendId: friend.id,
+ *     before: previous, after: friend, changes: ['lastName'] });
+ */
+const recordAudit = (req, event) => {
+    return appendAudit(req.app.locals, {
+        actor: req.user ? req.user.username : undefined,
+        ...event,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+};
+
+/**
+ * Filter audit events
+ * 
+ * @param {Object[]} events - Events, oldest first (store.listAuditEvents())
+ * @param {Object} [filters]
+ * @param {string} [filters.actor] - Only events by this user
+ * @param {string} [filters.action] - Only this action, or every action under
+ *                                    a prefix ("friend" or "auth.login")
+ * @param {string} [filters.owner] - Only events on this user's friends
+ * @param {string} [filters.friendId] - Only events on this friend
+ * @param {string} [filters.from] - Only events at or after this ISO timestamp
+ * @param {string} [filters.to] - Only events at or before this ISO timestamp
+ * @returns {Object[]} - Matching events, newest first
+ */
+const queryAudit = (events, filters = {}) => {
+    const { actor, action, owner, friendId, from, to } = filters;
+
+    return events
+        .filter(event => actor === undefined || event.actor === actor)
+        .filter(event => action === undefined || event.action === action || event.action.startsWith(`${action}.`))
+        .filter(event => owner === undefined || event.owner === owner)
+        .filter(event => friendId === undefined || event.friendId === friendId)
+        .filter(event => from === undefined || event.at >= from)
+        .filter(event => to === undefined || event.at <= to)
+        .reverse();
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    SYSTEM_ACTOR,
+    appendAudit,
+    recordAudit,
+    queryAudit
+};
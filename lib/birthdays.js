@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * Birthdays
+ * ============================================================================
+ * 
+ * Works out upcoming birthdays from the friends' DOB (DD-MM-YYYY).
+ * 
+ * RULES:
+ * 1. "Today" is the calendar date in the user's timezone (the timezone
+ *    profile field, UTC when unset), so a birthday starts at the user's
+ *    local midnight
+ * 2. Friends born on 29 February celebrate on 28 February in non-leap years
+ * 3. A birthday falling today is upcoming, with daysUntil 0
+ * ============================================================================
+ */
+
+const { parseDate } = require('./validation.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Today's calendar date in a timezone
+ * 
+ * @param {string} [timezone] - IANA timezone, e.g. "Europe/Paris" (default: UTC)
+ * @param {Date} [now] - Current time (default: now)
+ * @returns {Date} - Midnight UTC of the local date
+ * 
+ * @example
+ * // At 2024-05-01T23:30:00Z
+ * localToday('Asia/Tokyo'); // Returns: Date(2024-05-02)
+ */
+const localToday = (timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(now);
+    const part = (type) => Number(parts.find(entry => entry.type === type).value);
+
+    return new Date(Date.UTC(part('year'), part('month') - 1, part('day')));
+};
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * The date of a birthday in a given year
+ * 
+ * @param {Date} born - Date of birth (midnight UTC)
+ * @param {number} year - Year of the birthday
+ * @returns {Date} - Midnight UTC of the birthday (28 February for 29 February
+ *                   birthdays in non-leap years)
+ */
+const birthdayIn = (born, year) => {
+    const month = born.getUTCMonth();
+    const day = month === 1 && born.getUTCDate() === 29 && !isLeapYear(year) ? 28 : born.getUTCDate();
+
+    return new Date(Date.UTC(year, month, day));
+};
+
+/**
+ * Format a date as DD-MM-YYYY
+ * 
+ * @param {Date} date - Midnight UTC of the date
+ * @returns {string} - e.g. "01-05-2024"
+ */
+const formatDate = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getUTCDate())}-${pad(date.getUTCMonth() + 1)}-${date.getUTCFullYear()}`;
+};
+
+/**
+ * A friend's next birthday
+ * 
+ * @param {string} dob - Date of birth (DD-MM-YYYY)
+ * @param {Date} today - Today's date (see localToday())
+ * @returns {Object|null} - { date (DD-MM-YYYY), turning, daysUntil }, or null
+ *                          if the DOB can't be parsed
+ * 
+ * @example
+ * nextBirthday('29-02-2000', new Date('2025-02-01'));
+ * // Returns: { date: '28-02-2025', turning: 25, daysUntil: 27 }
+ */
+const nextBirthday = (dob, today) => {
+    const born = parseDate(dob);
+    if (!born) return null;
+
+    let year = today.getUTCFullYear();
+    if (birthdayIn(born, year) < today) year += 1;
+
+    const date = birthdayIn(born, year);
+
+    return {
+        date: formatDate(date),
+        turning: year - born.getUTCFullYear(),
+        daysUntil: Math.round((date - today) / DAY_MS)
+    };
+};
+
+/**
+ * List the birthdays coming up within a number of days
+ * 
+ * @param {Object[]} friends - Friend records
+ * @param {Object} options
+ * @param {number} options.within - Days ahead to look (0 = today only)
+ * @param {Date} options.today - Today's date (see localToday())
+ * @returns {Object[]} - [{ friend, birthday, turning, daysUntil }], soonest
+ *                       first, then by last and first name
+ */
+const upcomingBirthdays = (friends, { within, today }) => {
+    return friends
+        .map(friend => ({ friend, next: nextBirthday(friend.DOB, today) }))
+        .filter(({ next }) => next && next.daysUntil <= within)
+        .map(({ friend, next }) => ({
+            friend: {
+                id: friend.id,
+                email: friend.email,
+                firstName: friend.firstName,
+                lastName: friend.lastName,
+                DOB: friend.DOB
+            },
+            birthday: next.date,
+            turning: next.turning,
+            daysUntil: next.daysUntil
+        }))
+        .sort((a, b) => a.daysUntil - b.daysUntil ||
+            a.friend.lastName.localeCompare(b.friend.lastName) ||
+            a.friend.firstName.localeCompare(b.friend.firstName));
+};
+
+/**
+ * Parse a look-ahead period such as "30d" or "2w"
+ * 
+ * @param {string} value - Number followed by d (days) or w (weeks)
+ * @returns {number} - Number of days
+ */
+const parsePeriod = (value) => {
+    const [, count, unit] = /^(\d+)([dw])$/.exec(value);
+    return Number(count) * (unit === 'w' ? 7 : 1);
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    localToday,
+    formatDate,
+    nextBirthday,
+    upcomingBirthdays,
+    parsePeriod
+};
@@ -0,0 +1,427 @@
+/**
+ * ============================================================================
+ * Configuration
+ * ============================================================================
+ * 
+ * Loads every setting of the API (server, tokens, storage, rate limits,
+ * mail, webhooks, jobs...) once at startup, checks them and hands them to
+ * createApp() in ../index.js, which passes them on through
+ * req.app.locals.config. No other module reads the environment.
+ * 
+ * SOURCES (later ones win):
+ * 1. Built-in defaults
+ * 2. The profile for NODE_ENV: "development" (default), "test" or
+ *    "production" ("dev" and "prod" also work)
+ * 3. A JSON config file, when CONFIG_FILE points to one
+ * 4. Environment variables
+ * 5. Overrides passed to loadConfig() (for tests)
+ * 
+ * PROFILES:
+ * - development  The built-in defaults
+ * - test         Picks a free port (0), keeps data and mail in memory,
+ *                relaxes the rate limits and uses a cheap password hash
+ * - production   Secure session cookie, file storage, mail written to files
+ *                instead of the console, and refuses to start with a
+ *                default secret
+ * 
+ * | Setting              | Environment variable   | Default                   |
+ * | -------------------- | ---------------------- | ------------------------- |
+ * | server.port          | PORT                   | 5000                      |
+ * | server.host          | HOST                   | "localhost"               |
+ * | version              | APP_VERSION            | version in package.json   |
+ * | session.secret       | SESSION_SECRET         | "friends-api-secret-key"  |
+ * | session.cookieSecure | SESSION_COOKIE_SECURE  | false                     |
+ * | session.maxAge       | SESSION_MAX_AGE        | 3600 (seconds)            |
+ * | jwt.secret           | JWT_SECRET             | "access"                  |
+ * | jwt.privateKey       | JWT_PRIVATE_KEY        | -                         |
+ * | jwt.publicKey        | JWT_PUBLIC_KEY         | -                         |
+ * | jwt.algorithm        | JWT_ALGORITHM          | HS256, RS256 with keys    |
+ * | jwt.issuer           | JWT_ISSUER             | "friends-api"             |
+ * | jwt.audience         | JWT_AUDIENCE           | "friends-api"             |
+ * | jwt.expiresIn        | JWT_EXPIRES_IN         | 3600 (seconds)            |
+ * | accountTokens.secret | ACCOUNT_TOKEN_SECRET   | "account"                 |
+ * | storage.driver       | STORAGE_DRIVER         | "memory"                  |
+ * | storage.file         | STORAGE_FILE           | data/db.json              |
+ * | storage.writeDelayMs | STORAGE_WRITE_DELAY    | 1000 (milliseconds)       |
+ * 
+ * Feature settings (rate limits, lockout, password policy, account emails,
+ * trash, reminders, webhooks, stream...) are listed in SETTINGS below and
+ * in the README, next to each feature.
+ * 
+ * The config file uses the same nested names:
+ *   { "server": { "port": 8080 }, "session": { "secret": "..." } }
+ * 
+ * Every value is checked (type, range, allowed values, unknown keys in the
+ * file) and every problem is reported at once in a ConfigError.
+ * 
+ * @example
+ * const config = loadConfig();                     // NODE_ENV, CONFIG_FILE, env
+ * const app = createApp(loadConfig({
+ *     env: { NODE_ENV: 'test' },
+ *     overrides: { jwt: { expiresIn: 5 } }
+ * }));
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version: packageVersion } = require('../package.json');
+
+/**
+ * Error raised when the configuration is invalid
+ * 
+ * problems lists every invalid setting, one message each.
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const JWT_ALGORITHMS = [
+    'HS256', 'HS384', 'HS512',
+    'RS256', 'RS384', 'RS512',
+    'PS256', 'PS384', 'PS512',
+    'ES256', 'ES384', 'ES512'
+];
+
+/**
+ * Every setting: where it comes from, its type and default
+ * 
+ * type is one of "string", "integer", "boolean", "enum" (with values),
+ * "integers" or "strings" (lists, comma-separated in the environment).
+ * Durations are in seconds unless the key says otherwise.
+ * secret: true marks the settings production refuses to leave at their
+ * default.
+ */
+const SETTINGS = [
+    { key: 'server.port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 5000 },
+    { key: 'server.host', env: 'HOST', type: 'string', default: 'localhost' },
+    { key: 'version', env: 'APP_VERSION', type: 'string', default: packageVersion },
+    { key: 'session.secret', env: 'SESSION_SECRET', type: 'string', secret: true, default: 'friends-api-secret-key' },
+    { key: 'session.cookieSecure', env: 'SESSION_COOKIE_SECURE', type: 'boolean', default: false },
+    { key: 'session.maxAge', env: 'SESSION_MAX_AGE', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'jwt.secret', env: 'JWT_SECRET', type: 'string', secret: true, default: 'access' },
+    { key: 'jwt.privateKey', env: 'JWT_PRIVATE_KEY', type: 'string', default: null },
+    { key: 'jwt.publicKey', env: 'JWT_PUBLIC_KEY', type: 'string', default: null },
+    { key: 'jwt.algorithm', env: 'JWT_ALGORITHM', type: 'enum', values: JWT_ALGORITHMS, default: null },
+    { key: 'jwt.issuer', env: 'JWT_ISSUER', type: 'string', default: 'friends-api' },
+    { key: 'jwt.audience', env: 'JWT_AUDIENCE', type: 'string', default: 'friends-api' },
+    { key: 'jwt.expiresIn', env: 'JWT_EXPIRES_IN', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'accountTokens.secret', env: 'ACCOUNT_TOKEN_SECRET', type: 'string', secret: true, default: 'account' },
+    { key: 'storage.driver', env: 'STORAGE_DRIVER', type: 'enum', values: ['memory', 'file'], default: 'memory' },
+    { key: 'storage.file', env: 'STORAGE_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'db.json') },
+    { key: 'storage.writeDelayMs', env: 'STORAGE_WRITE_DELAY', type: 'integer', min: 0, default: 1000 },
+
+    { key: 'admin.username', env: 'ADMIN_USERNAME', type: 'string', default: null },
+    { key: 'admin.password', env: 'ADMIN_PASSWORD', type: 'string', default: null },
+
+    { key: 'password.hashCost', env: 'PASSWORD_HASH_COST', type: 'integer', min: 2, default: 16384 },
+    { key: 'password.hashBlockSize', env: 'PASSWORD_HASH_BLOCK_SIZE', type: 'integer', min: 1, default: 8 },
+    { key: 'password.hashParallelism', env: 'PASSWORD_HASH_PARALLELISM', type: 'integer', min: 1, default: 1 },
+    { key: 'password.minLength', env: 'PASSWORD_MIN_LENGTH', type: 'integer', min: 1, default: 8 },
+    { key: 'password.maxLength', env: 'PASSWORD_MAX_LENGTH', type: 'integer', min: 1, default: 128 },
+    { key: 'password.requireLowercase', env: 'PASSWORD_REQUIRE_LOWERCASE', type: 'boolean', default: false },
+    { key: 'password.requireUppercase', env: 'PASSWORD_REQUIRE_UPPERCASE', type: 'boolean', default: false },
+    { key: 'password.requireDigit', env: 'PASSWORD_REQUIRE_DIGIT', type: 'boolean', default: false },
+    { key: 'password.requireSymbol', env: 'PASSWORD_REQUIRE_SYMBOL', type: 'boolean', default: false },
+
+    { key: 'refreshTokens.expiresIn', env: 'REFRESH_TOKEN_EXPIRES_IN', type: 'integer', min: 1, default: 30 * 24 * 60 * 60 },
+
+    { key: 'accountTokens.verifyEmailExpiresIn', env: 'EMAIL_VERIFICATION_EXPIRES_IN', type: 'integer', min: 1, default: 24 * 60 * 60 },
+    { key: 'accountTokens.passwordResetExpiresIn', env: 'PASSWORD_RESET_EXPIRES_IN', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'accountTokens.loginChallengeExpiresIn', env: 'TWO_FACTOR_CHALLENGE_EXPIRES_IN', type: 'integer', min: 1, default: 5 * 60 },
+    { key: 'accountTokens.requireVerifiedEmail', env: 'REQUIRE_EMAIL_VERIFICATION', type: 'boolean', default: false },
+    { key: 'accountTokens.appUrl', env: 'APP_URL', type: 'string', default: null },
+    { key: 'twoFactor.issuer', env: 'TOTP_ISSUER', type: 'string', default: 'Friends API' },
+
+    { key: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'enum', values: ['console', 'directory', 'memory'], default: 'console' },
+    { key: 'mail.dir', env: 'MAIL_DIR', type: 'string', default: path.join(__dirname, '..', 'data', 'mail') },
+    { key: 'mail.from', env: 'MAIL_FROM', type: 'string', default: 'Friends API <no-reply@localhost>' },
+
+    { key: 'rateLimits.loginIp', env: 'RATE_LIMIT_LOGIN_IP', type: 'integer', min: 1, default: 20 },
+    { key: 'rateLimits.loginUsername', env: 'RATE_LIMIT_LOGIN_USERNAME', type: 'integer', min: 1, default: 10 },
+    { key: 'rateLimits.loginWindow', env: 'RATE_LIMIT_LOGIN_WINDOW', type: 'integer', min: 1, default: 15 * 60 },
+    { key: 'rateLimits.registerIp', env: 'RATE_LIMIT_REGISTER_IP', type: 'integer', min: 1, default: 5 },
+    { key: 'rateLimits.registerWindow', env: 'RATE_LIMIT_REGISTER_WINDOW', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'rateLimits.emailIp', env: 'RATE_LIMIT_EMAIL_IP', type: 'integer', min: 1, default: 10 },
+    { key: 'rateLimits.emailAddress', env: 'RATE_LIMIT_EMAIL_ADDRESS', type: 'integer', min: 1, default: 3 },
+    { key: 'rateLimits.emailWindow', env: 'RATE_LIMIT_EMAIL_WINDOW', type: 'integer', min: 1, default: 60 * 60 },
+
+    { key: 'lockout.threshold', env: 'LOCKOUT_THRESHOLD', type: 'integer', min: 1, default: 5 },
+    { key: 'lockout.window', env: 'LOCKOUT_WINDOW', type: 'integer', min: 1, default: 15 * 60 },
+    { key: 'lockout.duration', env: 'LOCKOUT_DURATION', type: 'integer', min: 1, default: 60 },
+    { key: 'lockout.maxDuration', env: 'LOCKOUT_MAX_DURATION', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'lockout.offenceReset', env: 'LOCKOUT_OFFENCE_RESET', type: 'integer', min: 1, default: 24 * 60 * 60 },
+
+    { key: 'trash.retention', env: 'TRASH_RETENTION', type: 'integer', min: 1, default: 30 * 24 * 60 * 60 },
+    { key: 'trash.purgeInterval', env: 'TRASH_PURGE_INTERVAL', type: 'integer', min: 1, default: 60 * 60 },
+
+    { key: 'reminders.days', env: 'BIRTHDAY_REMINDER_DAYS', type: 'integers', min: 0, max: 365, default: Object.freeze([7, 1]) },
+    { key: 'reminders.checkInterval', env: 'BIRTHDAY_CHECK_INTERVAL', type: 'integer', min: 1, default: 60 * 60 },
+    { key: 'notifications.webhookUrl', env: 'NOTIFY_WEBHOOK_URL', type: 'string', default: null },
+    { key: 'notifications.webhookTimeoutMs', env: 'NOTIFY_WEBHOOK_TIMEOUT', type: 'integer', min: 1, default: 5000 },
+    { key: 'notifications.log', env: 'NOTIFY_LOG', type: 'boolean', default: false },
+
+    { key: 'webhooks.timeoutMs', env: 'WEBHOOK_TIMEOUT', type: 'integer', min: 1, default: 5000 },
+    { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+    { key: 'webhooks.retryDelayMs', env: 'WEBHOOK_RETRY_DELAY', type: 'integer', min: 1, default: 10000 },
+    { key: 'webhooks.retryIntervalMs', env: 'WEBHOOK_RETRY_INTERVAL', type: 'integer', min: 1, default: 5000 },
+    { key: 'webhooks.deliveryLog', env: 'WEBHOOK_DELIVERY_LOG', type: 'integer', min: 1, default: 50 },
+    { key: 'webhooks.disableAfter', env: 'WEBHOOK_DISABLE_AFTER', type: 'integer', min: 1, default: 10 },
+    { key: 'webhooks.allowedHosts', env: 'WEBHOOK_ALLOWED_HOSTS', type: 'strings', default: Object.freeze([]) },
+
+    { key: 'stream.heartbeatInterval', env: 'STREAM_HEARTBEAT_INTERVAL', type: 'integer', min: 1, default: 25 },
+    { key: 'stream.revalidateInterval', env: 'STREAM_REVALIDATE_INTERVAL', type: 'integer', min: 1, default: 30 }
+];
+
+/**
+ * Values each profile changes from the defaults
+ */
+const PROFILES = {
+    development: {},
+    test: {
+        'server.port': 0,
+        'storage.driver': 'memory',
+        'mail.transport': 'memory',
+        'password.hashCost': 1024,
+        'rateLimits.loginIp': 1000,
+        'rateLimits.loginUsername': 1000,
+        'rateLimits.registerIp': 1000,
+        'rateLimits.emailIp': 1000,
+        'rateLimits.emailAddress': 1000
+    },
+    production: {
+        'session.cookieSecure': true,
+        'storage.driver': 'file',
+        'mail.transport': 'directory'
+    }
+};
+
+const PROFILE_ALIASES = { dev: 'development', prod: 'production' };
+
+/**
+ * Check a value against its setting
+ * 
+ * Values from the environment are strings and are parsed first; values from
+ * the config file or overrides must already have the right JSON type.
+ * 
+ * @param {Object} setting - Entry of SETTINGS
+ * @param {*} value - Value to check
+ * @param {boolean} fromEnv - Whether the value is an environment string
+ * @returns {{value: *}|{problem: string}}
+ */
+const checkValue = (setting, value, fromEnv) => {
+    switch (setting.type) {
+        case 'integer': {
+            const number = fromEnv && /^\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                return { problem: 'must be an integer' };
+            }
+            if (setting.min !== undefined && number < setting.min) {
+                return { problem: `must be at least ${setting.min}` };
+            }
+            if (setting.max !== undefined && number > setting.max) {
+                return { problem: `must be at most ${setting.max}` };
+            }
+            return { value: number };
+        }
+        case 'integers':
+        case 'strings': {
+            const itemType = setting.type === 'integers' ? 'integer' : 'string';
+            const list = fromEnv ? value.split(',').map(item => item.trim()).filter(item => item !== '') : value;
+            if (!Array.isArray(list)) {
+                return { problem: `must be a list of ${itemType}s` };
+            }
+
+            const items = [];
+            for (const item of list) {
+                const checked = checkValue({ ...setting, type: itemType }, item, fromEnv);
+                if (checked.problem) return { problem: `must be a list of ${itemType}s that each ${checked.problem}` };
+                items.push(checked.value);
+            }
+            return { value: Object.freeze(items) };
+        }
+        case 'boolean': {
+            const bool = fromEnv && (value === 'true' || value === 'false') ? value === 'true' : value;
+            return typeof bool === 'boolean' ? { value: bool } : { problem: 'must be true or false' };
+        }
+        case 'enum':
+            return setting.values.includes(value)
+                ? { value }
+                : { problem: `must be one of ${setting.values.join(', ')}` };
+        default:
+            return typeof value === 'string' && value !== ''
+                ? { value }
+                : { problem: 'must be a non-empty string' };
+    }
+};
+
+/**
+ * Flatten a nested config object into dotted keys
+ * 
+ * @param {Object} object - e.g. { jwt: { secret: 'x' } }
+ * @param {string} [prefix]
+ * @returns {Object} - e.g. { 'jwt.secret': 'x' }
+ */
+const flatten = (object, prefix = '') => {
+    const flat = {};
+
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(flat, flatten(value, key));
+        } else {
+            flat[key] = value;
+        }
+    }
+    return flat;
+};
+
+/**
+ * Read a JSON config file
+ * 
+ * @param {string} file - Path to the file
+ * @returns {Object} - Its settings, flattened
+ * @throws {ConfigError} - If the file can't be read or parsed
+ */
+const readConfigFile = (file) => {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Can't read config file ${file}: ${error.message}`]);
+    }
+
+    if (contents === null || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new ConfigError([`Config file ${file} must contain a JSON object`]);
+    }
+    return flatten(contents);
+};
+
+/**
+ * Build a frozen nested object from dotted keys
+ * 
+ * @param {Object} values - e.g. { 'jwt.secret': 'x' }
+ * @returns {Object} - e.g. { jwt: { secret: 'x' } }
+ */
+const nest = (values) => {
+    const object = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        const names = key.split('.');
+        let target = object;
+        for (const name of names.slice(0, -1)) {
+            target = target[name] = target[name] || {};
+        }
+        target[names[names.length - 1]] = value;
+    }
+
+    for (const value of Object.values(object)) {
+        if (typeof value === 'object' && value !== null) Object.freeze(value);
+    }
+    return Object.freeze(object);
+};
+
+/**
+ * Load and check the configuration
+ * 
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {string} [options.file] - JSON config file (default: CONFIG_FILE)
+ * @param {Object} [options.overrides] - Nested settings applied last
+ * @returns {Object} - Frozen config: { profile, server, version, session,
+ *                     jwt, storage, password, rateLimits... }
+ * @throws {ConfigError} - Listing every invalid setting
+ */
+const loadConfig = ({ env = process.env, file, overrides = {} } = {}) => {
+    const requested = env.NODE_ENV || 'development';
+    const profile = PROFILE_ALIASES[requested] || requested;
+
+    if (!PROFILES[profile]) {
+        throw new ConfigError([`NODE_ENV must be one of development, test, production (got '${requested}')`]);
+    }
+
+    const configFile = file || env.CONFIG_FILE;
+    const sources = [
+        { name: 'config file', values: configFile ? readConfigFile(configFile) : {} },
+        { name: 'overrides', values: flatten(overrides) }
+    ];
+
+    const problems = [];
+    const values = {};
+
+    for (const { name, values: given } of sources) {
+        for (const key of Object.keys(given)) {
+            if (!SETTINGS.some(setting => setting.key === key)) {
+                problems.push(`Unknown setting '${key}' in ${name}`);
+            }
+        }
+    }
+
+    for (const setting of SETTINGS) {
+        values[setting.key] = setting.key in PROFILES[profile] ? PROFILES[profile][setting.key] : setting.default;
+
+        const candidates = [
+            { label: `${setting.key} (config file)`, value: sources[0].values[setting.key], fromEnv: false },
+            { label: setting.env, value: env[setting.env] || undefined, fromEnv: true },
+            { label: `${setting.key} (overrides)`, value: sources[1].values[setting.key], fromEnv: false }
+        ];
+
+        for (const { label, value, fromEnv } of candidates) {
+            if (value === undefined) continue;
+
+            const checked = checkValue(setting, value, fromEnv);
+            if (checked.problem) {
+                problems.push(`${label} ${checked.problem} (got ${JSON.stringify(value)})`);
+            } else {
+                values[setting.key] = checked.value;
+            }
+        }
+    }
+
+    const asymmetric = Boolean(values['jwt.privateKey'] && values['jwt.publicKey']);
+
+    if (Boolean(values['jwt.privateKey']) !== Boolean(values['jwt.publicKey'])) {
+        problems.push('JWT_PRIVATE_KEY and JWT_PUBLIC_KEY must be set together');
+    }
+    if (values['jwt.algorithm'] && values['jwt.algorithm'].startsWith('HS') === asymmetric) {
+        problems.push(asymmetric
+            ? `JWT_ALGORITHM ${values['jwt.algorithm']} needs a shared secret, not a key pair`
+            : `JWT_ALGORITHM ${values['jwt.algorithm']} needs JWT_PRIVATE_KEY and JWT_PUBLIC_KEY`);
+    }
+
+    if (Boolean(values['admin.username']) !== Boolean(values['admin.password'])) {
+        problems.push('ADMIN_USERNAME and ADMIN_PASSWORD must be set together');
+    }
+    if ((values['password.hashCost'] & (values['password.hashCost'] - 1)) !== 0) {
+        problems.push(`PASSWORD_HASH_COST must be a power of two (got ${values['password.hashCost']})`);
+    }
+    if (values['password.minLength'] > values['password.maxLength']) {
+        problems.push('PASSWORD_MIN_LENGTH must not be greater than PASSWORD_MAX_LENGTH');
+    }
+
+    // Default secrets are public: anyone could forge sessions and tokens
+    if (profile === 'production') {
+        for (const setting of SETTINGS.filter(candidate => candidate.secret)) {
+            if (setting.key === 'jwt.secret' && asymmetric) continue;
+
+            if (values[setting.key] === setting.default) {
+                problems.push(`${setting.env} must be changed from its default in production`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return nest({ profile, ...values });
+};
+
+module.exports = {
+    ConfigError,
+    loadConfig
+};
@@ -0,0 +1,315 @@
+/**
+ * ============================================================================
+ * Connections Between Users
+ * ============================================================================
+ * 
+ * Friend requests and mutual connections between registered users (as
+ * opposed to the contact records of /friends).
+ * 
+ * - A user sends a friend request to another user; the recipient accepts
+ *   or declines it, the sender can cancel it while it is pending
+ * - Accepting creates a connection, stored on both sides
+ * - Requesting someone who already asked you accepts their request
+ * - Blocking a user removes the connection and any pending request, and
+ *   stops either user from requesting the other until unblocked
+ * 
+ * Every change to the two users' relationship runs under store.exclusive()
+ * on the pair, so a request can't be accepted while it is being cancelled.
+ * 
+ * REQUEST STRUCTURE:
+ *   { id, from, to, message, status: "pending", createdAt }
+ * Answered requests are removed; the answer is in the audit log.
+ * 
+ * CONNECTION STRUCTURE (per user): { username, since }
+ * BLOCK STRUCTURE (per user):      { username, blockedAt }
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error raised when a relationship change is not allowed
+ * 
+ * reason is one of: "not-found", "self", "blocked", "connected", "pending",
+ * "forbidden"
+ */
+class ConnectionError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ConnectionError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Lock key shared by every change between two users
+ * 
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {string}
+ */
+const pairKey = (a, b) => `connection:${[a, b].sort().join(':')}`;
+
+/**
+ * Whether either user blocked the other
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (store, a, b) => {
+    return Boolean(await store.getBlock(a, b) || await store.getBlock(b, a));
+};
+
+/**
+ * Find the pending request from one user to another
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} from - Sender
+ * @param {string} to - Recipient
+ * @returns {Promise<Object|null>}
+ */
+const findRequest = async (store, from, to) => {
+    const requests = await store.listFriendRequests();
+    return requests.find(request => request.from === from && request.to === to) || null;
+};
+
+/**
+ * Connect two users (both sides) and drop any request between them
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {Promise<Object>} - The connection as seen by a: { username, since }
+ */
+const connect = async (store, a, b) => {
+    const since = new Date().toISOString();
+
+    await store.saveConnection(a, { username: b, since });
+    await store.saveConnection(b, { username: a, since });
+    await deleteRequestsBetween(store, a, b);
+
+    return { username: b, since };
+};
+
+/**
+ * Remove the pending requests between two users, in both directions
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {Promise<Object[]>} - The removed requests
+ */
+const deleteRequestsBetween = async (store, a, b) => {
+    const between = (await store.listFriendRequests()).filter(request =>
+        (request.from === a && request.to === b) || (request.from === b && request.to === a));
+
+    for (const request of between) {
+        await store.deleteFriendRequest(request.id);
+    }
+    return between;
+};
+
+/**
+ * Send a friend request
+ * 
+ * The recipient must exist (checked by the caller). If they already sent
+ * a request to the sender, that request is accepted instead.
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} from - Sender
+ * @param {string} to - Recipient
+ * @param {string} [message] - Note for the recipient
+ * @returns {Promise<Object>} - { request } for a new request, or
+ *                              { request, connection } when it connected
+ *                              the users straight away
+ * @throws {ConnectionError} - self, blocked, connected or pending
+ */
+const sendFriendRequest = async (store, from, to, message) => {
+    if (from === to) {
+        throw new ConnectionError('self', "You can't send a friend request to yourself");
+    }
+
+    return store.exclusive(pairKey(from, to), async () => {
+        if (await isBlockedBetween(store, from, to)) {
+            throw new ConnectionError('blocked', "You can't send a friend request to this user");
+        }
+        if (await store.getConnection(from, to)) {
+            throw new ConnectionError('connected', `You are already connected with ${to}`);
+        }
+        if (await findRequest(store, from, to)) {
+            throw new ConnectionError('pending', `You already sent a friend request to ${to}`);
+        }
+
+        const theirs = await findRequest(store, to, from);
+        if (theirs) {
+            const connection = await connect(store, from, to);
+            return { request: { ...theirs, status: 'accepted' }, connection };
+        }
+
+        const request = {
+            id: crypto.randomUUID(),
+            from: from,
+            to: to,
+            message: message || null,
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        await store.saveFriendRequest(request);
+        return { request };
+    });
+};
+
+/**
+ * Load a request the user is part of, under the pair's lock
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User answering the request
+ * @param {string} id - Request id
+ * @param {string} role - "to" if only the recipient may answer, "from" if
+ *                        only the sender may
+ * @param {Function} task - async (request) => result
+ * @returns {Promise<*>} - What task returned
+ * @throws {ConnectionError} - not-found or forbidden
+ */
+const withRequest = async (store, username, id, role, task) => {
+    const found = await store.getFriendRequest(id);
+
+    // Other people's requests don't exist as far as this user can tell
+    if (!found || (found.from !== username && found.to !== username)) {
+        throw new ConnectionError('not-found', `Friend request '${id}' not found`);
+    }
+
+    return store.exclusive(pairKey(found.from, found.to), async () => {
+        const request = await store.getFriendRequest(id);
+        if (!request) {
+            throw new ConnectionError('not-found', `Friend request '${id}' not found`);
+        }
+        if (request[role] !== username) {
+            throw new ConnectionError('forbidden', role === 'to'
+                ? "Only the recipient can answer a friend request"
+                : "Only the sender can cancel a friend request");
+        }
+        return task(request);
+    });
+};
+
+/**
+ * Accept a friend request (recipient only)
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - Recipient
+ * @param {string} id - Request id
+ * @returns {Promise<Object>} - { request, connection }
+ * @throws {ConnectionError} - not-found or forbidden
+ */
+const acceptFriendRequest = (store, username, id) => {
+    return withRequest(store, username, id, 'to', async (request) => {
+        const connection = await connect(store, request.to, request.from);
+        return { request: { ...request, status: 'accepted' }, connection };
+    });
+};
+
+/**
+ * Decline a friend request (recipient only)
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - Recipient
+ * @param {string} id - Request id
+ * @returns {Promise<Object>} - The declined request
+ * @throws {ConnectionError} - not-found or forbidden
+ */
+const declineFriendRequest = (store, username, id) => {
+    return withRequest(store, username, id, 'to', async (request) => {
+        await store.deleteFriendRequest(request.id);
+        return { ...request, status: 'declined' };
+    });
+};
+
+/**
+ * Cancel a friend request (sender only)
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - Sender
+ * @param {string} id - Request id
+ * @returns {Promise<Object>} - The cancelled request
+ * @throws {ConnectionError} - not-found or forbidden
+ */
+const cancelFriendRequest = (store, username, id) => {
+    return withRequest(store, username, id, 'from', async (request) => {
+        await store.deleteFriendRequest(request.id);
+        return { ...request, status: 'cancelled' };
+    });
+};
+
+/**
+ * Remove the connection between two users (both sides)
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User removing the connection
+ * @param {string} other - The connection to remove
+ * @returns {Promise<boolean>} - False if they were not connected
+ */
+const removeConnection = (store, username, other) => {
+    return store.exclusive(pairKey(username, other), async () => {
+        const removed = await store.deleteConnection(username, other);
+        await store.deleteConnection(other, username);
+        return removed;
+    });
+};
+
+/**
+ * Block a user: removes the connection and pending requests between them
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User blocking
+ * @param {string} other - User to block (must exist, checked by the caller)
+ * @returns {Promise<Object>} - { block, disconnected, requestsRemoved }
+ * @throws {ConnectionError} - self
+ */
+const blockUser = async (store, username, other) => {
+    if (username === other) {
+        throw new ConnectionError('self', "You can't block yourself");
+    }
+
+    return store.exclusive(pairKey(username, other), async () => {
+        const block = await store.getBlock(username, other) ||
+            await store.saveBlock(username, { username: other, blockedAt: new Date().toISOString() });
+
+        const disconnected = await store.deleteConnection(username, other);
+        await store.deleteConnection(other, username);
+        const removed = await deleteRequestsBetween(store, username, other);
+
+        return { block, disconnected, requestsRemoved: removed.length };
+    });
+};
+
+/**
+ * Users connected with both a and b
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {Promise<string[]>} - Usernames, sorted
+ */
+const mutualConnections = async (store, a, b) => {
+    const theirs = new Set((await store.listConnections(b)).map(connection => connection.username));
+
+    return (await store.listConnections(a))
+        .map(connection => connection.username)
+        .filter(username => theirs.has(username))
+        .sort();
+};
+
+module.exports = {
+    ConnectionError,
+    isBlockedBetween,
+    sendFriendRequest,
+    acceptFriendRequest,
+    declineFriendRequest,
+    cancelFriendRequest,
+    removeConnection,
+    blockUser,
+    mutualConnections
+};
@@ -0,0 +1,130 @@
+/**
+ * ============================================================================
+ * CSV Format
+ * ============================================================================
+ * 
+ * RFC 4180 CSV: comma separated, fields containing commas, quotes or line
+ * breaks are wrapped in double quotes, and quotes are doubled. The first row
+ * holds the column names.
+ * ============================================================================
+ */
+
+/**
+ * Quote a value when needed
+ * 
+ * @param {*} value - Cell value (null/undefined become empty cells)
+ * @returns {string} - Encoded cell
+ */
+const encodeCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Encode one CSV line (including the trailing CRLF)
+ * 
+ * @param {Array} cells - Cell values
+ * @returns {string} - Encoded line
+ */
+const formatRow = (cells) => `${cells.map(encodeCell).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into rows of cells
+ * 
+ * @param {string} text - CSV document
+ * @returns {string[][]} - Rows (blank lines are dropped)
+ * @throws {Error} - On an unterminated quoted field
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = 0;
+
+    // Ignore a leading byte order mark
+    if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Parse a CSV document with a header row into objects
+ * 
+ * Empty cells are left out, so they count as missing fields.
+ * 
+ * @param {string} text - CSV document
+ * @returns {Object[]} - One object per data row, keyed by column name
+ */
+const parse = (text) => {
+    const [header, ...rows] = parseRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            if (cells[index] !== undefined && cells[index] !== '') {
+                record[column] = cells[index];
+            }
+        });
+        return record;
+    });
+};
+
+/**
+ * Serialize records as CSV, one chunk per line
+ * 
+ * @param {Object[]} records - Records to write
+ * @param {string[]} columns - Column order
+ * @returns {Generator<string>} - CSV chunks (header first)
+ */
+function* serialize(records, columns) {
+    yield formatRow(columns);
+    for (const record of records) {
+        yield formatRow(columns.map(column => record[column]));
+    }
+}
+
+module.exports = {
+    parse,
+    serialize
+};
@@ -0,0 +1,194 @@
+/**
+ * ============================================================================
+ * Friend List Formats
+ * ============================================================================
+ * 
+ * Import/export formats for friends lists. Each format provides:
+ * - contentType   MIME type used for downloads
+ * - accepts       Request Content-Types recognised on import
+ * - extension     File extension for the download filename
+ * - parse(input)  Document -> array of plain friend objects
+ * - serialize()   Friend records -> generator of text chunks, so large lists
+ *                 can be streamed to the client
+ * 
+ * | Format | Content-Type | Notes                              |
+ * | ------ | ------------ | ---------------------------------- |
+ * | csv    | text/csv     | Header row: email,firstName,...    |
+ * | json   | application/json | Array of friend objects        |
+ * | vcf    | text/vcard   | vCard 3.0, one card per friend     |
+ * 
+ * CSV is flat, so list fields are packed into single cells:
+ * - phones   "mobile: +44 7700 900123; +44 113 496 0000" (label optional)
+ * - tags     "family; climbing"
+ * - custom.<name> columns hold custom fields
+ * Addresses don't fit a flat row and are only carried by JSON and vCard.
+ * ============================================================================
+ */
+
+const csv = require('./csv.js');
+const vcard = require('./vcard.js');
+
+// Fixed CSV columns, followed by one custom.<name> column per custom field
+const CSV_COLUMNS = ['email', 'firstName', 'lastName', 'DOB', 'phones', 'tags', 'notes'];
+const CUSTOM_PREFIX = 'custom.';
+
+/**
+ * Split a packed list cell ("a; b; c")
+ */
+const splitList = (cell) => cell.split(';').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Flatten a friend record into a CSV row object
+ * 
+ * @param {Object} friend - Friend record (with email)
+ * @returns {Object} - Column name -> cell text
+ */
+const toCsvRow = (friend) => {
+    const row = {
+        email: friend.email,
+        firstName: friend.firstName,
+        lastName: friend.lastName,
+        DOB: friend.DOB,
+        phones: (friend.phones || [])
+            .map(phone => (phone.label ? `${phone.label}: ${phone.number}` : phone.number))
+            .join('; '),
+        tags: (friend.tags || []).join('; '),
+        notes: friend.notes
+    };
+
+    for (const [key, value] of Object.entries(friend.customFields || {})) {
+        row[CUSTOM_PREFIX + key] = value;
+    }
+
+    return row;
+};
+
+/**
+ * Turn a CSV row object back into friend fields
+ * 
+ * Unknown columns are passed through so validation can report them.
+ * 
+ * @param {Object} row - Column name -> cell text
+ * @returns {Object} - Friend fields
+ */
+const fromCsvRow = (row) => {
+    const friend = {};
+
+    for (const [column, cell] of Object.entries(row)) {
+        if (column.startsWith(CUSTOM_PREFIX)) {
+            friend.customFields = { ...friend.customFields, [column.slice(CUSTOM_PREFIX.length)]: cell };
+        } else if (column === 'phones') {
+            friend.phones = splitList(cell).map(entry => {
+                const match = /^([^:]+):\s*(.+)$/.exec(entry);
+                return match ? { label: match[1].trim(), number: match[2] } : { number: entry };
+            });
+        } else if (column === 'tags') {
+            friend.tags = splitList(cell);
+        } else {
+            friend[column] = cell;
+        }
+    }
+
+    return friend;
+};
+
+/**
+ * Error raised for a document that can't be parsed at all
+ */
+class FormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FormatError';
+    }
+}
+
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        accepts: ['text/csv', 'application/csv'],
+        extension: 'csv',
+        parse: (text) => csv.parse(text).map(fromCsvRow),
+        serialize: (records) => {
+            const customColumns = new Set();
+            records.forEach(record => Object.keys(record.customFields || {})
+                .forEach(key => customColumns.add(CUSTOM_PREFIX + key)));
+
+            return csv.serialize(records.map(toCsvRow), [...CSV_COLUMNS, ...[...customColumns].sort()]);
+        }
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        accepts: ['application/json'],
+        extension: 'json',
+        // Accepts a bare array or { "friends": [...] } (already parsed or as text)
+        parse: (input) => {
+            const document = typeof input === 'string' ? JSON.parse(input) : input;
+            const records = Array.isArray(document) ? document : document && document.friends;
+
+            if (!Array.isArray(records)) {
+                throw new Error('Expected an array of friends or { "friends": [...] }');
+            }
+            return records;
+        },
+        serialize: function* (records) {
+            yield '[';
+            let first = true;
+            for (const record of records) {
+                yield `${first ? '\n' : ',\n'}  ${JSON.stringify(record)}`;
+                first = false;
+            }
+            yield '\n]\n';
+        }
+    },
+    vcf: {
+        contentType: 'text/vcard; charset=utf-8',
+        accepts: ['text/vcard', 'text/x-vcard', 'text/directory'],
+        extension: 'vcf',
+        parse: (text) => vcard.parse(text),
+        serialize: (records) => vcard.serialize(records)
+    }
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// Every Content-Type the import endpoint reads as raw text
+const TEXT_CONTENT_TYPES = ['text/plain', ...FORMATS.csv.accepts, ...FORMATS.vcf.accepts];
+
+/**
+ * Work out the format of an import request
+ * 
+ * @param {string} [name] - Explicit format (?format=)
+ * @param {string} [contentType] - Request Content-Type header
+ * @returns {string|null} - Format name, or null if it can't be determined
+ */
+const resolveFormat = (name, contentType) => {
+    if (name) return FORMATS[name] ? name : null;
+
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return FORMAT_NAMES.find(format => FORMATS[format].accepts.includes(mimeType)) || null;
+};
+
+/**
+ * Parse an import document
+ * 
+ * @param {string} format - Format name
+ * @param {string|Object} input - Raw text, or the parsed body for JSON
+ * @returns {Object[]} - Plain friend objects, one per row/card
+ * @throws {FormatError} - If the document is malformed
+ */
+const parseDocument = (format, input) => {
+    try {
+        return FORMATS[format].parse(input);
+    } catch (error) {
+        throw new FormatError(`Could not parse ${format.toUpperCase()} document: ${error.message}`);
+    }
+};
+
+module.exports = {
+    FORMATS,
+    FORMAT_NAMES,
+    TEXT_CONTENT_TYPES,
+    FormatError,
+    resolveFormat,
+    parseDocument
+};
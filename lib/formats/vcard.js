@@ -0,0 +1,322 @@
+/**
+ * ============================================================================
+ * vCard Format
+ * ============================================================================
+ * 
+ * Reads and writes vCard 3.0 (RFC 2426) contact cards. Only the properties
+ * that map onto friend records are used:
+ * 
+ * | vCard              | Friend field                           |
+ * | ------------------ | -------------------------------------- |
+ * | N                  | lastName;firstName                     |
+ * | FN                 | fallback for names when N is missing   |
+ * | EMAIL              | email (first one)                      |
+ * | BDAY               | DOB (YYYY-MM-DD <-> DD-MM-YYYY)        |
+ * | TEL                | phones (TYPE = label)                  |
+ * | ADR                | addresses (TYPE = label)               |
+ * | NOTE               | notes                                  |
+ * | CATEGORIES         | tags                                   |
+ * | X-CUSTOM;NAME=key  | customFields                           |
+ * 
+ * Other properties are ignored on import.
+ * ============================================================================
+ */
+
+// TYPE values that describe the kind of property rather than a label
+const GENERIC_TYPES = ['pref', 'voice', 'internet', 'x400', 'postal', 'parcel', 'dom', 'intl'];
+
+/**
+ * Escape a text value (RFC 2426 section 4)
+ * 
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+
+/**
+ * Undo escapeText()
+ * 
+ * @param {string} value - Escaped text
+ * @returns {string} - Raw text
+ */
+const unescapeText = (value) => value.replace(/\\([\\,;nN])/g, (match, char) => {
+    return char === 'n' || char === 'N' ? '\n' : char;
+});
+
+/**
+ * Split on a separator that isn't escaped with a backslash (or, with
+ * quotes = true, inside double quotes)
+ * 
+ * @param {string} value - Text to split
+ * @param {string} separator - Single character
+ * @param {boolean} [quotes] - Respect double-quoted sections
+ * @returns {string[]} - Raw (still escaped) parts
+ */
+const splitUnescaped = (value, separator, quotes = false) => {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+
+        if (char === '\\' && !quotes && i + 1 < value.length) {
+            current += char + value[i + 1];
+            i++;
+        } else if (char === '"' && quotes) {
+            quoted = !quoted;
+            current += char;
+        } else if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts;
+};
+
+/**
+ * Quote a parameter value when it contains special characters
+ */
+const paramValue = (value) => {
+    const text = String(value).replace(/"/g, '');
+    return /[;:,\s]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Fold a content line to at most 75 octets of UTF-8
+ * 
+ * Lines are only broken between characters, so a multi-byte character (or
+ * a surrogate pair, such as an emoji) is never split across two lines.
+ * 
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line ending with CRLF
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > 74) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+
+    return `${chunks.join('\r\n ')}\r\n`;
+};
+
+/**
+ * Convert DD-MM-YYYY to YYYY-MM-DD
+ */
+const toBday = (dob) => {
+    const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(dob || '');
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+};
+
+/**
+ * Convert a vCard BDAY (YYYY-MM-DD, YYYYMMDD, optionally with a time) to DD-MM-YYYY
+ */
+const fromBday = (bday) => {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(bday);
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : bday;
+};
+
+/**
+ * Parse one unfolded content line
+ * 
+ * @param {string} line - e.g. 'item1.TEL;TYPE=CELL,VOICE:+1 555 0100'
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+const parseLine = (line) => {
+    const [head, ...rest] = splitUnescaped(line, ':', true);
+    if (rest.length === 0) return null;
+
+    const [rawName, ...rawParams] = splitUnescaped(head, ';', true);
+    const params = {};
+
+    for (const param of rawParams) {
+        const equals = param.indexOf('=');
+        // vCard 2.1 style bare parameters ("TEL;CELL:...") are types
+        const key = equals === -1 ? 'TYPE' : param.slice(0, equals).toUpperCase();
+        const values = (equals === -1 ? param : param.slice(equals + 1))
+            .split(',')
+            .map(value => value.replace(/^"|"$/g, ''));
+        params[key] = [...(params[key] || []), ...values];
+    }
+
+    return {
+        // Drop the group prefix ("item1.EMAIL")
+        name: rawName.split('.').pop().toUpperCase(),
+        params,
+        value: rest.join(':')
+    };
+};
+
+/**
+ * Label of a TEL / ADR property: its first non-generic TYPE
+ */
+const labelOf = (params) => {
+    const type = (params.TYPE || []).find(value => !GENERIC_TYPES.includes(value.toLowerCase()));
+    return type ? type.toLowerCase() : undefined;
+};
+
+/**
+ * Turn a card's properties into a friend-shaped object
+ * 
+ * @param {Array} properties - Parsed content lines of one card
+ * @returns {Object} - Friend fields found on the card
+ */
+const toFriend = (properties) => {
+    const friend = {};
+    const first = (name) => properties.find(property => property.name === name);
+    const all = (name) => properties.filter(property => property.name === name);
+
+    const n = first('N');
+    const fn = first('FN');
+    if (n) {
+        const [lastName, firstName] = splitUnescaped(n.value, ';').map(unescapeText);
+        if (firstName) friend.firstName = firstName;
+        if (lastName) friend.lastName = lastName;
+    } else if (fn) {
+        const parts = unescapeText(fn.value).trim().split(/\s+/);
+        if (parts.length > 1) friend.lastName = parts.pop();
+        if (parts[0]) friend.firstName = parts.join(' ');
+    }
+
+    const email = first('EMAIL');
+    if (email) friend.email = unescapeText(email.value);
+
+    const bday = first('BDAY');
+    if (bday) friend.DOB = fromBday(bday.value.trim());
+
+    const phones = all('TEL').map(tel => {
+        const label = labelOf(tel.params);
+        return { ...(label && { label }), number: unescapeText(tel.value) };
+    });
+    if (phones.length > 0) friend.phones = phones;
+
+    const addresses = all('ADR').map(adr => {
+        // ADR: PO box; extended; street; locality; region; postal code; country
+        const [, , street, city, region, postalCode, country] = splitUnescaped(adr.value, ';').map(unescapeText);
+        const address = { label: labelOf(adr.params), street, city, region, postalCode, country };
+        Object.keys(address).forEach(key => { if (!address[key]) delete address[key]; });
+        return address;
+    });
+    if (addresses.length > 0) friend.addresses = addresses;
+
+    const note = first('NOTE');
+    if (note) friend.notes = unescapeText(note.value);
+
+    const tags = all('CATEGORIES')
+        .flatMap(categories => splitUnescaped(categories.value, ','))
+        .map(unescapeText)
+        .filter(Boolean);
+    if (tags.length > 0) friend.tags = tags;
+
+    const customFields = {};
+    for (const custom of all('X-CUSTOM')) {
+        const key = (custom.params.NAME || [])[0];
+        if (key) customFields[key] = unescapeText(custom.value);
+    }
+    if (Object.keys(customFields).length > 0) friend.customFields = customFields;
+
+    return friend;
+};
+
+/**
+ * Parse a vCard document (one or more cards) into friend-shaped objects
+ * 
+ * @param {string} text - vCard document
+ * @returns {Object[]} - Friend fields per card (missing properties are left out)
+ * @throws {Error} - If a card isn't terminated by END:VCARD
+ */
+const parse = (text) => {
+    // Unfold continuation lines (a line break followed by a space or tab)
+    const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const cards = [];
+    let card = null;
+
+    for (const line of lines) {
+        if (line.trim() === '') continue;
+
+        const property = parseLine(line);
+        if (!property) continue;
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+            card = [];
+        } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD' && card) {
+            cards.push(card);
+            card = null;
+        } else if (card) {
+            card.push(property);
+        }
+    }
+
+    if (card) {
+        throw new Error('Unterminated vCard (missing END:VCARD)');
+    }
+
+    return cards.map(toFriend);
+};
+
+/**
+ * Serialize friend records as vCards, one card per chunk
+ * 
+ * @param {Object[]} records - Friend records (with email)
+ * @returns {Generator<string>} - vCard chunks
+ */
+function* serialize(records) {
+    for (const friend of records) {
+        const typed = (name, label) => label ? `${name};TYPE=${paramValue(label)}` : name;
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${escapeText(friend.lastName || '')};${escapeText(friend.firstName || '')};;;`,
+            `FN:${escapeText([friend.firstName, friend.lastName].filter(Boolean).join(' '))}`,
+            `EMAIL;TYPE=INTERNET:${escapeText(friend.email)}`
+        ];
+
+        const bday = toBday(friend.DOB);
+        if (bday) lines.push(`BDAY:${bday}`);
+
+        for (const phone of friend.phones || []) {
+            lines.push(`${typed('TEL', phone.label)}:${escapeText(phone.number)}`);
+        }
+
+        for (const address of friend.addresses || []) {
+            const parts = ['', '', address.street, address.city, address.region, address.postalCode, address.country];
+            lines.push(`${typed('ADR', address.label)}:${parts.map(part => escapeText(part || '')).join(';')}`);
+        }
+
+        if (friend.notes) lines.push(`NOTE:${escapeText(friend.notes)}`);
+
+        if (friend.tags && friend.tags.length > 0) {
+            lines.push(`CATEGORIES:${friend.tags.map(escapeText).join(',')}`);
+        }
+
+        for (const [key, value] of Object.entries(friend.customFields || {})) {
+            lines.push(`X-CUSTOM;NAME=${paramValue(key)}:${escapeText(value)}`);
+        }
+
+        lines.push('END:VCARD');
+        yield lines.map(foldLine).join('');
+    }
+}
+
+module.exports = {
+    parse,
+    serialize
+};
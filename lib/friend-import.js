@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * Friends List Import
+ * ============================================================================
+ * 
+ * Works out what importing a batch of friend records would do, without
+ * touching storage, so the same plan can back a dry run and a real import.
+ * 
+ * Every row is validated against a schema - the router passes the one used by
+ * POST /friends (schemas.createFriend). Rows whose email is already in the list - or
+ * appeared earlier in the same file - are handled by the duplicate policy:
+ * - skip       Leave the existing friend untouched (default)
+ * - overwrite  Replace the existing friend with the imported row
+ * - merge      Apply the imported fields over the existing friend, keeping
+ *              anything the row doesn't mention
+ * ============================================================================
+ */
+
+const { validateObject } = require('./validation.js');
+const { buildFriend, applyFriendUpdates, editableFields } = require('./friend-record.js');
+
+const DUPLICATE_POLICIES = ['skip', 'overwrite', 'merge'];
+
+/**
+ * Plan an import
+ * 
+ * @param {Object[]} existing - Current friend records
+ * @param {Object[]} records - Parsed rows
+ * @param {Object} options
+ * @param {Object} options.schema - Row schema (including the email field)
+ * @param {string} [options.onDuplicate='skip'] - Duplicate policy
+ * @returns {{rows: Array, summary: Object, changes: Object[]}}
+ *          rows: per-row report { row, id, email, status, errors? }
+ *                (status: created | updated | unchanged | skipped | invalid)
+ *          summary: count per status plus the total number of rows
+ *          changes: friend records to write (new ones with a fresh id)
+ * 
+ * @example
+ * planImport([], [{ email: 'a@b.co', firstName: 'A', lastName: 'B', DOB: '01-01-1990' }], { schema: schemas.createFriend });
+ * // Returns: { rows: [{ row: 1, id: '…', email: 'a@b.co', status: 'created' }], summary: { total: 1, created: 1, ... }, changes: [{...}] }
+ */
+const planImport = (existing, records, options) => {
+    const onDuplicate = options.onDuplicate || 'skip';
+    // Emails are matched case-insensitively, like everywhere else
+    const byEmail = new Map(existing.map(friend => [friend.email.toLowerCase(), friend]));
+    const changes = new Map();
+    const rows = [];
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+        const { value, errors } = validateObject(record, options.schema, 'row');
+
+        if (errors.length > 0) {
+            const email = record && typeof record === 'object' && typeof record.email === 'string'
+                ? record.email
+                : undefined;
+            rows.push({ row, email, status: 'invalid', errors });
+            return;
+        }
+
+        const email = value.email;
+        const previous = byEmail.get(email.toLowerCase());
+
+        if (!previous) {
+            const friend = buildFriend(value);
+            byEmail.set(email.toLowerCase(), friend);
+            changes.set(friend.id, friend);
+            rows.push({ row, id: friend.id, email, status: 'created' });
+            return;
+        }
+
+        if (onDuplicate === 'skip') {
+            rows.push({ row, id: previous.id, email, status: 'skipped' });
+            return;
+        }
+
+        let next;
+        let changed;
+
+        if (onDuplicate === 'merge') {
+            next = structuredClone(previous);
+            changed = applyFriendUpdates(next, value).length > 0;
+        } else {
+            next = buildFriend(value, previous);
+            changed = JSON.stringify(editableFields(next)) !== JSON.stringify(editableFields(previous));
+        }
+
+        if (changed) {
+            byEmail.set(email.toLowerCase(), next);
+            changes.set(next.id, next);
+        }
+        rows.push({ row, id: previous.id, email, status: changed ? 'updated' : 'unchanged' });
+    });
+
+    const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, skipped: 0, invalid: 0 };
+    rows.forEach(({ status }) => { summary[status]++; });
+
+    return { rows, summary, changes: [...changes.values()] };
+};
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    planImport
+};
@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * Friends List Queries
+ * ============================================================================
+ * 
+ * Filtering, full-text search, sorting and pagination for GET /friends,
+ * and the tag counts behind GET /tags.
+ * Works on the friend records returned by the storage layer and produces an
+ * ordered page of them.
+ * 
+ * PAGINATION MODES:
+ * - Offset:  ?offset=40&limit=20 - simple, but pages shift when the list
+ *            changes between requests
+ * - Cursor:  ?cursor=<nextCursor>&limit=20 - stable: continues right after
+ *            the last item of the previous page, whatever changed since
+ * 
+ * Every response carries a nextCursor (null on the last page), so clients can
+ * start with an offset and continue with cursors.
+ * ============================================================================
+ */
+
+const { parseDate } = require('./validation.js');
+
+const SORT_FIELDS = ['email', 'firstName', 'lastName', 'DOB'];
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Error raised for a cursor that can't be used with the current query
+ */
+class CursorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CursorError';
+    }
+}
+
+/**
+ * Value a friend is sorted by
+ * 
+ * @param {Object} friend - Friend record
+ * @param {string} field - Sort field
+ * @returns {string|number} - Comparable value (DOB as a timestamp)
+ */
+const sortValue = (friend, field) => {
+    if (field === 'DOB') {
+        const date = parseDate(friend.DOB || '');
+        return date ? date.getTime() : 0;
+    }
+    return String(friend[field] || '').toLowerCase();
+};
+
+/**
+ * Compare two sort keys ([value, id]), the id breaking ties
+ * 
+ * @returns {number} - Negative, zero or positive
+ */
+const compareKeys = ([valueA, idA], [valueB, idB]) => {
+    if (valueA < valueB) return -1;
+    if (valueA > valueB) return 1;
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+/**
+ * Encode the position after a friend as an opaque cursor
+ * 
+ * @param {Array} key - Sort key of the last returned friend
+ * @param {string} sort - Sort field
+ * @param {string} order - "asc" or "desc"
+ * @returns {string} - base64url cursor
+ */
+const encodeCursor = (key, sort, order) => {
+    return Buffer.from(JSON.stringify({ k: key, s: sort, o: order })).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check that it belongs to the same sort
+ * 
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} sort - Current sort field
+ * @param {string} order - Current sort order
+ * @returns {Array} - Sort key to continue after
+ * @throws {CursorError} - If the cursor is malformed or for another sort
+ */
+const decodeCursor = (cursor, sort, order) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new CursorError('Invalid cursor');
+    }
+
+    if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== 2) {
+        throw new CursorError('Invalid cursor');
+    }
+
+    if (decoded.s !== sort || decoded.o !== order) {
+        throw new CursorError('Cursor was created for a different sort order');
+    }
+
+    return decoded.k;
+};
+
+/**
+ * Check whether a friend matches the filters and the search terms
+ * 
+ * @param {Object} friend - Friend record
+ * @param {Object} query - Validated query parameters
+ * @returns {boolean} - True if the friend should be listed
+ */
+const matches = (friend, query) => {
+    if (query.firstName && String(friend.firstName).toLowerCase() !== query.firstName.toLowerCase()) {
+        return false;
+    }
+
+    if (query.lastName && String(friend.lastName).toLowerCase() !== query.lastName.toLowerCase()) {
+        return false;
+    }
+
+    if (query.dobFrom || query.dobTo) {
+        const dob = parseDate(friend.DOB || '');
+        if (!dob) return false;
+        if (query.dobFrom && dob < parseDate(query.dobFrom)) return false;
+        if (query.dobTo && dob > parseDate(query.dobTo)) return false;
+    }
+
+    if (query.tag) {
+        const tags = friend.tags || [];
+        const wanted = query.tag.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (!wanted.every(tag => tags.includes(tag))) return false;
+    }
+
+    if (query.q) {
+        const haystack = [friend.firstName, friend.lastName, friend.email, friend.notes, ...(friend.tags || [])]
+            .join(' ')
+            .toLowerCase();
+        const terms = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Count how many friends carry each tag
+ * 
+ * @param {Object[]} friends - Friend records
+ * @returns {Array<{tag: string, count: number}>} - Sorted by tag
+ */
+const countTags = (friends) => {
+    const counts = new Map();
+
+    for (const friend of friends) {
+        for (const tag of friend.tags || []) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([tag, count]) => ({ tag, count }));
+};
+
+/**
+ * Run a list query over a user's friends
+ * 
+ * @param {Object[]} friends - Friend records
+ * @param {Object} query - Validated query parameters
+ *   (limit, offset, cursor, sort, order, firstName, lastName, dobFrom, dobTo, tag, q)
+ * @returns {Object} - { items, total, nextCursor, pagination }
+ * @throws {CursorError} - If the cursor can't be used
+ * 
+ * @example
+ * queryFriends(friends, { lastName: 'Smith', sort: 'DOB', order: 'desc', limit: 10 });
+ */
+const queryFriends = (friends, query = {}) => {
+    const sort = query.sort || 'email';
+    const order = query.order || 'asc';
+    const limit = query.limit || DEFAULT_LIMIT;
+    const direction = order === 'desc' ? -1 : 1;
+
+    const list = friends
+        .filter(friend => matches(friend, query))
+        .map(friend => ({ friend, key: [sortValue(friend, sort), friend.id] }))
+        .sort((a, b) => direction * compareKeys(a.key, b.key));
+
+    let start = query.offset || 0;
+
+    if (query.cursor) {
+        const after = decodeCursor(query.cursor, sort, order);
+        const index = list.findIndex(entry => direction * compareKeys(entry.key, after) > 0);
+        start = index === -1 ? list.length : index;
+    }
+
+    const page = list.slice(start, start + limit);
+    const hasMore = start + limit < list.length;
+    const nextCursor = hasMore && page.length > 0
+        ? encodeCursor(page[page.length - 1].key, sort, order)
+        : null;
+
+    return {
+        items: page.map(entry => entry.friend),
+        total: list.length,
+        nextCursor: nextCursor,
+        pagination: {
+            limit: limit,
+            offset: start,
+            hasMore: hasMore,
+            nextOffset: hasMore ? start + limit : null,
+            sort: sort,
+            order: order
+        }
+    };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    CursorError,
+    countTags,
+    queryFriends
+};
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * Friend Records
+ * ============================================================================
+ * 
+ * Helpers for building and updating friend records. A record always has an
+ * id (generated, never changes), a version (incremented on every change),
+ * email, firstName, lastName and DOB; the other fields are optional and only
+ * stored when they hold something:
+ * 
+ *   {
+ *     id: "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *     version: 3,
+ *     email: "johnsmith@gmail.com",
+ *     firstName: "John",
+ *     lastName: "Doe",
+ *     DOB: "22-12-1990",
+ *     phones: [{ label: "mobile", number: "+44 7700 900123" }],
+ *     addresses: [{ label: "home", street: "1 Main St", city: "Leeds", country: "UK" }],
+ *     notes: "Met at university",
+ *     tags: ["family", "climbing"],
+ *     customFields: { "favourite food": "Pizza" }
+ *   }
+ * 
+ * Values are expected to be validated already (see ./schemas.js).
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+// Fields a client can set on a friend record (everything but id and version)
+const FRIEND_FIELDS = ['email', 'firstName', 'lastName', 'DOB', 'phones', 'addresses', 'notes', 'tags', 'customFields'];
+
+/**
+ * Whether a value clears a field (null, empty string, array or object)
+ * 
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isEmpty = (value) => {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+};
+
+/**
+ * Current version of a friend (records from before versions count as 1)
+ * 
+ * @param {Object} friend - Friend record
+ * @returns {number} - Version number
+ */
+const versionOf = (friend) => friend.version || 1;
+
+/**
+ * Build a friend record from validated input, leaving out any empty optional
+ * fields
+ * 
+ * @param {Object} input - Validated fields
+ * @param {Object} [previous] - Record being replaced: its id is kept and its
+ *                              version incremented (new record if omitted)
+ * @returns {Object} - Friend record
+ */
+const buildFriend = (input, previous) => {
+    const friend = previous
+        ? { id: previous.id, version: versionOf(previous) + 1 }
+        : { id: crypto.randomUUID(), version: 1 };
+    for (const field of FRIEND_FIELDS) {
+        if (!isEmpty(input[field])) friend[field] = input[field];
+    }
+    return friend;
+};
+
+/**
+ * Apply a validated partial update to a friend record (in place)
+ * 
+ * Fields that are absent are left alone; empty values remove the field.
+ * The version is incremented if anything changed.
+ * 
+ * @param {Object} friend - Record to update
+ * @param {Object} updates - Validated fields to change
+ * @returns {string[]} - Names of the fields whose value actually changed
+ * 
+ * @example
+ * applyFriendUpdates(friend, { lastName: 'Smith', tags: [] });
+ * // Returns: ['lastName', 'tags'] (tags removed)
+ */
+const applyFriendUpdates = (friend, updates) => {
+    const updatedFields = [];
+
+    for (const field of FRIEND_FIELDS) {
+        if (updates[field] === undefined) continue;
+
+        const next = isEmpty(updates[field]) ? undefined : updates[field];
+        if (JSON.stringify(next) === JSON.stringify(friend[field])) continue;
+
+        if (next === undefined) {
+            delete friend[field];
+        } else {
+            friend[field] = next;
+        }
+        updatedFields.push(field);
+    }
+
+    if (updatedFields.length > 0) {
+        friend.version = versionOf(friend) + 1;
+    }
+
+    return updatedFields;
+};
+
+/**
+ * Find the friend with an email address
+ * 
+ * @param {Object[]} friends - Friend records
+ * @param {string} email - Email address (compared case-insensitively)
+ * @returns {Object|null} - The friend record, or null if none
+ */
+const findFriendByEmail = (friends, email) => {
+    const wanted = email.toLowerCase();
+    return friends.find(friend => friend.email.toLowerCase() === wanted) || null;
+};
+
+/**
+ * The client-editable part of a friend record (no id or version), used as
+ * the document that PATCH requests apply to
+ * 
+ * @param {Object} friend - Friend record
+ * @returns {Object} - Copy holding only FRIEND_FIELDS
+ */
+const editableFields = (friend) => {
+    const document = {};
+    for (const field of FRIEND_FIELDS) {
+        if (friend[field] !== undefined) document[field] = structuredClone(friend[field]);
+    }
+    return document;
+};
+
+module.exports = {
+    FRIEND_FIELDS,
+    versionOf,
+    buildFriend,
+    editableFields,
+    applyFriendUpdates,
+    findFriendByEmail
+};
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * Friend Change Stream
+ * ============================================================================
+ * 
+ * Turns the audit log (./audit.js) into the change feed served by
+ * GET /friends/stream as Server-Sent Events.
+ * 
+ * STREAM EVENTS:
+ * | event            | Sent when                           | data                          |
+ * | ---------------- | ----------------------------------- | ----------------------------- |
+ * | friend.created   | A friend is added (also import)     | { friend }                    |
+ * | friend.updated   | A friend changes                    | { friend, previous, changes } |
+ * | friend.deleted   | A friend is moved to the trash      | { friend }                    |
+ * | friend.restored  | A friend is restored from the trash | { friend }                    |
+ * | reset            | Last-Event-ID can't be resumed      | { message }                   |
+ * 
+ * Every event uses the id of the audit event behind it, so a client that
+ * reconnects with Last-Event-ID gets the changes it missed replayed from the
+ * audit log. "reset" means the id is unknown (e.g. the log was lost on
+ * restart with the memory backend): the client should reload GET /friends.
+ * 
+ * Each app has one FriendStreamHub (app.locals.friendStream): a single
+ * listener on the app's audit events that hands every change to the open
+ * streams of its owner, however many streams are open.
+ * 
+ * CONFIGURATION (config.stream, see ./config.js):
+ * - heartbeatInterval   STREAM_HEARTBEAT_INTERVAL   Seconds between keep-alive comments (default: 25)
+ * - revalidateInterval  STREAM_REVALIDATE_INTERVAL  Seconds between checks that the stream's
+ *                                                   credentials are still valid (default: 30)
+ * ============================================================================
+ */
+
+const { fromAuditEvent } = require('./webhooks.js');
+
+// Milliseconds a disconnected EventSource waits before reconnecting
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * Resolve the stream settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { heartbeatMs, revalidateMs, retryMs }
+ */
+const streamSettings = (config) => ({
+    heartbeatMs: config.stream.heartbeatInterval * 1000,
+    revalidateMs: config.stream.revalidateInterval * 1000,
+    retryMs: STREAM_RETRY_MS
+});
+
+/**
+ * Turn an audit event into a stream event for one user
+ * 
+ * @param {Object} event - Audit event
+ * @param {string} username - Owner of the stream
+ * @returns {Object|null} - { id, type, at, data }, or null if the event is
+ *                          not a change to this user's friends list
+ */
+const toStreamEvent = (event, username) => {
+    const change = fromAuditEvent(event);
+    if (!change || change.username !== username || !change.type.startsWith('friend.')) return null;
+
+    return { id: event.id, type: change.type, at: event.at, data: change.data };
+};
+
+/**
+ * Collect the stream events recorded after a given event
+ * 
+ * @param {Object[]} events - Audit events, oldest first (store.listAuditEvents())
+ * @param {string} username - Owner of the stream
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Object[]|null} - The missed events, oldest first, or null if
+ *                            lastEventId is not in the log
+ */
+const streamEventsSince = (events, username, lastEventId) => {
+    const index = events.findIndex(event => event.id === lastEventId);
+    if (index === -1) return null;
+
+    return events.slice(index + 1)
+        .map(event => toStreamEvent(event, username))
+        .filter(Boolean);
+};
+
+/**
+ * Format a stream event as a Server-Sent Events message
+ * 
+ * @param {Object} event - { id?, type, ... }
+ * @returns {string}
+ */
+const formatStreamEvent = ({ id, type, ...rest }) => {
+    const lines = [];
+    if (id) lines.push(`id: ${id}`);
+    lines.push(`event: ${type}`);
+    lines.push(`data: ${JSON.stringify({ id, type, ...rest })}`);
+    return `${lines.join('\n')}\n\n`;
+};
+
+class FriendStreamHub {
+    /**
+     * @param {EventEmitter} auditEvents - The app's audit emitter
+     *                                     (app.locals.auditEvents)
+     */
+    constructor(auditEvents) {
+        // username -> Set of listeners, one per open stream
+        this.subscribers = new Map();
+        auditEvents.on('recorded', (record) => this.publish(record));
+    }
+
+    /**
+     * Receive the changes to a user's list
+     * 
+     * @param {string} username - Owner of the stream
+     * @param {Function} listener - (event) => void, called with stream events
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe(username, listener) {
+        if (!this.subscribers.has(username)) {
+            this.subscribers.set(username, new Set());
+        }
+        this.subscribers.get(username).add(listener);
+
+        return () => {
+            const listeners = this.subscribers.get(username);
+            if (!listeners) return;
+
+            listeners.delete(listener);
+            if (listeners.size === 0) this.subscribers.delete(username);
+        };
+    }
+
+    /**
+     * Number of open subscriptions, across all users
+     * 
+     * @returns {number}
+     */
+    get size() {
+        let size = 0;
+        for (const listeners of this.subscribers.values()) size += listeners.size;
+        return size;
+    }
+
+    /**
+     * Hand an audit event to the streams of the user it changed
+     * 
+     * @param {Object} record - Audit event
+     */
+    publish(record) {
+        const change = fromAuditEvent(record);
+        const listeners = change && this.subscribers.get(change.username);
+        if (!listeners) return;
+
+        const event = toStreamEvent(record, change.username);
+        if (!event) return;
+
+        for (const listener of listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error("Error sending friend stream event:", error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    FriendStreamHub,
+    streamSettings,
+    toStreamEvent,
+    streamEventsSince,
+    formatStreamEvent
+};
@@ -0,0 +1,120 @@
+/**
+ * ============================================================================
+ * In-Process Job Runner
+ * ============================================================================
+ * 
+ * Runs background tasks (trash purging, birthday reminders...) on a fixed
+ * interval inside the server process.
+ * 
+ * - A job never overlaps with itself: a run that is due while the previous
+ *   one is still going is skipped
+ * - Errors are logged and kept in the job's status; the job keeps running
+ * - Timers are unref'd, so the runner never keeps the process alive
+ * 
+ * With several server instances every instance runs every job, so jobs must
+ * be safe to repeat (they are: purging is idempotent and reminders remember
+ * what they already sent).
+ * ============================================================================
+ */
+
+class JobRunner {
+    constructor() {
+        // name -> { name, intervalMs, task, timer, running, lastRunAt, lastError }
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    /**
+     * Register a job
+     * 
+     * @param {string} name - Unique job name
+     * @param {number} intervalMs - Time between runs
+     * @param {Function} task - Async function to run
+     * @returns {JobRunner} - The runner (for chaining)
+     */
+    every(name, intervalMs, task) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job '${name}' is already registered`);
+        }
+
+        const job = { name, intervalMs, task, timer: null, running: false, lastRunAt: null, lastError: null };
+        this.jobs.set(name, job);
+
+        if (this.started) this.schedule(job);
+        return this;
+    }
+
+    /**
+     * Run a job now, outside its schedule
+     * 
+     * @param {string} name - Job name
+     * @returns {Promise<boolean>} - False if the job was already running
+     */
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job) throw new Error(`Unknown job '${name}'`);
+        if (job.running) return false;
+
+        job.running = true;
+        try {
+            await job.task();
+            job.lastError = null;
+        } catch (error) {
+            job.lastError = error.message;
+            console.error(`Error running job ${name}:`, error);
+        } finally {
+            job.running = false;
+            job.lastRunAt = new Date().toISOString();
+        }
+        return true;
+    }
+
+    /**
+     * Start a job's timer
+     * 
+     * @param {Object} job - Registered job
+     */
+    schedule(job) {
+        job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+        job.timer.unref();
+    }
+
+    /**
+     * Start running every registered job on its interval
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        for (const job of this.jobs.values()) {
+            this.schedule(job);
+        }
+    }
+
+    /**
+     * Stop every job (runs in progress are allowed to finish)
+     */
+    stop() {
+        this.started = false;
+
+        for (const job of this.jobs.values()) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+    }
+
+    /**
+     * Describe every job
+     * 
+     * @returns {Object[]} - [{ name, intervalMs, running, lastRunAt, lastError }]
+     */
+    status() {
+        return [...this.jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+            name, intervalMs, running, lastRunAt, lastError
+        }));
+    }
+}
+
+module.exports = {
+    JobRunner
+};
@@ -0,0 +1,307 @@
+/**
+ * ============================================================================
+ * JSON Patch and JSON Merge Patch
+ * ============================================================================
+ * 
+ * The two patch formats accepted by PATCH /friends/:id:
+ * 
+ * - JSON Merge Patch (RFC 7396), Content-Type application/merge-patch+json
+ *   A partial document: its fields replace the target's, null removes a
+ *   field, and nested objects are merged recursively.
+ * 
+ *     { "lastName": "Smith", "notes": null, "customFields": { "pet": "cat" } }
+ * 
+ * - JSON Patch (RFC 6902), Content-Type application/json-patch+json
+ *   A list of operations (add, remove, replace, move, copy, test) addressed
+ *   with JSON Pointers (RFC 6901).
+ * 
+ *     [
+ *       { "op": "test", "path": "/lastName", "value": "Doe" },
+ *       { "op": "replace", "path": "/lastName", "value": "Smith" },
+ *       { "op": "add", "path": "/tags/-", "value": "work" }
+ *     ]
+ * 
+ * Both functions return a new document and never modify their arguments.
+ * The result still has to be validated by the caller.
+ * ============================================================================
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const MAX_OPERATIONS = 100;
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Keys that would change an object's prototype instead of adding a field
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Error raised for a patch that can't be applied
+ * 
+ * reason is "invalid" (malformed patch or bad path) or "test-failed"
+ * (a JSON Patch test operation didn't match).
+ */
+class PatchError extends Error {
+    constructor(message, reason = 'invalid') {
+        super(message);
+        this.name = 'PatchError';
+        this.reason = reason;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkKey = (key) => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+        throw new PatchError(`'${key}' can not be used as a field name`);
+    }
+};
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396)
+ * 
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} - Patched copy of the document
+ * 
+ * @example
+ * applyMergePatch({ a: 1, b: { c: 2 } }, { a: null, b: { d: 3 } });
+ * // Returns: { b: { c: 2, d: 3 } }
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) {
+        return structuredClone(patch);
+    }
+
+    const result = isObject(target) ? structuredClone(target) : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+        checkKey(key);
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Split a JSON Pointer into unescaped reference tokens
+ * 
+ * @param {string} pointer - e.g. "/customFields/shoe size" or "/tags/0"
+ * @returns {string[]} - Tokens ([] for the whole document)
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new PatchError(`Invalid JSON Pointer '${pointer}'`);
+    }
+    if (pointer === '') return [];
+
+    return pointer.slice(1).split('/').map(token => {
+        const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+        checkKey(key);
+        return key;
+    });
+};
+
+/**
+ * Turn an array reference token into an index
+ * 
+ * @param {string} token - Reference token
+ * @param {Array} array - The array it points into
+ * @param {boolean} [forAdd] - Allow "-" and the index just past the end
+ * @returns {number} - Index
+ */
+const arrayIndex = (token, array, forAdd = false) => {
+    if (forAdd && token === '-') return array.length;
+
+    if (!/^(0|[1-9]\d*)$/.test(token)) {
+        throw new PatchError(`'${token}' is not a valid array index`);
+    }
+
+    const index = Number(token);
+    if (index > array.length || (!forAdd && index === array.length)) {
+        throw new PatchError(`Array index ${index} is out of range`);
+    }
+    return index;
+};
+
+/**
+ * Find the container a pointer's last token refers into
+ * 
+ * @returns {{parent: Object|Array, key: string}}
+ */
+const resolveParent = (document, tokens, pointer) => {
+    let parent = document;
+
+    for (const token of tokens.slice(0, -1)) {
+        if (Array.isArray(parent)) {
+            parent = parent[arrayIndex(token, parent)];
+        } else if (isObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+            parent = parent[token];
+        } else {
+            throw new PatchError(`Path '${pointer}' does not exist`);
+        }
+    }
+
+    if (!Array.isArray(parent) && !isObject(parent)) {
+        throw new PatchError(`Path '${pointer}' does not exist`);
+    }
+
+    return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the value a pointer refers to
+ */
+const getValue = (document, pointer) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return document;
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+
+    if (Array.isArray(parent)) return parent[arrayIndex(key, parent)];
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw new PatchError(`Path '${pointer}' does not exist`);
+    }
+    return parent[key];
+};
+
+/**
+ * Add a value (inserting into arrays, replacing object members)
+ * 
+ * @returns {*} - The document (a new root if the pointer is "")
+ */
+const addValue = (document, pointer, value) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) return value;
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(key, parent, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+    return document;
+};
+
+/**
+ * Remove the value a pointer refers to
+ * 
+ * @returns {*} - The document
+ */
+const removeValue = (document, pointer) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new PatchError('The whole document can not be removed');
+    }
+
+    const { parent, key } = resolveParent(document, tokens, pointer);
+
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(key, parent), 1);
+    } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+        delete parent[key];
+    } else {
+        throw new PatchError(`Path '${pointer}' does not exist`);
+    }
+    return document;
+};
+
+/**
+ * Apply a JSON Patch (RFC 6902)
+ * 
+ * Operations are applied in order; if any of them fails the whole patch is
+ * rejected and the document is left unchanged.
+ * 
+ * @param {*} document - Document to patch
+ * @param {Array} operations - Patch operations
+ * @returns {*} - Patched copy of the document
+ * @throws {PatchError} - If the patch is malformed or can't be applied
+ * 
+ * @example
+ * applyJsonPatch({ tags: ['a'] }, [{ op: 'add', path: '/tags/-', value: 'b' }]);
+ * // Returns: { tags: ['a', 'b'] }
+ */
+const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new PatchError('A JSON Patch must be an array of operations');
+    }
+    if (operations.length > MAX_OPERATIONS) {
+        throw new PatchError(`A JSON Patch may contain at most ${MAX_OPERATIONS} operations`);
+    }
+
+    let result = structuredClone(document);
+
+    operations.forEach((operation, index) => {
+        const where = `Operation ${index}`;
+
+        if (!isObject(operation) || !OPERATIONS.includes(operation.op)) {
+            throw new PatchError(`${where}: "op" must be one of ${OPERATIONS.join(', ')}`);
+        }
+        if (typeof operation.path !== 'string') {
+            throw new PatchError(`${where}: "path" must be a JSON Pointer string`);
+        }
+        if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+            throw new PatchError(`${where}: "value" is required for ${operation.op}`);
+        }
+        if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+            throw new PatchError(`${where}: "from" must be a JSON Pointer string`);
+        }
+
+        try {
+            switch (operation.op) {
+                case 'add':
+                    result = addValue(result, operation.path, structuredClone(operation.value));
+                    break;
+
+                case 'remove':
+                    result = removeValue(result, operation.path);
+                    break;
+
+                case 'replace':
+                    getValue(result, operation.path);
+                    if (operation.path === '') {
+                        result = structuredClone(operation.value);
+                    } else {
+                        result = addValue(removeValue(result, operation.path), operation.path, structuredClone(operation.value));
+                    }
+                    break;
+
+                case 'move': {
+                    if (operation.path.startsWith(`${operation.from}/`)) {
+                        throw new PatchError('A value can not be moved into one of its children');
+                    }
+                    const value = getValue(result, operation.from);
+                    result = addValue(removeValue(result, operation.from), operation.path, value);
+                    break;
+                }
+
+                case 'copy':
+                    result = addValue(result, operation.path, structuredClone(getValue(result, operation.from)));
+                    break;
+
+                case 'test':
+                    if (!isDeepStrictEqual(getValue(result, operation.path), operation.value)) {
+                        throw new PatchError(`Test failed: '${operation.path}' does not match`, 'test-failed');
+                    }
+                    break;
+            }
+        } catch (error) {
+            if (error instanceof PatchError) {
+                error.message = `${where}: ${error.message}`;
+            }
+            throw error;
+        }
+    });
+
+    return result;
+};
+
+module.exports = {
+    PatchError,
+    applyMergePatch,
+    applyJsonPatch
+};
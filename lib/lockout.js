@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * Login Lockout
+ * ============================================================================
+ * 
+ * Temporarily blocks logins for a username after repeated failed attempts.
+ * 
+ * HOW IT WORKS:
+ * 1. Failed logins are counted per username over a sliding window
+ * 2. Reaching the threshold is an "offence": the username is locked out for
+ *    a duration that doubles with every offence (base, 2x, 4x... up to max)
+ * 3. While locked out, /login is refused even with the right password
+ * 4. A successful login clears the failure count; offences are forgotten
+ *    once none has happened for a day (LOCKOUT_OFFENCE_RESET)
+ * 
+ * State lives in the rate limit store (../storage/rate-limit.js).
+ * 
+ * CONFIGURATION (config.lockout, see ./config.js):
+ * - threshold     LOCKOUT_THRESHOLD      Failed logins before lockout (default: 5)
+ * - window        LOCKOUT_WINDOW         Window for counting failures, seconds (default: 900)
+ * - duration      LOCKOUT_DURATION       First lockout duration, seconds (default: 60)
+ * - maxDuration   LOCKOUT_MAX_DURATION   Longest lockout duration, seconds (default: 3600)
+ * - offenceReset  LOCKOUT_OFFENCE_RESET  Seconds until offences are forgotten (default: 86400)
+ * ============================================================================
+ */
+
+/**
+ * Resolve the lockout settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { threshold, windowMs, baseMs, maxMs, offenceTtlMs }
+ */
+const lockoutSettings = (config) => ({
+    threshold: config.lockout.threshold,
+    windowMs: config.lockout.window * 1000,
+    baseMs: config.lockout.duration * 1000,
+    maxMs: config.lockout.maxDuration * 1000,
+    offenceTtlMs: config.lockout.offenceReset * 1000
+});
+
+/**
+ * Time left on a username's lockout
+ * 
+ * @param {Object} limits - Rate limit store
+ * @param {string} username - Username being logged into
+ * @returns {Promise<number>} - Milliseconds until logins are allowed (0 if not locked out)
+ */
+const lockoutRemaining = async (limits, username) => {
+    const lockout = await limits.get(`lockout:${username}`);
+    return lockout ? Math.max(0, lockout.until - Date.now()) : 0;
+};
+
+/**
+ * Record a failed login, locking the username out when the threshold is hit
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Object} limits - Rate limit store
+ * @param {string} username - Username being logged into
+ * @returns {Promise<number>} - Lockout duration in ms if this failure caused one, else 0
+ */
+const recordLoginFailure = async (config, limits, username) => {
+    const settings = lockoutSettings(config);
+    const result = await limits.hit(`failures:${username}`, settings.windowMs, settings.threshold);
+
+    if (result.allowed && result.remaining > 0) {
+        return 0;
+    }
+
+    const offences = ((await limits.get(`offences:${username}`)) || 0) + 1;
+    const duration = Math.min(settings.baseMs * 2 ** (offences - 1), settings.maxMs);
+
+    await limits.set(`offences:${username}`, offences, settings.offenceTtlMs);
+    await limits.set(`lockout:${username}`, { until: Date.now() + duration }, duration);
+    await limits.resetHits(`failures:${username}`);
+
+    return duration;
+};
+
+/**
+ * Record a successful login
+ * 
+ * @param {Object} limits - Rate limit store
+ * @param {string} username - Username that logged in
+ */
+const recordLoginSuccess = async (limits, username) => {
+    await limits.resetHits(`failures:${username}`);
+};
+
+module.exports = {
+    lockoutRemaining,
+    recordLoginFailure,
+    recordLoginSuccess
+};
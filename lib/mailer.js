@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * Mailer
+ * ============================================================================
+ * 
+ * Sends the emails the API needs (address verification, password reset)
+ * through a pluggable transport. The application keeps its mailer in
+ * app.locals.mailer; replace it with a Mailer on another transport to send
+ * real mail (SMTP, an email API...).
+ * 
+ * | transport  | Delivers by                                     | Options |
+ * | ---------- | ----------------------------------------------- | ------- |
+ * | console    | Printing every message to stdout (development)  | -       |
+ * | directory  | Writing every message to <dir>/<time>-<id>.eml  | dir     |
+ * | memory     | Keeping the last messages in transport.messages | -       |
+ * 
+ * All work offline: read the console, open the .eml files with any mail
+ * client, or look at mailer.transport.messages (tests). The console
+ * transport prints whole messages, tokens included, so it is only the
+ * default in development.
+ * 
+ * A transport is an object with an async send(message) method, where
+ * message is { id, from, to, subject, text, date }.
+ * 
+ * CONFIGURATION (config.mail, see ./config.js):
+ * - transport  MAIL_TRANSPORT  "console", "directory" or "memory" (default: console;
+ *                             memory in the test profile, directory in production)
+ * - dir        MAIL_DIR        Directory for the directory transport (default: data/mail)
+ * - from       MAIL_FROM       Sender address (default: "Friends API <no-reply@localhost>")
+ * 
+ * @example
+ * const mailer = createMailer(config.mail);
+ * const mailer = createMailer({ transport: 'directory', dir: './data/mail' });
+ * await mailer.send({ to: 'john@example.com', subject: 'Hello', text: '...' });
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Friends API <no-reply@localhost>';
+
+// Messages kept by the memory transport
+const MEMORY_LIMIT = 100;
+
+/**
+ * Render a message in Internet Message Format (RFC 5322)
+ * 
+ * @param {Object} message - { id, from, to, subject, text, date }
+ * @returns {string}
+ */
+const formatMessage = (message) => [
+    `Message-ID: <${message.id}@friends-api>`,
+    `Date: ${new Date(message.date).toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+].join('\r\n');
+
+/**
+ * Registered transports, keyed by name
+ */
+const transports = {
+    console: () => ({
+        send: async (message) => {
+            console.log(`📧 Mail to ${message.to}\n${formatMessage(message).replace(/\r\n/g, '\n')}\n`);
+        }
+    }),
+    directory: (options) => {
+        const dir = path.resolve(options.dir || path.join(__dirname, '..', 'data', 'mail'));
+
+        return {
+            dir: dir,
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+
+                const time = message.date.replace(/[:.]/g, '-');
+                await fs.promises.writeFile(path.join(dir, `${time}-${message.id}.eml`), formatMessage(message));
+            }
+        };
+    },
+    memory: () => {
+        const messages = [];
+
+        return {
+            messages: messages,
+            send: async (message) => {
+                messages.push(message);
+                if (messages.length > MEMORY_LIMIT) messages.shift();
+            }
+        };
+    }
+};
+
+class Mailer {
+    /**
+     * @param {Object} transport - Object with an async send(message) method
+     * @param {Object} [options]
+     * @param {string} [options.from] - Sender address
+     */
+    constructor(transport, { from } = {}) {
+        this.transport = transport;
+        this.from = from || DEFAULT_FROM;
+    }
+
+    /**
+     * Send a plain-text email
+     * 
+     * @param {Object} email
+     * @param {string} email.to - Recipient address
+     * @param {string} email.subject - Subject line
+     * @param {string} email.text - Body
+     * @returns {Promise<Object>} - The message sent
+     */
+    async send({ to, subject, text }) {
+        const message = {
+            id: crypto.randomUUID(),
+            from: this.from,
+            to: to,
+            subject: subject,
+            text: text,
+            date: new Date().toISOString()
+        };
+
+        await this.transport.send(message);
+        return message;
+    }
+}
+
+/**
+ * Create a mailer
+ * 
+ * @param {Object} [options] - Mailer options (config.mail)
+ * @param {string} [options.transport] - Transport name ("console", "directory" or "memory", default: console)
+ * @param {string} [options.dir] - Directory for the directory transport
+ * @param {string} [options.from] - Sender address
+ * @returns {Mailer}
+ * @throws {Error} - If the transport is unknown
+ */
+const createMailer = (options = {}) => {
+    const transport = options.transport || 'console';
+    const { dir, from } = options;
+
+    if (!transports[transport]) {
+        throw new Error(`Unknown mail transport '${transport}'. Available transports: ${Object.keys(transports).join(', ')}`);
+    }
+
+    return new Mailer(transports[transport]({ dir }), { from });
+};
+
+module.exports = {
+    Mailer,
+    createMailer,
+    formatMessage
+};
@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * Notifications
+ * ============================================================================
+ * 
+ * Delivery point for events meant for users (birthday reminders...).
+ * Every notification is:
+ * 1. Emitted in-process on the app's notifications emitter
+ *    (app.locals.notifications, one per app built by createApp()), under
+ *    its type, so other modules can react:
+ *    req.app.locals.notifications.on('birthday.reminder', fn)
+ * 2. POSTed as JSON to config.notifications.webhookUrl, when that is set
+ * 3. Logged to the console, when config.notifications.log is on
+ * 
+ * Delivery is best-effort: a failing listener or webhook is logged and
+ * never stops the caller.
+ * 
+ * CONFIGURATION (config.notifications, see ./config.js):
+ * - webhookUrl        NOTIFY_WEBHOOK_URL      URL receiving every notification (default: none)
+ * - webhookTimeoutMs  NOTIFY_WEBHOOK_TIMEOUT  Milliseconds to wait for the webhook (default: 5000)
+ * - log               NOTIFY_LOG              Log every notification to the console (default: false)
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * POST a notification to the configured webhook
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Object} notification - Notification record
+ * @returns {Promise<void>}
+ */
+const postWebhook = async (config, notification) => {
+    const { webhookUrl: url, webhookTimeoutMs } = config.notifications;
+    if (!url) return;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(notification),
+            signal: AbortSignal.timeout(webhookTimeoutMs)
+        });
+
+        if (!response.ok) {
+            console.error(`Notification webhook answered ${response.status} for ${notification.type}`);
+        }
+    } catch (error) {
+        console.error(`Error posting ${notification.type} notification:`, error.message);
+    }
+};
+
+/**
+ * Send a notification
+ * 
+ * @param {Object} locals - The app's locals ({ config, notifications })
+ * @param {Object} event - Notification fields: type, username and anything
+ *                         specific to the type
+ * @returns {Promise<Object>} - The notification, with id and at added
+ * 
+ * @example
+ * await notify(app.locals, { type: 'birthday.reminder', username: 'alice', friend, birthday: '01-05-2024', ... });
+ */
+const notify = async ({ config, notifications }, event) => {
+    const notification = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        ...event
+    };
+
+    try {
+        notifications.emit(notification.type, notification);
+    } catch (error) {
+        console.error(`Error in ${notification.type} listener:`, error);
+    }
+
+    await postWebhook(config, notification);
+
+    if (config.notifications.log) {
+        console.log(`🔔 ${notification.type} for ${notification.username}`);
+    }
+    return notification;
+};
+
+module.exports = {
+    notify
+};
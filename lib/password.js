@@ -0,0 +1,215 @@
+/**
+ * ============================================================================
+ * Password Hashing
+ * ============================================================================
+ * 
+ * Salted password hashing with scrypt from Node's built-in crypto module
+ * (no native build required).
+ * 
+ * STORED FORMAT:
+ *   $scrypt$v=1$n=16384,r=8,p=1$<salt base64>$<hash base64>
+ * 
+ * - v        Format version, bumped if the layout itself ever changes
+ * - n, r, p  scrypt cost parameters used to produce this hash
+ * 
+ * Because the parameters travel with every hash, the cost settings can be
+ * raised at any time: existing hashes keep verifying with their own
+ * parameters, and needsRehash() reports the ones that should be upgraded the
+ * next time the user logs in with the correct password.
+ * 
+ * CONFIGURATION (config.password, see ./config.js):
+ * - hashCost         PASSWORD_HASH_COST         scrypt N, a power of two (default: 16384)
+ * - hashBlockSize    PASSWORD_HASH_BLOCK_SIZE   scrypt r (default: 8)
+ * - hashParallelism  PASSWORD_HASH_PARALLELISM  scrypt p (default: 1)
+ * 
+ * PASSWORD POLICY (config.password, enforced by ./validation.js):
+ * - minLength         PASSWORD_MIN_LENGTH        Minimum length (default: 8)
+ * - maxLength         PASSWORD_MAX_LENGTH        Maximum length (default: 128)
+ * - requireLowercase  PASSWORD_REQUIRE_LOWERCASE Require a lowercase letter
+ * - requireUppercase  PASSWORD_REQUIRE_UPPERCASE Require an uppercase letter
+ * - requireDigit      PASSWORD_REQUIRE_DIGIT     Require a digit
+ * - requireSymbol     PASSWORD_REQUIRE_SYMBOL    Require a non-alphanumeric character
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 1;
+const PREFIX = '$scrypt$';
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+// Hashes of a random password, one per parameter set (see dummyHash())
+const dummyHashes = new Map();
+
+/**
+ * Cost parameters applied to newly created hashes
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {{n: number, r: number, p: number}} - Current scrypt parameters
+ */
+const hashParams = (config) => ({
+    n: config.password.hashCost,
+    r: config.password.hashBlockSize,
+    p: config.password.hashParallelism
+});
+
+/**
+ * Requirements new passwords must meet
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { minLength, maxLength, requireLowercase, requireUppercase,
+ *                       requireDigit, requireSymbol }
+ */
+const passwordPolicy = (config) => ({
+    minLength: config.password.minLength,
+    maxLength: config.password.maxLength,
+    requireLowercase: config.password.requireLowercase,
+    requireUppercase: config.password.requireUppercase,
+    requireDigit: config.password.requireDigit,
+    requireSymbol: config.password.requireSymbol
+});
+
+/**
+ * Promise wrapper around crypto.scrypt
+ * 
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {number} keyLength - Length of the derived key in bytes
+ * @param {{n: number, r: number, p: number}} params - scrypt cost parameters
+ * @returns {Promise<Buffer>} - The derived key
+ */
+const scrypt = (password, salt, keyLength, { n, r, p }) => {
+    return new Promise((resolve, reject) => {
+        // Allow enough memory for the requested cost (128 * N * r bytes)
+        const maxmem = 256 * n * r;
+        crypto.scrypt(password, salt, keyLength, { N: n, r, p, maxmem }, (err, key) => {
+            if (err) return reject(err);
+            resolve(key);
+        });
+    });
+};
+
+/**
+ * Parse a stored hash string
+ * 
+ * @param {string} stored - Stored hash
+ * @returns {Object|null} - { version, params, salt, hash }, or null if the
+ *                          value is not in the scrypt format
+ */
+const parseHash = (stored) => {
+    if (typeof stored !== 'string' || !stored.startsWith(PREFIX)) return null;
+
+    const [version, params, salt, hash] = stored.slice(PREFIX.length).split('$');
+    const parsed = Object.fromEntries(
+        (params || '').split(',').map(pair => pair.split('='))
+    );
+
+    return {
+        version: parseInt((version || '').replace('v=', ''), 10),
+        params: {
+            n: parseInt(parsed.n, 10),
+            r: parseInt(parsed.r, 10),
+            p: parseInt(parsed.p, 10)
+        },
+        salt: Buffer.from(salt || '', 'base64'),
+        hash: Buffer.from(hash || '', 'base64')
+    };
+};
+
+/**
+ * Hash a password with a fresh random salt
+ * 
+ * @param {string} password - Plain text password
+ * @param {{n: number, r: number, p: number}} params - scrypt parameters (hashParams(config))
+ * @returns {Promise<string>} - Encoded hash, safe to store
+ * 
+ * @example
+ * await hashPassword('secret123', hashParams(config)); // '$scrypt$v=1$n=16384,r=8,p=1$...$...'
+ */
+const hashPassword = async (password, params) => {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, KEY_LENGTH, params);
+
+    return `${PREFIX}v=${FORMAT_VERSION}$n=${params.n},r=${params.r},p=${params.p}` +
+        `$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+/**
+ * Verify a password against a stored hash in constant time
+ * 
+ * Records created before hashing was introduced hold the plain text password;
+ * those are still accepted (and reported by needsRehash()) so that they can be
+ * upgraded on the next successful login.
+ * 
+ * @param {string} password - Plain text password to check
+ * @param {string} stored - Stored hash (or legacy plain text password)
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, stored) => {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+    const parsed = parseHash(stored);
+
+    if (!parsed) {
+        // Legacy plain text record: compare fixed-length digests so the
+        // comparison doesn't leak the stored password's length
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(password), digest(stored));
+    }
+
+    const { n, r, p } = parsed.params;
+    if (parsed.version !== FORMAT_VERSION || parsed.hash.length === 0 ||
+        ![n, r, p].every(Number.isInteger)) {
+        return false;
+    }
+
+    const candidate = await scrypt(password, parsed.salt, parsed.hash.length, parsed.params);
+    return crypto.timingSafeEqual(candidate, parsed.hash);
+};
+
+/**
+ * A hash no password matches, made with the given parameters
+ * 
+ * Verifying against it when a user doesn't exist takes as long as a wrong
+ * password for a real user, so response times don't reveal which usernames
+ * are registered. Computed once per parameter set.
+ * 
+ * @param {{n: number, r: number, p: number}} params - scrypt parameters (hashParams(config))
+ * @returns {Promise<string>} - Encoded hash
+ */
+const dummyHash = (params) => {
+    const key = `${params.n},${params.r},${params.p}`;
+
+    if (!dummyHashes.has(key)) {
+        dummyHashes.set(key, hashPassword(crypto.randomBytes(32).toString('base64'), params));
+    }
+    return dummyHashes.get(key);
+};
+
+/**
+ * Check whether a stored hash was produced with outdated settings
+ * 
+ * @param {string} stored - Stored hash (or legacy plain text password)
+ * @param {{n: number, r: number, p: number}} params - Current parameters (hashParams(config))
+ * @returns {boolean} - True if the hash should be recomputed
+ */
+const needsRehash = (stored, params) => {
+    const parsed = parseHash(stored);
+
+    if (!parsed || parsed.version !== FORMAT_VERSION) return true;
+
+    return parsed.params.n !== params.n ||
+        parsed.params.r !== params.r ||
+        parsed.params.p !== params.p ||
+        parsed.hash.length !== KEY_LENGTH;
+};
+
+module.exports = {
+    hashParams,
+    passwordPolicy,
+    hashPassword,
+    verifyPassword,
+    dummyHash,
+    needsRehash
+};
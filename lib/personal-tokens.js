@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * Personal Access Tokens
+ * ============================================================================
+ * 
+ * Long-lived, named tokens for scripts and integrations that can't go
+ * through the login / cookie flow. They are sent as
+ * "Authorization: Bearer <token>" and only work on the routes that check
+ * their scopes (the /friends router).
+ * 
+ * TOKEN FORMAT:
+ *   fpat_<token id>.<secret>
+ * The prefix tells them apart from JWT access tokens (and lets secret
+ * scanners spot them). Like refresh tokens, only a SHA-256 hash of the
+ * secret is stored and the token is shown once, at creation.
+ * 
+ * SCOPES: a token is granted a subset of PERSONAL_TOKEN_SCOPES. A request
+ * needs the permission from the user's role AND the scope on the token (see
+ * ../middleware/permissions.js).
+ * 
+ * A token stops working when:
+ * - it expires (tokens without expiresAt never do)
+ * - it is revoked (DELETE /tokens/:id removes it)
+ * - the user logs out everywhere, changes or resets their password, or is
+ *   locked: like every other token, it carries the user's token version
+ * 
+ * TOKEN STRUCTURE:
+ *   { id, userId, username, name, scopes, tokenHash, ver, createdAt,
+ *     expiresAt, lastUsedAt }
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const PERSONAL_TOKEN_PREFIX = 'fpat_';
+
+const PERSONAL_TOKEN_SCOPES = ['friends:read', 'friends:write'];
+
+/**
+ * How often (in ms) a token's lastUsedAt is written back to storage
+ */
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Hash the secret part of a token for storage
+ * 
+ * @param {string} secret - Token secret
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Whether a bearer token is a personal access token (by its prefix)
+ * 
+ * @param {string} token - Encoded token
+ * @returns {boolean}
+ */
+const isPersonalToken = (token) => typeof token === 'string' && token.startsWith(PERSONAL_TOKEN_PREFIX);
+
+/**
+ * Split an encoded token into id and secret
+ * 
+ * @param {string} token - Encoded personal access token
+ * @returns {{id: string, secret: string}|null} - Parts, or null if malformed
+ */
+const parseToken = (token) => {
+    if (!isPersonalToken(token)) return null;
+
+    const [id, secret, ...rest] = token.slice(PERSONAL_TOKEN_PREFIX.length).split('.');
+    if (!id || !secret || rest.length > 0) return null;
+
+    return { id, secret };
+};
+
+/**
+ * State of a token: "active", "expired" or "revoked" (the user's token
+ * version moved on since it was created)
+ * 
+ * @param {Object} record - Stored token
+ * @param {Object} user - Its owner
+ * @returns {string}
+ */
+const personalTokenStatus = (record, user) => {
+    if ((user.tokenVersion || 0) !== record.ver) return 'revoked';
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+};
+
+/**
+ * Strip the hash and internal fields from a token before it is sent in a
+ * response
+ * 
+ * @param {Object} record - Stored token
+ * @param {Object} user - Its owner
+ * @returns {Object} - { id, name, scopes, status, createdAt, expiresAt, lastUsedAt }
+ */
+const publicPersonalToken = (record, user) => ({
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    status: personalTokenStatus(record, user),
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt
+});
+
+/**
+ * Create a token
+ * 
+ * @param {Store} store - Storage backend
+ * @param {Object} user - Owner ({ id, username, tokenVersion })
+ * @param {Object} options
+ * @param {string} options.name - Name to recognise the token by
+ * @param {string[]} options.scopes - Subset of PERSONAL_TOKEN_SCOPES
+ * @param {number} [options.expiresInDays] - Lifetime in days (default: never expires)
+ * @returns {Promise<{token: string, record: Object}>} - The encoded token
+ *                                                       (only ever returned here)
+ */
+const createPersonalToken = async (store, user, { name, scopes, expiresInDays }) => {
+    const id = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    const record = await store.savePersonalToken({
+        id: id,
+        userId: user.id,
+        username: user.username,
+        name: name,
+        scopes: PERSONAL_TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+        tokenHash: hashSecret(secret),
+        ver: user.tokenVersion || 0,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        lastUsedAt: null
+    });
+
+    return { token: `${PERSONAL_TOKEN_PREFIX}${id}.${secret}`, record };
+};
+
+/**
+ * Check a presented token and record its use
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} token - Encoded personal access token
+ * @returns {Promise<{record: Object, user: Object}|null>} - The token and its
+ *          owner, or null if the token is unknown, expired or revoked, or
+ *          its owner is gone or locked
+ */
+const authenticatePersonalToken = async (store, token) => {
+    const parts = parseToken(token);
+    if (!parts) return null;
+
+    const record = await store.getPersonalToken(parts.id);
+    if (!record) return null;
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashSecret(parts.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const user = await store.getUser(record.username);
+    if (!user || user.id !== record.userId || user.locked || personalTokenStatus(record, user) !== 'active') {
+        return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt).getTime() > LAST_USED_INTERVAL) {
+        record.lastUsedAt = new Date().toISOString();
+        await store.savePersonalToken(record);
+    }
+
+    return { record, user };
+};
+
+module.exports = {
+    PERSONAL_TOKEN_SCOPES,
+    isPersonalToken,
+    personalTokenStatus,
+    publicPersonalToken,
+    createPersonalToken,
+    authenticatePersonalToken
+};
@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * HTTP Conditional Requests (ETags)
+ * ============================================================================
+ * 
+ * Helpers for the conditional request headers of RFC 9110 section 13, used
+ * to give friend resources optimistic concurrency:
+ * 
+ * - Every friend has a version, incremented on each change, and is served
+ *   with an ETag derived from it ("v3").
+ * - If-Match on a write: the write only happens if the client's ETag is still
+ *   current; otherwise 412 Precondition Failed (someone else changed it).
+ * - If-None-Match on a read: 304 Not Modified if the client's copy is current.
+ * 
+ * @example
+ * // Read, then update only if nobody changed the friend in between
+ * GET /friends/<id>                      -> 200, ETag: "v3"
+ * PUT /friends/<id>  If-Match: "v3"      -> 200, ETag: "v4"
+ * PUT /friends/<id>  If-Match: "v3"      -> 412
+ * GET /friends/<id>  If-None-Match: "v4" -> 304
+ * ============================================================================
+ */
+
+const { versionOf } = require('./friend-record.js');
+
+/**
+ * Strong entity tag for a friend
+ * 
+ * @param {Object} friend - Friend record
+ * @returns {string} - Quoted ETag, e.g. "v3"
+ */
+const etagOf = (friend) => `"v${versionOf(friend)}"`;
+
+/**
+ * Parse an If-Match / If-None-Match header value
+ * 
+ * @param {string} header - Header value
+ * @returns {'*'|Array<{tag: string, weak: boolean}>} - "*" or the listed tags
+ */
+const parseEntityTags = (header) => {
+    if (header.trim() === '*') return '*';
+
+    return (header.match(/(W\/)?"[^"]*"/g) || []).map(entry => ({
+        tag: entry.replace(/^W\//, ''),
+        weak: entry.startsWith('W/')
+    }));
+};
+
+/**
+ * Whether an If-Match header rules out the write (strong comparison)
+ * 
+ * @param {string|undefined} header - If-Match header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the request must fail with 412
+ */
+const ifMatchFails = (header, etag) => {
+    if (header === undefined) return false;
+
+    const tags = parseEntityTags(header);
+    if (tags === '*') return false;
+    return !tags.some(entry => !entry.weak && entry.tag === etag);
+};
+
+/**
+ * Whether an If-None-Match header makes a GET return 304 (weak comparison)
+ * 
+ * @param {string|undefined} header - If-None-Match header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True if the client's copy is current
+ */
+const ifNoneMatchHits = (header, etag) => {
+    if (header === undefined) return false;
+
+    const tags = parseEntityTags(header);
+    if (tags === '*') return true;
+    return tags.some(entry => entry.tag === etag);
+};
+
+module.exports = {
+    etagOf,
+    ifMatchFails,
+    ifNoneMatchHits
+};
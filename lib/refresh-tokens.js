@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * Refresh Tokens
+ * ============================================================================
+ * 
+ * Long-lived, opaque tokens used to obtain new access tokens without sending
+ * the password again (POST /token/refresh).
+ * 
+ * TOKEN FORMAT:
+ *   <token id>.<secret>
+ * Only a SHA-256 hash of the secret is stored, so a leaked database can't be
+ * used to mint tokens.
+ * 
+ * ROTATION AND REUSE DETECTION:
+ * - Each refresh returns a brand new token and marks the old one as rotated
+ * - All tokens descending from the same login form a "family"
+ * - Presenting a token that was already rotated means it was copied: the
+ *   whole family is revoked, logging out both the thief and the victim
+ * - Logging out revokes the family as well
+ * 
+ * A family doubles as the user's login session: it records when the login
+ * happened, when it was last used and from which user agent, and is what
+ * GET /sessions lists and DELETE /sessions/:id revokes.
+ * 
+ * Every change to a family and its tokens runs under the family's lock (see
+ * withFamily()), so two requests can't both rotate the same token, and a
+ * revocation can't be undone by a concurrent write of an older copy.
+ * 
+ * CONFIGURATION (config.refreshTokens, see ./config.js):
+ * - expiresIn  REFRESH_TOKEN_EXPIRES_IN  Lifetime in seconds (default: 30 days)
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error raised when a refresh token can't be used
+ * 
+ * reason is one of: "invalid", "expired", "revoked", "reused"
+ */
+class RefreshTokenError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'RefreshTokenError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Refresh token lifetime in seconds
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {number} - Lifetime in seconds
+ */
+const refreshTokenLifetime = (config) => config.refreshTokens.expiresIn;
+
+/**
+ * Hash the secret part of a token for storage
+ * 
+ * @param {string} secret - Token secret
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split an encoded token into id and secret
+ * 
+ * @param {string} token - Encoded refresh token
+ * @returns {{id: string, secret: string}|null} - Parts, or null if malformed
+ */
+const parseToken = (token) => {
+    if (typeof token !== 'string') return null;
+
+    const [id, secret, ...rest] = token.split('.');
+    if (!id || !secret || rest.length > 0) return null;
+
+    return { id, secret };
+};
+
+/**
+ * Create and store a token in an existing family
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Store} store - Storage backend
+ * @param {Object} family - Family record
+ * @returns {Promise<{token: string, expiresIn: number}>} - The encoded token
+ */
+const createToken = async (config, store, family) => {
+    const id = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const expiresIn = refreshTokenLifetime(config);
+    const now = Date.now();
+
+    await store.saveRefreshToken({
+        id,
+        familyId: family.id,
+        tokenHash: hashSecret(secret),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + expiresIn * 1000).toISOString(),
+        rotatedAt: null
+    });
+
+    return { token: `${id}.${secret}`, expiresIn };
+};
+
+/**
+ * Look up a presented token and check its secret
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} token - Encoded refresh token
+ * @returns {Promise<Object|null>} - The stored record, or null if unknown
+ */
+const findToken = async (store, token) => {
+    const parts = parseToken(token);
+    if (!parts) return null;
+
+    const record = await store.getRefreshToken(parts.id);
+    if (!record) return null;
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashSecret(parts.secret), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
+};
+
+/**
+ * Load a token family and run a task under the family's lock
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} familyId - Family id
+ * @param {Function} task - async (family) => result; family is null if
+ *                          it doesn't exist
+ * @returns {Promise<*>} - The task's result
+ */
+const withFamily = (store, familyId, task) => {
+    return store.exclusive(`token-family:${familyId}`, async () => task(await store.getTokenFamily(familyId)));
+};
+
+/**
+ * Mark a family as revoked (caller holds the family's lock)
+ */
+const markRevoked = async (store, family, reason) => {
+    if (family && !family.revokedAt) {
+        family.revokedAt = new Date().toISOString();
+        family.revokedReason = reason;
+        await store.saveTokenFamily(family);
+    }
+};
+
+/**
+ * Revoke a token family
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} familyId - Family to revoke
+ * @param {string} reason - Why the family was revoked (e.g. "logout")
+ */
+const revokeFamily = (store, familyId, reason) => {
+    return withFamily(store, familyId, family => markRevoked(store, family, reason));
+};
+
+/**
+ * Issue the first refresh token of a new family (at login)
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Store} store - Storage backend
+ * @param {Object} user - User record ({ id, username })
+ * @param {Object} [client] - Details about the client logging in
+ * @param {string} [client.userAgent] - User-Agent header
+ * @param {string} [client.ip] - Remote address
+ * @returns {Promise<{token: string, familyId: string, expiresIn: number}>}
+ * 
+ * @example
+ * const { token } = await issueRefreshToken(config, store, user, { userAgent: req.get('User-Agent') });
+ */
+const issueRefreshToken = async (config, store, user, client = {}) => {
+    const now = new Date();
+    const family = await store.saveTokenFamily({
+        id: crypto.randomUUID(),
+        userId: user.id,
+        username: user.username,
+        userAgent: client.userAgent || null,
+        ip: client.ip || null,
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + refreshTokenLifetime(config) * 1000).toISOString(),
+        revokedAt: null
+    });
+
+    const { token, expiresIn } = await createToken(config, store, family);
+    return { token, familyId: family.id, expiresIn };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Store} store - Storage backend
+ * @param {string} token - Encoded refresh token presented by the client
+ * @returns {Promise<{token: string, family: Object, expiresIn: number}>}
+ * @throws {RefreshTokenError} - If the token is unknown, expired, revoked or
+ *                               was already rotated (the family is revoked)
+ */
+const rotateRefreshToken = async (config, store, token) => {
+    const presented = await findToken(store, token);
+    if (!presented) {
+        throw new RefreshTokenError('invalid', 'Invalid refresh token.');
+    }
+
+    return withFamily(store, presented.familyId, async (family) => {
+        if (!family || family.revokedAt) {
+            throw new RefreshTokenError('revoked', 'Refresh token has been revoked. Please login again.');
+        }
+
+        // Re-read under the lock: a concurrent request may have rotated it
+        const record = await store.getRefreshToken(presented.id);
+        if (record.rotatedAt) {
+            await markRevoked(store, family, 'reuse');
+            throw new RefreshTokenError('reused', 'Refresh token reuse detected. All sessions for this login have been revoked.');
+        }
+
+        if (new Date(record.expiresAt).getTime() <= Date.now()) {
+            throw new RefreshTokenError('expired', 'Refresh token expired. Please login again.');
+        }
+
+        record.rotatedAt = new Date().toISOString();
+        await store.saveRefreshToken(record);
+
+        const next = await createToken(config, store, family);
+
+        family.lastSeenAt = record.rotatedAt;
+        family.expiresAt = new Date(Date.now() + next.expiresIn * 1000).toISOString();
+        await store.saveTokenFamily(family);
+
+        return { token: next.token, family, expiresIn: next.expiresIn };
+    });
+};
+
+/**
+ * Revoke the family a refresh token belongs to (at logout)
+ * 
+ * Unknown or malformed tokens are ignored.
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} token - Encoded refresh token
+ */
+const revokeRefreshToken = async (store, token) => {
+    const record = await findToken(store, token);
+
+    if (record) {
+        await revokeFamily(store, record.familyId, 'logout');
+    }
+};
+
+module.exports = {
+    RefreshTokenError,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeFamily,
+    withFamily
+};
@@ -0,0 +1,97 @@
+/**
+ * ============================================================================
+ * Birthday Reminders
+ * ============================================================================
+ * 
+ * A job (see ./jobs.js) that sends a birthday.reminder notification (see
+ * ./notifications.js) when a friend's birthday is a set number of days away
+ * in the user's timezone.
+ * 
+ * Users choose the days with the reminderDays profile field (PATCH /me), e.g.
+ * [7, 1, 0] for a week before, the day before and on the day; [] turns
+ * reminders off. Each reminder is sent once per birthday, however often the
+ * job runs; a reminder whose day passed while the server was down is not
+ * sent late.
+ * 
+ * NOTIFICATION:
+ *   {
+ *     id, at, type: "birthday.reminder", username,
+ *     friend: { id, email, firstName, lastName, DOB },
+ *     birthday: "DD-MM-YYYY", turning, daysUntil
+ *   }
+ * 
+ * CONFIGURATION (config.reminders, see ./config.js):
+ * - days           BIRTHDAY_REMINDER_DAYS   Default days before, comma-separated (default: 7,1)
+ * - checkInterval  BIRTHDAY_CHECK_INTERVAL  Seconds between checks (default: 3600)
+ * ============================================================================
+ */
+
+const { localToday, upcomingBirthdays } = require('./birthdays.js');
+const { notify } = require('./notifications.js');
+
+/**
+ * Resolve the reminder settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { daysBefore, checkIntervalMs }
+ */
+const reminderSettings = (config) => ({
+    daysBefore: config.reminders.days,
+    checkIntervalMs: config.reminders.checkInterval * 1000
+});
+
+/**
+ * Send the reminders that are due for one user
+ * 
+ * @param {Object} locals - The app's locals ({ store, config, notifications })
+ * @param {Object} user - User record
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} - The notifications sent
+ */
+const sendUserReminders = async (locals, user, now = new Date()) => {
+    const { store } = locals;
+    const daysBefore = user.reminderDays || reminderSettings(locals.config).daysBefore;
+    if (daysBefore.length === 0) return [];
+
+    const upcoming = upcomingBirthdays(await store.listFriends(user.username), {
+        within: Math.max(...daysBefore),
+        today: localToday(user.timezone, now)
+    });
+    const sent = [];
+
+    for (const entry of upcoming.filter(entry => daysBefore.includes(entry.daysUntil))) {
+        const key = `${entry.friend.id}:${entry.daysUntil}`;
+        const previous = await store.getReminder(user.username, key);
+
+        // Already reminded of this birthday at this distance
+        if (previous && previous.birthday === entry.birthday) continue;
+
+        sent.push(await notify(locals, { type: 'birthday.reminder', username: user.username, ...entry }));
+        await store.saveReminder(user.username, key, { birthday: entry.birthday, sentAt: new Date().toISOString() });
+    }
+
+    return sent;
+};
+
+/**
+ * Send the reminders that are due for every user
+ * 
+ * @param {Object} locals - The app's locals ({ store, config, notifications })
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} - The notifications sent
+ */
+const sendBirthdayReminders = async (locals, now = new Date()) => {
+    const sent = [];
+
+    for (const user of await locals.store.listUsers()) {
+        sent.push(...await sendUserReminders(locals, user, now));
+    }
+
+    return sent;
+};
+
+module.exports = {
+    reminderSettings,
+    sendUserReminders,
+    sendBirthdayReminders
+};
@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * Token Revocation
+ * ============================================================================
+ * 
+ * Server-side controls that end access before a token expires on its own.
+ * 
+ * 1. Revocation list - individual access tokens, keyed by their jti claim.
+ *    Entries are kept until the token would have expired anyway.
+ * 2. Token version   - a counter on the user record, copied into every access
+ *    token as the "ver" claim. Bumping it invalidates every token the user
+ *    holds (POST /logout-all, POST /me/password).
+ * 3. Session revocation - revoking a refresh token family ends that login
+ *    session, including the access tokens issued for it (see "sid" claim).
+ * 
+ * authMiddleware (../middleware/auth.js) checks all three on every request.
+ * ============================================================================
+ */
+
+const { revokeFamily } = require('./refresh-tokens.js');
+const { withUser } = require('./users.js');
+
+/**
+ * Add an access token to the revocation list
+ * 
+ * Expired entries are purged at the same time, keeping the list small.
+ * 
+ * @param {Store} store - Storage backend
+ * @param {Object} claims - Decoded token claims (jti and exp are used)
+ */
+const revokeAccessToken = async (store, claims) => {
+    const now = Date.now();
+
+    for (const record of await store.listRevokedTokens()) {
+        if (new Date(record.expiresAt).getTime() <= now) {
+            await store.deleteRevokedToken(record.jti);
+        }
+    }
+
+    await store.saveRevokedToken({
+        jti: claims.jti,
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+        revokedAt: new Date(now).toISOString()
+    });
+};
+
+/**
+ * Check whether an access token is on the revocation list
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} jti - Token id
+ * @returns {Promise<boolean>} - True if the token was revoked
+ */
+const isAccessTokenRevoked = async (store, jti) => {
+    return (await store.getRevokedToken(jti)) !== null;
+};
+
+/**
+ * End every session a user has ("log out everywhere")
+ * 
+ * Bumps the user's token version, which invalidates all access tokens issued
+ * so far, and revokes all of the user's refresh token families. The record
+ * is re-read and saved under the user's lock (see ./users.js); changes that
+ * must be saved together with the bump (a new password...) are made by the
+ * change callback on that fresh record.
+ * 
+ * @param {Store} store - Storage backend
+ * @param {Object} user - User record
+ * @param {string} reason - Why the sessions were ended (e.g. "logout-all")
+ * @param {Function} [change] - (user) => void, more changes to the record
+ * @returns {Promise<Object>} - The updated user record
+ */
+const revokeAllSessions = async (store, user, reason, change = () => {}) => {
+    const updated = await withUser(store, user.username, async (current) => {
+        if (!current) return user;
+
+        change(current);
+        current.tokenVersion = (current.tokenVersion || 0) + 1;
+        return store.saveUser(current);
+    });
+
+    for (const family of await store.listTokenFamilies(updated.id)) {
+        await revokeFamily(store, family.id, reason);
+    }
+
+    return updated;
+};
+
+module.exports = {
+    revokeAccessToken,
+    isAccessTokenRevoked,
+    revokeAllSessions
+};
@@ -0,0 +1,53 @@
+/**
+ * ============================================================================
+ * Roles and Permissions
+ * ============================================================================
+ * 
+ * Every user record has a role; each role grants a fixed set of permissions.
+ * Routes require permissions (never roles directly) through the
+ * requirePermission() middleware in ../middleware/permissions.js, so new roles
+ * can be introduced without touching the routes.
+ * 
+ * | Role  | Permissions                                                 |
+ * | ----- | ----------------------------------------------------------- |
+ * | user  | friends:read, friends:write                                 |
+ * | admin | everything a user has + users:read, users:write, users:delete, |
+ * |       | audit:read                                                  |
+ * ============================================================================
+ */
+
+const DEFAULT_ROLE = 'user';
+
+const ROLES = {
+    user: ['friends:read', 'friends:write'],
+    admin: ['friends:read', 'friends:write', 'users:read', 'users:write', 'users:delete', 'audit:read']
+};
+
+/**
+ * Check whether a role exists
+ * 
+ * @param {string} role - Role name
+ * @returns {boolean} - True if the role is defined
+ */
+const isRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+/**
+ * Check whether a role grants a permission
+ * 
+ * @param {string} role - Role name (unknown roles grant nothing)
+ * @param {string} permission - Permission name, e.g. "users:read"
+ * @returns {boolean} - True if the permission is granted
+ * 
+ * @example
+ * hasPermission('admin', 'users:delete'); // Returns: true
+ */
+const hasPermission = (role, permission) => {
+    return isRole(role) && ROLES[role].includes(permission);
+};
+
+module.exports = {
+    DEFAULT_ROLE,
+    ROLES,
+    isRole,
+    hasPermission
+};
@@ -0,0 +1,422 @@
+/**
+ * ============================================================================
+ * Request Schemas
+ * ============================================================================
+ * 
+ * Declarative schemas for every request body, route parameter and query
+ * string accepted by the API. See ./validation.js for the rule options and
+ * ../middleware/validate.js for how they are applied.
+ * ============================================================================
+ */
+
+const { ROLES } = require('./roles.js');
+const { SORT_FIELDS } = require('./friend-query.js');
+const { FORMAT_NAMES } = require('./formats');
+const { DUPLICATE_POLICIES } = require('./friend-import.js');
+const { AUDIT_ACTIONS } = require('./audit.js');
+const { WEBHOOK_EVENTS } = require('./webhooks.js');
+const { PERSONAL_TOKEN_SCOPES } = require('./personal-tokens.js');
+
+/**
+ * ----------------------------------------------------------------------------
+ * Shared Field Rules
+ * ----------------------------------------------------------------------------
+ */
+
+const username = {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 32,
+    pattern: /^[A-Za-z0-9_.-]+$/,
+    patternMessage: 'may only contain letters, digits, ".", "_" and "-"'
+};
+
+// Passwords checked against a stored hash: never trimmed, no policy applied
+const currentPassword = { type: 'string', required: true, trim: false, maxLength: 1024 };
+
+// Passwords being set: must meet the configured password policy
+const newPassword = { type: 'password', required: true };
+
+const email = { type: 'email', required: true };
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+const date = { type: 'date' };
+
+/**
+ * ----------------------------------------------------------------------------
+ * Authentication
+ * ----------------------------------------------------------------------------
+ */
+
+const register = {
+    username: username,
+    password: newPassword,
+    // Required when REQUIRE_EMAIL_VERIFICATION is on (checked by the route)
+    email: { type: 'email' }
+};
+
+const login = {
+    // Don't reveal the username rules to someone guessing credentials
+    username: { type: 'string', required: true, maxLength: 256 },
+    password: currentPassword
+};
+
+const refreshToken = {
+    refreshToken: { type: 'string', maxLength: 512 }
+};
+
+const accountToken = { type: 'string', required: true, maxLength: 2048 };
+
+const verifyEmail = {
+    token: accountToken
+};
+
+const accountEmailRequest = {
+    email: email
+};
+
+const resetPassword = {
+    token: accountToken,
+    newPassword: newPassword
+};
+
+// A 6-digit TOTP code or a recovery code ("xxxx-xxxx")
+const twoFactorCode = { type: 'string', required: true, maxLength: 32 };
+
+const loginTwoFactor = {
+    challengeToken: accountToken,
+    code: twoFactorCode
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Friends
+ * ----------------------------------------------------------------------------
+ */
+
+// Friend ids are UUIDs; an email address is accepted too (the original URLs)
+const friendRef = {
+    type: 'string',
+    required: true,
+    maxLength: 254,
+    pattern: /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[^\s@]+@[^\s@]+)$/i,
+    patternMessage: 'must be a friend id or an email address'
+};
+
+const friendParams = {
+    id: friendRef
+};
+
+const bulkFriends = {
+    ids: { type: 'array', required: true, items: friendRef, maxItems: 100, unique: true }
+};
+
+const label = { type: 'string', minLength: 1, maxLength: 30 };
+
+const phone = {
+    type: 'object',
+    schema: {
+        label: label,
+        number: {
+            type: 'string',
+            required: true,
+            pattern: /^\+?[0-9][0-9 ().-]{2,29}$/,
+            patternMessage: 'must be a phone number (digits, spaces, "+", "-", "(", ")" and ".")'
+        }
+    }
+};
+
+const addressLine = { type: 'string', minLength: 1, maxLength: 200 };
+
+const address = {
+    type: 'object',
+    minProperties: 1,
+    schema: {
+        label: label,
+        street: addressLine,
+        city: addressLine,
+        region: addressLine,
+        postalCode: { type: 'string', minLength: 1, maxLength: 20 },
+        country: addressLine
+    }
+};
+
+const tag = {
+    type: 'string',
+    lowercase: true,
+    minLength: 1,
+    maxLength: 30,
+    pattern: /^[A-Za-z0-9][A-Za-z0-9 _-]*$/,
+    patternMessage: 'may only contain letters, digits, spaces, "_" and "-"'
+};
+
+/**
+ * Optional friend details, shared by create and update. Sending null (or an
+ * empty array) on update clears a field.
+ */
+const friendDetails = {
+    phones: { type: 'array', items: phone, maxItems: 10, nullable: true },
+    addresses: { type: 'array', items: address, maxItems: 10, nullable: true },
+    notes: { type: 'string', maxLength: 2000, nullable: true },
+    tags: { type: 'array', items: tag, maxItems: 20, unique: true, nullable: true },
+    customFields: {
+        type: 'map',
+        items: { type: 'string', maxLength: 500 },
+        maxItems: 50,
+        keyMaxLength: 50,
+        keyPattern: /^[A-Za-z][A-Za-z0-9 _-]*$/,
+        keyPatternMessage: 'key must start with a letter and only contain letters, digits, spaces, "_" and "-"',
+        nullable: true
+    }
+};
+
+const createFriend = {
+    email: email,
+    firstName: { ...name, required: true },
+    lastName: { ...name, required: true },
+    DOB: { ...date, required: true },
+    ...friendDetails
+};
+
+const updateFriend = {
+    email: { type: 'email' },
+    firstName: name,
+    lastName: name,
+    DOB: date,
+    ...friendDetails
+};
+
+const listFriendsQuery = {
+    limit: { type: 'integer', min: 1, max: 100 },
+    offset: { type: 'integer', min: 0 },
+    cursor: { type: 'string', maxLength: 1024 },
+    sort: { type: 'enum', values: SORT_FIELDS },
+    order: { type: 'enum', values: ['asc', 'desc'] },
+    firstName: name,
+    lastName: name,
+    dobFrom: date,
+    dobTo: date,
+    tag: { type: 'string', lowercase: true, maxLength: 200 },
+    q: { type: 'string', maxLength: 200 }
+};
+
+const exportFriendsQuery = {
+    format: { type: 'enum', values: FORMAT_NAMES }
+};
+
+const birthdaysQuery = {
+    within: {
+        type: 'string',
+        pattern: /^\d{1,3}[dw]$/,
+        patternMessage: 'must be a number of days or weeks, e.g. "30d" or "2w"'
+    }
+};
+
+const importFriendsQuery = {
+    format: { type: 'enum', values: FORMAT_NAMES },
+    dryRun: { type: 'boolean' },
+    onDuplicate: { type: 'enum', values: DUPLICATE_POLICIES }
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Account Self-Service
+ * ----------------------------------------------------------------------------
+ */
+
+const updateProfile = {
+    displayName: { ...name, nullable: true },
+    email: { type: 'email', nullable: true },
+    timezone: { type: 'timezone', maxLength: 64, nullable: true },
+    reminderDays: {
+        type: 'array',
+        items: { type: 'integer', min: 0, max: 365 },
+        maxItems: 10,
+        unique: true,
+        nullable: true
+    }
+};
+
+const changePassword = {
+    currentPassword: currentPassword,
+    newPassword: newPassword
+};
+
+const deleteAccount = {
+    password: currentPassword
+};
+
+const confirmTwoFactor = {
+    code: twoFactorCode
+};
+
+const disableTwoFactor = {
+    password: currentPassword,
+    code: twoFactorCode
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Sessions and Administration
+ * ----------------------------------------------------------------------------
+ */
+
+const sessionParams = {
+    id: { type: 'string', required: true, maxLength: 64 }
+};
+
+const userParams = {
+    username: { type: 'string', required: true, maxLength: 256 }
+};
+
+const listUsersQuery = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+};
+
+const updateUser = {
+    role: { type: 'enum', values: Object.keys(ROLES) },
+    locked: { type: 'boolean' }
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Audit Log
+ * ----------------------------------------------------------------------------
+ */
+
+// Every action and every prefix of one ("auth", "auth.login", "friend"...)
+const auditAction = {
+    type: 'enum',
+    values: [...new Set(AUDIT_ACTIONS.flatMap(action => {
+        const parts = action.split('.');
+        return parts.map((part, index) => parts.slice(0, index + 1).join('.'));
+    }))]
+};
+
+const friendHistoryQuery = {
+    action: auditAction,
+    from: { type: 'timestamp' },
+    to: { type: 'timestamp' },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 }
+};
+
+const auditQuery = {
+    ...friendHistoryQuery,
+    actor: { type: 'string', maxLength: 256 }
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Webhooks
+ * ----------------------------------------------------------------------------
+ */
+
+const webhookParams = {
+    id: { type: 'string', required: true, maxLength: 64 }
+};
+
+const webhookEvents = {
+    type: 'array',
+    items: { type: 'enum', values: WEBHOOK_EVENTS },
+    minItems: 1,
+    maxItems: WEBHOOK_EVENTS.length,
+    unique: true
+};
+
+const createWebhook = {
+    url: { type: 'url', required: true, maxLength: 2048 },
+    events: { ...webhookEvents, required: true },
+    description: { type: 'string', maxLength: 200 }
+};
+
+const updateWebhook = {
+    url: { type: 'url', maxLength: 2048 },
+    events: webhookEvents,
+    description: { type: 'string', maxLength: 200, nullable: true },
+    active: { type: 'boolean' }
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Personal Access Tokens
+ * ----------------------------------------------------------------------------
+ */
+
+const personalTokenParams = {
+    id: { type: 'string', required: true, maxLength: 64 }
+};
+
+const createPersonalToken = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    scopes: {
+        type: 'array',
+        required: true,
+        items: { type: 'enum', values: PERSONAL_TOKEN_SCOPES },
+        minItems: 1,
+        maxItems: PERSONAL_TOKEN_SCOPES.length,
+        unique: true
+    },
+    // Omitted: the token never expires
+    expiresInDays: { type: 'integer', min: 1, max: 366 }
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Connections
+ * ----------------------------------------------------------------------------
+ */
+
+// Requests name the recipient by username or by email (exactly one of them,
+// checked by the route)
+const sendFriendRequest = {
+    username: { type: 'string', maxLength: 256 },
+    email: { type: 'email' },
+    message: { type: 'string', maxLength: 500 }
+};
+
+const friendRequestParams = {
+    id: { type: 'string', required: true, maxLength: 64 }
+};
+
+const listFriendRequestsQuery = {
+    direction: { type: 'enum', values: ['incoming', 'outgoing'] }
+};
+
+module.exports = {
+    register,
+    login,
+    refreshToken,
+    verifyEmail,
+    accountEmailRequest,
+    resetPassword,
+    loginTwoFactor,
+    friendParams,
+    bulkFriends,
+    createFriend,
+    updateFriend,
+    listFriendsQuery,
+    exportFriendsQuery,
+    importFriendsQuery,
+    birthdaysQuery,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+    confirmTwoFactor,
+    disableTwoFactor,
+    sessionParams,
+    userParams,
+    listUsersQuery,
+    updateUser,
+    friendHistoryQuery,
+    auditQuery,
+    webhookParams,
+    createWebhook,
+    updateWebhook,
+    personalTokenParams,
+    createPersonalToken,
+    sendFriendRequest,
+    friendRequestParams,
+    listFriendRequestsQuery
+};
@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * Access Tokens
+ * ============================================================================
+ * 
+ * Issues and verifies the JWT access tokens handed out by /login.
+ * 
+ * TOKEN CLAIMS:
+ * - sub       User id (never the password or any other credential)
+ * - username  Username, for convenience of the API consumer
+ * - sid       Login session (refresh token family) the token belongs to
+ * - ver       User's token version; bumping it invalidates every token
+ * - iat, exp  Issued-at and expiry timestamps
+ * - jti       Unique token id
+ * - iss, aud  Issuer and audience, checked on verification
+ * 
+ * CONFIGURATION: config.jwt (see ./config.js)
+ * - secret               Shared secret for HMAC algorithms (JWT_SECRET)
+ * - privateKey/publicKey PEM key pair for asymmetric algorithms (RS256,
+ *                        ES256...), used instead of the secret when set
+ * - algorithm            Signing algorithm (default: HS256, or RS256 with a
+ *                        key pair)
+ * - issuer, audience     iss and aud claims
+ * - expiresIn            Lifetime in seconds
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Resolve the token settings from the configuration
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { signingKey, verifyKey, algorithm, issuer, audience, expiresIn }
+ */
+const tokenSettings = (config) => {
+    const { secret, privateKey, publicKey, algorithm, issuer, audience, expiresIn } = config.jwt;
+    const asymmetric = Boolean(privateKey && publicKey);
+
+    return {
+        signingKey: asymmetric ? privateKey : secret,
+        verifyKey: asymmetric ? publicKey : secret,
+        algorithm: algorithm || (asymmetric ? 'RS256' : 'HS256'),
+        issuer: issuer,
+        audience: audience,
+        expiresIn: expiresIn
+    };
+};
+
+/**
+ * Sign a new access token for a user
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Object} user - User record ({ id, username, tokenVersion })
+ * @param {string} [sessionId] - Login session the token belongs to
+ * @returns {{token: string, jti: string, expiresIn: number}} - The signed token,
+ *          its id and its lifetime in seconds
+ * 
+ * @example
+ * const { token } = signAccessToken(config, { id: '8c1f...', username: 'john_doe' }, familyId);
+ */
+const signAccessToken = (config, user, sessionId) => {
+    const settings = tokenSettings(config);
+    const jti = crypto.randomUUID();
+    const claims = {
+        username: user.username,
+        ver: user.tokenVersion || 0
+    };
+
+    if (sessionId) {
+        claims.sid = sessionId;
+    }
+
+    const token = jwt.sign(
+        claims,
+        settings.signingKey,
+        {
+            algorithm: settings.algorithm,
+            subject: user.id,
+            issuer: settings.issuer,
+            audience: settings.audience,
+            expiresIn: settings.expiresIn,
+            jwtid: jti
+        }
+    );
+
+    return { token, jti, expiresIn: settings.expiresIn };
+};
+
+/**
+ * Verify an access token's signature, expiry, issuer and audience
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {string} token - The encoded JWT
+ * @returns {Promise<Object>} - The decoded claims
+ * @throws {Error} - If the token is invalid or expired (rejected Promise)
+ */
+const verifyAccessToken = (config, token) => {
+    const settings = tokenSettings(config);
+
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, settings.verifyKey, {
+            algorithms: [settings.algorithm],
+            issuer: settings.issuer,
+            audience: settings.audience
+        }, (err, decoded) => {
+            if (err) return reject(err);
+            resolve(decoded);
+        });
+    });
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken
+};
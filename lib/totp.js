@@ -0,0 +1,182 @@
+/**
+ * ============================================================================
+ * TOTP (RFC 6238)
+ * ============================================================================
+ * 
+ * Time-based one-time passwords as produced by authenticator apps (Google
+ * Authenticator, Authy, 1Password...): HOTP (RFC 4226) over the number of
+ * 30-second steps since the Unix epoch, HMAC-SHA1, 6 digits.
+ * 
+ * Secrets are exchanged in base32 (RFC 4648), the encoding otpauth:// URIs
+ * and authenticator apps use.
+ * 
+ * @example
+ * const secret = generateSecret();
+ * otpauthUri({ secret, issuer: 'Friends API', account: 'john_doe' });
+ * verifyTotp(secret, '492039'); // -> the matching time step, or null
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as base32, without padding
+ * 
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decode base32 (case-insensitive; spaces and padding are ignored)
+ * 
+ * @param {string} text - base32 text
+ * @returns {Buffer}
+ * @throws {Error} - If the text contains a character outside the alphabet
+ */
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character '${char}'`);
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random secret (160 bits, as recommended by RFC 4226)
+ * 
+ * @returns {string} - base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute an HOTP code (RFC 4226)
+ * 
+ * @param {string} secret - base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step a moment falls in
+ * 
+ * @param {number} [timeMs] - Unix time in milliseconds (default: now)
+ * @returns {number}
+ */
+const timeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the TOTP code for a moment
+ * 
+ * @param {string} secret - base32 secret
+ * @param {number} [timeMs] - Unix time in milliseconds (default: now)
+ * @returns {string}
+ */
+const totp = (secret, timeMs) => hotp(secret, timeStep(timeMs));
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * 
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.window] - Steps accepted before and after the
+ *                                    current one (default: 1)
+ * @param {number} [options.timeMs] - Current time (default: now)
+ * @returns {number|null} - The matching time step, or null
+ */
+const verifyTotp = (secret, code, { window = 1, timeMs } = {}) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const current = timeStep(timeMs);
+
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ * 
+ * @param {Object} options
+ * @param {string} options.secret - base32 secret
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {string} options.account - Account name shown in the app
+ * @returns {string}
+ */
+const otpauthUri = ({ secret, issuer, account }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    timeStep,
+    totp,
+    verifyTotp,
+    otpauthUri
+};
@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * Friends Trash
+ * ============================================================================
+ * 
+ * Deleting a friend moves it to the owner's trash instead of removing it.
+ * From there it can be restored until the retention period runs out, after
+ * which it is purged for good.
+ * 
+ * Expired entries are purged:
+ * 1. Whenever a user's trash is read (so listings are always accurate)
+ * 2. By a background sweep over every user (purgeAllTrash), run by the job
+ *    runner (./jobs.js)
+ * Each purge takes the friend's lock and checks the entry again, so an entry
+ * restored (or deleted again) in the meantime is left alone.
+ * 
+ * CONFIGURATION (config.trash, see ./config.js):
+ * - retention      TRASH_RETENTION       Seconds a deleted friend can be restored (default: 2592000 = 30 days)
+ * - purgeInterval  TRASH_PURGE_INTERVAL  Seconds between background sweeps (default: 3600)
+ * ============================================================================
+ */
+
+const { SYSTEM_ACTOR, appendAudit } = require('./audit.js');
+
+/**
+ * Resolve the trash settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { retentionMs, purgeIntervalMs }
+ */
+const trashSettings = (config) => ({
+    retentionMs: config.trash.retention * 1000,
+    purgeIntervalMs: config.trash.purgeInterval * 1000
+});
+
+/**
+ * When a trashed friend will be purged
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Object} friend - Trashed record (with deletedAt)
+ * @returns {string} - ISO timestamp
+ */
+const purgeAt = (config, friend) => {
+    return new Date(new Date(friend.deletedAt).getTime() + trashSettings(config).retentionMs).toISOString();
+};
+
+/**
+ * Purge the expired entries of one user's trash
+ * 
+ * @param {Object} locals - The app's locals ({ store, config, auditEvents })
+ * @param {string} username - Owner of the trash
+ * @returns {Promise<Object[]>} - The entries still in the trash, most
+ *                                recently deleted first, each with purgeAt
+ */
+const purgeUserTrash = async (locals, username) => {
+    const { store } = locals;
+    const now = Date.now();
+    const remaining = [];
+
+    const expired = (friend) => new Date(purgeAt(locals.config, friend)).getTime() <= now;
+
+    for (const friend of await store.listTrash(username)) {
+        if (!expired(friend)) {
+            remaining.push({ ...friend, purgeAt: purgeAt(locals.config, friend) });
+            continue;
+        }
+
+        const purged = await store.deleteTrashedFriend(username, friend.id, { onlyIf: expired });
+        if (purged) {
+            await appendAudit(locals, {
+                action: 'friend.purge',
+                actor: SYSTEM_ACTOR,
+                owner: username,
+                friendId: purged.id,
+                before: purged,
+                reason: 'expired'
+            });
+        }
+    }
+
+    return remaining.sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : a.deletedAt > b.deletedAt ? -1 : 0));
+};
+
+/**
+ * Purge expired trash entries for every user
+ * 
+ * @param {Object} locals - The app's locals ({ store, config, auditEvents })
+ * @returns {Promise<void>}
+ */
+const purgeAllTrash = async (locals) => {
+    for (const user of await locals.store.listUsers()) {
+        await purgeUserTrash(locals, user.username);
+    }
+};
+
+module.exports = {
+    trashSettings,
+    purgeAt,
+    purgeUserTrash,
+    purgeAllTrash
+};
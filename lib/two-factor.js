@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * Two-Factor Authentication
+ * ============================================================================
+ * 
+ * Optional second login factor: a TOTP code from an authenticator app (see
+ * ./totp.js), or one of the user's one-time recovery codes when the device
+ * is lost.
+ * 
+ * ENROLMENT:
+ * 1. POST /me/2fa generates a secret and returns it with its otpauth:// URI
+ *    (pending: logins don't ask for a code yet)
+ * 2. POST /me/2fa/confirm with a code from the app turns 2FA on and returns
+ *    the recovery codes, once
+ * 
+ * LOGIN: with 2FA on, POST /login answers with a short-lived challenge token
+ * (see ./account-tokens.js, purpose "login-2fa") instead of access tokens;
+ * POST /login/2fa exchanges it, together with a code, for the tokens.
+ * 
+ * - A TOTP code is accepted one step (30s) before or after the current one,
+ *   and only once: the last step used is kept
+ * - A recovery code works once and is then removed
+ * - Recovery codes are stored as SHA-256 hashes, like refresh tokens
+ * 
+ * USER RECORD (user.twoFactor):
+ *   { pendingSecret, pendingSince }                 While enrolling
+ *   { enabled: true, secret, enabledAt, lastStep,
+ *     recoveryCodes: [sha256 hex...] }              Once confirmed
+ * 
+ * Every change runs under the user's lock (withUser() in ./users.js, shared
+ * with every other write of the user record), so a code can't be used
+ * twice by concurrent requests and no other write can undo a change.
+ * 
+ * CONFIGURATION (config.twoFactor, see ./config.js):
+ * - issuer  TOTP_ISSUER  Service name shown in authenticator apps (default: "Friends API")
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { generateSecret, otpauthUri, verifyTotp } = require('./totp.js');
+const { withUser } = require('./users.js');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Error raised when a two-factor change or check is not allowed
+ * 
+ * reason is one of: "not-found" (the user was deleted), "enabled",
+ * "not-enabled", "not-pending", "invalid-code"
+ */
+class TwoFactorError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Resolve the two-factor settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { issuer }
+ */
+const twoFactorSettings = (config) => ({
+    issuer: config.twoFactor.issuer
+});
+
+/**
+ * Run a task under the user's lock, failing if the user was deleted
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User to load
+ * @param {Function} task - async (user) => result
+ * @returns {Promise<*>} - The task's result
+ * @throws {TwoFactorError} - not-found
+ */
+const withExistingUser = (store, username, task) => {
+    return withUser(store, username, async (user) => {
+        if (!user) {
+            throw new TwoFactorError('not-found', "User not found");
+        }
+        return task(user);
+    });
+};
+
+/**
+ * Whether a user has confirmed two-factor authentication
+ * 
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+const isTwoFactorEnabled = (user) => Boolean(user.twoFactor && user.twoFactor.enabled);
+
+/**
+ * Hash a recovery code, ignoring case, dashes and spaces
+ * 
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes ("xxxx-xxxx", hexadecimal)
+ * 
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+/**
+ * Start enrolling: generate a new pending secret (replacing any earlier one)
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {Store} store - Storage backend
+ * @param {string} username - User enrolling
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ * @throws {TwoFactorError} - not-found or enabled
+ */
+const startEnrolment = (config, store, username) => {
+    return withExistingUser(store, username, async (user) => {
+        if (isTwoFactorEnabled(user)) {
+            throw new TwoFactorError('enabled', "Two-factor authentication is already enabled");
+        }
+
+        const secret = generateSecret();
+        user.twoFactor = { pendingSecret: secret, pendingSince: new Date().toISOString() };
+        await store.saveUser(user);
+
+        return {
+            secret: secret,
+            otpauthUri: otpauthUri({ secret, issuer: twoFactorSettings(config).issuer, account: username })
+        };
+    });
+};
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User enrolling
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} - The recovery codes (only ever returned here)
+ * @throws {TwoFactorError} - not-found, enabled, not-pending or invalid-code
+ */
+const confirmEnrolment = (store, username, code) => {
+    return withExistingUser(store, username, async (user) => {
+        if (isTwoFactorEnabled(user)) {
+            throw new TwoFactorError('enabled', "Two-factor authentication is already enabled");
+        }
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            throw new TwoFactorError('not-pending', "Start two-factor enrolment first (POST /me/2fa)");
+        }
+
+        const secret = user.twoFactor.pendingSecret;
+        const step = verifyTotp(secret, code);
+        if (step === null) {
+            throw new TwoFactorError('invalid-code', "Invalid authentication code");
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret: secret,
+            enabledAt: new Date().toISOString(),
+            lastStep: step,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+        };
+        await store.saveUser(user);
+
+        return recoveryCodes;
+    });
+};
+
+/**
+ * Check a second factor against a user record and use it up (the caller
+ * saves the record)
+ * 
+ * Six digits are checked as a TOTP code, anything else as a recovery code.
+ * 
+ * @param {Object} user - User record
+ * @param {string} code - TOTP or recovery code
+ * @returns {string} - The method used: "totp" or "recovery-code"
+ * @throws {TwoFactorError} - not-enabled or invalid-code
+ */
+const checkSecondFactor = (user, code) => {
+    if (!isTwoFactorEnabled(user)) {
+        throw new TwoFactorError('not-enabled', "Two-factor authentication is not enabled");
+    }
+
+    const twoFactor = user.twoFactor;
+
+    if (/^\d{6}$/.test(code)) {
+        const step = verifyTotp(twoFactor.secret, code);
+        if (step !== null && step > twoFactor.lastStep) {
+            twoFactor.lastStep = step;
+            return 'totp';
+        }
+    } else {
+        const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+        if (index !== -1) {
+            twoFactor.recoveryCodes.splice(index, 1);
+            return 'recovery-code';
+        }
+    }
+
+    throw new TwoFactorError('invalid-code', "Invalid authentication code");
+};
+
+/**
+ * Check a second factor at login and use it up
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User logging in
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<Object>} - { method, recoveryCodesLeft }
+ * @throws {TwoFactorError} - not-found, not-enabled or invalid-code
+ */
+const useSecondFactor = (store, username, code) => {
+    return withExistingUser(store, username, async (user) => {
+        const method = checkSecondFactor(user, code);
+        await store.saveUser(user);
+
+        return { method, recoveryCodesLeft: user.twoFactor.recoveryCodes.length };
+    });
+};
+
+/**
+ * Turn two-factor authentication off (the caller checks the password)
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<string>} - The method used: "totp" or "recovery-code"
+ * @throws {TwoFactorError} - not-found, not-enabled or invalid-code
+ */
+const disableTwoFactor = (store, username, code) => {
+    return withExistingUser(store, username, async (user) => {
+        const method = checkSecondFactor(user, code);
+
+        delete user.twoFactor;
+        await store.saveUser(user);
+        return method;
+    });
+};
+
+module.exports = {
+    TwoFactorError,
+    twoFactorSettings,
+    isTwoFactorEnabled,
+    startEnrolment,
+    confirmEnrolment,
+    useSecondFactor,
+    disableTwoFactor
+};
@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * User Record Helpers
+ * ============================================================================
+ */
+
+const { DEFAULT_ROLE } = require('./roles.js');
+
+/**
+ * Strip secrets and internal counters from a user record before it is sent
+ * in a response
+ * 
+ * @param {Object} user - Stored user record
+ * @returns {Object} - { id, username, displayName, email, emailVerified,
+ *                      twoFactorEnabled, timezone, reminderDays, role,
+ *                      locked, createdAt }
+ */
+const publicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName || null,
+    email: user.email || null,
+    emailVerified: Boolean(user.email && user.emailVerified),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    timezone: user.timezone || null,
+    reminderDays: user.reminderDays || null,
+    role: user.role || DEFAULT_ROLE,
+    locked: Boolean(user.locked),
+    createdAt: user.createdAt
+});
+
+/**
+ * Find the user that registered an email address
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} email - Email address (compared case-insensitively)
+ * @returns {Promise<Object|null>} - The user record, or null if none
+ */
+const findUserByEmail = async (store, email) => {
+    const wanted = email.toLowerCase();
+    const users = await store.listUsers();
+    return users.find(user => user.email && user.email.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Lock keys for Store#exclusive()
+ * 
+ * Every read-modify-write of a user record (creating it included) runs
+ * under the username's key, so no write can overwrite another one made in
+ * between, e.g. the 2FA step that blocks code replay. Claiming an email
+ * address (registering with it or changing to it) runs under the address's
+ * key, so two requests can't both find it free. When both are needed, the
+ * username's key is taken first.
+ */
+const userLockKey = (username) => `user:${username}`;
+const emailLockKey = (email) => `email:${email.toLowerCase()}`;
+
+/**
+ * Load a user and run a task under the user's lock
+ * 
+ * The task gets the current record (null if there is no such user) and
+ * saves it itself. It must not take the same lock again.
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - User
+ * @param {Function} task - async (user) => result
+ * @returns {Promise<*>} - What task returned
+ * 
+ * @example
+ * await withUser(store, 'john_doe', async (user) => {
+ *     user.displayName = 'Johnny';
+ *     return store.saveUser(user);
+ * });
+ */
+const withUser = (store, username, task) => {
+    return store.exclusive(userLockKey(username), async () => task(await store.getUser(username)));
+};
+
+module.exports = {
+    publicUser,
+    findUserByEmail,
+    userLockKey,
+    emailLockKey,
+    withUser
+};
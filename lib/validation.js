@@ -0,0 +1,390 @@
+/**
+ * ============================================================================
+ * Declarative Request Validation
+ * ============================================================================
+ * 
+ * A small schema language used to describe request bodies, route parameters
+ * and query strings (see ./schemas.js for the schemas themselves and
+ * ../middleware/validate.js for the Express middleware).
+ * 
+ * A schema maps field names to rules:
+ * 
+ *   {
+ *     email: { type: 'email', required: true },
+ *     DOB:   { type: 'date', required: true },
+ *     note:  { type: 'string', maxLength: 500, nullable: true }
+ *   }
+ * 
+ * RULE OPTIONS:
+ * - type       string | email | url | date | timestamp | timezone
+ *              | password | integer | boolean | enum | array | object | map
+ * - required   Field must be present (and, for strings, non-empty)
+ * - nullable   null is accepted (and kept) as a value
+ * - minLength, maxLength, pattern, patternMessage   (string-like types)
+ * - trim       false to keep surrounding whitespace (string)
+ * - lowercase  true to lowercase the value (string)
+ * - min, max   (integer)
+ * - values     (enum) allowed values
+ * - items      (array, map) rule for every element / value
+ * - minItems   (array) minimum number of elements
+ * - maxItems   (array, map) maximum number of elements / keys
+ * - unique     (array) drop repeated elements
+ * - schema     (object) nested schema, validated like a top-level one
+ * - keyPattern, keyPatternMessage, keyMaxLength   (map) rules for keys
+ * 
+ * Errors inside arrays, objects and maps are reported with a path, e.g.
+ * "phones[1].number" or "customFields.shoe size".
+ * 
+ * Fields not declared in the schema are rejected. Strings are trimmed, and
+ * integers / booleans are coerced from strings (query parameters), so the
+ * validated copy is what route handlers should use.
+ * 
+ * Every failing field is reported, not just the first one.
+ * 
+ * Password rules check the policy passed in options.passwordPolicy (see
+ * passwordPolicy() in ./password.js); ../middleware/validate.js passes the
+ * app's.
+ * ============================================================================
+ */
+
+/**
+ * Email address format (RFC 5322 "dot-atom" local part, dotted host name)
+ */
+const EMAIL_PATTERN = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)+$/;
+
+/**
+ * Date format used throughout the API: DD-MM-YYYY
+ */
+const DATE_PATTERN = /^(\d{2})-(\d{2})-(\d{4})$/;
+
+/**
+ * Timestamp format: an ISO 8601 date, optionally with a time and zone
+ * (2024-05-01, 2024-05-01T10:00:00Z, 2024-05-01T12:00:00+02:00)
+ */
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Parse a DD-MM-YYYY string into a UTC Date, rejecting impossible dates
+ * (31-02-2000, 29-02-2001...)
+ * 
+ * @param {string} value - Date string
+ * @returns {Date|null} - The parsed date, or null if invalid
+ * 
+ * @example
+ * parseDate('29-02-2000'); // Returns: Date(2000-02-29)
+ * parseDate('29-02-2001'); // Returns: null
+ */
+const parseDate = (value) => {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date;
+};
+
+/**
+ * Check a value against a password policy
+ * 
+ * @param {string} value - Candidate password
+ * @param {Object} policy - Password policy (see passwordPolicy() in ./password.js)
+ * @returns {string[]} - Unmet requirements (empty if the password is fine)
+ */
+const checkPasswordPolicy = (value, policy) => {
+    const problems = [];
+
+    if (value.length < policy.minLength) problems.push(`at least ${policy.minLength} characters`);
+    if (value.length > policy.maxLength) problems.push(`at most ${policy.maxLength} characters`);
+    if (policy.requireLowercase && !/[a-z]/.test(value)) problems.push('a lowercase letter');
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) problems.push('an uppercase letter');
+    if (policy.requireDigit && !/\d/.test(value)) problems.push('a digit');
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) problems.push('a symbol');
+
+    return problems;
+};
+
+/**
+ * Validate a single value against its rule
+ * 
+ * @param {*} value - Raw value (never undefined or null here)
+ * @param {Object} rule - Field rule
+ * @param {Object} options - Validation options (see validateObject)
+ * @returns {{value: *, error: string|null}} - Cleaned value or error message
+ */
+const checkValue = (value, rule, options) => {
+    const fail = (error) => ({ value, error });
+
+    switch (rule.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number)) return fail('must be an integer');
+            if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+            return { value: number, error: null };
+        }
+
+        case 'boolean': {
+            const bool = value === 'true' ? true : value === 'false' ? false : value;
+            if (typeof bool !== 'boolean') return fail('must be a boolean');
+            return { value: bool, error: null };
+        }
+
+        case 'enum':
+            if (!rule.values.includes(value)) return fail(`must be one of: ${rule.values.join(', ')}`);
+            return { value, error: null };
+
+        case 'password': {
+            // Passwords are never trimmed
+            if (typeof value !== 'string' || value === '') return fail('must be a non-empty string');
+            const problems = checkPasswordPolicy(value, options.passwordPolicy);
+            if (problems.length > 0) return fail(`must contain ${problems.join(', ')}`);
+            return { value, error: null };
+        }
+
+        case 'timestamp': {
+            // Normalized to a UTC ISO string, so it compares with stored timestamps
+            const time = typeof value === 'string' && TIMESTAMP_PATTERN.test(value.trim()) ? new Date(value.trim()) : null;
+            if (!time || Number.isNaN(time.getTime())) return fail('must be an ISO 8601 date or date-time');
+            return { value: time.toISOString(), error: null };
+        }
+
+        default: {
+            // string, email and date are all string-like
+            if (typeof value !== 'string') return fail('must be a string');
+            const text = rule.trim === false ? value : value.trim();
+
+            if (rule.required && text === '') return fail('must not be empty');
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                return fail(`must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                return fail(`must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(text)) {
+                return fail(rule.patternMessage || 'has an invalid format');
+            }
+
+            if (rule.type === 'email') {
+                if (text.length > 254 || !EMAIL_PATTERN.test(text)) return fail('must be a valid email address');
+            }
+
+            if (rule.lowercase) {
+                return { value: text.toLowerCase(), error: null };
+            }
+
+            if (rule.type === 'url') {
+                let url;
+                try {
+                    url = new URL(text);
+                } catch (error) {
+                    url = null;
+                }
+                if (!url || !['http:', 'https:'].includes(url.protocol)) return fail('must be an http or https URL');
+                return { value: url.href, error: null };
+            }
+
+            if (rule.type === 'timezone') {
+                // IANA name, normalized to its canonical spelling
+                try {
+                    return { value: new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone, error: null };
+                } catch (error) {
+                    return fail('must be an IANA timezone name, e.g. "Europe/Paris"');
+                }
+            }
+
+            if (rule.type === 'date') {
+                const date = parseDate(text);
+                if (!date) return fail('must be a valid date in DD-MM-YYYY format');
+                if (date.getTime() > Date.now()) return fail('must not be in the future');
+                if (date.getUTCFullYear() < 1900) return fail('must not be before 1900');
+            }
+
+            return { value: text, error: null };
+        }
+    }
+};
+
+const COMPOSITE_TYPES = ['array', 'object', 'map'];
+
+/**
+ * Validate an array, object or map, collecting errors for every element
+ * 
+ * @param {*} value - Raw value (never undefined or null here)
+ * @param {Object} rule - Field rule
+ * @param {string} path - Path of the value (used in error entries)
+ * @param {string} location - body, params, query...
+ * @param {Object} options - Validation options (see validateObject)
+ * @returns {{value: *, errors: Array}} - Cleaned value and error entries
+ */
+const checkComposite = (value, rule, path, location, options) => {
+    const fail = (message) => ({ value, errors: [{ field: path, location, message }] });
+    const errors = [];
+
+    if (rule.type === 'object') {
+        const result = validateFields(value, rule.schema, location, path, options);
+        if (result.errors.length === 0 && rule.minProperties && Object.keys(result.value).length < rule.minProperties) {
+            return fail('must not be empty');
+        }
+        return result;
+    }
+
+    if (rule.type === 'array') {
+        if (!Array.isArray(value)) return fail('must be an array');
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            return fail(`must have at least ${rule.minItems} item(s)`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return fail(`must have at most ${rule.maxItems} items`);
+        }
+
+        let items = value.map((item, index) => {
+            const result = checkField(item, rule.items, `${path}[${index}]`, location, options);
+            errors.push(...result.errors);
+            return result.value;
+        });
+
+        if (rule.unique) {
+            const seen = new Set();
+            items = items.filter(item => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        return { value: items, errors };
+    }
+
+    // map: an object with arbitrary (checked) keys and uniform values
+    if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+
+    const keys = Object.keys(value);
+    if (rule.maxItems !== undefined && keys.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} keys`);
+    }
+
+    const entries = {};
+    for (const key of keys) {
+        const name = `${path}.${key}`;
+        const cleanKey = key.trim();
+
+        if (cleanKey === '' || (rule.keyMaxLength !== undefined && cleanKey.length > rule.keyMaxLength)) {
+            errors.push({ field: name, location, message: `key must be 1-${rule.keyMaxLength || 'n'} characters` });
+            continue;
+        }
+        if (rule.keyPattern && !rule.keyPattern.test(cleanKey)) {
+            errors.push({ field: name, location, message: rule.keyPatternMessage || 'key has an invalid format' });
+            continue;
+        }
+
+        const result = checkField(value[key], rule.items, name, location, options);
+        errors.push(...result.errors);
+        entries[cleanKey] = result.value;
+    }
+
+    return { value: entries, errors };
+};
+
+/**
+ * Validate one value of any type (null and undefined elements of arrays and
+ * maps count as missing)
+ * 
+ * @returns {{value: *, errors: Array}} - Cleaned value and error entries
+ */
+const checkField = (value, rule, path, location, options) => {
+    if (value === undefined || value === null) {
+        return { value, errors: [{ field: path, location, message: 'is required' }] };
+    }
+
+    if (COMPOSITE_TYPES.includes(rule.type)) {
+        return checkComposite(value, rule, path, location, options);
+    }
+
+    const result = checkValue(value, rule, options);
+    return result.error
+        ? { value, errors: [{ field: path, location, message: result.error }] }
+        : { value: result.value, errors: [] };
+};
+
+/**
+ * Validate the fields of an object, prefixing error paths
+ * 
+ * @returns {{value: Object, errors: Array}}
+ */
+const validateFields = (input, schema, location, prefix, options) => {
+    const errors = [];
+    const value = {};
+    const pathOf = (field) => prefix ? `${prefix}.${field}` : field;
+
+    if (input === undefined || input === null) {
+        input = {};
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: [{ field: prefix, location, message: 'must be a JSON object' }] };
+    }
+
+    for (const field of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+            errors.push({ field: pathOf(field), location, message: 'is not allowed' });
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = input[field];
+
+        if (raw === undefined) {
+            if (rule.required) errors.push({ field: pathOf(field), location, message: 'is required' });
+            continue;
+        }
+
+        if (raw === null) {
+            if (rule.nullable) {
+                value[field] = null;
+            } else {
+                errors.push({ field: pathOf(field), location, message: rule.required ? 'is required' : 'must not be null' });
+            }
+            continue;
+        }
+
+        const result = checkField(raw, rule, pathOf(field), location, options);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+        } else {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Validate an object against a schema
+ * 
+ * @param {Object} input - Object to validate (e.g. req.body)
+ * @param {Object} schema - Map of field name -> rule
+ * @param {string} [location] - Prefix used in error entries (body, params, query)
+ * @param {Object} [options]
+ * @param {Object} [options.passwordPolicy] - Policy for password fields
+ *                                            (required if the schema has any)
+ * @returns {{value: Object, errors: Array<{field: string, location: string, message: string}>}}
+ * 
+ * @example
+ * validateObject({ email: 'nope' }, { email: { type: 'email', required: true } }, 'body');
+ * // Returns: { value: {}, errors: [{ field: 'email', location: 'body', message: 'must be a valid email address' }] }
+ */
+const validateObject = (input, schema, location = 'body', options = {}) => {
+    return validateFields(input, schema, location, '', options);
+};
+
+module.exports = {
+    EMAIL_PATTERN,
+    parseDate,
+    validateObject
+};
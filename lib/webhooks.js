@@ -0,0 +1,592 @@
+/**
+ * ============================================================================
+ * Outgoing Webhooks
+ * ============================================================================
+ * 
+ * Users register URLs (POST /webhooks) that receive a signed JSON POST when
+ * one of their events happens:
+ * 
+ * | Event               | Sent when                         | data                           |
+ * | ------------------- | --------------------------------- | ------------------------------ |
+ * | friend.created      | A friend is added (also import)   | { friend }                     |
+ * | friend.updated      | A friend changes                  | { friend, previous, changes }  |
+ * | friend.deleted      | A friend is moved to the trash    | { friend }                     |
+ * | friend.restored     | A friend is restored              | { friend }                     |
+ * | user.login          | The user logs in                  | { username, ip, userAgent }    |
+ * | birthday.reminder   | A birthday reminder is due        | { friend, birthday, turning, daysUntil } |
+ * | webhook.test        | POST /webhooks/:id/test           | { message }                    |
+ * 
+ * Friend and login events come from the audit log (./audit.js), birthday
+ * reminders from the notification hook (./notifications.js).
+ * 
+ * PAYLOAD:
+ *   { id, type, createdAt, username, data }
+ * 
+ * HEADERS:
+ * - X-Webhook-Id          Event id (the same for every retry: deduplicate on it)
+ * - X-Webhook-Event       Event type
+ * - X-Webhook-Delivery    Delivery id
+ * - X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *                         keyed with the webhook's secret (see verifySignature)
+ * 
+ * DELIVERY:
+ * 1. The first attempt is made right away
+ * 2. Any answer other than 2xx (or no answer) is retried with exponential
+ *    backoff: retryDelayMs, then twice that, four times... until
+ *    maxAttempts attempts have been made
+ * 3. Every attempt is logged on the delivery (GET /webhooks/:id/deliveries);
+ *    the newest deliveryLog deliveries are kept per webhook
+ * 
+ * Retries are made by the webhook-retries job (./jobs.js) and survive a
+ * restart with a persistent storage driver. Redirects are not followed.
+ * 
+ * After disableAfter deliveries in a row have failed for good, the webhook
+ * is paused (active: false, with disabledAt and disabledReason);
+ * reactivating it with PATCH /webhooks/:id starts the count again. Test
+ * deliveries don't count.
+ * 
+ * DESTINATIONS: a webhook may not point at this host or at a private
+ * network. The URL's host is resolved before every attempt, and the
+ * request is refused if any address it resolves to is loopback, private,
+ * link-local (which includes cloud metadata endpoints such as
+ * 169.254.169.254), multicast or reserved. The connection is then made to
+ * the address that was checked, so the name can't be re-pointed in
+ * between. Hosts (names or addresses) listed in allowedHosts are exempt,
+ * e.g. a receiver on the internal network or 127.0.0.1 in tests.
+ * 
+ * CONFIGURATION (config.webhooks, see ./config.js):
+ * - timeoutMs        WEBHOOK_TIMEOUT         Milliseconds to wait for an answer (default: 5000)
+ * - maxAttempts      WEBHOOK_MAX_ATTEMPTS    Attempts per delivery (default: 5)
+ * - retryDelayMs     WEBHOOK_RETRY_DELAY     Milliseconds before the first retry (default: 10000)
+ * - retryIntervalMs  WEBHOOK_RETRY_INTERVAL  Milliseconds between checks for due retries (default: 5000)
+ * - deliveryLog      WEBHOOK_DELIVERY_LOG    Deliveries kept per webhook (default: 50)
+ * - disableAfter     WEBHOOK_DISABLE_AFTER   Failed deliveries in a row before the webhook
+ *                                            is paused (default: 10)
+ * - allowedHosts     WEBHOOK_ALLOWED_HOSTS   Host names or addresses exempt from the
+ *                                            destination check, comma-separated (default: none)
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+    'friend.created',
+    'friend.updated',
+    'friend.deleted',
+    'friend.restored',
+    'user.login',
+    'birthday.reminder'
+];
+
+const TEST_EVENT = 'webhook.test';
+
+// Signatures older than this are rejected by verifySignature()
+const SIGNATURE_TOLERANCE = 5 * 60;
+
+/**
+ * Addresses webhooks are never sent to (unless allowed by allowedHosts):
+ * this host, private networks, link-local, multicast and reserved ranges,
+ * and the IPv6 ranges that embed an IPv4 address (IPv4-compatible ::/96,
+ * NAT64 64:ff9b::/96 and 6to4 2002::/16), which can reach any of those
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Error raised when a webhook URL may not be used
+ * 
+ * reason is one of: "blocked", "unresolvable"
+ */
+class WebhookDestinationError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'WebhookDestinationError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Resolve the webhook settings from the config
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @returns {Object} - { timeoutMs, maxAttempts, retryDelayMs, retryIntervalMs, logSize,
+ *                       disableAfter, allowedHosts }
+ */
+const webhookSettings = (config) => ({
+    timeoutMs: config.webhooks.timeoutMs,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryDelayMs: config.webhooks.retryDelayMs,
+    retryIntervalMs: config.webhooks.retryIntervalMs,
+    logSize: config.webhooks.deliveryLog,
+    disableAfter: config.webhooks.disableAfter,
+    allowedHosts: config.webhooks.allowedHosts
+});
+
+/**
+ * ----------------------------------------------------------------------------
+ * Secrets and Signatures
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Generate a signing secret for a new webhook
+ * 
+ * @returns {string} - e.g. "whsec_3q2+7w..."
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Compute a signature
+ * 
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} - Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+const computeSignature = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Build the X-Webhook-Signature header for a body
+ * 
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {Date} [now] - Signing time
+ * @returns {string} - "t=<unix seconds>,v1=<hex signature>"
+ */
+const signatureHeader = (secret, body, now = new Date()) => {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+};
+
+/**
+ * Check an X-Webhook-Signature header (for receivers)
+ * 
+ * @param {string} secret - Webhook secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body, exactly as received
+ * @param {number} [tolerance] - Maximum age in seconds (default: 300)
+ * @returns {boolean} - True if the signature is valid and recent
+ * 
+ * @example
+ * verifySignature(secret, req.get('X-Webhook-Signature'), rawBody); // Returns: true
+ */
+const verifySignature = (secret, header, body, tolerance = SIGNATURE_TOLERANCE) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > tolerance) return false;
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, body));
+    const actual = Buffer.from(parts.v1);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Strip the secret from a webhook record before it is sent in a response
+ * 
+ * @param {Object} webhook - Stored webhook record
+ * @returns {Object} - { id, url, events, description, active, createdAt, updatedAt,
+ *                       consecutiveFailures, disabledAt, disabledReason }
+ */
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * ----------------------------------------------------------------------------
+ * Destinations
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Whether an address is on a blocked range
+ * 
+ * IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4.
+ * 
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+    const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+
+    if (mapped) {
+        const ipv4 = mapped[1] || [parseInt(mapped[2], 16), parseInt(mapped[3], 16)]
+            .flatMap(word => [word >> 8, word & 255])
+            .join('.');
+        return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+    }
+
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Resolve a webhook URL's host and check every address it resolves to
+ * 
+ * @param {Object} config - Application config (see ./config.js)
+ * @param {string} url - Webhook URL
+ * @returns {Promise<{address: string, family: number}>} - The address to connect to
+ * @throws {WebhookDestinationError} - blocked, unresolvable
+ */
+const resolveDestination = async (config, url) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const { allowedHosts } = webhookSettings(config);
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new WebhookDestinationError('unresolvable', `Can't resolve ${host}`);
+    }
+
+    const allowed = (address) => allowedHosts.some(entry => entry.toLowerCase() === host.toLowerCase() || entry === address);
+    if (addresses.some(({ address }) => isBlockedAddress(address) && !allowed(address))) {
+        throw new WebhookDestinationError('blocked', `${host} is a private or local address`);
+    }
+
+    return addresses[0];
+};
+
+/**
+ * POST a body to a checked destination, without following redirects
+ * 
+ * @param {string} url - Webhook URL
+ * @param {Object} options
+ * @param {{address: string, family: number}} options.destination - From resolveDestination()
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeoutMs - Time allowed for the answer
+ * @returns {Promise<number>} - The status code of the answer
+ */
+const post = (url, { destination, headers, body, timeoutMs }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        // Connect to the checked address, whatever the name resolves to now
+        lookup: (hostname, options, callback) => options.all
+            ? callback(null, [destination])
+            : callback(null, destination.address, destination.family),
+        signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+});
+
+/**
+ * Count a delivery that is over against its webhook, pausing the webhook
+ * after too many failures in a row
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {string} username - Owner of the webhook
+ * @param {Object} delivery - Delivery that succeeded or failed for good
+ * @returns {Promise<void>}
+ */
+const recordOutcome = ({ store, config }, username, delivery) => {
+    return store.exclusive(`webhook:${username}:${delivery.webhookId}`, async () => {
+        const webhook = await store.getWebhook(username, delivery.webhookId);
+        if (!webhook) return;
+
+        if (delivery.status === 'succeeded') {
+            if (!webhook.consecutiveFailures) return;
+            webhook.consecutiveFailures = 0;
+        } else {
+            const { disableAfter } = webhookSettings(config);
+            webhook.consecutiveFailures = (webhook.consecutiveFailures || 0) + 1;
+
+            if (webhook.active && webhook.consecutiveFailures >= disableAfter) {
+                webhook.active = false;
+                webhook.disabledAt = new Date().toISOString();
+                webhook.disabledReason = `Paused after ${webhook.consecutiveFailures} failed deliveries in a row`;
+            }
+        }
+
+        await store.saveWebhook(username, webhook);
+    });
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Delivery
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * Make one delivery attempt, if the delivery is still due
+ * 
+ * Runs exclusively per delivery, so the first attempt and the retry job
+ * never send the same attempt twice. A blocked destination fails the
+ * delivery without retries.
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {string} username - Owner of the webhook
+ * @param {string} deliveryId - Delivery to attempt
+ * @returns {Promise<Object|null>} - The updated delivery, or null if it's gone
+ */
+const attemptDelivery = async (locals, username, deliveryId) => {
+    const { store, config } = locals;
+    let finished = false;
+
+    const result = await store.exclusive(`deliveries:${username}:${deliveryId}`, async () => {
+        const delivery = await store.getDelivery(username, deliveryId);
+        if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > new Date()) {
+            return delivery;
+        }
+
+        const webhook = await store.getWebhook(username, delivery.webhookId);
+        if (!webhook) return null;
+
+        const settings = webhookSettings(config);
+        const body = JSON.stringify(delivery.payload);
+        const started = Date.now();
+        const attempt = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+        let blocked = false;
+
+        try {
+            const destination = await resolveDestination(config, webhook.url);
+            attempt.statusCode = await post(webhook.url, {
+                destination: destination,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'friends-api-webhooks/1.0',
+                    'X-Webhook-Id': delivery.payload.id,
+                    'X-Webhook-Event': delivery.payload.type,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': signatureHeader(webhook.secret, body)
+                },
+                body: body,
+                timeoutMs: settings.timeoutMs
+            });
+
+            if (attempt.statusCode < 200 || attempt.statusCode > 299) {
+                attempt.error = `Receiver answered ${attempt.statusCode}`;
+            }
+        } catch (error) {
+            blocked = error instanceof WebhookDestinationError && error.reason === 'blocked';
+            attempt.error = error.name === 'AbortError' ? `No answer within ${settings.timeoutMs}ms` : error.message;
+        }
+        attempt.durationMs = Date.now() - started;
+
+        delivery.attempts.push(attempt);
+
+        if (!attempt.error) {
+            delivery.status = 'succeeded';
+            delivery.nextAttemptAt = null;
+        } else if (blocked || delivery.attempts.length >= (delivery.maxAttempts || settings.maxAttempts)) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            const delay = settings.retryDelayMs * 2 ** (delivery.attempts.length - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+
+        finished = delivery.status !== 'pending';
+        return store.saveDelivery(username, delivery);
+    });
+
+    if (finished && result.payload.type !== TEST_EVENT) {
+        await recordOutcome(locals, username, result);
+    }
+
+    return result;
+};
+
+/**
+ * Drop the oldest finished deliveries of a webhook beyond the log size
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {string} username - Owner of the webhook
+ * @param {string} webhookId - Webhook id
+ * @returns {Promise<void>}
+ */
+const pruneDeliveries = async ({ store, config }, username, webhookId) => {
+    const deliveries = (await store.listDeliveries(username))
+        .filter(delivery => delivery.webhookId === webhookId)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+
+    for (const delivery of deliveries.slice(webhookSettings(config).logSize)) {
+        if (delivery.status !== 'pending') {
+            await store.deleteDelivery(username, delivery.id);
+        }
+    }
+};
+
+/**
+ * Send an event to one webhook and make the first attempt
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {string} username - Owner of the webhook
+ * @param {Object} webhook - Webhook record
+ * @param {Object} event - Payload ({ id, type, createdAt, username, data })
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Override config.webhooks.maxAttempts
+ * @returns {Promise<Object>} - The delivery after its first attempt
+ */
+const deliver = async (locals, username, webhook, event, options = {}) => {
+    const { store } = locals;
+    const now = new Date().toISOString();
+
+    const delivery = await store.saveDelivery(username, {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        event: event.type,
+        url: webhook.url,
+        payload: event,
+        status: 'pending',
+        attempts: [],
+        maxAttempts: options.maxAttempts,
+        createdAt: now,
+        nextAttemptAt: now
+    });
+
+    await pruneDeliveries(locals, username, webhook.id);
+    return attemptDelivery(locals, username, delivery.id);
+};
+
+/**
+ * Send an event to every active webhook of a user subscribed to its type
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {string} username - The user the event belongs to
+ * @param {string} type - Event type (one of WEBHOOK_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {Promise<Object[]>} - The deliveries after their first attempt
+ */
+const dispatchEvent = async (locals, username, type, data) => {
+    const webhooks = (await locals.store.listWebhooks(username))
+        .filter(webhook => webhook.active && webhook.events.includes(type));
+    if (webhooks.length === 0) return [];
+
+    const event = {
+        id: crypto.randomUUID(),
+        type: type,
+        createdAt: new Date().toISOString(),
+        username: username,
+        data: data
+    };
+
+    return Promise.all(webhooks.map(webhook => deliver(locals, username, webhook, event)));
+};
+
+/**
+ * Turn an audit event into a webhook event
+ * 
+ * @param {Object} event - Audit event (see ./audit.js)
+ * @returns {Object|null} - { username, type, data }, or null if no webhook
+ *                          event corresponds
+ */
+const fromAuditEvent = (event) => {
+    switch (event.action) {
+        case 'friend.create':
+            return { username: event.owner, type: 'friend.created', data: { friend: event.after } };
+        case 'friend.update':
+            return {
+                username: event.owner,
+                type: 'friend.updated',
+                data: { friend: event.after, previous: event.before, changes: event.changes }
+            };
+        case 'friend.delete':
+            return { username: event.owner, type: 'friend.deleted', data: { friend: event.before } };
+        case 'friend.restore':
+            return { username: event.owner, type: 'friend.restored', data: { friend: event.after } };
+        case 'auth.login':
+            return {
+                username: event.actor,
+                type: 'user.login',
+                data: { username: event.actor, ip: event.ip, userAgent: event.userAgent }
+            };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Forward an audit event to the user's webhooks (listener for
+ * app.locals.auditEvents "recorded"; errors are logged, never thrown)
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {Object} event - Audit event
+ * @returns {Promise<void>}
+ */
+const dispatchAuditEvent = async (locals, event) => {
+    const webhookEvent = fromAuditEvent(event);
+    if (!webhookEvent) return;
+
+    try {
+        await dispatchEvent(locals, webhookEvent.username, webhookEvent.type, webhookEvent.data);
+    } catch (error) {
+        console.error(`Error dispatching ${webhookEvent.type} webhooks:`, error);
+    }
+};
+
+/**
+ * Forward a birthday reminder to the user's webhooks (listener for the
+ * "birthday.reminder" notification; errors are logged, never thrown)
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @param {Object} notification - Notification (see ./reminders.js)
+ * @returns {Promise<void>}
+ */
+const dispatchReminder = async (locals, { username, friend, birthday, turning, daysUntil }) => {
+    try {
+        await dispatchEvent(locals, username, 'birthday.reminder', { friend, birthday, turning, daysUntil });
+    } catch (error) {
+        console.error("Error dispatching birthday.reminder webhooks:", error);
+    }
+};
+
+/**
+ * Make every retry that is due, for every user (the webhook-retries job)
+ * 
+ * @param {Object} locals - The app's locals ({ store, config })
+ * @returns {Promise<void>}
+ */
+const retryDueDeliveries = async (locals) => {
+    const now = new Date();
+
+    for (const user of await locals.store.listUsers()) {
+        const due = (await locals.store.listDeliveries(user.username))
+            .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= now);
+
+        for (const delivery of due) {
+            await attemptDelivery(locals, user.username, delivery.id);
+        }
+    }
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    WebhookDestinationError,
+    resolveDestination,
+    webhookSettings,
+    generateSecret,
+    signatureHeader,
+    verifySignature,
+    publicWebhook,
+    deliver,
+    dispatchEvent,
+    fromAuditEvent,
+    dispatchAuditEvent,
+    dispatchReminder,
+    retryDueDeliveries
+};
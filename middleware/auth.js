@@ -0,0 +1,268 @@
+/**
+ * ============================================================================
+ * Authentication Middleware
+ * ============================================================================
+ * 
+ * Protects routes by requiring a valid JWT access token. The token can come
+ * from either of two places:
+ * 
+ * 1. An "Authorization: Bearer <token>" header (API clients without cookies)
+ * 2. The express-session created by /login (browser clients)
+ * 
+ * The header wins when both are present.
+ * 
+ * Personal access tokens (see ../lib/personal-tokens.js) are refused here;
+ * routes that check token scopes use scopedAuthMiddleware instead, which
+ * accepts them as Bearer tokens too.
+ * 
+ * WORKFLOW:
+ * 1. Extract the token from the Authorization header or the session
+ * 2. Verify signature, expiry, issuer and audience (see ../lib/tokens.js)
+ * 3. Load the user named by the token and make sure its id matches "sub",
+ *    so tokens of a deleted account never unlock a re-registered one, and
+ *    that the account isn't locked
+ * 4. Reject tokens that were revoked server-side (see ../lib/revocation.js):
+ *    - the jti is on the revocation list
+ *    - the "ver" claim is older than the user's token version
+ *    - the login session ("sid" claim) was ended
+ * 5. Record session activity and attach the user to req.user
+ * 
+ * Long-lived responses (GET /friends/stream) call stillAuthenticated()
+ * periodically to run the same checks again and end once the credentials
+ * were revoked, the account locked or the password changed.
+ * ============================================================================
+ */
+
+const { verifyAccessToken } = require('../lib/tokens.js');
+const { isPersonalToken, authenticatePersonalToken } = require('../lib/personal-tokens.js');
+const { isAccessTokenRevoked } = require('../lib/revocation.js');
+const { withFamily } = require('../lib/refresh-tokens.js');
+const { DEFAULT_ROLE } = require('../lib/roles.js');
+
+/**
+ * How often (in ms) a session's lastSeenAt is written back to storage
+ */
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+/**
+ * Read the access token from the request
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The encoded token, or null if none was sent
+ */
+const extractToken = (req) => {
+    const header = req.get('Authorization');
+
+    if (header) {
+        const [scheme, token] = header.split(' ');
+        if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+            return token;
+        }
+    }
+
+    if (req.session && req.session.authorization) {
+        return req.session.authorization.accessToken;
+    }
+
+    return null;
+};
+
+/**
+ * Check that a login session is still active and record its use
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} sessionId - Refresh token family id ("sid" claim)
+ * @param {Object} user - Authenticated user record
+ * @returns {Promise<boolean>} - True if the session is active
+ */
+const touchSession = async (store, sessionId, user) => {
+    const family = await store.getTokenFamily(sessionId);
+
+    if (!family || family.revokedAt || family.userId !== user.id) {
+        return false;
+    }
+
+    if (Date.now() - new Date(family.lastSeenAt).getTime() > LAST_SEEN_INTERVAL) {
+        // Under the family's lock, so a concurrent revocation isn't undone
+        return withFamily(store, sessionId, async (current) => {
+            if (!current || current.revokedAt) return false;
+
+            current.lastSeenAt = new Date().toISOString();
+            await store.saveTokenFamily(current);
+            return true;
+        });
+    }
+
+    return true;
+};
+
+/**
+ * Verify an access token and load its user
+ * 
+ * @param {Object} config - Application config (see ../lib/config.js)
+ * @param {Store} store - Storage backend
+ * @param {string} token - Encoded access token
+ * @returns {Promise<{claims: Object, user: Object}|null>} - null if the token
+ *          is invalid, expired or revoked, or its user is gone or locked
+ */
+const authenticateAccessToken = async (config, store, token) => {
+    let claims;
+    try {
+        claims = await verifyAccessToken(config, token);
+    } catch (err) {
+        return null;
+    }
+
+    const user = await store.getUser(claims.username);
+    const valid = Boolean(user) &&
+        user.id === claims.sub &&
+        !user.locked &&
+        (claims.ver || 0) === (user.tokenVersion || 0) &&
+        !(await isAccessTokenRevoked(store, claims.jti)) &&
+        (!claims.sid || await touchSession(store, claims.sid, user));
+
+    return valid ? { claims, user } : null;
+};
+
+/**
+ * Require a valid access token
+ * 
+ * On success, req.user is set to
+ * { id, username, role, tokenId, tokenExpiresAt, sessionId, scopes }
+ * (scopes is null: the role's permissions apply unrestricted).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authMiddleware = async (req, res, next) => {
+    const token = extractToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: "Authentication required. Please login first."
+        });
+    }
+
+    if (isPersonalToken(token)) {
+        return res.status(403).json({
+            success: false,
+            message: "Personal access tokens can only be used with /friends and /tags. Please login."
+        });
+    }
+
+    let found;
+    try {
+        found = await authenticateAccessToken(req.app.locals.config, req.app.locals.store, token);
+    } catch (error) {
+        console.error("Error loading authenticated user:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error while authenticating"
+        });
+    }
+
+    if (!found) {
+        return res.status(403).json({
+            success: false,
+            message: "Session expired or invalid. Please login again."
+        });
+    }
+
+    const { claims, user } = found;
+
+    // Attach user information to the request object for downstream handlers
+    req.user = {
+        id: user.id,
+        username: user.username,
+        role: user.role || DEFAULT_ROLE,
+        tokenId: claims.jti,
+        tokenExpiresAt: claims.exp,
+        sessionId: claims.sid || null,
+        scopes: null
+    };
+
+    next();
+};
+
+/**
+ * Require a valid access token or personal access token
+ * 
+ * For a personal access token, req.user is set to
+ * { id, username, role, tokenId: null, tokenExpiresAt, sessionId: null,
+ *   scopes, personalTokenId }, where tokenExpiresAt is null for tokens that
+ * never expire. Guard every route with requirePermission() (see
+ * ./permissions.js), which checks the scopes.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const scopedAuthMiddleware = async (req, res, next) => {
+    const token = extractToken(req);
+
+    if (!isPersonalToken(token)) {
+        return authMiddleware(req, res, next);
+    }
+
+    let found;
+    try {
+        found = await authenticatePersonalToken(req.app.locals.store, token);
+    } catch (error) {
+        console.error("Error loading personal access token:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error while authenticating"
+        });
+    }
+
+    if (!found) {
+        return res.status(403).json({
+            success: false,
+            message: "Personal access token is invalid, expired or revoked."
+        });
+    }
+
+    const { record, user } = found;
+    req.user = {
+        id: user.id,
+        username: user.username,
+        role: user.role || DEFAULT_ROLE,
+        tokenId: null,
+        tokenExpiresAt: record.expiresAt ? Math.floor(new Date(record.expiresAt).getTime() / 1000) : null,
+        sessionId: null,
+        scopes: record.scopes,
+        personalTokenId: record.id
+    };
+
+    next();
+};
+
+/**
+ * Check that the credentials a request was authenticated with are still
+ * valid (for responses that stay open long after the auth middleware ran)
+ * 
+ * @param {Object} req - Express request object, after authMiddleware or
+ *                       scopedAuthMiddleware
+ * @returns {Promise<boolean>} - False once the token was revoked or expired,
+ *                               the account locked or deleted, the password
+ *                               changed or the login session ended
+ */
+const stillAuthenticated = async (req) => {
+    const token = extractToken(req);
+    const store = req.app.locals.store;
+
+    const found = isPersonalToken(token)
+        ? await authenticatePersonalToken(store, token)
+        : await authenticateAccessToken(req.app.locals.config, store, token);
+
+    return Boolean(found) && found.user.id === req.user.id;
+};
+
+module.exports = {
+    authMiddleware,
+    stillAuthenticated,
+    scopedAuthMiddleware,
+    extractToken
+};
@@ -0,0 +1,52 @@
+/**
+ * ============================================================================
+ * Permission Middleware
+ * ============================================================================
+ * 
+ * Route-level authorization, used after authMiddleware (which sets
+ * req.user.role). Permissions are granted by roles, see ../lib/roles.js.
+ * 
+ * Requests made with a personal access token (req.user.scopes, see
+ * ../lib/personal-tokens.js) also need each permission among the token's
+ * scopes: a token can narrow what its user may do, never widen it.
+ * 
+ * @example
+ * router.get("/users", requirePermission('users:read'), handler);
+ * ============================================================================
+ */
+
+const { hasPermission } = require('../lib/roles.js');
+
+/**
+ * Require the authenticated user's role (and token scopes, if any) to grant
+ * every listed permission
+ * 
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} - Express middleware responding 403 when one is missing
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    const role = req.user && req.user.role;
+    const scopes = req.user && req.user.scopes;
+
+    const missing = permissions.filter(permission => !hasPermission(role, permission));
+    if (missing.length > 0) {
+        return res.status(403).json({
+            success: false,
+            message: `Forbidden. Missing permission: ${missing.join(', ')}`
+        });
+    }
+
+    const outOfScope = scopes ? permissions.filter(permission => !scopes.includes(permission)) : [];
+    if (outOfScope.length > 0) {
+        return res.status(403).json({
+            success: false,
+            message: `Forbidden. Token is missing scope: ${outOfScope.join(', ')}`
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    requirePermission
+};
@@ -0,0 +1,130 @@
+/**
+ * ============================================================================
+ * Rate Limiting Middleware
+ * ============================================================================
+ * 
+ * Sliding-window rate limiting for the public authentication endpoints. Each
+ * limiter counts requests per key (client IP, username...) over the last
+ * windowMs milliseconds; once max is reached, requests get a 429 response
+ * with a Retry-After header until the oldest counted request leaves the
+ * window.
+ * 
+ * State lives in app.locals.rateLimitStore (see ../storage/rate-limit.js), so
+ * a shared store can replace the in-memory one. Limits are read from the
+ * app's config on every request, so each app built by createApp() has its
+ * own.
+ * 
+ * CONFIGURATION (config.rateLimits, see ../lib/config.js):
+ * - loginIp         RATE_LIMIT_LOGIN_IP         /login and /login/2fa requests per IP (default: 20)
+ * - loginUsername   RATE_LIMIT_LOGIN_USERNAME   /login requests per username (default: 10)
+ * - loginWindow     RATE_LIMIT_LOGIN_WINDOW     /login window in seconds (default: 900)
+ * - registerIp      RATE_LIMIT_REGISTER_IP      /register requests per IP (default: 5)
+ * - registerWindow  RATE_LIMIT_REGISTER_WINDOW  /register window in seconds (default: 3600)
+ * - emailIp         RATE_LIMIT_EMAIL_IP         Account emails requested per IP (default: 10)
+ * - emailAddress    RATE_LIMIT_EMAIL_ADDRESS    Account emails requested per address (default: 3)
+ * - emailWindow     RATE_LIMIT_EMAIL_WINDOW     Account email window in seconds (default: 3600)
+ * ============================================================================
+ */
+
+/**
+ * Send a 429 response
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterMs - Time until the client may retry
+ * @param {string} message - Human-readable message
+ */
+const tooManyRequests = (res, retryAfterMs, message) => {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: message,
+        retryAfter: retryAfter
+    });
+};
+
+/**
+ * Build a rate limiting middleware
+ * 
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used to namespace keys
+ * @param {Function} options.limit - (config) => { max, windowMs }: requests
+ *                                   allowed per window of windowMs milliseconds
+ * @param {Function} options.key - (req) => key to count against, or null to skip
+ * @returns {Function} - Express middleware
+ * 
+ * @example
+ * app.post("/login", rateLimit({
+ *     name: 'login-ip',
+ *     limit: (config) => ({ max: 20, windowMs: 900000 }),
+ *     key: req => req.ip
+ * }), handler);
+ */
+const rateLimit = ({ name, limit, key }) => async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    const { max, windowMs } = limit(req.app.locals.config);
+    let result;
+    try {
+        result = await req.app.locals.rateLimitStore.hit(`${name}:${value}`, windowMs, max);
+    } catch (error) {
+        console.error("Error checking rate limit:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Internal server error while checking rate limit"
+        });
+    }
+
+    if (!result.allowed) {
+        return tooManyRequests(res, result.retryAfterMs, "Too many requests. Please try again later.");
+    }
+
+    next();
+};
+
+/**
+ * Limiters applied to /login, /register and the endpoints sending account
+ * emails (/password/forgot, /verify-email/resend)
+ */
+const loginIpLimiter = rateLimit({
+    name: 'login-ip',
+    limit: ({ rateLimits }) => ({ max: rateLimits.loginIp, windowMs: rateLimits.loginWindow * 1000 }),
+    key: (req) => req.ip
+});
+
+const loginUsernameLimiter = rateLimit({
+    name: 'login-username',
+    limit: ({ rateLimits }) => ({ max: rateLimits.loginUsername, windowMs: rateLimits.loginWindow * 1000 }),
+    key: (req) => req.body && req.body.username
+});
+
+const registerIpLimiter = rateLimit({
+    name: 'register-ip',
+    limit: ({ rateLimits }) => ({ max: rateLimits.registerIp, windowMs: rateLimits.registerWindow * 1000 }),
+    key: (req) => req.ip
+});
+
+const accountEmailIpLimiter = rateLimit({
+    name: 'email-ip',
+    limit: ({ rateLimits }) => ({ max: rateLimits.emailIp, windowMs: rateLimits.emailWindow * 1000 }),
+    key: (req) => req.ip
+});
+
+// Keeps anyone from flooding an inbox with verification or reset emails
+const accountEmailAddressLimiter = rateLimit({
+    name: 'email-address',
+    limit: ({ rateLimits }) => ({ max: rateLimits.emailAddress, windowMs: rateLimits.emailWindow * 1000 }),
+    key: (req) => req.body && req.body.email && req.body.email.toLowerCase()
+});
+
+module.exports = {
+    rateLimit,
+    tooManyRequests,
+    loginIpLimiter,
+    loginUsernameLimiter,
+    registerIpLimiter,
+    accountEmailIpLimiter,
+    accountEmailAddressLimiter
+};
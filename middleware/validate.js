@@ -0,0 +1,64 @@
+/**
+ * ============================================================================
+ * Validation Middleware
+ * ============================================================================
+ * 
+ * Validates req.body, req.params and req.query against declarative schemas
+ * (see ../lib/validation.js and ../lib/schemas.js). Requests that fail get a
+ * 422 response listing every failing field; valid requests continue with
+ * req.body and req.query replaced by their cleaned (trimmed, coerced) copies.
+ * 
+ * @example
+ * router.post("/", validate({ body: schemas.createFriend }), handler);
+ * 
+ * // 422 response
+ * {
+ *   "success": false,
+ *   "message": "Validation failed",
+ *   "errors": [
+ *     { "field": "email", "location": "body", "message": "must be a valid email address" },
+ *     { "field": "DOB", "location": "body", "message": "is required" }
+ *   ]
+ * }
+ * ============================================================================
+ */
+
+const { validateObject } = require('../lib/validation.js');
+const { passwordPolicy } = require('../lib/password.js');
+
+/**
+ * Build a middleware validating the given parts of the request
+ * 
+ * @param {Object} schemas - { body?, params?, query? } schemas
+ * @returns {Function} - Express middleware
+ */
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+    const options = { passwordPolicy: passwordPolicy(req.app.locals.config) };
+
+    for (const location of ['params', 'query', 'body']) {
+        if (!schemas[location]) continue;
+
+        const result = validateObject(req[location], schemas[location], location, options);
+        errors.push(...result.errors);
+        cleaned[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+        return res.status(422).json({
+            success: false,
+            message: "Validation failed",
+            errors: errors
+        });
+    }
+
+    if (cleaned.body) req.body = cleaned.body;
+    if (cleaned.query) req.query = cleaned.query;
+
+    next();
+};
+
+module.exports = {
+    validate
+};
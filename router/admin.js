@@ -0,0 +1,323 @@
+/**
+ * ============================================================================
+ * Admin API Router Module
+ * ============================================================================
+ * 
+ * User management for administrators. Every endpoint requires authentication
+ * (authMiddleware in ../middleware/auth.js) and a specific permission
+ * (requirePermission in ../middleware/permissions.js); users lacking the
+ * permission get a 403 response.
+ * 
+ * API Structure:
+ * - GET    /admin/users            - List users (paginated)       users:read
+ * - PATCH  /admin/users/:username  - Change role, lock or unlock  users:write
+ * - DELETE /admin/users/:username  - Delete a user and their data users:delete
+ * - GET    /admin/audit            - Query the audit log           audit:read
+ * ============================================================================
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/permissions.js');
+const { validate } = require('../middleware/validate.js');
+const { publicUser, withUser } = require('../lib/users.js');
+const { revokeAllSessions } = require('../lib/revocation.js');
+const { queryAudit } = require('../lib/audit.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * ============================================================================
+ * GET /admin/users
+ * ============================================================================
+ * 
+ * Lists registered users, ordered by username.
+ * 
+ * @route GET /admin/users
+ * @group Admin - User management
+ * @param {number} page.query.optional - Page number, starting at 1 (default: 1)
+ * @param {number} limit.query.optional - Users per page, 1-100 (default: 20)
+ * @returns {object} 200 - One page of users
+ * @returns {object} 403 - Missing users:read permission
+ * @returns {object} 422 - Invalid pagination parameters
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /admin/users?page=1&limit=2
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "id": "...", "username": "alice", "role": "admin", "locked": false, "createdAt": "..." },
+ *     { "id": "...", "username": "bob", "role": "user", "locked": true, "createdAt": "..." }
+ *   ],
+ *   "pagination": { "page": 1, "limit": 2, "total": 5, "totalPages": 3 }
+ * }
+ */
+router.get("/users", requirePermission('users:read'), validate({ query: schemas.listUsersQuery }), async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    const users = (await req.app.locals.store.listUsers())
+      .sort((a, b) => a.username.localeCompare(b.username));
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      success: true,
+      data: users.slice(start, start + limit).map(publicUser),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: users.length,
+        totalPages: Math.ceil(users.length / limit)
+      },
+      message: `Successfully retrieved ${users.length} user(s)`
+    });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing users"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * PATCH /admin/users/:username
+ * ============================================================================
+ * 
+ * Changes a user's role and/or locks or unlocks their account. Locking ends
+ * every session the user has, and /login refuses locked accounts.
+ * 
+ * Administrators can't change their own role or lock themselves, so that the
+ * last administrator can't accidentally lose access.
+ * 
+ * @route PATCH /admin/users/:username
+ * @group Admin - User management
+ * @param {string} username.path.required - User to modify
+ * @param {string} role.body.optional - New role ("user" or "admin")
+ * @param {boolean} locked.body.optional - true to lock, false to unlock
+ * @returns {object} 200 - User updated
+ * @returns {object} 400 - Attempt to modify your own account
+ * @returns {object} 403 - Missing users:write permission
+ * @returns {object} 404 - User not found
+ * @returns {object} 422 - Invalid role or locked value
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: PATCH /admin/users/bob
+ * { "locked": true }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Updated locked for user 'bob'",
+ *   "data": { "id": "...", "username": "bob", "role": "user", "locked": true, "createdAt": "..." },
+ *   "updatedFields": ["locked"]
+ * }
+ */
+router.patch("/users/:username", requirePermission('users:write'), validate({ params: schemas.userParams, body: schemas.updateUser }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const username = req.params.username;
+    const { role, locked } = req.body;
+
+    if (username === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't change your own role or lock your own account"
+      });
+    }
+
+    // Track modified fields for response message
+    const updatedFields = [];
+
+    let user = await withUser(store, username, async (user) => {
+      if (!user) return null;
+
+      if (role !== undefined && role !== publicUser(user).role) {
+        user.role = role;
+        updatedFields.push('role');
+      }
+
+      if (locked !== undefined && locked !== Boolean(user.locked)) {
+        user.locked = locked;
+        updatedFields.push('locked');
+      }
+
+      if (updatedFields.length > 0) {
+        await store.saveUser(user);
+      }
+      return user;
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User '${username}' not found`
+      });
+    }
+
+    // A locked user must not keep any session alive
+    if (updatedFields.includes('locked') && user.locked) {
+      user = await revokeAllSessions(store, user, 'account-locked');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updatedFields.length === 0
+        ? "No fields were updated (values unchanged)"
+        : `Updated ${updatedFields.join(', ')} for user '${username}'`,
+      data: publicUser(user),
+      updatedFields: updatedFields.length > 0 ? updatedFields : undefined
+    });
+  } catch (error) {
+    console.error(`Error updating user ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating user"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /admin/users/:username
+ * ============================================================================
+ * 
+ * Deletes a user together with all of their data and ends their sessions.
+ * 
+ * @route DELETE /admin/users/:username
+ * @group Admin - User management
+ * @param {string} username.path.required - User to delete
+ * @returns {object} 200 - User deleted
+ * @returns {object} 400 - Attempt to delete your own account
+ * @returns {object} 403 - Missing users:delete permission
+ * @returns {object} 404 - User not found
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: DELETE /admin/users/bob
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "User 'bob' deleted successfully",
+ *   "data": { "id": "...", "username": "bob", "role": "user", "locked": false, "createdAt": "..." }
+ * }
+ */
+router.delete("/users/:username", requirePermission('users:delete'), validate({ params: schemas.userParams }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const username = req.params.username;
+
+    if (username === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't delete your own account from the admin API"
+      });
+    }
+
+    const user = await store.getUser(username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User '${username}' not found`
+      });
+    }
+
+    await revokeAllSessions(store, user, 'account-deleted');
+    await withUser(store, username, () => store.deleteUser(username));
+
+    res.status(200).json({
+      success: true,
+      message: `User '${username}' deleted successfully`,
+      data: publicUser(user)
+    });
+  } catch (error) {
+    console.error(`Error deleting user ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting user"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /admin/audit
+ * ============================================================================
+ * 
+ * Queries the audit log (see ../lib/audit.js), newest first. Entries are
+ * kept after the users they concern have been deleted.
+ * 
+ * @route GET /admin/audit
+ * @group Admin - User management
+ * @param {string} actor.query.optional - Only entries by this username ("system" for background jobs)
+ * @param {string} action.query.optional - Only this action, or every action under a prefix ("auth", "friend.update")
+ * @param {string} from.query.optional - Only entries at or after this ISO 8601 time
+ * @param {string} to.query.optional - Only entries at or before this ISO 8601 time
+ * @param {number} page.query.optional - Page number, starting at 1 (default: 1)
+ * @param {number} limit.query.optional - Entries per page, 1-100 (default: 20)
+ * @returns {object} 200 - One page of audit entries
+ * @returns {object} 403 - Missing audit:read permission
+ * @returns {object} 422 - Invalid filters
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /admin/audit?action=auth.login.failed&from=2024-05-01
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "0f4b...",
+ *       "at": "2024-05-01T09:12:44.051Z",
+ *       "action": "auth.login.failed",
+ *       "actor": "bob",
+ *       "reason": "credentials",
+ *       "ip": "::1",
+ *       "userAgent": "curl/8.5.0"
+ *     }
+ *   ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 1, "totalPages": 1 },
+ *   "message": "Found 1 audit entry(ies)"
+ * }
+ */
+router.get("/audit", requirePermission('audit:read'), validate({ query: schemas.auditQuery }), async (req, res) => {
+  try {
+    const { actor, action, from, to } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    const events = queryAudit(await req.app.locals.store.listAuditEvents(), { actor, action, from, to });
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      success: true,
+      data: events.slice(start, start + limit),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: events.length,
+        totalPages: Math.ceil(events.length / limit)
+      },
+      message: `Found ${events.length} audit entry(ies)`
+    });
+  } catch (error) {
+    console.error("Error querying audit log:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while querying audit log"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * Module Export
+ * ============================================================================
+ */
+module.exports = router;
@@ -0,0 +1,686 @@
+/**
+ * ============================================================================
+ * Connections API Router Module
+ * ============================================================================
+ * 
+ * Friend requests and mutual connections between registered users. Unlike
+ * /friends, whose entries are contact records, a connection links two
+ * accounts and exists only once both users agreed to it (see
+ * ../lib/connections.js).
+ * 
+ * All endpoints are protected by authMiddleware (see ../middleware/auth.js).
+ * Users only see requests they sent or received; only the recipient can
+ * accept or decline a request and only the sender can cancel it.
+ * 
+ * API Structure:
+ * - GET    /connections                      - List your connections
+ * - DELETE /connections/:username            - Remove a connection
+ * - GET    /connections/mutual/:username     - Connections you share with a user
+ * - GET    /connections/requests             - Pending requests sent and received
+ * - POST   /connections/requests             - Send a request (by username or email)
+ * - POST   /connections/requests/:id/accept  - Accept a request you received
+ * - POST   /connections/requests/:id/decline - Decline a request you received
+ * - DELETE /connections/requests/:id         - Cancel a request you sent
+ * - GET    /connections/blocks               - List the users you blocked
+ * - PUT    /connections/blocks/:username     - Block a user
+ * - DELETE /connections/blocks/:username     - Unblock a user
+ * ============================================================================
+ */
+
+const express = require('express');
+const { validate } = require('../middleware/validate.js');
+const { findUserByEmail } = require('../lib/users.js');
+const { recordAudit } = require('../lib/audit.js');
+const {
+  ConnectionError,
+  isBlockedBetween,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  cancelFriendRequest,
+  removeConnection,
+  blockUser,
+  mutualConnections
+} = require('../lib/connections.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+// HTTP status for each ConnectionError reason
+const ERROR_STATUS = {
+  'not-found': 404,
+  'self': 400,
+  'blocked': 403,
+  'forbidden': 403,
+  'connected': 409,
+  'pending': 409
+};
+
+/**
+ * Answer a ConnectionError with its status code
+ * 
+ * @param {Object} res - Express response object
+ * @param {ConnectionError} error - The error
+ */
+const connectionFailed = (res, error) => {
+  res.status(ERROR_STATUS[error.reason] || 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * Public view of another user: username and display name only
+ * 
+ * @param {Store} store - Storage backend
+ * @param {string} username - The user
+ * @returns {Promise<Object>} - { username, displayName }
+ */
+const describeUser = async (store, username) => {
+  const user = await store.getUser(username);
+  return { username: username, displayName: (user && user.displayName) || null };
+};
+
+/**
+ * Resolve the :username route parameter to a registered user and expose
+ * it as req.target; responds with 404 when there is no such user
+ */
+const loadTarget = async (req, res, next) => {
+  try {
+    const target = await req.app.locals.store.getUser(req.params.username);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `User '${req.params.username}' not found`
+      });
+    }
+
+    req.target = target;
+    next();
+  } catch (error) {
+    console.error(`Error loading user ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while loading user"
+    });
+  }
+};
+
+/**
+ * ============================================================================
+ * GET /connections
+ * ============================================================================
+ * 
+ * Lists the users you are connected with, by username.
+ * 
+ * @route GET /connections
+ * @group Connections - Friend requests between users
+ * @returns {object} 200 - Success response with the connections
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "username": "jane_doe", "displayName": "Jane", "since": "2024-05-01T10:00:00.000Z" }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const connections = (await store.listConnections(req.user.username))
+      .sort((a, b) => a.username.localeCompare(b.username));
+
+    const data = [];
+    for (const connection of connections) {
+      data.push({ ...await describeUser(store, connection.username), since: connection.since });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error("Error listing connections:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing connections"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /connections/requests
+ * ============================================================================
+ * 
+ * Lists the pending friend requests you received and sent, newest first.
+ * Each one carries a direction: "incoming" or "outgoing".
+ * 
+ * @route GET /connections/requests
+ * @group Connections - Friend requests between users
+ * @param {string} direction.query.optional - Only "incoming" or "outgoing" requests
+ * @returns {object} 200 - Success response with the requests
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid direction
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /connections/requests?direction=incoming
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "0c6f2b7e-5a1d-4c8e-9f3a-7d2b1e4c6a90",
+ *       "from": "jane_doe",
+ *       "to": "john_doe",
+ *       "message": "We met at the conference",
+ *       "status": "pending",
+ *       "createdAt": "2024-05-01T10:00:00.000Z",
+ *       "direction": "incoming"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get("/requests", validate({ query: schemas.listFriendRequestsQuery }), async (req, res) => {
+  try {
+    const username = req.user.username;
+    const { direction } = req.query;
+
+    const requests = (await req.app.locals.store.listFriendRequests())
+      .filter(request => request.from === username || request.to === username)
+      .map(request => ({ ...request, direction: request.to === username ? 'incoming' : 'outgoing' }))
+      .filter(request => direction === undefined || request.direction === direction)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      count: requests.length
+    });
+  } catch (error) {
+    console.error("Error listing friend requests:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing friend requests"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /connections/requests
+ * ============================================================================
+ * 
+ * Sends a friend request to another registered user, named by username or
+ * by the email address on their profile. If they already sent you a
+ * request, it is accepted and you are connected straight away.
+ * 
+ * A request by email always answers 202 with the same message, whether or
+ * not an account uses the address (and whether or not the request could be
+ * sent), so it can't be used to find out which addresses are registered.
+ * Only a request to your own address is refused (400).
+ * 
+ * @route POST /connections/requests
+ * @group Connections - Friend requests between users
+ * @param {string} username.body.optional - Recipient's username
+ * @param {string} email.body.optional - Recipient's email (instead of username)
+ * @param {string} message.body.optional - Note for the recipient
+ * @returns {object} 201 - Request sent
+ * @returns {object} 200 - They had already asked you: now connected
+ * @returns {object} 202 - Request by email handled (sent if the address is registered)
+ * @returns {object} 400 - Request to yourself
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 403 - One of you blocked the other
+ * @returns {object} 404 - No such user (by username only)
+ * @returns {object} 409 - Already connected, or request already sent (by username only)
+ * @returns {object} 422 - Neither or both of username and email
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "username": "jane_doe", "message": "We met at the conference" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Friend request sent to jane_doe",
+ *   "data": {
+ *     "id": "0c6f2b7e-5a1d-4c8e-9f3a-7d2b1e4c6a90",
+ *     "from": "john_doe",
+ *     "to": "jane_doe",
+ *     "message": "We met at the conference",
+ *     "status": "pending",
+ *     "createdAt": "2024-05-01T10:00:00.000Z"
+ *   }
+ * }
+ */
+router.post("/requests", validate({ body: schemas.sendFriendRequest }), async (req, res) => {
+  const { username, email, message } = req.body;
+
+  if ((username === undefined) === (email === undefined)) {
+    return res.status(422).json({
+      success: false,
+      message: "Validation failed",
+      errors: [{ field: 'username', location: 'body', message: 'provide either username or email' }]
+    });
+  }
+
+  try {
+    const store = req.app.locals.store;
+
+    if (email !== undefined) {
+      const target = await findUserByEmail(store, email);
+
+      if (target && target.username === req.user.username) {
+        return res.status(400).json({
+          success: false,
+          message: "You can't send a friend request to yourself"
+        });
+      }
+
+      if (target) {
+        try {
+          const result = await sendFriendRequest(store, req.user.username, target.username, message);
+          await recordAudit(req, {
+            action: result.connection ? 'connection.accept' : 'connection.request',
+            target: target.username,
+            requestId: result.request.id
+          });
+        } catch (error) {
+          // Blocked, connected or pending: answered like any other address
+          if (!(error instanceof ConnectionError)) throw error;
+        }
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: "If an account uses that email address, your friend request has been sent to it"
+      });
+    }
+
+    const target = await store.getUser(username);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `User '${username}' not found`
+      });
+    }
+
+    const result = await sendFriendRequest(store, req.user.username, target.username, message);
+
+    if (result.connection) {
+      await recordAudit(req, { action: 'connection.accept', target: target.username, requestId: result.request.id });
+
+      return res.status(200).json({
+        success: true,
+        message: `${target.username} had already sent you a friend request: you are now connected`,
+        data: result.request,
+        connection: result.connection
+      });
+    }
+
+    await recordAudit(req, { action: 'connection.request', target: target.username, requestId: result.request.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Friend request sent to ${target.username}`,
+      data: result.request
+    });
+  } catch (error) {
+    if (error instanceof ConnectionError) return connectionFailed(res, error);
+
+    console.error("Error sending friend request:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while sending friend request"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /connections/requests/:id/accept
+ * ============================================================================
+ * 
+ * Accepts a friend request you received, connecting you with its sender.
+ * 
+ * @route POST /connections/requests/:id/accept
+ * @group Connections - Friend requests between users
+ * @param {string} id.path.required - Request id
+ * @returns {object} 200 - Accepted: the request and the new connection
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 403 - You sent this request
+ * @returns {object} 404 - No such request
+ * @returns {object} 500 - Server error
+ */
+router.post("/requests/:id/accept", validate({ params: schemas.friendRequestParams }), async (req, res) => {
+  try {
+    const { request, connection } = await acceptFriendRequest(req.app.locals.store, req.user.username, req.params.id);
+    await recordAudit(req, { action: 'connection.accept', target: request.from, requestId: request.id });
+
+    res.status(200).json({
+      success: true,
+      message: `You are now connected with ${request.from}`,
+      data: request,
+      connection: connection
+    });
+  } catch (error) {
+    if (error instanceof ConnectionError) return connectionFailed(res, error);
+
+    console.error(`Error accepting friend request ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while accepting friend request"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /connections/requests/:id/decline
+ * ============================================================================
+ * 
+ * Declines a friend request you received. The sender may ask again; block
+ * them to prevent that.
+ * 
+ * @route POST /connections/requests/:id/decline
+ * @group Connections - Friend requests between users
+ * @param {string} id.path.required - Request id
+ * @returns {object} 200 - Declined
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 403 - You sent this request
+ * @returns {object} 404 - No such request
+ * @returns {object} 500 - Server error
+ */
+router.post("/requests/:id/decline", validate({ params: schemas.friendRequestParams }), async (req, res) => {
+  try {
+    const request = await declineFriendRequest(req.app.locals.store, req.user.username, req.params.id);
+    await recordAudit(req, { action: 'connection.decline', target: request.from, requestId: request.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Friend request from ${request.from} declined`,
+      data: request
+    });
+  } catch (error) {
+    if (error instanceof ConnectionError) return connectionFailed(res, error);
+
+    console.error(`Error declining friend request ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while declining friend request"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /connections/requests/:id
+ * ============================================================================
+ * 
+ * Cancels a friend request you sent that has not been answered yet.
+ * 
+ * @route DELETE /connections/requests/:id
+ * @group Connections - Friend requests between users
+ * @param {string} id.path.required - Request id
+ * @returns {object} 200 - Cancelled
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 403 - You received this request (decline it instead)
+ * @returns {object} 404 - No such request
+ * @returns {object} 500 - Server error
+ */
+router.delete("/requests/:id", validate({ params: schemas.friendRequestParams }), async (req, res) => {
+  try {
+    const request = await cancelFriendRequest(req.app.locals.store, req.user.username, req.params.id);
+    await recordAudit(req, { action: 'connection.cancel', target: request.to, requestId: request.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Friend request to ${request.to} cancelled`,
+      data: request
+    });
+  } catch (error) {
+    if (error instanceof ConnectionError) return connectionFailed(res, error);
+
+    console.error(`Error cancelling friend request ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while cancelling friend request"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /connections/blocks
+ * ============================================================================
+ * 
+ * Lists the users you blocked, by username.
+ * 
+ * @route GET /connections/blocks
+ * @group Connections - Friend requests between users
+ * @returns {object} 200 - Success response with the blocked users
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.get("/blocks", async (req, res) => {
+  try {
+    const blocks = (await req.app.locals.store.listBlocks(req.user.username))
+      .sort((a, b) => a.username.localeCompare(b.username));
+
+    res.status(200).json({
+      success: true,
+      data: blocks,
+      count: blocks.length
+    });
+  } catch (error) {
+    console.error("Error listing blocked users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing blocked users"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * PUT /connections/blocks/:username
+ * ============================================================================
+ * 
+ * Blocks a user. Your connection with them and any pending request between
+ * you are removed, and neither of you can send the other a request until
+ * you unblock them. Blocking someone already blocked changes nothing.
+ * 
+ * @route PUT /connections/blocks/:username
+ * @group Connections - Friend requests between users
+ * @param {string} username.path.required - User to block
+ * @returns {object} 200 - Blocked
+ * @returns {object} 400 - Blocking yourself
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 404 - No such user
+ * @returns {object} 500 - Server error
+ */
+router.put("/blocks/:username", validate({ params: schemas.userParams }), loadTarget, async (req, res) => {
+  try {
+    const { block, disconnected, requestsRemoved } = await blockUser(
+      req.app.locals.store, req.user.username, req.target.username
+    );
+    await recordAudit(req, { action: 'connection.block', target: req.target.username });
+
+    res.status(200).json({
+      success: true,
+      message: `${req.target.username} is blocked`,
+      data: block,
+      disconnected: disconnected,
+      requestsRemoved: requestsRemoved
+    });
+  } catch (error) {
+    if (error instanceof ConnectionError) return connectionFailed(res, error);
+
+    console.error(`Error blocking ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while blocking user"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /connections/blocks/:username
+ * ============================================================================
+ * 
+ * Unblocks a user. It does not restore a removed connection.
+ * 
+ * @route DELETE /connections/blocks/:username
+ * @group Connections - Friend requests between users
+ * @param {string} username.path.required - User to unblock
+ * @returns {object} 200 - Unblocked
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 404 - User not blocked
+ * @returns {object} 500 - Server error
+ */
+router.delete("/blocks/:username", validate({ params: schemas.userParams }), async (req, res) => {
+  try {
+    const removed = await req.app.locals.store.deleteBlock(req.user.username, req.params.username);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `You have not blocked '${req.params.username}'`
+      });
+    }
+
+    await recordAudit(req, { action: 'connection.unblock', target: req.params.username });
+
+    res.status(200).json({
+      success: true,
+      message: `${req.params.username} is no longer blocked`
+    });
+  } catch (error) {
+    console.error(`Error unblocking ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while unblocking user"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /connections/mutual/:username
+ * ============================================================================
+ * 
+ * Lists the users connected both with you and with another user. Users who
+ * blocked you, or whom you blocked, are reported as not found.
+ * 
+ * @route GET /connections/mutual/:username
+ * @group Connections - Friend requests between users
+ * @param {string} username.path.required - The other user
+ * @returns {object} 200 - Success response with the shared connections
+ * @returns {object} 400 - Asking about yourself
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 404 - No such user
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "1 mutual connection(s) with jane_doe",
+ *   "data": [{ "username": "sam", "displayName": null }],
+ *   "count": 1
+ * }
+ */
+router.get("/mutual/:username", validate({ params: schemas.userParams }), loadTarget, async (req, res) => {
+  const username = req.user.username;
+  const other = req.target.username;
+
+  if (other === username) {
+    return res.status(400).json({
+      success: false,
+      message: "Name another user: your own connections are at GET /connections"
+    });
+  }
+
+  try {
+    const store = req.app.locals.store;
+
+    if (await isBlockedBetween(store, username, other)) {
+      return res.status(404).json({
+        success: false,
+        message: `User '${other}' not found`
+      });
+    }
+
+    const data = [];
+    for (const mutual of await mutualConnections(store, username, other)) {
+      data.push(await describeUser(store, mutual));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${data.length} mutual connection(s) with ${other}`,
+      data: data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error(`Error listing mutual connections with ${other}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing mutual connections"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /connections/:username
+ * ============================================================================
+ * 
+ * Removes your connection with a user, for both of you.
+ * 
+ * @route DELETE /connections/:username
+ * @group Connections - Friend requests between users
+ * @param {string} username.path.required - The connection to remove
+ * @returns {object} 200 - Removed
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 404 - Not connected with that user
+ * @returns {object} 500 - Server error
+ */
+router.delete("/:username", validate({ params: schemas.userParams }), async (req, res) => {
+  try {
+    const removed = await removeConnection(req.app.locals.store, req.user.username, req.params.username);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `You are not connected with '${req.params.username}'`
+      });
+    }
+
+    await recordAudit(req, { action: 'connection.remove', target: req.params.username });
+
+    res.status(200).json({
+      success: true,
+      message: `Connection with ${req.params.username} removed`
+    });
+  } catch (error) {
+    console.error(`Error removing connection with ${req.params.username}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing connection"
+    });
+  }
+});
+
+module.exports = router;
@@ -7,157 +7,1205 @@
  * for managing a friends list. All endpoints are protected by JWT authentication
  * middleware defined in the main index.js file.
  * 
- * The friends data is stored in an in-memory JavaScript object for simplicity.
- * In a production environment, this would be replaced with a database connection.
+ * The friends data is kept in the pluggable storage layer (../storage), which
+ * can be backed by memory or a JSON file.
+ * Every user has their own list; requests only ever see the caller's entries.
  * 
  * API Structure:
- * - GET    /friends           - Retrieve all friends
- * - GET    /friends/:email    - Retrieve a specific friend by email
+ * - GET    /friends           - List friends (filter, search, sort, paginate)
+ * - GET    /friends/export    - Download the list as CSV, JSON or vCard
+ * - POST   /friends/import    - Bulk-add friends from CSV, JSON or vCard
+ * - GET    /friends/birthdays - Upcoming birthdays
+ * - GET    /friends/stream    - Live change feed (Server-Sent Events)
+ * - GET    /friends/:id       - Retrieve a specific friend
+ * - GET    /friends/:id/history   - Change history of a friend
  * - POST   /friends           - Add a new friend
- * - PUT    /friends/:email    - Update an existing friend
- * - DELETE /friends/:email    - Delete a friend
+ * - PUT    /friends/:id       - Update an existing friend (including its email)
+ * - PATCH  /friends/:id       - Apply a JSON Merge Patch or JSON Patch
+ * - DELETE /friends/:id       - Move a friend to the trash
+ * - POST   /friends/bulk-delete   - Move several friends to the trash
+ * - GET    /friends/trash         - List deleted friends
+ * - POST   /friends/:id/restore   - Restore a deleted friend
+ * - POST   /friends/bulk-restore  - Restore several deleted friends
+ * - DELETE /friends/trash         - Permanently empty the trash
+ * - DELETE /friends/trash/:id     - Permanently delete one trashed friend
+ * 
+ * :id is the friend's generated id. An email address works too, so URLs
+ * from before friends had ids (/friends/john@example.com) keep working.
+ * 
+ * Single-friend responses carry an ETag built from the friend's version.
+ * Writes honour If-Match (412 if the friend changed since the client read
+ * it) and GET /friends/:id honours If-None-Match (304). See
+ * ../lib/preconditions.js.
+ * 
+ * Every route requires the friends:read or friends:write permission (see
+ * ../middleware/permissions.js). The router is mounted behind
+ * scopedAuthMiddleware, so scripts can call it with a personal access token
+ * (../lib/personal-tokens.js); a token without the route's scope gets 403.
+ * 
+ * Every change is written to the audit log (../lib/audit.js).
  * 
  * All endpoints return JSON responses with a consistent format:
  * {
- *   success: boolean,    // Indicates if the operation was successful
- *   message: string,     // Human-readable message about the operation
- *   data: any,          // The actual data returned (if applicable)
- *   count?: number      // Additional metadata (for GET all endpoint)
+ *   success: boolean,    // Indicates if the operation was successful
+ *   message: string,     // Human-readable message about the operation
+ *   data: any,          // The actual data returned (if applicable)
+ *   count?: number      // Additional metadata (for GET all endpoint)
+ * }
+ * GET /friends also returns total, nextCursor and pagination metadata.
+ * ============================================================================
+ */
+
+const { Readable } = require('stream');
+const express = require('express');
+const { validate } = require('../middleware/validate.js');
+const { requirePermission } = require('../middleware/permissions.js');
+const { stillAuthenticated } = require('../middleware/auth.js');
+const schemas = require('../lib/schemas.js');
+const { CursorError, queryFriends } = require('../lib/friend-query.js');
+const { planImport } = require('../lib/friend-import.js');
+const {
+  FRIEND_FIELDS,
+  versionOf,
+  buildFriend,
+  applyFriendUpdates,
+  editableFields,
+  findFriendByEmail
+} = require('../lib/friend-record.js');
+const { etagOf, ifMatchFails, ifNoneMatchHits } = require('../lib/preconditions.js');
+const { PatchError, applyMergePatch, applyJsonPatch } = require('../lib/json-patch.js');
+const { validateObject } = require('../lib/validation.js');
+const { VersionConflictError } = require('../storage');
+const { purgeAt, purgeUserTrash } = require('../lib/trash.js');
+const { recordAudit, queryAudit } = require('../lib/audit.js');
+const { streamSettings, streamEventsSince, formatStreamEvent } = require('../lib/friend-stream.js');
+const { DEFAULT_TIMEZONE, localToday, formatDate, upcomingBirthdays, parsePeriod } = require('../lib/birthdays.js');
+const {
+  FORMATS,
+  TEXT_CONTENT_TYPES,
+  FormatError,
+  resolveFormat,
+  parseDocument
+} = require('../lib/formats');
+const router = express.Router();
+
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const DEFAULT_BIRTHDAY_PERIOD = '30d';
+
+// GET /friends answers with a page only when one of these is given
+const PAGINATION_PARAMS = ['limit', 'offset', 'cursor'];
+
+/**
+ * ----------------------------------------------------------------------------
+ * Data Store
+ * ----------------------------------------------------------------------------
+ * 
+ * Friends are kept in the application storage layer (see ../storage), which
+ * the main app exposes as req.app.locals.store.
+ * Each authenticated user owns a separate friends list, keyed by username.
+ * Structure: { id, email, firstName, lastName, DOB, ...details } records,
+ * where the optional details are phones, addresses, notes, tags and
+ * customFields (see ../lib/friend-record.js).
+ * 
+ * ⚠️ IMPORTANT NOTES:
+ * 1. Ids are generated and never change; email addresses can change but are
+ *    unique within a user's list (compared case-insensitively)
+ * 2. Dates are stored as strings in "DD-MM-YYYY" format
+ * 3. New accounts start with an empty list
+ * 4. Deleted friends go to a per-user trash, where they can be restored
+ *    until they are purged (see ../lib/trash.js)
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * ----------------------------------------------------------------------------
+ * Per-User List Middleware
+ * ----------------------------------------------------------------------------
+ * 
+ * Binds the storage layer to the authenticated user's friends list and
+ * exposes it as req.friends. Handlers below only ever go through req.friends,
+ * so one user can never read or modify another user's entries.
+ * 
+ * Relies on req.user.username, which is set by authMiddleware
+ * (see ../middleware/auth.js).
+ */
+router.use((req, res, next) => {
+  const username = req.user && req.user.username;
+
+  if (!username) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required. Please login first."
+    });
+  }
+
+  const store = req.app.locals.store;
+
+  req.friends = {
+    all: () => store.listFriends(username),
+    get: (id) => store.getFriend(username, id),
+    findByEmail: async (email) => findFriendByEmail(await store.listFriends(username), email),
+    save: (friend, options) => store.saveFriend(username, friend, options),
+    trash: (id, options) => store.trashFriend(username, id, options),
+    listTrash: () => purgeUserTrash(req.app.locals, username),
+    restore: (id) => store.restoreFriend(username, id),
+    purge: (id) => store.deleteTrashedFriend(username, id)
+  };
+
+  next();
+});
+
+/**
+ * ----------------------------------------------------------------------------
+ * Friend Lookup Middleware
+ * ----------------------------------------------------------------------------
+ * 
+ * Resolves the :id route parameter - a friend id, or an email address for
+ * backward compatibility - and exposes the record as req.friend.
+ * Responds with 404 when the caller has no such friend.
+ */
+const loadFriend = async (req, res, next) => {
+  try {
+    const ref = req.params.id;
+    const friend = ref.includes('@')
+      ? await req.friends.findByEmail(ref)
+      : await req.friends.get(ref);
+
+    if (!friend) {
+      return res.status(404).json({
+        success: false,
+        message: `Friend '${ref}' not found`
+      });
+    }
+
+    req.friend = friend;
+    next();
+  } catch (error) {
+    console.error(`Error looking up friend ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while looking up friend"
+    });
+  }
+};
+
+/**
+ * Find a friend in the caller's trash by id, or by email address (the most
+ * recently deleted friend with that address)
+ * 
+ * @param {Object} req - Request
+ * @param {string} ref - Friend id or email address
+ * @returns {Promise<Object|null>} - Trashed record (with purgeAt), or null
+ */
+const findTrashed = async (req, ref) => {
+  const trash = await req.friends.listTrash();
+  const wanted = ref.toLowerCase();
+
+  return trash.find(friend => (ref.includes('@') ? friend.email.toLowerCase() === wanted : friend.id === ref)) || null;
+};
+
+/**
+ * Restore a trashed friend unless its email is now used by another friend
+ * 
+ * @param {Object} req - Request
+ * @param {Object} trashed - Trashed record
+ * @returns {Promise<{status: string, friend?: Object}>} - status is
+ *          "restored", "conflict" (email taken) or "not-found" (purged meanwhile)
+ */
+const restoreTrashed = async (req, trashed) => {
+  if (await req.friends.findByEmail(trashed.email)) {
+    return { status: 'conflict' };
+  }
+
+  const friend = await req.friends.restore(trashed.id);
+  if (friend) {
+    await auditFriend(req, 'friend.restore', { after: friend });
+  }
+
+  return friend ? { status: 'restored', friend } : { status: 'not-found' };
+};
+
+/**
+ * Record a change to one of the caller's friends in the audit log
+ * 
+ * @param {Object} req - Request
+ * @param {string} action - friend.create, friend.update...
+ * @param {Object} details - before and/or after record, plus any extra
+ *                           event fields (changes, source...)
+ * @returns {Promise<Object|null>} - The audit event
+ */
+const auditFriend = (req, action, { before, after, ...details }) => {
+  return recordAudit(req, {
+    action: action,
+    owner: req.user.username,
+    friendId: (after || before).id,
+    before: before,
+    after: after,
+    ...details
+  });
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * Optimistic Concurrency
+ * ----------------------------------------------------------------------------
+ * 
+ * checkIfMatch runs after loadFriend on every write. A stale If-Match is
+ * rejected straight away; a matching one is remembered as req.ifVersion and
+ * passed to the store, which re-checks the version atomically when writing
+ * (so two requests that both read version 3 can't both write).
+ * Updates without If-Match are still written against the version they were
+ * applied to, and retried on a conflict (see saveUpdates()); deletions
+ * without If-Match trash whatever version is current.
+ */
+
+/**
+ * Send 412 Precondition Failed with the friend's current ETag (if it still
+ * exists)
+ */
+const preconditionFailed = (res, current) => {
+  if (current) res.set('ETag', etagOf(current));
+
+  return res.status(412).json({
+    success: false,
+    message: current
+      ? `Friend has been modified (current ETag ${etagOf(current)}). Fetch it again and retry`
+      : "Friend has been deleted"
+  });
+};
+
+const checkIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+
+  if (ifMatchFails(header, etagOf(req.friend))) {
+    return preconditionFailed(res, req.friend);
+  }
+
+  if (header !== undefined) {
+    req.ifVersion = versionOf(req.friend);
+  }
+  next();
+};
+
+/**
+ * ============================================================================
+ * GET /friends
+ * ============================================================================
+ * 
+ * Lists the authenticated user's friends, one page at a time.
+ * 
+ * Pages are only returned when limit, offset or cursor is given. Without
+ * them the response keeps the shape it had before pagination: every
+ * matching friend, with data an object keyed by email.
+ * 
+ * USE CASE: Displaying, searching and browsing the friends list.
+ * 
+ * QUERY PARAMETERS (all optional, see ../lib/friend-query.js):
+ * - limit               Page size, 1-100 (default: 20 once paginating)
+ * - offset              Offset-based pagination: number of friends to skip
+ * - cursor              Cursor-based pagination: nextCursor of the previous page
+ * - sort                email | firstName | lastName | DOB (default: email)
+ * - order               asc | desc (default: asc)
+ * - firstName, lastName Exact match (case-insensitive)
+ * - dobFrom, dobTo      Inclusive DOB range (DD-MM-YYYY)
+ * - tag                 Only friends with this tag (comma-separate to require several)
+ * - q                   Full-text search across names, email, notes and tags
+ * 
+ * @route GET /friends
+ * @group Friends - CRUD operations for friends management
+ * @returns {object} 200 - Success response with one page of friends
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid query parameters or cursor
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /friends
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "johnsmith@gmail.com": { "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "version": 2, "email": "johnsmith@gmail.com", "firstName": "John", "lastName": "Smith", "DOB": "22-12-1980" }
+ *   },
+ *   "count": 1,
+ *   "message": "Successfully retrieved 1 friend(s)"
+ * }
+ * 
+ * // Request: GET /friends?q=smith&sort=DOB&order=desc&limit=2
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "id": "0f8c7a52-3b1e-4d6a-9c2f-5e4d3b2a1f00", "version": 1, "email": "annasmith@gmail.com", "firstName": "Anna", "lastName": "Smith", "DOB": "02-07-1983" },
+ *     { "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "version": 2, "email": "johnsmith@gmail.com", "firstName": "John", "lastName": "Smith", "DOB": "22-12-1980" }
+ *   ],
+ *   "count": 2,
+ *   "total": 3,
+ *   "nextCursor": "eyJrIjpbMzQ3MTU1MjAwMDAwLCJqb2huc21pdGhAZ21haWwuY29tIl0sInMiOiJET0IiLCJvIjoiZGVzYyJ9",
+ *   "pagination": { "limit": 2, "offset": 0, "hasMore": true, "nextOffset": 2, "sort": "DOB", "order": "desc" }
+ * }
+ */
+router.get("/", requirePermission('friends:read'), validate({ query: schemas.listFriendsQuery }), async (req, res) => {
+  try {
+    if (req.query.cursor && req.query.offset !== undefined) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [{ field: 'cursor', location: 'query', message: 'can not be combined with offset' }]
+      });
+    }
+
+    const friends = await req.friends.all();
+
+    if (!PAGINATION_PARAMS.some(param => req.query[param] !== undefined)) {
+      const { items } = queryFriends(friends, { ...req.query, limit: friends.length });
+
+      return res.status(200).json({
+        success: true,
+        data: Object.fromEntries(items.map(friend => [friend.email, friend])),
+        count: items.length,
+        message: `Successfully retrieved ${items.length} friend(s)`
+      });
+    }
+
+    const result = queryFriends(friends, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      pagination: result.pagination,
+      message: `Successfully retrieved ${result.items.length} of ${result.total} friend(s)`
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [{ field: 'cursor', location: 'query', message: error.message }]
+      });
+    }
+
+    console.error("Error retrieving friends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving friends"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /friends/export
+ * ============================================================================
+ * 
+ * Downloads the authenticated user's whole friends list as a file.
+ * The response is streamed record by record (see ../lib/formats).
+ * 
+ * USE CASE: Backups, or moving a list to another app or account.
+ * 
+ * QUERY PARAMETERS:
+ * - format   csv | json | vcf (default: json)
+ * 
+ * @route GET /friends/export
+ * @group Friends - CRUD operations for friends management
+ * @returns {file} 200 - friends.<format> attachment, sorted by email
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Unknown format
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /friends/export?format=csv
+ * // Response (Content-Type: text/csv)
+ * email,firstName,lastName,DOB
+ * johnsmith@gmail.com,John,Doe,22-12-1990
+ */
+router.get("/export", requirePermission('friends:read'), validate({ query: schemas.exportFriendsQuery }), async (req, res) => {
+  try {
+    const format = FORMATS[req.query.format || 'json'];
+    // Ids and versions are specific to this account, so they aren't exported
+    const friends = await req.friends.all();
+    const records = friends
+      .map(editableFields)
+      .sort((a, b) => (a.email < b.email ? -1 : a.email > b.email ? 1 : 0));
+
+    res.status(200);
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="friends.${format.extension}"`
+    });
+
+    Readable.from(format.serialize(records)).pipe(res);
+  } catch (error) {
+    console.error("Error exporting friends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while exporting friends"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /friends/import
+ * ============================================================================
+ * 
+ * Adds friends in bulk from a CSV, JSON or vCard document sent as the request
+ * body. Every row is checked with the same rules as POST /friends, and the
+ * response reports the outcome of each row. Invalid rows are reported and
+ * left out; the valid ones are still imported.
+ * 
+ * FORMATS (picked with ?format=, otherwise from the Content-Type):
+ * - csv   text/csv - header row naming the columns (email,firstName,lastName,DOB)
+ * - json  application/json - array of friends, or { "friends": [...] }
+ * - vcf   text/vcard - one vCard per friend (N, EMAIL and BDAY are read)
+ * 
+ * QUERY PARAMETERS:
+ * - dryRun        true to only report what would happen (nothing is saved)
+ * - onDuplicate   skip | overwrite | merge (default: skip) - what to do with
+ *                 rows whose email is already in the list
+ * 
+ * ROW STATUSES: created, updated, unchanged, skipped (duplicate), invalid.
+ * Rows are numbered from 1, not counting the CSV header. Duplicates are
+ * matched by email, case-insensitively. In a dry run the ids reported for
+ * created rows are not kept.
+ * 
+ * @route POST /friends/import
+ * @group Friends - CRUD operations for friends management
+ * @returns {object} 200 - Per-row report and summary
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 415 - Format missing or doesn't match the body
+ * @returns {object} 422 - Invalid query parameters or unparseable document
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: POST /friends/import?onDuplicate=merge (Content-Type: text/csv)
+ * email,firstName,lastName,DOB
+ * johnsmith@gmail.com,John,Smith,22-12-1990
+ * alice@example.com,Alice,Johnson,31-02-1992
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Imported 2 row(s): 0 created, 1 updated, 1 invalid",
+ *   "dryRun": false,
+ *   "summary": { "total": 2, "created": 0, "updated": 1, "unchanged": 0, "skipped": 0, "invalid": 1 },
+ *   "data": [
+ *     { "row": 1, "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "email": "johnsmith@gmail.com", "status": "updated" },
+ *     { "row": 2, "email": "alice@example.com", "status": "invalid",
+ *       "errors": [{ "field": "DOB", "location": "row", "message": "must be a real date in DD-MM-YYYY format" }] }
+ *   ]
+ * }
+ */
+router.post(
+  "/import",
+  requirePermission('friends:write'),
+  express.text({ type: TEXT_CONTENT_TYPES, limit: '1mb' }),
+  validate({ query: schemas.importFriendsQuery }),
+  async (req, res) => {
+    try {
+      const format = resolveFormat(req.query.format, req.get('Content-Type'));
+
+      if (!format) {
+        return res.status(415).json({
+          success: false,
+          message: "Unknown import format. Use ?format=csv|json|vcf or a text/csv, application/json or text/vcard body"
+        });
+      }
+
+      // CSV and vCard arrive as text; JSON may also be parsed already
+      if (format !== 'json' && typeof req.body !== 'string') {
+        return res.status(415).json({
+          success: false,
+          message: `Send the ${format.toUpperCase()} document with Content-Type ${FORMATS[format].accepts[0]}`
+        });
+      }
+
+      const records = parseDocument(format, req.body);
+      const friends = await req.friends.all();
+      const { rows, summary, changes } = planImport(friends, records, {
+        schema: schemas.createFriend,
+        onDuplicate: req.query.onDuplicate
+      });
+
+      const dryRun = req.query.dryRun === true;
+      if (!dryRun) {
+        const previous = new Map(friends.map(friend => [friend.id, friend]));
+
+        for (const friend of changes) {
+          await req.friends.save(friend);
+
+          const before = previous.get(friend.id);
+          await auditFriend(req, before ? 'friend.update' : 'friend.create', {
+            before: before,
+            after: friend,
+            source: 'import'
+          });
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `${dryRun ? 'Dry run: would import' : 'Imported'} ${summary.total} row(s): ` +
+          `${summary.created} created, ${summary.updated} updated, ${summary.invalid} invalid`,
+        dryRun: dryRun,
+        summary: summary,
+        data: rows
+      });
+    } catch (error) {
+      if (error instanceof FormatError) {
+        return res.status(422).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error("Error importing friends:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error while importing friends"
+      });
+    }
+  }
+);
+
+/**
+ * ============================================================================
+ * GET /friends/birthdays
+ * ============================================================================
+ * 
+ * Lists the birthdays coming up in the next days, soonest first, with the
+ * age each friend will turn. "Today" is taken in the timezone from your
+ * profile (PATCH /me, UTC by default); friends born on 29 February
+ * celebrate on 28 February in non-leap years. See ../lib/birthdays.js.
+ * 
+ * USE CASE: Seeing whose birthday is coming up.
+ * 
+ * @route GET /friends/birthdays
+ * @group Friends - CRUD operations for friends management
+ * @param {string} within.query.optional - Look-ahead period: days ("30d") or weeks ("2w") (default: 30d)
+ * @returns {object} 200 - Upcoming birthdays
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid period
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /friends/birthdays?within=2w
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "1 birthday(s) in the next 14 day(s)",
+ *   "timezone": "Europe/London",
+ *   "today": "01-05-2024",
+ *   "data": [
+ *     {
+ *       "friend": {
+ *         "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *         "email": "johnsmith@gmail.com",
+ *         "firstName": "John",
+ *         "lastName": "Doe",
+ *         "DOB": "09-05-1990"
+ *       },
+ *       "birthday": "09-05-2024",
+ *       "turning": 34,
+ *       "daysUntil": 8
+ *     }
+ *   ]
+ * }
+ */
+router.get("/birthdays", requirePermission('friends:read'), validate({ query: schemas.birthdaysQuery }), async (req, res) => {
+  try {
+    const within = parsePeriod(req.query.within || DEFAULT_BIRTHDAY_PERIOD);
+    const user = await req.app.locals.store.getUser(req.user.username);
+    const timezone = (user && user.timezone) || DEFAULT_TIMEZONE;
+    const today = localToday(timezone);
+
+    const birthdays = upcomingBirthdays(await req.friends.all(), { within, today });
+
+    res.status(200).json({
+      success: true,
+      message: `${birthdays.length} birthday(s) in the next ${within} day(s)`,
+      timezone: timezone,
+      today: formatDate(today),
+      data: birthdays
+    });
+  } catch (error) {
+    console.error("Error listing birthdays:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing birthdays"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /friends/stream
+ * ============================================================================
+ * 
+ * Live feed of changes to the current user's list, as Server-Sent Events:
+ * friend.created, friend.updated, friend.deleted and friend.restored, made
+ * from any tab or client. See ../lib/friend-stream.js for the payloads.
+ * 
+ * Each event has an id. EventSource sends the last one back as
+ * Last-Event-ID when it reconnects, and the changes made in between are
+ * replayed first. A "reset" event means they can't be: reload GET /friends.
+ * 
+ * A comment line is sent every STREAM_HEARTBEAT_INTERVAL seconds to keep
+ * proxies from closing the connection. The stream ends when the access token
+ * expires; the client reconnects with a fresh one and resumes. Every
+ * STREAM_REVALIDATE_INTERVAL seconds the credentials are checked again, so
+ * the stream also ends soon after a logout, a revoked token, a password
+ * change or a locked account.
+ * 
+ * USE CASE: Keeping an open friends list up to date without polling.
+ * 
+ * @route GET /friends/stream
+ * @group Friends - CRUD operations for friends management
+ * @param {string} Last-Event-ID.header.optional - Id of the last event received
+ * @returns {text/event-stream} 200 - Stream of change events
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Browser
+ * const source = new EventSource('/friends/stream', { withCredentials: true });
+ * source.addEventListener('friend.updated', (e) => render(JSON.parse(e.data)));
+ * 
+ * // Stream
+ * retry: 5000
+ * 
+ * id: 3f0c2a9e-1d7b-4e5a-9c61-8b2f4d0e7a13
+ * event: friend.updated
+ * data: {"id":"3f0c2a9e-...","type":"friend.updated","at":"2024-05-01T10:00:00.000Z",
+ *        "data":{"friend":{...},"previous":{...},"changes":["lastName"]}}
+ */
+router.get("/stream", requirePermission('friends:read'), async (req, res) => {
+  const username = req.user.username;
+  const lastEventId = req.get('Last-Event-ID');
+  const { heartbeatMs, revalidateMs, retryMs } = streamSettings(req.app.locals.config);
+
+  let heartbeat = null;
+  let revalidate = null;
+  let expiry = null;
+  const send = (event) => res.write(formatStreamEvent(event));
+
+  // Changes recorded while the missed ones are being replayed wait here
+  let pending = [];
+
+  // Subscribe before reading the log so nothing falls in between
+  const unsubscribe = req.app.locals.friendStream.subscribe(username, (event) => {
+    if (pending) pending.push(event);
+    else send(event);
+  });
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(revalidate);
+    clearTimeout(expiry);
+  });
+
+  let missed = [];
+  try {
+    if (lastEventId) {
+      missed = streamEventsSince(await req.app.locals.store.listAuditEvents(), username, lastEventId);
+    }
+  } catch (error) {
+    unsubscribe();
+    console.error("Error opening friend stream:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error while opening the friend stream"
+    });
+  }
+
+  // The client went away while the log was being read
+  if (res.destroyed) return;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  if (missed === null) {
+    send({ type: 'reset', data: { message: "Missed changes are no longer available. Reload the list." } });
+    missed = [];
+  }
+  missed.forEach(send);
+
+  const replayed = new Set(missed.map(event => event.id));
+  pending.filter(event => !replayed.has(event.id)).forEach(send);
+  pending = null;
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+  revalidate = setInterval(async () => {
+    try {
+      if (!(await stillAuthenticated(req))) res.end();
+    } catch (error) {
+      console.error("Error checking friend stream credentials:", error);
+    }
+  }, revalidateMs);
+  // Personal access tokens may never expire; setTimeout can't wait longer
+  // than about 24.8 days anyway
+  if (req.user.tokenExpiresAt) {
+    const untilExpiry = Math.min(req.user.tokenExpiresAt * 1000 - Date.now(), 2 ** 31 - 1);
+    expiry = setTimeout(() => res.end(), Math.max(0, untilExpiry));
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /friends/trash
+ * ============================================================================
+ * 
+ * Lists the friends the current user has deleted, most recent first, with
+ * the time each one will be purged for good (TRASH_RETENTION after deletion).
+ * 
+ * USE CASE: Finding a friend to restore.
+ * 
+ * @route GET /friends/trash
+ * @group Friends - CRUD operations for friends management
+ * @returns {object} 200 - Success response with the trashed friends
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "1 friend(s) in the trash",
+ *   "data": [
+ *     {
+ *       "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *       "version": 2,
+ *       "email": "johnsmith@gmail.com",
+ *       "firstName": "John",
+ *       "lastName": "Doe",
+ *       "DOB": "22-12-1990",
+ *       "deletedAt": "2024-05-01T10:00:00.000Z",
+ *       "purgeAt": "2024-05-31T10:00:00.000Z"
+ *     }
+ *   ]
+ * }
+ */
+router.get("/trash", requirePermission('friends:read'), async (req, res) => {
+  try {
+    const trash = await req.friends.listTrash();
+
+    res.status(200).json({
+      success: true,
+      message: `${trash.length} friend(s) in the trash`,
+      data: trash
+    });
+  } catch (error) {
+    console.error("Error listing trash:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing trash"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /friends/trash
+ * ============================================================================
+ * 
+ * Permanently deletes every friend in the current user's trash.
+ * This can not be undone.
+ * 
+ * @route DELETE /friends/trash
+ * @group Friends - CRUD operations for friends management
+ * @returns {object} 200 - Trash emptied ({ purgedCount })
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.delete("/trash", requirePermission('friends:write'), async (req, res) => {
+  try {
+    let purgedCount = 0;
+
+    for (const friend of await req.friends.listTrash()) {
+      // Skip friends restored meanwhile
+      const purged = await req.friends.purge(friend.id);
+      if (!purged) continue;
+
+      await auditFriend(req, 'friend.purge', { before: purged });
+      purgedCount++;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Permanently deleted ${purgedCount} friend(s)`,
+      purgedCount: purgedCount
+    });
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while emptying trash"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /friends/trash/:id
+ * ============================================================================
+ * 
+ * Permanently deletes one friend from the current user's trash.
+ * This can not be undone.
+ * 
+ * @route DELETE /friends/trash/:id
+ * @group Friends - CRUD operations for friends management
+ * @param {string} id.path.required - Id (or email address) of the trashed friend
+ * @returns {object} 200 - Friend permanently deleted
+ * @returns {object} 404 - Not in the trash
+ * @returns {object} 422 - Neither an id nor an email address
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.delete("/trash/:id", requirePermission('friends:write'), validate({ params: schemas.friendParams }), async (req, res) => {
+  try {
+    const found = await findTrashed(req, req.params.id);
+
+    // Also 404 if it was restored since it was looked up
+    const trashed = found && await req.friends.purge(found.id);
+    if (!trashed) {
+      return res.status(404).json({
+        success: false,
+        message: `Friend '${req.params.id}' is not in the trash`
+      });
+    }
+
+    await auditFriend(req, 'friend.purge', { before: trashed });
+
+    res.status(200).json({
+      success: true,
+      message: `Friend with email '${trashed.email}' permanently deleted`,
+      data: { ...trashed, purgeAt: purgeAt(req.app.locals.config, trashed) }
+    });
+  } catch (error) {
+    console.error(`Error purging friend ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting friend"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /friends/bulk-delete
+ * ============================================================================
+ * 
+ * Moves several friends to the trash in one request. Each id is handled on
+ * its own; the response reports the outcome for every one of them.
+ * 
+ * @route POST /friends/bulk-delete
+ * @group Friends - CRUD operations for friends management
+ * @param {Array} ids.body.required - Up to 100 friend ids (or email addresses)
+ * @returns {object} 200 - Per-id results: "deleted" or "not-found"
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid ids
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "ids": ["9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "gone@example.com"] }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Moved 1 of 2 friend(s) to the trash",
+ *   "data": [
+ *     { "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "status": "deleted" },
+ *     { "id": "gone@example.com", "status": "not-found" }
+ *   ]
  * }
- * ============================================================================
  */
+router.post("/bulk-delete", requirePermission('friends:write'), validate({ body: schemas.bulkFriends }), async (req, res) => {
+  try {
+    const results = [];
 
-const express = require('express');
-const router = express.Router();
+    for (const ref of req.body.ids) {
+      const friend = ref.includes('@')
+        ? await req.friends.findByEmail(ref)
+        : await req.friends.get(ref);
+      const trashed = friend && await req.friends.trash(friend.id);
+
+      if (trashed) {
+        const { deletedAt, ...before } = trashed;
+        await auditFriend(req, 'friend.delete', { before: before });
+      }
+      results.push({ id: ref, status: trashed ? 'deleted' : 'not-found' });
+    }
+
+    const deleted = results.filter(result => result.status === 'deleted').length;
+
+    res.status(200).json({
+      success: true,
+      message: `Moved ${deleted} of ${results.length} friend(s) to the trash`,
+      data: results
+    });
+  } catch (error) {
+    console.error("Error deleting friends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting friends"
+    });
+  }
+});
 
 /**
- * ----------------------------------------------------------------------------
- * In-Memory Data Store
- * ----------------------------------------------------------------------------
+ * ============================================================================
+ * POST /friends/bulk-restore
+ * ============================================================================
  * 
- * This object serves as a temporary database for demonstration purposes.
- * Structure: { "email@example.com": { firstName, lastName, DOB } }
+ * Restores several friends from the trash in one request. A friend can't be
+ * restored while another friend in the list has its email address.
  * 
- * ⚠️ IMPORTANT NOTES:
- * 1. In-memory storage is volatile - data is lost when server restarts
- * 2. Not suitable for production - use a proper database (MongoDB, PostgreSQL, etc.)
- * 3. Email addresses are used as unique keys for friend identification
- * 4. Dates are stored as strings in "DD-MM-YYYY" format
- * ----------------------------------------------------------------------------
+ * @route POST /friends/bulk-restore
+ * @group Friends - CRUD operations for friends management
+ * @param {Array} ids.body.required - Up to 100 friend ids (or email addresses)
+ * @returns {object} 200 - Per-id results: "restored", "conflict" or "not-found"
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid ids
+ * @returns {object} 500 - Server error
  */
-let friends = {
-  "johnsmith@gmail.com": {
-    "firstName": "John",
-    "lastName": "Doe",
-    "DOB": "22-12-1990"
-  },
-  "annasmith@gmail.com": {
-    "firstName": "Anna",
-    "lastName": "Smith",
-    "DOB": "02-07-1983"
-  },
-  "peterjones@gmail.com": {
-    "firstName": "Peter",
-    "lastName": "Jones",
-    "DOB": "21-03-1989"
+router.post("/bulk-restore", requirePermission('friends:write'), validate({ body: schemas.bulkFriends }), async (req, res) => {
+  try {
+    const results = [];
+
+    for (const ref of req.body.ids) {
+      const trashed = await findTrashed(req, ref);
+      const { status } = trashed ? await restoreTrashed(req, trashed) : { status: 'not-found' };
+
+      results.push({ id: ref, status });
+    }
+
+    const restored = results.filter(result => result.status === 'restored').length;
+
+    res.status(200).json({
+      success: true,
+      message: `Restored ${restored} of ${results.length} friend(s)`,
+      data: results
+    });
+  } catch (error) {
+    console.error("Error restoring friends:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while restoring friends"
+    });
   }
-};
+});
 
 /**
  * ============================================================================
- * GET /friends
+ * POST /friends/:id/restore
  * ============================================================================
  * 
- * Retrieves all friends from the data store.
- * 
- * USE CASE: When you need to display the complete friends list.
+ * Moves a friend from the trash back into the list. Its id stays the same
+ * and its version goes up.
  * 
- * @route GET /friends
+ * @route POST /friends/:id/restore
  * @group Friends - CRUD operations for friends management
- * @returns {object} 200 - Success response with all friends
+ * @param {string} id.path.required - Id (or email address) of the trashed friend
+ * @returns {object} 200 - Friend restored (with its new ETag)
+ * @returns {object} 404 - Not in the trash (never deleted, or already purged)
+ * @returns {object} 409 - Another friend in the list now has its email address
+ * @returns {object} 422 - Neither an id nor an email address
  * @returns {object} 401 - Unauthorized (handled by auth middleware)
  * @returns {object} 500 - Server error
- * 
- * @example
- * // Successful response
- * {
- *   "success": true,
- *   "data": {
- *     "johnsmith@gmail.com": { "firstName": "John", "lastName": "Doe", "DOB": "22-12-1990" },
- *     "annasmith@gmail.com": { "firstName": "Anna", "lastName": "Smith", "DOB": "02-07-1983" }
- *   },
- *   "count": 2
- * }
  */
-router.get("/", (req, res) => {
+router.post("/:id/restore", requirePermission('friends:write'), validate({ params: schemas.friendParams }), async (req, res) => {
   try {
+    const trashed = await findTrashed(req, req.params.id);
+    const result = trashed ? await restoreTrashed(req, trashed) : { status: 'not-found' };
+
+    if (result.status === 'not-found') {
+      return res.status(404).json({
+        success: false,
+        message: `Friend '${req.params.id}' is not in the trash`
+      });
+    }
+
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: `Friend with email '${trashed.email}' already exists`
+      });
+    }
+
+    res.set('ETag', etagOf(result.friend));
     res.status(200).json({
       success: true,
-      data: friends,
-      count: Object.keys(friends).length,
-      message: `Successfully retrieved ${Object.keys(friends).length} friend(s)`
+      message: `Friend with email '${result.friend.email}' restored`,
+      data: result.friend
     });
   } catch (error) {
-    console.error("Error retrieving friends:", error);
+    console.error(`Error restoring friend ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
-      message: "Internal server error while retrieving friends"
+      message: "Internal server error while restoring friend"
     });
   }
 });
 
 /**
  * ============================================================================
- * GET /friends/:email
+ * GET /friends/:id
  * ============================================================================
  * 
- * Retrieves a specific friend by their email address.
- * Email is used as the unique identifier in this system.
+ * Retrieves a specific friend by id (or by email address, for clients using
+ * the original email-based URLs).
  * 
  * USE CASE: When you need details of a specific friend.
  * 
- * @route GET /friends/:email
+ * @route GET /friends/:id
  * @group Friends - CRUD operations for friends management
- * @param {string} email.path.required - The email address of the friend to retrieve
- * @returns {object} 200 - Success response with friend data
+ * @param {string} id.path.required - The friend's id or email address
+ * @param {string} If-None-Match.header.optional - ETag of the client's copy
+ * @returns {object} 200 - Success response with friend data (and ETag)
+ * @returns {object} 304 - Not modified since the ETag in If-None-Match
  * @returns {object} 404 - Friend not found
+ * @returns {object} 422 - Neither an id nor an email address
  * @returns {object} 401 - Unauthorized (handled by auth middleware)
  * @returns {object} 500 - Server error
  * 
  * @example
- * // Request: GET /friends/johnsmith@gmail.com
+ * // Request: GET /friends/9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64
  * // Successful response
  * {
  *   "success": true,
  *   "data": {
+ *     "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *     "version": 1,
+ *     "email": "johnsmith@gmail.com",
  *     "firstName": "John",
  *     "lastName": "Doe",
  *     "DOB": "22-12-1990"
  *   }
  * }
  */
-router.get("/:email", (req, res) => {
+router.get("/:id", requirePermission('friends:read'), validate({ params: schemas.friendParams }), loadFriend, (req, res) => {
+  const etag = etagOf(req.friend);
+  res.set('ETag', etag);
+
+  // The client's copy is still current
+  if (ifNoneMatchHits(req.get('If-None-Match'), etag)) {
+    return res.status(304).end();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: req.friend,
+    message: `Friend '${req.friend.email}' retrieved successfully`
+  });
+});
+
+/**
+ * ============================================================================
+ * GET /friends/:id/history
+ * ============================================================================
+ * 
+ * Returns the audit log entries for one friend, newest first: when it was
+ * created, every change (with the values before and after), deletion and
+ * restore. Works for friends in the trash and for purged friends too.
+ * 
+ * An email address matches the friend that currently has it, or else the
+ * one that had it most recently.
+ * 
+ * @route GET /friends/:id/history
+ * @group Friends - CRUD operations for friends management
+ * @param {string} id.path.required - Friend id (or email address)
+ * @param {string} action.query.optional - Only this action, e.g. "friend.update"
+ * @param {string} from.query.optional - Only entries at or after this ISO 8601 time
+ * @param {string} to.query.optional - Only entries at or before this ISO 8601 time
+ * @param {number} page.query.optional - Page number, starting at 1 (default: 1)
+ * @param {number} limit.query.optional - Entries per page, 1-100 (default: 20)
+ * @returns {object} 200 - One page of history entries
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 404 - No such friend and no history for it
+ * @returns {object} 422 - Invalid parameters
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: GET /friends/9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64/history?action=friend.update
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Found 1 history entry(ies)",
+ *   "data": [
+ *     {
+ *       "id": "5c0e...",
+ *       "at": "2024-05-01T10:00:00.000Z",
+ *       "action": "friend.update",
+ *       "actor": "john_doe",
+ *       "owner": "john_doe",
+ *       "friendId": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *       "before": { "id": "9b2d...", "version": 1, "lastName": "Doe", ... },
+ *       "after": { "id": "9b2d...", "version": 2, "lastName": "Smith", ... },
+ *       "changes": ["lastName"]
+ *     }
+ *   ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 1, "totalPages": 1 }
+ * }
+ */
+router.get("/:id/history", requirePermission('friends:read'), validate({ params: schemas.friendParams, query: schemas.friendHistoryQuery }), async (req, res) => {
   try {
-    const email = req.params.email;
-    const friend = friends[email];
+    const ref = req.params.id;
+    const { action, from, to } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_HISTORY_PAGE_SIZE;
 
-    if (friend) {
-      res.status(200).json({
-        success: true,
-        data: friend,
-        message: `Friend '${email}' retrieved successfully`
-      });
-    } else {
-      res.status(404).json({
+    const owner = req.user.username;
+    const log = await req.app.locals.store.listAuditEvents();
+    const events = queryAudit(log, { owner });
+
+    // Resolve the friend: in the list, in the trash, or known from its history
+    let friend = ref.includes('@') ? await req.friends.findByEmail(ref) : await req.friends.get(ref);
+    friend = friend || await findTrashed(req, ref);
+
+    let id = friend ? friend.id : null;
+    if (!id) {
+      const wanted = ref.toLowerCase();
+      const event = events.find(event => (ref.includes('@')
+        ? [event.before, event.after].some(record => record && record.email.toLowerCase() === wanted)
+        : event.friendId === ref));
+      id = event ? event.friendId : null;
+    }
+
+    if (!id) {
+      return res.status(404).json({
         success: false,
-        message: `Friend with email '${email}' not found`
+        message: `Friend '${ref}' not found`
       });
     }
+
+    const history = queryAudit(log, { owner, friendId: id, action, from, to });
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${history.length} history entry(ies)`,
+      data: history.slice(start, start + limit),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: history.length,
+        totalPages: Math.ceil(history.length / limit)
+      }
+    });
   } catch (error) {
-    console.error(`Error retrieving friend ${req.params.email}:`, error);
+    console.error(`Error reading history of friend ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
-      message: "Internal server error while retrieving friend"
+      message: "Internal server error while reading friend history"
     });
   }
 });
@@ -168,24 +1216,33 @@ router.get("/:email", (req, res) => {
  * ============================================================================
  * 
  * Creates a new friend entry in the data store.
- * Requires all fields: email, firstName, lastName, and DOB.
+ * Requires email, firstName, lastName and DOB; phones, addresses, notes,
+ * tags and customFields are optional.
  * 
- * VALIDATION RULES:
- * 1. All fields must be provided (no empty values)
- * 2. Email must be unique (not already in the database)
- * 3. Email should be in valid format (basic check)
+ * VALIDATION RULES (see ../lib/schemas.js):
+ * 1. Required fields must be provided (no empty values, no unknown fields)
+ * 2. Email must be a valid address and unique within the list
+ * 3. DOB must be a real, past date in DD-MM-YYYY format
+ * 4. Up to 10 phones / addresses, 20 tags (lowercased, de-duplicated) and
+ *    50 custom fields (string values)
  * 
  * USE CASE: When adding a new friend to your list.
  * 
  * @route POST /friends
  * @group Friends - CRUD operations for friends management
- * @param {string} email.body.required - Friend's email address (unique identifier)
+ * @param {string} email.body.required - Friend's email address (unique within the list)
  * @param {string} firstName.body.required - Friend's first name
  * @param {string} lastName.body.required - Friend's last name
  * @param {string} DOB.body.required - Friend's date of birth (DD-MM-YYYY format)
- * @returns {object} 201 - Friend created successfully
- * @returns {object} 400 - Missing fields or duplicate email
+ * @param {Array} phones.body.optional - [{ label?, number }]
+ * @param {Array} addresses.body.optional - [{ label?, street?, city?, region?, postalCode?, country? }]
+ * @param {string} notes.body.optional - Free-text notes (up to 2000 characters)
+ * @param {Array} tags.body.optional - Tags, e.g. ["family", "climbing"]
+ * @param {object} customFields.body.optional - User-defined { name: value } pairs
+ * @returns {object} 201 - Friend created successfully (with its generated id)
+ * @returns {object} 400 - Duplicate email
  * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Missing or invalid fields (lists every failing field)
  * @returns {object} 500 - Server error
  * 
  * @example
@@ -194,7 +1251,9 @@ router.get("/:email", (req, res) => {
  *   "email": "newfriend@example.com",
  *   "firstName": "Alice",
  *   "lastName": "Johnson",
- *   "DOB": "15-03-1992"
+ *   "DOB": "15-03-1992",
+ *   "phones": [{ "label": "mobile", "number": "+1 555 0100" }],
+ *   "tags": ["Work"]
  * }
  * 
  * // Successful response
@@ -202,34 +1261,23 @@ router.get("/:email", (req, res) => {
  *   "success": true,
  *   "message": "Friend created successfully",
  *   "data": {
+ *     "id": "3f1d2c4b-5a69-4e87-b0c1-d2e3f4a5b6c7",
+ *     "version": 1,
+ *     "email": "newfriend@example.com",
  *     "firstName": "Alice",
  *     "lastName": "Johnson",
- *     "DOB": "15-03-1992"
+ *     "DOB": "15-03-1992",
+ *     "phones": [{ "label": "mobile", "number": "+1 555 0100" }],
+ *     "tags": ["work"]
  *   }
  * }
  */
-router.post("/", (req, res) => {
+router.post("/", requirePermission('friends:write'), validate({ body: schemas.createFriend }), async (req, res) => {
   try {
-    const { email, firstName, lastName, DOB } = req.body;
-
-    // Input validation
-    if (!email || !firstName || !lastName || !DOB) {
-      return res.status(400).json({
-        success: false,
-        message: "All fields are required: email, firstName, lastName, DOB"
-      });
-    }
-
-    // Basic email format validation
-    if (!email.includes('@') || !email.includes('.')) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide a valid email address"
-      });
-    }
+    const email = req.body.email;
 
     // Check for duplicate email
-    if (friends[email]) {
+    if (await req.friends.findByEmail(email)) {
       return res.status(400).json({
         success: false,
         message: `Friend with email '${email}' already exists`
@@ -237,13 +1285,15 @@ router.post("/", (req, res) => {
     }
 
     // Create new friend entry
-    friends[email] = { firstName, lastName, DOB };
+    const friend = await req.friends.save(buildFriend(req.body));
+    await auditFriend(req, 'friend.create', { after: friend });
 
     // Return 201 Created status for successful resource creation
+    res.set('ETag', etagOf(friend));
     res.status(201).json({
       success: true,
       message: "Friend created successfully",
-      data: friends[email]
+      data: friend
     });
   } catch (error) {
     console.error("Error creating friend:", error);
@@ -254,9 +1304,143 @@ router.post("/", (req, res) => {
   }
 });
 
+/**
+ * ----------------------------------------------------------------------------
+ * Shared Update Logic
+ * ----------------------------------------------------------------------------
+ * 
+ * Applies validated updates to req.friend and sends the response; used by
+ * both PUT and PATCH.
+ * 
+ * The write is always conditional on the version the updates were applied
+ * to, so each version number names exactly one body. With If-Match, a
+ * friend changed in the meantime fails with 412. Without it, the updates
+ * are applied again to the current friend, up to MAX_UPDATE_ATTEMPTS times
+ * (then 409).
+ */
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Apply updates to a friend and save them
+ * 
+ * @param {Object} req - Request (after loadFriend and checkIfMatch)
+ * @param {Object} updates - Validated fields to change (null clears a field)
+ * @param {Function} [reapply] - (friend) => updates for a friend that changed
+ *                               meantime, or undefined if they no longer apply
+ *                               (default: the same updates)
+ * @returns {Promise<Object>} - { status, friend, before, updatedFields }, where
+ *          status is "updated", "unchanged", "email-taken", "not-found"
+ *          (deleted meanwhile) or "conflict" (changed on every attempt, or
+ *          the updates no longer apply)
+ * @throws {VersionConflictError} - If the If-Match version is out of date
+ */
+const saveUpdates = async (req, updates, reapply = () => updates) => {
+  let current = req.friend;
+
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    const friend = structuredClone(current);
+
+    if (attempt > 1) {
+      updates = reapply(current);
+      if (!updates) return { status: 'conflict' };
+    }
+
+    // A new email must not belong to another friend in the list
+    if (updates.email !== undefined && updates.email.toLowerCase() !== friend.email.toLowerCase()) {
+      const existing = await req.friends.findByEmail(updates.email);
+      if (existing && existing.id !== friend.id) {
+        return { status: 'email-taken' };
+      }
+    }
+
+    // Apply the provided fields, tracking which ones actually changed
+    const updatedFields = applyFriendUpdates(friend, updates);
+    if (updatedFields.length === 0) {
+      return { status: 'unchanged', friend, updatedFields };
+    }
+
+    try {
+      await req.friends.save(friend, { ifVersion: versionOf(current) });
+      return { status: 'updated', friend, before: current, updatedFields };
+    } catch (error) {
+      if (!(error instanceof VersionConflictError) || req.ifVersion !== undefined) throw error;
+      if (!error.current) return { status: 'not-found' };
+
+      current = error.current;
+    }
+  }
+
+  return { status: 'conflict' };
+};
+
+/**
+ * Save updates to req.friend and send the response
+ * 
+ * @param {Object} req - Request (after loadFriend and checkIfMatch)
+ * @param {Object} res - Response
+ * @param {Object} updates - Validated fields to change (null clears a field)
+ * @param {Function} [reapply] - See saveUpdates()
+ */
+const commitUpdates = async (req, res, updates, reapply) => {
+  try {
+    const { status, friend, before, updatedFields } = await saveUpdates(req, updates, reapply);
+
+    if (status === 'email-taken') {
+      return res.status(409).json({
+        success: false,
+        message: `Friend with email '${updates.email}' already exists`
+      });
+    }
+    if (status === 'not-found') {
+      return res.status(404).json({
+        success: false,
+        message: `Friend '${req.params.id}' not found`
+      });
+    }
+    if (status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: "Friend was changed by other requests meanwhile. Fetch it again and retry"
+      });
+    }
+
+    if (status === 'updated') {
+      await auditFriend(req, 'friend.update', { before: before, after: friend, changes: updatedFields });
+    }
+
+    // Construct appropriate response message
+    let message;
+    if (updatedFields.length === 0) {
+      message = "No fields were updated (values unchanged)";
+    } else if (updatedFields.length === 1) {
+      message = `Updated ${updatedFields[0]} for friend '${friend.email}'`;
+    } else {
+      message = `Friend updated. Fields modified: ${updatedFields.join(', ')}`;
+    }
+
+    res.set('ETag', etagOf(friend));
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: friend,
+      updatedFields: updatedFields.length > 0 ? updatedFields : undefined
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return preconditionFailed(res, error.current);
+    }
+
+    console.error(`Error updating friend ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating friend"
+    });
+  }
+};
+
 /**
  * ============================================================================
- * PUT /friends/:email
+ * PUT /friends/:id
  * ============================================================================
  * 
  * Updates an existing friend's information.
@@ -266,22 +1450,39 @@ router.post("/", (req, res) => {
  * 1. Partial updates allowed (update only the fields you want to change)
  * 2. Tracks which fields were actually modified in the response
  * 3. Validates that the friend exists before attempting updates
+ * 4. Lists (phones, addresses, tags) and customFields are replaced as a
+ *    whole; null or an empty value removes the field
+ * 5. The email can be changed, as long as no other friend in the list has
+ *    the new address; the id stays the same
+ * 6. Send If-Match with the ETag you read to avoid overwriting someone
+ *    else's changes (412 if the friend changed in the meantime)
  * 
  * USE CASE: When you need to update a friend's information.
  * 
- * @route PUT /friends/:email
+ * @route PUT /friends/:id
  * @group Friends - CRUD operations for friends management
- * @param {string} email.path.required - Email of the friend to update
+ * @param {string} id.path.required - Id (or email address) of the friend to update
+ * @param {string} email.body.optional - New email address
  * @param {string} firstName.body.optional - New first name
  * @param {string} lastName.body.optional - New last name
  * @param {string} DOB.body.optional - New date of birth (DD-MM-YYYY format)
- * @returns {object} 200 - Friend updated successfully
+ * @param {Array} phones.body.optional - New phone list (null to remove)
+ * @param {Array} addresses.body.optional - New address list (null to remove)
+ * @param {string} notes.body.optional - New notes (null to remove)
+ * @param {Array} tags.body.optional - New tag list (null to remove)
+ * @param {object} customFields.body.optional - New custom fields (null to remove)
+ * @param {string} If-Match.header.optional - ETag the update was written against
+ * @returns {object} 200 - Friend updated successfully (with the new ETag)
  * @returns {object} 404 - Friend not found
+ * @returns {object} 409 - Another friend already has the new email address, or
+ *                          the friend kept changing while being updated
+ * @returns {object} 412 - The friend changed since the If-Match ETag
  * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid id or field values (lists every failing field)
  * @returns {object} 500 - Server error
  * 
  * @example
- * // Request: PUT /friends/johnsmith@gmail.com
+ * // Request: PUT /friends/9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64
  * // Request body (partial update - only lastName)
  * {
  *   "lastName": "Smith"
@@ -292,131 +1493,212 @@ router.post("/", (req, res) => {
  *   "success": true,
  *   "message": "Friend updated. Fields modified: lastName",
  *   "data": {
+ *     "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *     "version": 2,
+ *     "email": "johnsmith@gmail.com",
  *     "firstName": "John",
  *     "lastName": "Smith",
  *     "DOB": "22-12-1990"
  *   }
  * }
  */
-router.put("/:email", (req, res) => {
+router.put(
+  "/:id",
+  requirePermission('friends:write'),
+  validate({ params: schemas.friendParams, body: schemas.updateFriend }),
+  loadFriend,
+  checkIfMatch,
+  (req, res) => commitUpdates(req, res, req.body)
+);
+
+/**
+ * ============================================================================
+ * PATCH /friends/:id
+ * ============================================================================
+ * 
+ * Updates a friend with a patch document (see ../lib/json-patch.js):
+ * 
+ * - application/merge-patch+json (RFC 7396): fields to change; null removes
+ *   a field and objects such as customFields are merged
+ * - application/json-patch+json (RFC 6902): a list of operations, e.g. to
+ *   append a tag or change one phone number without resending the list
+ * 
+ * The patch applies to the friend without its id and version. The result
+ * must pass the same validation as POST /friends, and is then saved like a
+ * PUT (same email checks, updatedFields, ETag and If-Match handling). If the
+ * friend changes before the write, the patch is applied again to the new
+ * version.
+ * 
+ * @route PATCH /friends/:id
+ * @group Friends - CRUD operations for friends management
+ * @param {string} id.path.required - Id (or email address) of the friend to patch
+ * @param {string} If-Match.header.optional - ETag the patch was written against
+ * @returns {object} 200 - Friend updated successfully
+ * @returns {object} 404 - Friend not found
+ * @returns {object} 409 - A JSON Patch "test" failed, the new email is taken, or
+ *                          the patch no longer applies to the current friend
+ * @returns {object} 412 - The friend changed since the If-Match ETag
+ * @returns {object} 415 - Unsupported Content-Type (see the Accept-Patch header)
+ * @returns {object} 422 - Malformed patch, or the patched friend is invalid
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: PATCH /friends/9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64
+ * // Content-Type: application/json-patch+json, If-Match: "v2"
+ * [
+ *   { "op": "add", "path": "/tags/-", "value": "climbing" },
+ *   { "op": "remove", "path": "/notes" }
+ * ]
+ * 
+ * // Successful response (ETag: "v3")
+ * {
+ *   "success": true,
+ *   "message": "Friend updated. Fields modified: notes, tags",
+ *   "data": { "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64", "version": 3, ... },
+ *   "updatedFields": ["notes", "tags"]
+ * }
+ */
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+/**
+ * Apply a patch document to a friend and turn the result into updates
+ * 
+ * @param {string} type - MERGE_PATCH or JSON_PATCH
+ * @param {Object} friend - Friend record to patch
+ * @param {*} patch - The request body
+ * @returns {Object} - { updates } (every field, null where the patch
+ *          removed it), or { error: { status, body } }
+ */
+const patchUpdates = (type, friend, patch) => {
+  let document;
   try {
-    const email = req.params.email;
-    const updates = req.body;
+    document = type === MERGE_PATCH
+      ? applyMergePatch(editableFields(friend), patch)
+      : applyJsonPatch(editableFields(friend), patch);
+  } catch (error) {
+    if (!(error instanceof PatchError)) throw error;
 
-    // Check if friend exists
-    if (!friends[email]) {
-      return res.status(404).json({
-        success: false,
-        message: `Friend with email '${email}' not found`
-      });
-    }
+    return { error: { status: error.reason === 'test-failed' ? 409 : 422, body: { message: error.message } } };
+  }
 
-    // Track modified fields for response message
-    const updatedFields = [];
+  // The patched friend must be a valid friend in its own right
+  const { value, errors } = validateObject(document, schemas.createFriend, 'body');
+  if (errors.length > 0) {
+    return { error: { status: 422, body: { message: "Validation failed", errors: errors } } };
+  }
 
-    // Apply updates only for provided fields
-    if (updates.firstName !== undefined && updates.firstName !== friends[email].firstName) {
-      friends[email].firstName = updates.firstName;
-      updatedFields.push('firstName');
-    }
+  // Fields the patch removed are cleared
+  const updates = {};
+  for (const field of FRIEND_FIELDS) {
+    updates[field] = value[field] === undefined ? null : value[field];
+  }
+  return { updates };
+};
 
-    if (updates.lastName !== undefined && updates.lastName !== friends[email].lastName) {
-      friends[email].lastName = updates.lastName;
-      updatedFields.push('lastName');
-    }
+router.patch(
+  "/:id",
+  requirePermission('friends:write'),
+  express.json({ type: [MERGE_PATCH, JSON_PATCH] }),
+  validate({ params: schemas.friendParams }),
+  loadFriend,
+  checkIfMatch,
+  (req, res) => {
+    const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
 
-    if (updates.DOB !== undefined && updates.DOB !== friends[email].DOB) {
-      friends[email].DOB = updates.DOB;
-      updatedFields.push('DOB');
+    if (type !== MERGE_PATCH && type !== JSON_PATCH) {
+      res.set('Accept-Patch', `${MERGE_PATCH}, ${JSON_PATCH}`);
+      return res.status(415).json({
+        success: false,
+        message: `PATCH requires Content-Type ${MERGE_PATCH} or ${JSON_PATCH}`
+      });
     }
 
-    // Construct appropriate response message
-    let message;
-    if (updatedFields.length === 0) {
-      message = "No fields were updated (values unchanged)";
-    } else if (updatedFields.length === 1) {
-      message = `Updated ${updatedFields[0]} for friend '${email}'`;
-    } else {
-      message = `Friend updated. Fields modified: ${updatedFields.join(', ')}`;
+    const patched = patchUpdates(type, req.friend, req.body);
+    if (patched.error) {
+      return res.status(patched.error.status).json({
+        success: false,
+        ...patched.error.body
+      });
     }
 
-    res.status(200).json({
-      success: true,
-      message: message,
-      data: friends[email],
-      updatedFields: updatedFields.length > 0 ? updatedFields : undefined
-    });
-  } catch (error) {
-    console.error(`Error updating friend ${req.params.email}:`, error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error while updating friend"
-    });
+    // If the friend changes meanwhile, the patch is applied again to the
+    // current version (see saveUpdates())
+    return commitUpdates(req, res, patched.updates, friend => patchUpdates(type, friend, req.body).updates);
   }
-});
+);
 
 /**
  * ============================================================================
- * DELETE /friends/:email
+ * DELETE /friends/:id
  * ============================================================================
  * 
- * Removes a friend from the data store.
+ * Moves a friend to the trash. It can be restored with
+ * POST /friends/:id/restore until it is purged (purgeAt in the response).
  * Returns the deleted friend's data in the response for confirmation.
  * 
- * SECURITY NOTE: In a production system, consider implementing:
- * 1. Soft delete (mark as deleted instead of permanent removal)
- * 2. Archive functionality
- * 3. Audit logging of all deletions
- * 
  * USE CASE: When you need to remove a friend from your list.
  * 
- * @route DELETE /friends/:email
+ * @route DELETE /friends/:id
  * @group Friends - CRUD operations for friends management
- * @param {string} email.path.required - Email of the friend to delete
- * @returns {object} 200 - Friend deleted successfully
+ * @param {string} id.path.required - Id (or email address) of the friend to delete
+ * @param {string} If-Match.header.optional - Only delete this version of the friend
+ * @returns {object} 200 - Friend moved to the trash
  * @returns {object} 404 - Friend not found
+ * @returns {object} 412 - The friend changed since the If-Match ETag
+ * @returns {object} 422 - Neither an id nor an email address
  * @returns {object} 401 - Unauthorized (handled by auth middleware)
  * @returns {object} 500 - Server error
  * 
  * @example
- * // Request: DELETE /friends/johnsmith@gmail.com
+ * // Request: DELETE /friends/9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64
  * // Successful response
  * {
  *   "success": true,
- *   "message": "Friend with email 'johnsmith@gmail.com' deleted successfully",
+ *   "message": "Friend with email 'johnsmith@gmail.com' moved to the trash",
  *   "data": {
+ *     "id": "9b2d6f1e-4c3a-4f7e-8a51-2f0c1d9e7b64",
+ *     "version": 1,
+ *     "email": "johnsmith@gmail.com",
  *     "firstName": "John",
  *     "lastName": "Doe",
- *     "DOB": "22-12-1990"
- *   }
+ *     "DOB": "22-12-1990",
+ *     "deletedAt": "2024-05-01T10:00:00.000Z",
+ *     "purgeAt": "2024-05-31T10:00:00.000Z"
+ *   },
+ *   "remainingCount": 0
  * }
  */
-router.delete("/:email", (req, res) => {
+router.delete("/:id", requirePermission('friends:write'), validate({ params: schemas.friendParams }), loadFriend, checkIfMatch, async (req, res) => {
   try {
-    const email = req.params.email;
+    // Move the friend to the trash
+    const deletedFriend = await req.friends.trash(req.friend.id, { ifVersion: req.ifVersion });
 
-    // Check if friend exists
-    if (!friends[email]) {
+    if (!deletedFriend) {
       return res.status(404).json({
         success: false,
-        message: `Friend with email '${email}' not found`
+        message: `Friend '${req.params.id}' not found`
       });
     }
 
-    // Preserve friend data for response before deletion
-    const deletedFriend = { ...friends[email] };
-
-    // Delete the friend from the data store
-    delete friends[email];
+    // The friend may have changed since it was looked up: record what was trashed
+    const { deletedAt, ...before } = deletedFriend;
+    await auditFriend(req, 'friend.delete', { before: before });
+    const remaining = await req.friends.all();
 
     res.status(200).json({
       success: true,
-      message: `Friend with email '${email}' deleted successfully`,
-      data: deletedFriend,
-      remainingCount: Object.keys(friends).length
+      message: `Friend with email '${deletedFriend.email}' moved to the trash`,
+      data: { ...deletedFriend, purgeAt: purgeAt(req.app.locals.config, deletedFriend) },
+      remainingCount: remaining.length
     });
   } catch (error) {
-    console.error(`Error deleting friend ${req.params.email}:`, error);
+    if (error instanceof VersionConflictError) {
+      return preconditionFailed(res, error.current);
+    }
+
+    console.error(`Error deleting friend ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
       message: "Internal server error while deleting friend"
@@ -0,0 +1,559 @@
+/**
+ * ============================================================================
+ * Account Self-Service Router Module
+ * ============================================================================
+ * 
+ * Lets the logged-in user view and manage their own account. All endpoints
+ * are protected by authMiddleware (see ../middleware/auth.js).
+ * 
+ * API Structure:
+ * - GET    /me           - View profile
+ * - PATCH  /me           - Update profile fields (displayName, email,
+ *                          timezone, reminderDays)
+ * - POST   /me/password  - Change password (requires the current password)
+ * - POST   /me/2fa       - Start two-factor enrolment (secret and otpauth URI)
+ * - POST   /me/2fa/confirm - Turn two-factor authentication on (returns the
+ *                          recovery codes)
+ * - DELETE /me/2fa       - Turn two-factor authentication off (requires the
+ *                          password and a code)
+ * - DELETE /me           - Delete account and all data (requires the password)
+ * 
+ * Changing the password or deleting the account invalidates every token the
+ * user holds, including the one used for the request. Changing the email
+ * address sends a verification email to the new one (see
+ * ../lib/account-tokens.js). Two-factor authentication is described in
+ * ../lib/two-factor.js.
+ * ============================================================================
+ */
+
+const { isDeepStrictEqual } = require('util');
+const express = require('express');
+const { hashParams, hashPassword, verifyPassword } = require('../lib/password.js');
+const { revokeAllSessions } = require('../lib/revocation.js');
+const { publicUser, findUserByEmail, emailLockKey, withUser } = require('../lib/users.js');
+const { accountTokenSettings, sendVerificationEmail } = require('../lib/account-tokens.js');
+const { TwoFactorError, startEnrolment, confirmEnrolment, disableTwoFactor } = require('../lib/two-factor.js');
+const { recordAudit } = require('../lib/audit.js');
+const { validate } = require('../middleware/validate.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+/**
+ * Profile fields a user may change with PATCH /me
+ */
+const PROFILE_FIELDS = ['displayName', 'email', 'timezone', 'reminderDays'];
+
+/**
+ * Destroy the express-session of the current request
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const destroySession = (req) => new Promise((resolve, reject) => {
+  if (!req.session) return resolve();
+  req.session.destroy((err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * HTTP status for each TwoFactorError reason
+ */
+const TWO_FACTOR_ERROR_STATUS = {
+  'not-found': 404,
+  'enabled': 409,
+  'not-enabled': 409,
+  'not-pending': 409,
+  'invalid-code': 401
+};
+
+/**
+ * Answer 404 for an account deleted while the request was being handled
+ * 
+ * @param {Object} res - Express response object
+ */
+const accountNotFound = (res) => {
+  res.status(404).json({
+    success: false,
+    message: "Account not found"
+  });
+};
+
+/**
+ * Answer a TwoFactorError with its status code
+ * 
+ * @param {Object} res - Express response object
+ * @param {TwoFactorError} error - The error
+ */
+const sendTwoFactorError = (res, error) => {
+  res.status(TWO_FACTOR_ERROR_STATUS[error.reason] || 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * ============================================================================
+ * GET /me
+ * ============================================================================
+ * 
+ * Returns the current user's profile.
+ * 
+ * @route GET /me
+ * @group Account - Self-service account management
+ * @returns {object} 200 - The user's profile
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "8c1f...",
+ *     "username": "john_doe",
+ *     "displayName": "John Doe",
+ *     "email": "john@example.com",
+ *     "emailVerified": true,
+ *     "twoFactorEnabled": false,
+ *     "timezone": "Europe/London",
+ *     "reminderDays": null,
+ *     "role": "user",
+ *     "locked": false,
+ *     "createdAt": "2024-01-15T10:30:00.000Z"
+ *   }
+ * }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const user = await req.app.locals.store.getUser(req.user.username);
+    if (!user) return accountNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: publicUser(user)
+    });
+  } catch (error) {
+    console.error("Error retrieving profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving profile"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * PATCH /me
+ * ============================================================================
+ * 
+ * Updates profile fields. Only provided fields are modified; send null to
+ * clear a field. Email addresses must be unique across accounts; a new
+ * address is unverified until the emailed token is sent to
+ * POST /verify-email. With REQUIRE_EMAIL_VERIFICATION=true the address
+ * can be changed but not removed.
+ * 
+ * timezone decides when "today" starts for birthdays; reminderDays chooses
+ * the birthday reminders (null falls back to BIRTHDAY_REMINDER_DAYS).
+ * 
+ * @route PATCH /me
+ * @group Account - Self-service account management
+ * @param {string} displayName.body.optional - Name shown to others
+ * @param {string} email.body.optional - Contact email address
+ * @param {string} timezone.body.optional - IANA timezone for birthdays, e.g. "Europe/Paris" (default: UTC)
+ * @param {Array} reminderDays.body.optional - Days before a birthday to be reminded, e.g. [7, 1]; [] for none
+ * @returns {object} 200 - Profile updated
+ * @returns {object} 409 - Email already used by another account
+ * @returns {object} 422 - Email removed while verification is required
+ * @returns {object} 422 - Invalid field values (lists every failing field)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "displayName": "Johnny" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Updated displayName",
+ *   "data": { "username": "john_doe", "displayName": "Johnny", ... },
+ *   "updatedFields": ["displayName"]
+ * }
+ */
+router.patch("/", validate({ body: schemas.updateProfile }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const updates = req.body;
+    const { email } = updates;
+
+    if (email === null && accountTokenSettings(req.app.locals.config).requireVerifiedEmail) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [{ field: 'email', location: 'body', message: 'can not be removed while email verification is required' }]
+      });
+    }
+
+    // Track modified fields for response message
+    const updatedFields = [];
+
+    const update = async (user) => {
+      if (email) {
+        const owner = await findUserByEmail(store, email);
+        if (owner && owner.id !== user.id) return { status: 'email-taken' };
+      }
+
+      for (const field of PROFILE_FIELDS) {
+        const value = updates[field] === null ? undefined : updates[field];
+        if (updates[field] !== undefined && !isDeepStrictEqual(value, user[field])) {
+          if (value === undefined) {
+            delete user[field];
+          } else {
+            user[field] = value;
+          }
+          updatedFields.push(field);
+        }
+      }
+
+      if (updatedFields.includes('email')) {
+        delete user.emailVerifiedAt;
+        if (user.email) {
+          user.emailVerified = false;
+        } else {
+          delete user.emailVerified;
+        }
+      }
+
+      if (updatedFields.length > 0) {
+        await store.saveUser(user);
+      }
+      return { status: 'updated', user };
+    };
+
+    // A new address is checked and claimed under its lock, so two accounts
+    // can't both take it
+    const { status, user } = await withUser(store, req.user.username, (user) => {
+      if (!user) return { status: 'not-found' };
+      return email ? store.exclusive(emailLockKey(email), () => update(user)) : update(user);
+    });
+
+    if (status === 'not-found') return accountNotFound(res);
+    if (status === 'email-taken') {
+      return res.status(409).json({
+        success: false,
+        message: "Email address is already used by another account"
+      });
+    }
+
+    const emailChanged = updatedFields.includes('email');
+
+    if (emailChanged && user.email) {
+      await sendVerificationEmail(req.app.locals.config, req.app.locals.mailer, user).catch((error) => {
+        console.error("Error sending verification email:", error);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updatedFields.length === 0
+        ? "No fields were updated (values unchanged)"
+        : `Updated ${updatedFields.join(', ')}` +
+          (emailChanged && user.email ? `. Check ${user.email} to verify the new address.` : ''),
+      data: publicUser(user),
+      updatedFields: updatedFields.length > 0 ? updatedFields : undefined
+    });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating profile"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /me/password
+ * ============================================================================
+ * 
+ * Changes the current user's password. Every existing access and refresh
+ * token is invalidated afterwards, so the user has to login again on every
+ * device (including this one).
+ * 
+ * @route POST /me/password
+ * @group Account - Self-service account management
+ * @param {string} currentPassword.body.required - The current password
+ * @param {string} newPassword.body.required - The new password
+ * @returns {object} 200 - Password changed, all sessions ended
+ * @returns {object} 401 - Current password is wrong
+ * @returns {object} 422 - Missing fields or new password violates the policy
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "currentPassword": "old-secret", "newPassword": "new-secret" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Password changed. Please login again."
+ * }
+ */
+router.post("/password", validate({ body: schemas.changePassword }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const { currentPassword, newPassword } = req.body;
+
+    let user = await store.getUser(req.user.username);
+    if (!user) return accountNotFound(res);
+
+    if (!(await verifyPassword(currentPassword, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect."
+      });
+    }
+
+    const password = await hashPassword(newPassword, hashParams(req.app.locals.config));
+    user = await revokeAllSessions(store, user, 'password-change', (current) => {
+      current.password = password;
+    });
+    await destroySession(req);
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed. Please login again."
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while changing password"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /me/2fa
+ * ============================================================================
+ * 
+ * Starts two-factor enrolment: generates a TOTP secret and returns it with
+ * its otpauth:// URI, to be shown as a QR code or typed into an
+ * authenticator app. Nothing changes at login until the enrolment is
+ * confirmed with POST /me/2fa/confirm. Starting again replaces the pending
+ * secret.
+ * 
+ * @route POST /me/2fa
+ * @group Account - Self-service account management
+ * @returns {object} 200 - The pending secret and otpauth URI
+ * @returns {object} 409 - Two-factor authentication is already enabled
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Add this account to your authenticator app, then confirm with a code at /me/2fa/confirm",
+ *   "data": {
+ *     "secret": "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+ *     "otpauthUri": "otpauth://totp/Friends%20API:john_doe?secret=JBSWY3DPEHPK3PXP...&issuer=Friends+API&..."
+ *   }
+ * }
+ */
+router.post("/2fa", async (req, res) => {
+  try {
+    const enrolment = await startEnrolment(req.app.locals.config, req.app.locals.store, req.user.username);
+
+    res.status(200).json({
+      success: true,
+      message: "Add this account to your authenticator app, then confirm with a code at /me/2fa/confirm",
+      data: enrolment
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return sendTwoFactorError(res, error);
+
+    console.error("Error starting two-factor enrolment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while enabling two-factor authentication"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /me/2fa/confirm
+ * ============================================================================
+ * 
+ * Turns two-factor authentication on with a code from the authenticator
+ * app, proving it was set up correctly. The response holds the recovery
+ * codes: they are shown only this once, and each can replace a TOTP code
+ * once when the device is lost.
+ * 
+ * @route POST /me/2fa/confirm
+ * @group Account - Self-service account management
+ * @param {string} code.body.required - Current code from the authenticator app
+ * @returns {object} 200 - Two-factor authentication enabled, with recovery codes
+ * @returns {object} 401 - Wrong code
+ * @returns {object} 409 - Already enabled, or no enrolment started
+ * @returns {object} 422 - Missing code
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "code": "492039" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Two-factor authentication enabled. Store these recovery codes somewhere safe: they are not shown again.",
+ *   "data": { "recoveryCodes": ["3f9a-0c1d", "b27e-94aa", ...] }
+ * }
+ */
+router.post("/2fa/confirm", validate({ body: schemas.confirmTwoFactor }), async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrolment(req.app.locals.store, req.user.username, req.body.code);
+    await recordAudit(req, { action: 'auth.2fa.enable' });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe: they are not shown again.",
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return sendTwoFactorError(res, error);
+
+    console.error("Error confirming two-factor enrolment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while enabling two-factor authentication"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /me/2fa
+ * ============================================================================
+ * 
+ * Turns two-factor authentication off. Both the password and a current
+ * code (TOTP or recovery code) must be sent, so a stolen session alone
+ * can't remove the second factor.
+ * 
+ * @route DELETE /me/2fa
+ * @group Account - Self-service account management
+ * @param {string} password.body.required - The current password
+ * @param {string} code.body.required - TOTP code or recovery code
+ * @returns {object} 200 - Two-factor authentication disabled
+ * @returns {object} 401 - Wrong password or code
+ * @returns {object} 409 - Two-factor authentication is not enabled
+ * @returns {object} 422 - Missing password or code
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "password": "secret", "code": "492039" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Two-factor authentication disabled"
+ * }
+ */
+router.delete("/2fa", validate({ body: schemas.disableTwoFactor }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const { password, code } = req.body;
+
+    const user = await store.getUser(req.user.username);
+    if (!user) return accountNotFound(res);
+
+    if (!(await verifyPassword(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect."
+      });
+    }
+
+    const method = await disableTwoFactor(store, user.username, code);
+    await recordAudit(req, { action: 'auth.2fa.disable', secondFactor: method });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) return sendTwoFactorError(res, error);
+
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while disabling two-factor authentication"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /me
+ * ============================================================================
+ * 
+ * Permanently deletes the current user's account together with all of their
+ * data (friends list, sessions and tokens). The password must be sent again
+ * to confirm.
+ * 
+ * @route DELETE /me
+ * @group Account - Self-service account management
+ * @param {string} password.body.required - The current password
+ * @returns {object} 200 - Account deleted
+ * @returns {object} 401 - Password is wrong
+ * @returns {object} 422 - Missing password
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "password": "secret" }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Account 'john_doe' deleted"
+ * }
+ */
+router.delete("/", validate({ body: schemas.deleteAccount }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const { password } = req.body;
+
+    const user = await store.getUser(req.user.username);
+    if (!user) return accountNotFound(res);
+
+    if (!(await verifyPassword(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect."
+      });
+    }
+
+    await revokeAllSessions(store, user, 'account-deleted');
+    await withUser(store, user.username, () => store.deleteUser(user.username));
+    await destroySession(req);
+
+    res.status(200).json({
+      success: true,
+      message: `Account '${user.username}' deleted`
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while deleting account"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * Module Export
+ * ============================================================================
+ */
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * Sessions API Router Module
+ * ============================================================================
+ * 
+ * Lets a user see where they are logged in and end individual sessions.
+ * A session is one login: the refresh token family created by /login (see
+ * ../lib/refresh-tokens.js). Ending a session revokes its refresh tokens and
+ * every access token issued for it.
+ * 
+ * All endpoints are protected by authMiddleware (see ../middleware/auth.js).
+ * 
+ * API Structure:
+ * - GET    /sessions      - List the current user's active sessions
+ * - DELETE /sessions/:id  - End one of the current user's sessions
+ * ============================================================================
+ */
+
+const express = require('express');
+const { revokeFamily } = require('../lib/refresh-tokens.js');
+const { validate } = require('../middleware/validate.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+/**
+ * Check whether a session can still be used
+ * 
+ * @param {Object} family - Refresh token family record
+ * @returns {boolean} - True if not revoked and not expired
+ */
+const isActive = (family) => {
+  return !family.revokedAt && new Date(family.expiresAt).getTime() > Date.now();
+};
+
+/**
+ * ============================================================================
+ * GET /sessions
+ * ============================================================================
+ * 
+ * Lists the current user's active sessions, most recently used first.
+ * 
+ * @route GET /sessions
+ * @group Sessions - Login session management
+ * @returns {object} 200 - Success response with the active sessions
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "4f0c1c8e-3d0a-4a5e-9f57-2b1f0f0e7d11",
+ *       "createdAt": "2024-01-15T10:30:00.000Z",
+ *       "lastSeenAt": "2024-01-15T11:02:13.000Z",
+ *       "userAgent": "curl/8.4.0",
+ *       "current": true
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const families = await req.app.locals.store.listTokenFamilies(req.user.id);
+
+    const sessions = families
+      .filter(isActive)
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+      .map(family => ({
+        id: family.id,
+        createdAt: family.createdAt,
+        lastSeenAt: family.lastSeenAt,
+        userAgent: family.userAgent,
+        current: family.id === req.user.sessionId
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: sessions,
+      count: sessions.length,
+      message: `Successfully retrieved ${sessions.length} session(s)`
+    });
+  } catch (error) {
+    console.error("Error retrieving sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while retrieving sessions"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /sessions/:id
+ * ============================================================================
+ * 
+ * Ends one of the current user's sessions. Its refresh token stops working
+ * and its access tokens are rejected from the next request on.
+ * 
+ * @route DELETE /sessions/:id
+ * @group Sessions - Login session management
+ * @param {string} id.path.required - Session id (from GET /sessions)
+ * @returns {object} 200 - Session ended
+ * @returns {object} 404 - Session not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request: DELETE /sessions/4f0c1c8e-3d0a-4a5e-9f57-2b1f0f0e7d11
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Session '4f0c1c8e-3d0a-4a5e-9f57-2b1f0f0e7d11' ended"
+ * }
+ */
+router.delete("/:id", validate({ params: schemas.sessionParams }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const id = req.params.id;
+    const family = await store.getTokenFamily(id);
+
+    // Sessions of other users are reported as missing, not forbidden
+    if (!family || family.userId !== req.user.id || !isActive(family)) {
+      return res.status(404).json({
+        success: false,
+        message: `Session '${id}' not found`
+      });
+    }
+
+    await revokeFamily(store, id, 'session-ended');
+
+    res.status(200).json({
+      success: true,
+      message: `Session '${id}' ended`
+    });
+  } catch (error) {
+    console.error(`Error ending session ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while ending session"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * Module Export
+ * ============================================================================
+ */
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * ============================================================================
+ * Tags API Router Module
+ * ============================================================================
+ * 
+ * Lets a user browse their friends list by tag. Tags are set on friends
+ * through the /friends endpoints; this router only reports them. Use
+ * GET /friends?tag=<tag> to list the friends carrying a tag.
+ * 
+ * Every route requires the friends:read permission (see
+ * ../middleware/permissions.js). Like /friends, the router is mounted behind
+ * scopedAuthMiddleware, so a personal access token with the friends:read
+ * scope can call it.
+ * 
+ * API Structure:
+ * - GET    /tags          - List the current user's tags with friend counts
+ * ============================================================================
+ */
+
+const express = require('express');
+const { countTags } = require('../lib/friend-query.js');
+const { requirePermission } = require('../middleware/permissions.js');
+const router = express.Router();
+
+/**
+ * ============================================================================
+ * GET /tags
+ * ============================================================================
+ * 
+ * Lists every tag used in the current user's friends list, alphabetically,
+ * with the number of friends carrying it.
+ * 
+ * @route GET /tags
+ * @group Tags - Browse friends by tag
+ * @returns {object} 200 - Success response with the tags
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 403 - Missing the friends:read permission or scope
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Found 2 tag(s)",
+ *   "data": [
+ *     { "tag": "climbing", "count": 1 },
+ *     { "tag": "family", "count": 3 }
+ *   ]
+ * }
+ */
+router.get("/", requirePermission('friends:read'), async (req, res) => {
+  try {
+    const friends = await req.app.locals.store.listFriends(req.user.username);
+    const tags = countTags(friends);
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${tags.length} tag(s)`,
+      data: tags
+    });
+  } catch (error) {
+    console.error("Error listing tags:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing tags"
+    });
+  }
+});
+
+module.exports = router;
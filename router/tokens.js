@@ -0,0 +1,221 @@
+/**
+ * ============================================================================
+ * Personal Access Tokens Router Module
+ * ============================================================================
+ * 
+ * Lets a user create tokens for scripts and integrations, see when each was
+ * last used and revoke them (see ../lib/personal-tokens.js for the format,
+ * scopes and lifetime).
+ * 
+ * All endpoints are protected by authMiddleware (see ../middleware/auth.js),
+ * which refuses personal access tokens: a token can't be used to create or
+ * revoke tokens. A user only ever sees their own tokens.
+ * 
+ * API Structure:
+ * - GET    /tokens      - List tokens with their last use
+ * - POST   /tokens      - Create a token (returns it once)
+ * - DELETE /tokens/:id  - Revoke a token
+ * ============================================================================
+ */
+
+const express = require('express');
+const { validate } = require('../middleware/validate.js');
+const { personalTokenStatus, publicPersonalToken, createPersonalToken } = require('../lib/personal-tokens.js');
+const { recordAudit } = require('../lib/audit.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+// Active tokens a single user may hold
+const MAX_TOKENS = 20;
+
+/**
+ * ============================================================================
+ * GET /tokens
+ * ============================================================================
+ * 
+ * Lists the current user's personal access tokens, newest first. The tokens
+ * themselves are never included. status is "active", "expired" or
+ * "revoked" (ended by logging out everywhere or a password change).
+ * 
+ * @route GET /tokens
+ * @group Tokens - Personal access tokens
+ * @returns {object} 200 - Success response with the tokens
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "0b7c6a5e-...",
+ *       "name": "Nightly backup",
+ *       "scopes": ["friends:read"],
+ *       "status": "active",
+ *       "createdAt": "2024-05-01T10:00:00.000Z",
+ *       "expiresAt": null,
+ *       "lastUsedAt": "2024-05-02T02:00:03.000Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const user = await store.getUser(req.user.username);
+
+    const tokens = (await store.listPersonalTokens(user.id))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+
+    res.status(200).json({
+      success: true,
+      data: tokens.map(record => publicPersonalToken(record, user)),
+      count: tokens.length
+    });
+  } catch (error) {
+    console.error("Error listing personal access tokens:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing tokens"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /tokens
+ * ============================================================================
+ * 
+ * Creates a personal access token. The response contains the token; it is
+ * shown only this once (only a hash is stored). Send it as
+ * "Authorization: Bearer <token>" to the /friends endpoints.
+ * 
+ * @route POST /tokens
+ * @group Tokens - Personal access tokens
+ * @param {string} name.body.required - Name to recognise the token by (unique
+ *                                      among the active tokens)
+ * @param {Array} scopes.body.required - ["friends:read"], ["friends:write"] or both
+ * @param {number} expiresInDays.body.optional - Lifetime in days, 1-366 (default: never expires)
+ * @returns {object} 201 - Token created (with the token)
+ * @returns {object} 400 - Token limit reached (20 active tokens)
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 409 - An active token with this name already exists
+ * @returns {object} 422 - Invalid name, scopes or lifetime
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "name": "Nightly backup", "scopes": ["friends:read"], "expiresInDays": 90 }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Token created. Copy it now: it won't be shown again.",
+ *   "data": {
+ *     "id": "0b7c6a5e-...",
+ *     "name": "Nightly backup",
+ *     "scopes": ["friends:read"],
+ *     "status": "active",
+ *     "createdAt": "2024-05-01T10:00:00.000Z",
+ *     "expiresAt": "2024-07-30T10:00:00.000Z",
+ *     "lastUsedAt": null,
+ *     "token": "fpat_0b7c6a5e-....Jx9vQ..."
+ *   }
+ * }
+ */
+router.post("/", validate({ body: schemas.createPersonalToken }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const { name, scopes, expiresInDays } = req.body;
+
+    const user = await store.getUser(req.user.username);
+
+    // Revoked and expired tokens stay listed, but don't count
+    const existing = (await store.listPersonalTokens(user.id))
+      .filter(record => personalTokenStatus(record, user) === 'active');
+
+    if (existing.length >= MAX_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TOKENS} tokens. Revoke one first.`
+      });
+    }
+
+    if (existing.some(record => record.name.toLowerCase() === name.toLowerCase())) {
+      return res.status(409).json({
+        success: false,
+        message: `A token named '${name}' already exists`
+      });
+    }
+
+    const { token, record } = await createPersonalToken(store, user, { name, scopes, expiresInDays });
+    await recordAudit(req, { action: 'auth.token.create', tokenId: record.id, scopes: record.scopes });
+
+    res.status(201).json({
+      success: true,
+      message: "Token created. Copy it now: it won't be shown again.",
+      data: { ...publicPersonalToken(record, user), token }
+    });
+  } catch (error) {
+    console.error("Error creating personal access token:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while creating token"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /tokens/:id
+ * ============================================================================
+ * 
+ * Revokes a personal access token. Requests using it fail straight away.
+ * 
+ * @route DELETE /tokens/:id
+ * @group Tokens - Personal access tokens
+ * @param {string} id.path.required - Token id
+ * @returns {object} 200 - Token revoked
+ * @returns {object} 404 - Token not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.delete("/:id", validate({ params: schemas.personalTokenParams }), async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const record = await store.getPersonalToken(req.params.id);
+
+    // Other people's tokens don't exist as far as this user can tell
+    if (!record || record.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: `Token '${req.params.id}' not found`
+      });
+    }
+
+    const user = await store.getUser(req.user.username);
+    await store.deletePersonalToken(record.id);
+    await recordAudit(req, { action: 'auth.token.revoke', tokenId: record.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Token '${record.name}' revoked`,
+      data: { ...publicPersonalToken(record, user), status: 'revoked' }
+    });
+  } catch (error) {
+    console.error(`Error revoking personal access token ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while revoking token"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * Module Export
+ * ============================================================================
+ */
+module.exports = router;
@@ -0,0 +1,444 @@
+/**
+ * ============================================================================
+ * Webhooks API Router Module
+ * ============================================================================
+ * 
+ * Lets a user register URLs that are notified when their friends change or
+ * when they log in. Payloads are signed with a per-webhook secret, and
+ * failed deliveries are retried with exponential backoff (see
+ * ../lib/webhooks.js for events, headers and the signature scheme).
+ * 
+ * All endpoints are protected by authMiddleware (see ../middleware/auth.js),
+ * and a user only ever sees their own webhooks. URLs pointing at this host
+ * or at a private network are refused unless allowed by the
+ * webhooks.allowedHosts setting.
+ * 
+ * API Structure:
+ * - GET    /webhooks                  - List webhooks
+ * - POST   /webhooks                  - Register a webhook (returns its secret once)
+ * - GET    /webhooks/:id              - Get one webhook
+ * - PATCH  /webhooks/:id              - Change url, events, description, active
+ * - DELETE /webhooks/:id              - Remove a webhook and its delivery log
+ * - POST   /webhooks/:id/test         - Send a webhook.test event now
+ * - GET    /webhooks/:id/deliveries   - Delivery log, newest first
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const express = require('express');
+const { validate } = require('../middleware/validate.js');
+const {
+  TEST_EVENT,
+  WebhookDestinationError,
+  resolveDestination,
+  generateSecret,
+  publicWebhook,
+  deliver
+} = require('../lib/webhooks.js');
+const schemas = require('../lib/schemas.js');
+const router = express.Router();
+
+// Webhooks a single user may register
+const MAX_WEBHOOKS = 10;
+
+/**
+ * Resolve the :id route parameter to one of the caller's webhooks and expose
+ * it as req.webhook; responds with 404 when there is no such webhook
+ */
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await req.app.locals.store.getWebhook(req.user.username, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: `Webhook '${req.params.id}' not found`
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    console.error(`Error loading webhook ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while loading webhook"
+    });
+  }
+};
+
+/**
+ * Refuse a body url that points at this host or at a private network with
+ * a 422; hosts that don't resolve (yet) are accepted, deliveries to them
+ * simply fail
+ */
+const checkDestination = async (req, res, next) => {
+  if (req.body.url === undefined || req.body.url === null) return next();
+
+  try {
+    await resolveDestination(req.app.locals.config, req.body.url);
+    next();
+  } catch (error) {
+    if (error instanceof WebhookDestinationError && error.reason === 'unresolvable') {
+      return next();
+    }
+    if (error instanceof WebhookDestinationError) {
+      return res.status(422).json({
+        success: false,
+        message: "Validation failed",
+        errors: [{ field: 'url', location: 'body', message: `${error.message}: webhooks can't be sent there` }]
+      });
+    }
+
+    console.error("Error checking webhook url:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while checking webhook url"
+    });
+  }
+};
+
+/**
+ * ============================================================================
+ * GET /webhooks
+ * ============================================================================
+ * 
+ * Lists the current user's webhooks, oldest first. Secrets are never
+ * included.
+ * 
+ * @route GET /webhooks
+ * @group Webhooks - Outgoing event notifications
+ * @returns {object} 200 - Success response with the webhooks
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = (await req.app.locals.store.listWebhooks(req.user.username))
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+
+    res.status(200).json({
+      success: true,
+      data: webhooks.map(publicWebhook),
+      count: webhooks.length
+    });
+  } catch (error) {
+    console.error("Error listing webhooks:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing webhooks"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /webhooks
+ * ============================================================================
+ * 
+ * Registers a webhook. The response contains the signing secret; it is
+ * shown only this once, so store it where your receiver can read it.
+ * 
+ * @route POST /webhooks
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} url.body.required - http or https URL receiving the POSTs
+ * @param {Array} events.body.required - Events to send, e.g. ["friend.created", "friend.updated"]
+ * @param {string} description.body.optional - Note for yourself
+ * @returns {object} 201 - Webhook registered (with its secret)
+ * @returns {object} 400 - Webhook limit reached
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid url or events, or a url on a private network
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Request body
+ * { "url": "https://hooks.example.com/friends", "events": ["friend.created", "friend.deleted"] }
+ * 
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Webhook registered. Store the secret now: it won't be shown again.",
+ *   "data": {
+ *     "id": "6a1f...",
+ *     "url": "https://hooks.example.com/friends",
+ *     "events": ["friend.created", "friend.deleted"],
+ *     "active": true,
+ *     "createdAt": "2024-05-01T10:00:00.000Z",
+ *     "secret": "whsec_3q2w..."
+ *   }
+ * }
+ */
+router.post("/", validate({ body: schemas.createWebhook }), checkDestination, async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const username = req.user.username;
+
+    if ((await store.listWebhooks(username)).length >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can register at most ${MAX_WEBHOOKS} webhooks`
+      });
+    }
+
+    const webhook = await store.saveWebhook(username, {
+      id: crypto.randomUUID(),
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description,
+      secret: generateSecret(),
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook registered. Store the secret now: it won't be shown again.",
+      data: { ...publicWebhook(webhook), secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error("Error registering webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while registering webhook"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /webhooks/:id
+ * ============================================================================
+ * 
+ * @route GET /webhooks/:id
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} id.path.required - Webhook id
+ * @returns {object} 200 - The webhook (without its secret)
+ * @returns {object} 404 - Webhook not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.get("/:id", validate({ params: schemas.webhookParams }), loadWebhook, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: publicWebhook(req.webhook)
+  });
+});
+
+/**
+ * ============================================================================
+ * PATCH /webhooks/:id
+ * ============================================================================
+ * 
+ * Changes a webhook. Setting active to false pauses it: no new deliveries
+ * are made until it is reactivated (pending retries still run).
+ * Reactivating a webhook that was paused after failed deliveries clears
+ * disabledAt and disabledReason and starts the failure count again.
+ * 
+ * @route PATCH /webhooks/:id
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} id.path.required - Webhook id
+ * @param {string} url.body.optional - New URL
+ * @param {Array} events.body.optional - New list of events
+ * @param {string} description.body.optional - New note (null to clear)
+ * @param {boolean} active.body.optional - false to pause, true to resume
+ * @returns {object} 200 - Webhook updated
+ * @returns {object} 404 - Webhook not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 422 - Invalid fields, or a url on a private network
+ * @returns {object} 500 - Server error
+ */
+router.patch("/:id", validate({ params: schemas.webhookParams, body: schemas.updateWebhook }), loadWebhook, checkDestination, async (req, res) => {
+  try {
+    const store = req.app.locals.store;
+    const username = req.user.username;
+
+    // Track modified fields for response message
+    const updatedFields = [];
+
+    // Same lock as the failure count kept by deliveries (../lib/webhooks.js)
+    const webhook = await store.exclusive(`webhook:${username}:${req.webhook.id}`, async () => {
+      const webhook = await store.getWebhook(username, req.webhook.id) || req.webhook;
+
+      for (const field of ['url', 'events', 'description', 'active']) {
+        const value = req.body[field] === null ? undefined : req.body[field];
+        if (req.body[field] !== undefined && !isDeepStrictEqual(value, webhook[field])) {
+          if (value === undefined) {
+            delete webhook[field];
+          } else {
+            webhook[field] = value;
+          }
+          updatedFields.push(field);
+        }
+      }
+
+      if (updatedFields.includes('active') && webhook.active) {
+        webhook.consecutiveFailures = 0;
+        delete webhook.disabledAt;
+        delete webhook.disabledReason;
+      }
+
+      if (updatedFields.length > 0) {
+        webhook.updatedAt = new Date().toISOString();
+        await store.saveWebhook(username, webhook);
+      }
+
+      return webhook;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: updatedFields.length === 0
+        ? "No fields were updated (values unchanged)"
+        : `Updated ${updatedFields.join(', ')}`,
+      data: publicWebhook(webhook),
+      updatedFields: updatedFields.length > 0 ? updatedFields : undefined
+    });
+  } catch (error) {
+    console.error(`Error updating webhook ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while updating webhook"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * DELETE /webhooks/:id
+ * ============================================================================
+ * 
+ * Removes a webhook together with its delivery log. Pending retries are
+ * dropped.
+ * 
+ * @route DELETE /webhooks/:id
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} id.path.required - Webhook id
+ * @returns {object} 200 - Webhook removed
+ * @returns {object} 404 - Webhook not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.delete("/:id", validate({ params: schemas.webhookParams }), loadWebhook, async (req, res) => {
+  try {
+    await req.app.locals.store.deleteWebhook(req.user.username, req.webhook.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Webhook '${req.webhook.id}' removed`,
+      data: publicWebhook(req.webhook)
+    });
+  } catch (error) {
+    console.error(`Error removing webhook ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while removing webhook"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * POST /webhooks/:id/test
+ * ============================================================================
+ * 
+ * Sends a signed webhook.test event to the webhook right away, whatever its
+ * events and even while it is paused, and reports how the receiver
+ * answered. Test deliveries are attempted once and never retried.
+ * 
+ * @route POST /webhooks/:id/test
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} id.path.required - Webhook id
+ * @returns {object} 200 - The delivery (status "succeeded" or "failed", with the attempt)
+ * @returns {object} 404 - Webhook not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ * 
+ * @example
+ * // Successful response
+ * {
+ *   "success": true,
+ *   "message": "Test delivery succeeded",
+ *   "data": {
+ *     "id": "d41c...",
+ *     "webhookId": "6a1f...",
+ *     "event": "webhook.test",
+ *     "status": "succeeded",
+ *     "attempts": [{ "at": "2024-05-01T10:00:00.000Z", "statusCode": 200, "error": null, "durationMs": 12 }],
+ *     ...
+ *   }
+ * }
+ */
+router.post("/:id/test", validate({ params: schemas.webhookParams }), loadWebhook, async (req, res) => {
+  try {
+    const username = req.user.username;
+
+    const delivery = await deliver(req.app.locals, username, req.webhook, {
+      id: crypto.randomUUID(),
+      type: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      username: username,
+      data: { message: "This is a test event" }
+    }, { maxAttempts: 1 });
+
+    const [attempt] = delivery.attempts;
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? "Test delivery succeeded"
+        : `Test delivery failed: ${attempt.error}`,
+      data: delivery
+    });
+  } catch (error) {
+    console.error(`Error testing webhook ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while testing webhook"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * GET /webhooks/:id/deliveries
+ * ============================================================================
+ * 
+ * Lists the webhook's recent deliveries, newest first, each with every
+ * attempt made (time, HTTP status or error, duration) and, while it is
+ * still being retried, nextAttemptAt.
+ * 
+ * @route GET /webhooks/:id/deliveries
+ * @group Webhooks - Outgoing event notifications
+ * @param {string} id.path.required - Webhook id
+ * @returns {object} 200 - The deliveries
+ * @returns {object} 404 - Webhook not found
+ * @returns {object} 401 - Unauthorized (handled by auth middleware)
+ * @returns {object} 500 - Server error
+ */
+router.get("/:id/deliveries", validate({ params: schemas.webhookParams }), loadWebhook, async (req, res) => {
+  try {
+    const deliveries = (await req.app.locals.store.listDeliveries(req.user.username))
+      .filter(delivery => delivery.webhookId === req.webhook.id)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+
+    res.status(200).json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    console.error(`Error listing deliveries of webhook ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while listing deliveries"
+    });
+  }
+});
+
+/**
+ * ============================================================================
+ * Module Export
+ * ============================================================================
+ */
+module.exports = router;
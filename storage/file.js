@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * File Storage Backend
+ * ============================================================================
+ * 
+ * Persists every namespace to a single JSON file so that data survives server
+ * restarts (e.g. nodemon reloading after a code change).
+ * 
+ * HOW IT WORKS:
+ * 1. The file is read once when the store is created
+ * 2. Reads are served from memory (inherited from MemoryStore)
+ * 3. Mutations are batched: the first one schedules a write of the whole
+ *    data set writeDelayMs later, and every mutation until then is part of
+ *    that same write. Busy servers (a session touch and an audit entry on
+ *    most requests) therefore write at most once per writeDelayMs instead
+ *    of once per change. Changes made since the last write are lost if the
+ *    process crashes; call flush() or close() to write them straight away.
+ *    With writeDelayMs 0 every mutation waits for its own write.
+ * 4. The data is written to a temporary file first and then renamed over
+ *    the original, so a crash mid-write never leaves a truncated file behind
+ * 5. Writes are queued so that they hit the disk in order
+ * 
+ * File format: { "namespace": { "key": value } }
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memory.js');
+
+// Milliseconds changes are collected before they are written
+const DEFAULT_WRITE_DELAY = 1000;
+
+class FileStore extends MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Path of the JSON data file
+     * @param {number} [options.writeDelayMs] - Batching delay for writes (default: 1000)
+     */
+    constructor({ file, writeDelayMs = DEFAULT_WRITE_DELAY }) {
+        super();
+        this.file = path.resolve(file);
+        this.writeDelayMs = writeDelayMs;
+        this.writeQueue = Promise.resolve();
+        this.writeTimer = null;
+        this.dirty = false;
+        this.load();
+    }
+
+    /**
+     * Load the data file into memory (a missing file means an empty store)
+     */
+    load() {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+
+        const data = JSON.parse(contents);
+        for (const [namespace, values] of Object.entries(data)) {
+            this.namespaces.set(namespace, new Map(Object.entries(values)));
+        }
+    }
+
+    /**
+     * Record a change: schedule a write, or write now without a delay
+     * 
+     * @returns {Promise<void>} - Resolves once the change is on disk (without
+     *                            a delay) or scheduled
+     */
+    async persist() {
+        this.dirty = true;
+
+        if (this.writeDelayMs === 0) {
+            return this.flush();
+        }
+
+        if (!this.writeTimer) {
+            this.writeTimer = setTimeout(() => {
+                this.flush().catch((error) => {
+                    console.error(`Error writing ${this.file}:`, error);
+                });
+            }, this.writeDelayMs);
+            // A pending write doesn't keep the process alive: close() does it
+            this.writeTimer.unref();
+        }
+    }
+
+    /**
+     * Queue a write of the full data set to disk, if anything changed since
+     * the last one
+     * 
+     * @returns {Promise<void>} - Resolves once every change so far is on disk
+     */
+    flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+
+        if (!this.dirty) return this.writeQueue.catch(() => {});
+        this.dirty = false;
+
+        const data = {};
+        for (const [namespace, values] of this.namespaces) {
+            data[namespace] = Object.fromEntries(values);
+        }
+        const contents = JSON.stringify(data, null, 2);
+
+        // A failed write must not block the ones queued after it
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(tmp, contents);
+            await fs.promises.rename(tmp, this.file);
+        });
+
+        return this.writeQueue;
+    }
+
+    async set(namespace, key, value) {
+        await super.set(namespace, key, value);
+        await this.persist();
+    }
+
+    async delete(namespace, key) {
+        const removed = await super.delete(namespace, key);
+        if (removed) await this.persist();
+        return removed;
+    }
+
+    async clear(namespace) {
+        await super.clear(namespace);
+        await this.persist();
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,72 @@
+/**
+ * ============================================================================
+ * Storage Layer
+ * ============================================================================
+ * 
+ * Single entry point used by the application to obtain a storage backend.
+ * The backend is chosen by configuration:
+ * 
+ * | driver   | Backend                | Options              |
+ * | -------- | ---------------------- | -------------------- |
+ * | memory   | ./memory.js (default)  | -                    |
+ * | file     | ./file.js              | file (JSON path),    |
+ * |          |                        | writeDelayMs         |
+ * 
+ * createApp() passes config.storage (STORAGE_DRIVER, STORAGE_FILE and
+ * STORAGE_WRITE_DELAY, see ../lib/config.js).
+ * 
+ * @example
+ * const { createStore } = require('./storage');
+ * const store = createStore({ driver: 'file', file: './data/db.json' });
+ * await store.getUser('john_doe');
+ * ============================================================================
+ */
+
+const path = require('path');
+const Store = require('./store.js');
+const MemoryStore = require('./memory.js');
+const FileStore = require('./file.js');
+const StorageSessionStore = require('./session-store.js');
+const MemoryRateLimitStore = require('./rate-limit.js');
+
+/**
+ * Registered backends, keyed by driver name
+ */
+const drivers = {
+    memory: () => new MemoryStore(),
+    file: (options) => new FileStore({
+        file: options.file || path.join(__dirname, '..', 'data', 'db.json'),
+        writeDelayMs: options.writeDelayMs
+    })
+};
+
+/**
+ * Create a storage backend
+ * 
+ * @param {Object} [options] - Storage options (config.storage)
+ * @param {string} [options.driver] - Backend to use ("memory" or "file", default: memory)
+ * @param {string} [options.file] - Data file for the file backend
+ * @param {number} [options.writeDelayMs] - Batching delay for the file backend's writes
+ * @returns {Store} - The configured storage backend
+ * @throws {Error} - If the driver is unknown
+ */
+const createStore = (options = {}) => {
+    const driver = options.driver || 'memory';
+    const { file, writeDelayMs } = options;
+
+    if (!drivers[driver]) {
+        throw new Error(`Unknown storage driver '${driver}'. Available drivers: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    return drivers[driver]({ file, writeDelayMs });
+};
+
+module.exports = {
+    createStore,
+    Store,
+    VersionConflictError: Store.VersionConflictError,
+    MemoryStore,
+    FileStore,
+    StorageSessionStore,
+    MemoryRateLimitStore
+};
@@ -0,0 +1,58 @@
+/**
+ * ============================================================================
+ * In-Memory Storage Backend
+ * ============================================================================
+ * 
+ * Keeps every namespace in a Map held by the process.
+ * 
+ * ⚠️ Data is lost when the server restarts. Suitable for development and
+ * testing; use the file backend (./file.js) when data must survive restarts.
+ * ============================================================================
+ */
+
+const Store = require('./store.js');
+
+class MemoryStore extends Store {
+    constructor() {
+        super();
+        this.namespaces = new Map();
+    }
+
+    /**
+     * Get the Map backing a namespace
+     * 
+     * @param {string} namespace - Namespace name
+     * @param {boolean} [create=false] - Create the namespace if it doesn't exist
+     * @returns {Map} - The namespace's key/value map (empty if it doesn't exist)
+     */
+    namespace(namespace, create = false) {
+        if (!this.namespaces.has(namespace)) {
+            if (!create) return new Map();
+            this.namespaces.set(namespace, new Map());
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async get(namespace, key) {
+        const value = this.namespace(namespace).get(key);
+        return value === undefined ? null : structuredClone(value);
+    }
+
+    async set(namespace, key, value) {
+        this.namespace(namespace, true).set(key, structuredClone(value));
+    }
+
+    async delete(namespace, key) {
+        return this.namespace(namespace).delete(key);
+    }
+
+    async entries(namespace) {
+        return [...this.namespace(namespace)].map(([key, value]) => [key, structuredClone(value)]);
+    }
+
+    async clear(namespace) {
+        this.namespaces.delete(namespace);
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * Rate Limit Store
+ * ============================================================================
+ * 
+ * Holds the short-lived state used by rate limiting and login lockout
+ * (../middleware/rate-limit.js, ../lib/lockout.js). It is kept apart from the
+ * main storage layer because it changes on almost every request and never
+ * needs to survive a restart.
+ * 
+ * INTERFACE (all methods return Promises):
+ * - hit(key, windowMs, limit)  Record a hit in a sliding window unless the
+ *                              limit is already reached.
+ *                              -> { allowed, remaining, retryAfterMs }
+ * - resetHits(key)             Forget all hits for a key
+ * - get(key)                   Read a value -> value | null
+ * - set(key, value, ttlMs)     Store a value that expires after ttlMs
+ * - delete(key)                Remove a value
+ * 
+ * MemoryRateLimitStore keeps everything in the process, which is fine for a
+ * single server. When running several instances, implement the same
+ * interface on a shared store (e.g. Redis sorted sets) and pass it to the app
+ * as app.locals.rateLimitStore.
+ * ============================================================================
+ */
+
+/**
+ * Sweep expired entries every this many hits
+ */
+const SWEEP_INTERVAL = 1000;
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.windows = new Map();   // key -> { timestamps: number[], windowMs }
+        this.values = new Map();    // key -> { value, expiresAt }
+        this.hitsSinceSweep = 0;
+    }
+
+    async hit(key, windowMs, limit) {
+        const now = Date.now();
+        const entry = this.windows.get(key) || { timestamps: [], windowMs };
+
+        entry.windowMs = windowMs;
+        entry.timestamps = entry.timestamps.filter(time => time > now - windowMs);
+        this.windows.set(key, entry);
+        this.maybeSweep();
+
+        if (entry.timestamps.length >= limit) {
+            // The oldest hit that still counts decides when a slot frees up
+            const oldest = entry.timestamps[entry.timestamps.length - limit];
+            return { allowed: false, remaining: 0, retryAfterMs: oldest + windowMs - now };
+        }
+
+        entry.timestamps.push(now);
+        return { allowed: true, remaining: limit - entry.timestamps.length, retryAfterMs: 0 };
+    }
+
+    async resetHits(key) {
+        this.windows.delete(key);
+    }
+
+    async get(key) {
+        const entry = this.values.get(key);
+
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.values.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+
+    /**
+     * Drop windows and values that can no longer matter, so keys that are
+     * never hit again don't accumulate forever
+     */
+    maybeSweep() {
+        if (++this.hitsSinceSweep < SWEEP_INTERVAL) return;
+
+        const now = Date.now();
+        this.hitsSinceSweep = 0;
+
+        for (const [key, entry] of this.windows) {
+            const newest = entry.timestamps[entry.timestamps.length - 1];
+            if (newest === undefined || newest <= now - entry.windowMs) {
+                this.windows.delete(key);
+            }
+        }
+
+        for (const [key, entry] of this.values) {
+            if (entry.expiresAt <= now) {
+                this.values.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryRateLimitStore;
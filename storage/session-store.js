@@ -0,0 +1,69 @@
+/**
+ * ============================================================================
+ * express-session Store Adapter
+ * ============================================================================
+ * 
+ * Lets express-session keep its sessions in the application storage layer,
+ * so that logged-in sessions survive restarts when a persistent backend is
+ * configured.
+ * 
+ * @see https://www.npmjs.com/package/express-session#session-store-implementation
+ * ============================================================================
+ */
+
+const session = require('express-session');
+
+class StorageSessionStore extends session.Store {
+    /**
+     * @param {Store} store - Application storage backend (see ./store.js)
+     */
+    constructor(store) {
+        super();
+        this.store = store;
+    }
+
+    /**
+     * Fetch a session, treating expired sessions as missing
+     */
+    get(sid, callback) {
+        this.store.getSession(sid)
+            .then(async (data) => {
+                if (data && isExpired(data)) {
+                    await this.store.deleteSession(sid);
+                    return callback(null, null);
+                }
+                callback(null, data);
+            })
+            .catch(callback);
+    }
+
+    set(sid, data, callback) {
+        // Round-trip through JSON so the cookie is stored via Cookie#toJSON()
+        this.store.saveSession(sid, JSON.parse(JSON.stringify(data)))
+            .then(() => callback && callback(null))
+            .catch((err) => callback && callback(err));
+    }
+
+    touch(sid, data, callback) {
+        this.set(sid, data, callback);
+    }
+
+    destroy(sid, callback) {
+        this.store.deleteSession(sid)
+            .then(() => callback && callback(null))
+            .catch((err) => callback && callback(err));
+    }
+}
+
+/**
+ * Check whether a stored session's cookie has expired
+ * 
+ * @param {Object} data - Serialized session data
+ * @returns {boolean} - True if the session is past its expiry date
+ */
+const isExpired = (data) => {
+    const expires = data.cookie && data.cookie.expires;
+    return Boolean(expires) && new Date(expires).getTime() <= Date.now();
+};
+
+module.exports = StorageSessionStore;
@@ -0,0 +1,800 @@
+/**
+ * ============================================================================
+ * Storage Interface
+ * ============================================================================
+ * 
+ * Base class shared by every storage backend. It defines the domain-level
+ * operations used by the route handlers (users, friends, sessions and tokens)
+ * on top of a small set of namespaced key/value primitives.
+ * 
+ * A backend only has to implement the primitives:
+ * - get(namespace, key)          -> value | null
+ * - set(namespace, key, value)   -> void
+ * - delete(namespace, key)       -> boolean (true if something was removed)
+ * - entries(namespace)           -> [[key, value], ...]
+ * - clear(namespace)             -> void
+ * 
+ * and, if they buffer anything, close() to finish it before exiting.
+ * 
+ * All methods return Promises so that asynchronous backends (files, databases,
+ * remote stores) can be plugged in without touching the callers. Values are
+ * always copied on the way in and out: mutating a returned object never
+ * changes what is stored - call the matching save method instead.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Error raised by a conditional friend write when the stored version is not
+ * the one the caller expected (someone else changed or deleted the friend)
+ */
+class VersionConflictError extends Error {
+    constructor(current) {
+        super('Friend has been modified by another request');
+        this.name = 'VersionConflictError';
+        this.current = current;
+    }
+}
+
+class Store {
+    constructor() {
+        // Tail of the write queue for each friend (see exclusive())
+        this.queues = new Map();
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Backend Primitives (must be implemented by subclasses)
+     * ------------------------------------------------------------------------
+     */
+
+    async get(namespace, key) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    async set(namespace, key, value) {
+        throw new Error(`${this.constructor.name} does not implement set()`);
+    }
+
+    async delete(namespace, key) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    async entries(namespace) {
+        throw new Error(`${this.constructor.name} does not implement entries()`);
+    }
+
+    async clear(namespace) {
+        throw new Error(`${this.constructor.name} does not implement clear()`);
+    }
+
+    /**
+     * Finish pending work (e.g. buffered writes) before the process exits;
+     * backends without any don't need to override it
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {}
+
+    /**
+     * Run a task once every earlier task queued under the same key is done
+     * 
+     * Used to make a read-check-write sequence atomic with respect to other
+     * writes going through this store instance.
+     * 
+     * @param {string} key - Queue name
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} - The task's result
+     */
+    async exclusive(key, task) {
+        const previous = this.queues.get(key) || Promise.resolve();
+        const run = previous.then(() => task());
+        const tail = run.catch(() => {});
+
+        this.queues.set(key, tail);
+        try {
+            return await run;
+        } finally {
+            if (this.queues.get(key) === tail) this.queues.delete(key);
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Users
+     * ------------------------------------------------------------------------
+     * 
+     * User records are keyed by username.
+     * Structure: { username, password, createdAt, ... }
+     */
+
+    /**
+     * Find a user by username
+     * 
+     * @param {string} username - The username to look up
+     * @returns {Promise<Object|null>} - The user record, or null if not found
+     */
+    async getUser(username) {
+        return this.get('users', username);
+    }
+
+    /**
+     * List every registered user
+     * 
+     * @returns {Promise<Object[]>} - All user records
+     */
+    async listUsers() {
+        const entries = await this.entries('users');
+        return entries.map(([, user]) => user);
+    }
+
+    /**
+     * Create or replace a user record
+     * 
+     * @param {Object} user - The user record (must contain a username)
+     * @returns {Promise<Object>} - The stored user record
+     */
+    async saveUser(user) {
+        await this.set('users', user.username, user);
+        return user;
+    }
+
+    /**
+     * Remove a user together with all of the data they own
+     * (friends list and trash, reminders, webhooks, connections, friend
+     * requests and blocks on either side, login sessions and refresh tokens,
+     * audit entries)
+     * 
+     * Audit entries they made or that concern their friends are deleted;
+     * other users' entries naming them as target keep target: null.
+     * 
+     * @param {string} username - The user to remove
+     * @returns {Promise<boolean>} - True if the user existed
+     */
+    async deleteUser(username) {
+        const user = await this.getUser(username);
+        if (!user) return false;
+
+        await this.clear(friendsNamespace(username));
+        await this.clear(trashNamespace(username));
+        await this.clear(`reminders:${username}`);
+        await this.clear(`webhooks:${username}`);
+        await this.clear(`deliveries:${username}`);
+
+        for (const connection of await this.listConnections(username)) {
+            await this.deleteConnection(connection.username, username);
+        }
+        await this.clear(`connections:${username}`);
+        await this.clear(`blocks:${username}`);
+
+        // A new account registered under the same name starts afresh
+        for (const other of await this.listUsers()) {
+            await this.deleteBlock(other.username, username);
+        }
+
+        for (const request of await this.listFriendRequests()) {
+            if (request.from === username || request.to === username) {
+                await this.deleteFriendRequest(request.id);
+            }
+        }
+
+        const families = await this.listTokenFamilies(user.id);
+        const familyIds = new Set(families.map(family => family.id));
+
+        for (const [id, token] of await this.entries('refreshTokens')) {
+            if (familyIds.has(token.familyId)) {
+                await this.delete('refreshTokens', id);
+            }
+        }
+
+        for (const id of familyIds) {
+            await this.deleteTokenFamily(id);
+        }
+
+        for (const record of await this.listPersonalTokens(user.id)) {
+            await this.deletePersonalToken(record.id);
+        }
+
+        for (const event of await this.listAuditEvents()) {
+            if (event.actor === username || event.owner === username) {
+                await this.delete('audit', event.id);
+            } else if (event.target === username) {
+                await this.set('audit', event.id, { ...event, target: null });
+            }
+        }
+
+        return this.delete('users', username);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Friends
+     * ------------------------------------------------------------------------
+     * 
+     * Each user owns a separate namespace of friends, keyed by a generated id.
+     * Structure: { id, email, firstName, lastName, DOB, ... }
+     * 
+     * Older lists were keyed by email and their records had no id or email
+     * field; listFriends() upgrades them in place the first time it runs.
+     * 
+     * Writes can be made conditional on the stored version (optimistic
+     * concurrency): pass { ifVersion } and a VersionConflictError is thrown
+     * if the friend changed in the meantime.
+     */
+
+    /**
+     * Get a user's complete friends list
+     * 
+     * @param {string} username - Owner of the list
+     * @returns {Promise<Object[]>} - Friend records
+     */
+    async listFriends(username) {
+        const namespace = friendsNamespace(username);
+        const friends = [];
+
+        for (const [key, friend] of await this.entries(namespace)) {
+            if (friend.id) {
+                friends.push(friend);
+                continue;
+            }
+
+            // Legacy record keyed by email: give it an id
+            const upgraded = { id: crypto.randomUUID(), email: key, ...friend };
+            await this.set(namespace, upgraded.id, upgraded);
+            await this.delete(namespace, key);
+            friends.push(upgraded);
+        }
+
+        return friends;
+    }
+
+    /**
+     * Get a single friend from a user's list
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @returns {Promise<Object|null>} - The friend record, or null if not found
+     */
+    async getFriend(username, id) {
+        return this.get(friendsNamespace(username), id);
+    }
+
+    /**
+     * Create or replace a friend in a user's list
+     * 
+     * @param {string} username - Owner of the list
+     * @param {Object} friend - The friend record (must contain an id)
+     * @param {Object} [options]
+     * @param {number} [options.ifVersion] - Only write if the stored friend
+     *                                       still has this version
+     * @returns {Promise<Object>} - The stored friend record
+     * @throws {VersionConflictError} - If ifVersion doesn't match
+     */
+    async saveFriend(username, friend, options = {}) {
+        const namespace = friendsNamespace(username);
+
+        return this.exclusive(`${namespace}:${friend.id}`, async () => {
+            if (options.ifVersion !== undefined) {
+                await this.checkFriendVersion(namespace, friend.id, options.ifVersion);
+            }
+            await this.set(namespace, friend.id, friend);
+            return friend;
+        });
+    }
+
+    /**
+     * Remove a friend from a user's list
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @param {Object} [options]
+     * @param {number} [options.ifVersion] - Only delete if the stored friend
+     *                                       still has this version
+     * @returns {Promise<boolean>} - True if the friend existed
+     * @throws {VersionConflictError} - If ifVersion doesn't match
+     */
+    async deleteFriend(username, id, options = {}) {
+        const namespace = friendsNamespace(username);
+
+        return this.exclusive(`${namespace}:${id}`, async () => {
+            if (options.ifVersion !== undefined) {
+                await this.checkFriendVersion(namespace, id, options.ifVersion);
+            }
+            return this.delete(namespace, id);
+        });
+    }
+
+    /**
+     * Throw unless a stored friend has the expected version
+     * (records saved before versions existed count as version 1)
+     */
+    async checkFriendVersion(namespace, id, version) {
+        const current = await this.get(namespace, id);
+        if (!current || (current.version || 1) !== version) {
+            throw new VersionConflictError(current);
+        }
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Friends Trash
+     * ------------------------------------------------------------------------
+     * 
+     * Deleted friends are moved to a separate per-user namespace, keyed by
+     * id, until they are restored or purged (see ../lib/trash.js).
+     * Structure: { ...friend, deletedAt }
+     */
+
+    /**
+     * Get every friend in a user's trash
+     * 
+     * @param {string} username - Owner of the list
+     * @returns {Promise<Object[]>} - Trashed friend records
+     */
+    async listTrash(username) {
+        const entries = await this.entries(trashNamespace(username));
+        return entries.map(([, friend]) => friend);
+    }
+
+    /**
+     * Get a single friend from a user's trash
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @returns {Promise<Object|null>} - The trashed record, or null if not found
+     */
+    async getTrashedFriend(username, id) {
+        return this.get(trashNamespace(username), id);
+    }
+
+    /**
+     * Move a friend from a user's list to their trash
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @param {Object} [options]
+     * @param {number} [options.ifVersion] - Only trash this version of the friend
+     * @returns {Promise<Object|null>} - The trashed record (with deletedAt),
+     *                                   or null if the friend doesn't exist
+     * @throws {VersionConflictError} - If ifVersion doesn't match
+     */
+    async trashFriend(username, id, options = {}) {
+        const namespace = friendsNamespace(username);
+
+        return this.exclusive(`${namespace}:${id}`, async () => {
+            if (options.ifVersion !== undefined) {
+                await this.checkFriendVersion(namespace, id, options.ifVersion);
+            }
+
+            const friend = await this.get(namespace, id);
+            if (!friend) return null;
+
+            const trashed = { ...friend, deletedAt: new Date().toISOString() };
+            await this.set(trashNamespace(username), id, trashed);
+            await this.delete(namespace, id);
+            return trashed;
+        });
+    }
+
+    /**
+     * Move a friend from a user's trash back to their list
+     * 
+     * The version is incremented, so ETags from before the deletion no
+     * longer match.
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @returns {Promise<Object|null>} - The restored record, or null if it
+     *                                   isn't in the trash
+     */
+    async restoreFriend(username, id) {
+        const namespace = friendsNamespace(username);
+
+        return this.exclusive(`${namespace}:${id}`, async () => {
+            const trashed = await this.get(trashNamespace(username), id);
+            if (!trashed) return null;
+
+            const { deletedAt, ...friend } = trashed;
+            friend.version = (friend.version || 1) + 1;
+
+            await this.set(namespace, id, friend);
+            await this.delete(trashNamespace(username), id);
+            return friend;
+        });
+    }
+
+    /**
+     * Permanently remove a friend from a user's trash
+     * 
+     * Runs under the same lock as restoreFriend(), so a purge can't remove
+     * an entry that is being restored.
+     * 
+     * @param {string} username - Owner of the list
+     * @param {string} id - The friend's id
+     * @param {Object} [options]
+     * @param {Function} [options.onlyIf] - (trashed) => boolean, checked
+     *                                      against the current entry under
+     *                                      the lock; false keeps it
+     * @returns {Promise<Object|null>} - The removed record, or null if it
+     *                                   wasn't in the trash (or was kept)
+     */
+    async deleteTrashedFriend(username, id, options = {}) {
+        return this.exclusive(`${friendsNamespace(username)}:${id}`, async () => {
+            const trashed = await this.get(trashNamespace(username), id);
+            if (!trashed || (options.onlyIf && !options.onlyIf(trashed))) return null;
+
+            await this.delete(trashNamespace(username), id);
+            return trashed;
+        });
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Birthday Reminders
+     * ------------------------------------------------------------------------
+     * 
+     * The last reminder sent for each friend and distance, so that a reminder
+     * goes out only once per birthday. See ../lib/reminders.js.
+     * Keyed by "<friendId>:<daysBefore>" within a per-user namespace.
+     * Structure: { birthday, sentAt }
+     */
+
+    async getReminder(username, key) {
+        return this.get(`reminders:${username}`, key);
+    }
+
+    async saveReminder(username, key, record) {
+        await this.set(`reminders:${username}`, key, record);
+        return record;
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Webhooks
+     * ------------------------------------------------------------------------
+     * 
+     * Webhooks and their deliveries are kept in per-user namespaces, keyed
+     * by id. See ../lib/webhooks.js.
+     * Webhook structure: { id, url, events, secret, active, createdAt, ... }
+     * Delivery structure: { id, webhookId, event, payload, status, attempts, ... }
+     */
+
+    async listWebhooks(username) {
+        const entries = await this.entries(`webhooks:${username}`);
+        return entries.map(([, webhook]) => webhook);
+    }
+
+    async getWebhook(username, id) {
+        return this.get(`webhooks:${username}`, id);
+    }
+
+    async saveWebhook(username, webhook) {
+        await this.set(`webhooks:${username}`, webhook.id, webhook);
+        return webhook;
+    }
+
+    /**
+     * Remove a webhook together with its delivery log
+     * 
+     * @param {string} username - Owner of the webhook
+     * @param {string} id - Webhook id
+     * @returns {Promise<boolean>} - True if the webhook existed
+     */
+    async deleteWebhook(username, id) {
+        for (const delivery of await this.listDeliveries(username)) {
+            if (delivery.webhookId === id) {
+                await this.delete(`deliveries:${username}`, delivery.id);
+            }
+        }
+
+        return this.delete(`webhooks:${username}`, id);
+    }
+
+    async listDeliveries(username) {
+        const entries = await this.entries(`deliveries:${username}`);
+        return entries.map(([, delivery]) => delivery);
+    }
+
+    async getDelivery(username, id) {
+        return this.get(`deliveries:${username}`, id);
+    }
+
+    async saveDelivery(username, delivery) {
+        await this.set(`deliveries:${username}`, delivery.id, delivery);
+        return delivery;
+    }
+
+    async deleteDelivery(username, id) {
+        return this.delete(`deliveries:${username}`, id);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Connections
+     * ------------------------------------------------------------------------
+     * 
+     * Friend requests between users are keyed by id. Connections and blocks
+     * are kept in per-user namespaces keyed by the other user's username; a
+     * connection is stored on both sides. See ../lib/connections.js.
+     * Request structure: { id, from, to, message, status, createdAt }
+     * Connection structure: { username, since }
+     * Block structure: { username, blockedAt }
+     */
+
+    async listFriendRequests() {
+        const entries = await this.entries('friendRequests');
+        return entries.map(([, request]) => request);
+    }
+
+    async getFriendRequest(id) {
+        return this.get('friendRequests', id);
+    }
+
+    async saveFriendRequest(request) {
+        await this.set('friendRequests', request.id, request);
+        return request;
+    }
+
+    async deleteFriendRequest(id) {
+        return this.delete('friendRequests', id);
+    }
+
+    async listConnections(username) {
+        const entries = await this.entries(`connections:${username}`);
+        return entries.map(([, connection]) => connection);
+    }
+
+    async getConnection(username, other) {
+        return this.get(`connections:${username}`, other);
+    }
+
+    async saveConnection(username, connection) {
+        await this.set(`connections:${username}`, connection.username, connection);
+        return connection;
+    }
+
+    async deleteConnection(username, other) {
+        return this.delete(`connections:${username}`, other);
+    }
+
+    async listBlocks(username) {
+        const entries = await this.entries(`blocks:${username}`);
+        return entries.map(([, block]) => block);
+    }
+
+    async getBlock(username, other) {
+        return this.get(`blocks:${username}`, other);
+    }
+
+    async saveBlock(username, block) {
+        await this.set(`blocks:${username}`, block.username, block);
+        return block;
+    }
+
+    async deleteBlock(username, other) {
+        return this.delete(`blocks:${username}`, other);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Used Account Tokens
+     * ------------------------------------------------------------------------
+     * 
+     * Ids of the email verification and password reset tokens that were
+     * already used, kept until the token would have expired anyway. See
+     * ../lib/account-tokens.js.
+     * Structure: { jti, purpose, expiresAt, usedAt }
+     */
+
+    async getUsedAccountToken(jti) {
+        return this.get('usedAccountTokens', jti);
+    }
+
+    async saveUsedAccountToken(record) {
+        await this.set('usedAccountTokens', record.jti, record);
+        return record;
+    }
+
+    async deleteUsedAccountToken(jti) {
+        return this.delete('usedAccountTokens', jti);
+    }
+
+    async listUsedAccountTokens() {
+        const entries = await this.entries('usedAccountTokens');
+        return entries.map(([, record]) => record);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Sessions
+     * ------------------------------------------------------------------------
+     * 
+     * Raw express-session data keyed by session id.
+     * See ./session-store.js for the express-session adapter.
+     */
+
+    async getSession(sid) {
+        return this.get('sessions', sid);
+    }
+
+    async saveSession(sid, data) {
+        await this.set('sessions', sid, data);
+    }
+
+    async deleteSession(sid) {
+        return this.delete('sessions', sid);
+    }
+
+    async listSessions() {
+        return this.entries('sessions');
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Refresh Tokens
+     * ------------------------------------------------------------------------
+     * 
+     * Refresh tokens are keyed by token id and only store a hash of the
+     * secret part. Every token belongs to a family: the chain of tokens
+     * produced by rotating the one issued at login.
+     * See ../lib/refresh-tokens.js.
+     */
+
+    async getRefreshToken(id) {
+        return this.get('refreshTokens', id);
+    }
+
+    async saveRefreshToken(record) {
+        await this.set('refreshTokens', record.id, record);
+        return record;
+    }
+
+    async getTokenFamily(id) {
+        return this.get('tokenFamilies', id);
+    }
+
+    async saveTokenFamily(record) {
+        await this.set('tokenFamilies', record.id, record);
+        return record;
+    }
+
+    async deleteTokenFamily(id) {
+        return this.delete('tokenFamilies', id);
+    }
+
+    /**
+     * List the token families belonging to a user
+     * 
+     * @param {string} userId - Owner of the families
+     * @returns {Promise<Object[]>} - Family records
+     */
+    async listTokenFamilies(userId) {
+        const entries = await this.entries('tokenFamilies');
+        return entries
+            .map(([, family]) => family)
+            .filter(family => family.userId === userId);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Personal Access Tokens
+     * ------------------------------------------------------------------------
+     * 
+     * Keyed by token id; only a hash of the secret is stored.
+     * See ../lib/personal-tokens.js.
+     */
+
+    async getPersonalToken(id) {
+        return this.get('personalTokens', id);
+    }
+
+    async savePersonalToken(record) {
+        await this.set('personalTokens', record.id, record);
+        return record;
+    }
+
+    async deletePersonalToken(id) {
+        return this.delete('personalTokens', id);
+    }
+
+    /**
+     * List the personal access tokens belonging to a user
+     * 
+     * @param {string} userId - Owner of the tokens
+     * @returns {Promise<Object[]>} - Token records
+     */
+    async listPersonalTokens(userId) {
+        const entries = await this.entries('personalTokens');
+        return entries
+            .map(([, record]) => record)
+            .filter(record => record.userId === userId);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Revoked Access Tokens
+     * ------------------------------------------------------------------------
+     * 
+     * Revocation list keyed by the access token's jti claim.
+     * Structure: { jti, expiresAt, revokedAt }
+     * Entries can be dropped once expiresAt has passed.
+     */
+
+    async getRevokedToken(jti) {
+        return this.get('revokedTokens', jti);
+    }
+
+    async saveRevokedToken(record) {
+        await this.set('revokedTokens', record.jti, record);
+        return record;
+    }
+
+    async deleteRevokedToken(jti) {
+        return this.delete('revokedTokens', jti);
+    }
+
+    async listRevokedTokens() {
+        const entries = await this.entries('revokedTokens');
+        return entries.map(([, record]) => record);
+    }
+
+    /**
+     * ------------------------------------------------------------------------
+     * Audit Log
+     * ------------------------------------------------------------------------
+     * 
+     * Append-only: events are keyed by id and never changed or removed,
+     * except by deleteUser(). See ../lib/audit.js.
+     * Structure: { id, at, action, actor, ... }
+     */
+
+    /**
+     * Add an event to the log
+     * 
+     * @param {Object} event - Event record (with a new id)
+     * @returns {Promise<Object>} - The stored event
+     * @throws {Error} - If an event with that id is already logged
+     */
+    async appendAuditEvent(event) {
+        return this.exclusive(`audit:${event.id}`, async () => {
+            if (await this.get('audit', event.id)) {
+                throw new Error(`Audit event ${event.id} already exists`);
+            }
+
+            await this.set('audit', event.id, event);
+            return event;
+        });
+    }
+
+    /**
+     * List every audit event, oldest first
+     * 
+     * @returns {Promise<Object[]>} - Event records
+     */
+    async listAuditEvents() {
+        const entries = await this.entries('audit');
+        return entries
+            .map(([, event]) => event)
+            .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+    }
+}
+
+/**
+ * Namespace holding a single user's friends
+ * 
+ * @param {string} username - Owner of the list
+ * @returns {string} - Namespace name
+ */
+const friendsNamespace = (username) => `friends:${username}`;
+
+/**
+ * Namespace holding a single user's deleted friends
+ * 
+ * @param {string} username - Owner of the list
+ * @returns {string} - Namespace name
+ */
+const trashNamespace = (username) => `trash:${username}`;
+
+module.exports = Store;
+module.exports.VersionConflictError = VersionConflictError;
@@ -0,0 +1,47 @@
+/**
+ * Deleting an account removes the user's data, including the audit entries
+ * that hold their friends' records.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+describe('DELETE /me', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp();
+        const alice = await server.login('alice');
+        const bob = await server.login('bobby');
+
+        const created = await alice.post('/friends', { body: FRIEND });
+        await alice.put(`/friends/${created.body.data.id}`, { body: { firstName: 'Janet' } });
+        await bob.post('/connections/requests', { body: { username: 'alice' } });
+        await bob.post('/friends', { body: { ...FRIEND, email: 'joe@example.com', firstName: 'Joe' } });
+
+        const deleted = await alice.delete('/me', { body: { password: PASSWORD } });
+        assert.equal(deleted.status, 200);
+    });
+
+    after(() => server.close());
+
+    it("removes the user's own audit entries and their friends' records", async () => {
+        const events = await server.app.locals.store.listAuditEvents();
+
+        assert.equal(events.filter(event => event.actor === 'alice' || event.owner === 'alice').length, 0);
+        assert.ok(!JSON.stringify(events).includes(FRIEND.email));
+    });
+
+    it("keeps other users' entries without the deleted username", async () => {
+        const events = await server.app.locals.store.listAuditEvents();
+
+        const request = events.find(event => event.action === 'connection.request');
+        assert.equal(request.actor, 'bobby');
+        assert.equal(request.target, null);
+        assert.ok(events.some(event => event.action === 'friend.create' && event.owner === 'bobby'));
+        assert.ok(!JSON.stringify(events).includes('"alice"'));
+    });
+});
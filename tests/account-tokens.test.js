@@ -0,0 +1,131 @@
+/**
+ * Emailed account tokens (email verification and password reset) work once,
+ * die when the password changes, and /password/forgot doesn't tell whether
+ * an address has an account.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+
+const NEW_PASSWORD = 'another-long-passphrase';
+
+describe('account tokens', () => {
+    let server;
+
+    /**
+     * The token in the last email sent to an address
+     */
+    const lastToken = (email) => {
+        const messages = server.app.locals.mailer.transport.messages.filter(message => message.to === email);
+        assert.ok(messages.length > 0, `no email sent to ${email}`);
+        return /token:\n\n\s+(\S+)/.exec(messages[messages.length - 1].text)[1];
+    };
+
+    const forgot = (email) => server.client().post('/password/forgot', { body: { email } });
+
+    const reset = (token, newPassword = NEW_PASSWORD) => {
+        return server.client().post('/password/reset', { body: { token, newPassword } });
+    };
+
+    const login = (username, password) => server.client().post('/login', { body: { username, password } });
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('resets the password once per link', async () => {
+        await server.register('alice', { email: 'alice@example.com' });
+        assert.equal((await forgot('alice@example.com')).status, 202);
+        const token = lastToken('alice@example.com');
+
+        const res = await reset(token);
+        assert.equal(res.status, 200);
+        assert.equal((await login('alice', NEW_PASSWORD)).status, 200);
+        assert.equal((await login('alice', PASSWORD)).status, 401);
+
+        const again = await reset(token, 'yet-another-passphrase');
+        assert.equal(again.status, 400);
+        assert.match(again.body.message, /already been used/);
+        assert.equal((await login('alice', NEW_PASSWORD)).status, 200);
+    });
+
+    it('verifies an email address once per link', async () => {
+        await server.register('bobby', { email: 'bob@example.com' });
+        const token = lastToken('bob@example.com');
+
+        const res = await server.client().post('/verify-email', { body: { token } });
+        assert.equal(res.status, 200);
+        assert.equal((await server.app.locals.store.getUser('bobby')).emailVerified, true);
+
+        const again = await server.client().post('/verify-email', { body: { token } });
+        assert.equal(again.status, 400);
+        assert.match(again.body.message, /already been used/);
+    });
+
+    it('voids outstanding links when the password changes', async () => {
+        await server.register('carol', { email: 'carol@example.com' });
+        const verification = lastToken('carol@example.com');
+        await forgot('carol@example.com');
+        const resetLink = lastToken('carol@example.com');
+
+        const carol = await server.login('carol');
+        const changed = await carol.post('/me/password', {
+            body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD }
+        });
+        assert.equal(changed.status, 200);
+
+        const res = await reset(resetLink, 'attacker-chosen-passphrase');
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /no longer valid/);
+        assert.equal((await server.client().post('/verify-email', { body: { token: verification } })).status, 400);
+        assert.equal((await login('carol', NEW_PASSWORD)).status, 200);
+    });
+
+    it('voids older reset links once one is used', async () => {
+        await server.register('david', { email: 'david@example.com' });
+        await forgot('david@example.com');
+        const older = lastToken('david@example.com');
+        await forgot('david@example.com');
+        const newer = lastToken('david@example.com');
+
+        assert.equal((await reset(newer)).status, 200);
+        assert.equal((await reset(older, 'attacker-chosen-passphrase')).status, 400);
+        assert.equal((await login('david', NEW_PASSWORD)).status, 200);
+    });
+
+    it('voids a verification link sent to a previous address', async () => {
+        await server.register('erin1', { email: 'erin@example.com' });
+        const token = lastToken('erin@example.com');
+
+        const erin = await server.login('erin1');
+        assert.equal((await erin.patch('/me', { body: { email: 'erin@example.org' } })).status, 200);
+
+        assert.equal((await server.client().post('/verify-email', { body: { token } })).status, 400);
+    });
+
+    it("doesn't accept a token for another purpose", async () => {
+        await server.register('frank', { email: 'frank@example.com' });
+        const verification = lastToken('frank@example.com');
+
+        assert.equal((await reset(verification, 'attacker-chosen-passphrase')).status, 400);
+        assert.equal((await reset('not-a-token')).status, 400);
+        assert.equal((await login('frank', PASSWORD)).status, 200);
+    });
+
+    it('answers /password/forgot the same for unknown addresses', async () => {
+        await server.register('grace', { email: 'grace@example.com' });
+        const sent = server.app.locals.mailer.transport.messages.length;
+
+        const known = await forgot('grace@example.com');
+        const unknown = await forgot('nobody@example.com');
+
+        assert.equal(unknown.status, known.status);
+        assert.deepEqual(unknown.body, known.body);
+
+        const messages = server.app.locals.mailer.transport.messages.slice(sent);
+        assert.deepEqual(messages.map(message => message.to), ['grace@example.com']);
+    });
+});
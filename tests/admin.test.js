@@ -0,0 +1,82 @@
+/**
+ * The /admin routes need the admin role, and a role change applies to the
+ * user's current logins at once.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+describe('admin permissions', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startApp();
+
+        // Promote the first admin directly, as seedAdmin() does at startup
+        await server.register('root1');
+        const store = server.app.locals.store;
+        await store.saveUser({ ...await store.getUser('root1'), role: 'admin' });
+        admin = await server.login('root1');
+    });
+
+    after(() => server.close());
+
+    it('refuses every admin route to a user', async () => {
+        const alice = await server.login('alice');
+        await server.register('bobby');
+
+        for (const [method, path, body] of [
+            ['get', '/admin/users'],
+            ['patch', '/admin/users/bobby', { locked: true }],
+            ['delete', '/admin/users/bobby'],
+            ['get', '/admin/audit']
+        ]) {
+            const res = await alice[method](path, { body });
+            assert.equal(res.status, 403, `${method.toUpperCase()} ${path}`);
+            assert.match(res.body.message, /Missing permission: (users|audit):/);
+        }
+
+        // Nothing was changed
+        const bob = await server.app.locals.store.getUser('bobby');
+        assert.ok(bob);
+        assert.ok(!bob.locked);
+    });
+
+    it('lets an admin use them', async () => {
+        const users = await admin.get('/admin/users');
+        assert.equal(users.status, 200);
+        assert.ok(users.body.data.some(user => user.username === 'root1' && user.role === 'admin'));
+
+        assert.equal((await admin.get('/admin/audit')).status, 200);
+    });
+
+    it('applies a role change to the current logins', async () => {
+        const carol = await server.login('carol');
+        assert.equal((await carol.get('/admin/users')).status, 403);
+
+        const promoted = await admin.patch('/admin/users/carol', { body: { role: 'admin' } });
+        assert.equal(promoted.status, 200);
+        assert.deepEqual(promoted.body.updatedFields, ['role']);
+        assert.equal((await carol.get('/admin/users')).status, 200);
+
+        const demoted = await admin.patch('/admin/users/carol', { body: { role: 'user' } });
+        assert.equal(demoted.status, 200);
+        assert.equal((await carol.get('/admin/users')).status, 403);
+        assert.equal((await carol.get('/friends')).status, 200);
+    });
+
+    it("doesn't let an admin change their own role", async () => {
+        const res = await admin.patch('/admin/users/root1', { body: { role: 'user' } });
+        assert.equal(res.status, 400);
+        assert.equal((await admin.get('/admin/users')).status, 200);
+    });
+
+    it('rejects an unknown role', async () => {
+        await server.register('david');
+        const res = await admin.patch('/admin/users/david', { body: { role: 'superuser' } });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.errors[0].field, 'role');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Apps built by createApp() are independent: several of them in one process
+ * don't see each other's audit events or notifications, and building more
+ * apps doesn't pile up listeners.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { sendBirthdayReminders } = require('../lib/reminders.js');
+
+describe('app isolation', () => {
+    let first;
+    let second;
+
+    before(async () => {
+        first = await startApp();
+        second = await startApp();
+    });
+
+    after(async () => {
+        await first.close();
+        await second.close();
+    });
+
+    it('gives every app its own emitters', () => {
+        assert.notEqual(first.app.locals.auditEvents, second.app.locals.auditEvents);
+        assert.notEqual(first.app.locals.notifications, second.app.locals.notifications);
+        // Webhooks and the friend stream, whatever the number of apps
+        assert.equal(first.app.locals.auditEvents.listenerCount('recorded'), 2);
+        assert.equal(second.app.locals.auditEvents.listenerCount('recorded'), 2);
+    });
+
+    it("emits audit events only on the app that recorded them", async () => {
+        const seen = { first: [], second: [] };
+        const onFirst = (event) => seen.first.push(event.action);
+        const onSecond = (event) => seen.second.push(event.action);
+        first.app.locals.auditEvents.on('recorded', onFirst);
+        second.app.locals.auditEvents.on('recorded', onSecond);
+
+        try {
+            const alice = await first.login('alice');
+            const res = await alice.post('/friends', {
+                body: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' }
+            });
+            assert.equal(res.status, 201);
+        } finally {
+            first.app.locals.auditEvents.off('recorded', onFirst);
+            second.app.locals.auditEvents.off('recorded', onSecond);
+        }
+
+        assert.ok(seen.first.includes('friend.create'));
+        assert.deepEqual(seen.second, []);
+    });
+
+    it('sends notifications only on the app whose user they are for', async () => {
+        const alice = await second.login('alice');
+        const today = new Date();
+        const DOB = [today.getUTCDate(), today.getUTCMonth() + 1]
+            .map(part => String(part).padStart(2, '0'))
+            .join('-') + '-1990';
+        await alice.patch('/me', { body: { reminderDays: [0], timezone: 'UTC' } });
+        await alice.post('/friends', { body: { email: 'joe@example.com', firstName: 'Joe', lastName: 'Doe', DOB } });
+
+        const seen = { first: 0, second: 0 };
+        const onFirst = () => seen.first++;
+        const onSecond = () => seen.second++;
+        first.app.locals.notifications.on('birthday.reminder', onFirst);
+        second.app.locals.notifications.on('birthday.reminder', onSecond);
+
+        try {
+            const sent = await sendBirthdayReminders(second.app.locals, today);
+            assert.equal(sent.length, 1);
+        } finally {
+            first.app.locals.notifications.off('birthday.reminder', onFirst);
+            second.app.locals.notifications.off('birthday.reminder', onSecond);
+        }
+
+        assert.deepEqual(seen, { first: 0, second: 1 });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * The audit log only ever grows, and GET /admin/audit and
+ * GET /friends/:id/history filter it by actor, action and time.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+/**
+ * Wait until the clock has moved on, so events get distinct timestamps
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('audit log', () => {
+    let server;
+    let admin;
+    let alice;
+    let friend;
+    let renamedAt;
+
+    const patchFriend = (client, id, fields) => client.patch(`/friends/${id}`, {
+        body: fields,
+        headers: { 'content-type': 'application/merge-patch+json' }
+    });
+
+    before(async () => {
+        server = await startApp();
+
+        await server.register('root1');
+        const store = server.app.locals.store;
+        await store.saveUser({ ...await store.getUser('root1'), role: 'admin' });
+        admin = await server.login('root1');
+
+        // alice: create, rename twice, delete; bobby: one friend of his own
+        alice = await server.login('alice');
+        friend = (await alice.post('/friends', { body: FRIEND })).body.data;
+        await tick();
+        await patchFriend(alice, friend.id, { lastName: 'Smith' });
+        await tick();
+        renamedAt = new Date().toISOString();
+        await tick();
+        await patchFriend(alice, friend.id, { lastName: 'Jones' });
+        await tick();
+        await alice.delete(`/friends/${friend.id}`);
+
+        const bob = await server.login('bobby');
+        await bob.post('/friends', { body: FRIEND });
+    });
+
+    after(() => server.close());
+
+    it('only ever appends events', async () => {
+        const store = server.app.locals.store;
+        const earlier = await store.listAuditEvents();
+
+        const carol = await server.login('carol');
+        const created = await carol.post('/friends', { body: FRIEND });
+        await patchFriend(carol, created.body.data.id, { notes: 'Changed' });
+
+        const later = await store.listAuditEvents();
+        assert.ok(later.length > earlier.length);
+        const byId = new Map(later.map(event => [event.id, event]));
+        for (const event of earlier) {
+            assert.deepEqual(byId.get(event.id), event);
+        }
+
+        // Neither the store nor the API replaces an event
+        await assert.rejects(store.appendAuditEvent({ ...earlier[0], action: 'auth.logout' }), /already exists/);
+        assert.deepEqual((await store.listAuditEvents()).find(event => event.id === earlier[0].id), earlier[0]);
+        assert.equal((await admin.delete('/admin/audit')).status, 404);
+        assert.equal((await admin.patch(`/admin/audit/${earlier[0].id}`, { body: {} })).status, 404);
+    });
+
+    it('filters by actor and action, newest first', async () => {
+        const res = await admin.get('/admin/audit?actor=alice&action=friend');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(event => event.action), [
+            'friend.delete', 'friend.update', 'friend.update', 'friend.create'
+        ]);
+        assert.ok(res.body.data.every(event => event.actor === 'alice'));
+
+        // An action prefix only matches whole segments
+        const logins = (await admin.get('/admin/audit?action=auth.login')).body.data;
+        assert.ok(logins.length > 0);
+        assert.ok(logins.every(event => event.action === 'auth.login' || event.action.startsWith('auth.login.')));
+
+        const exact = (await admin.get('/admin/audit?actor=bobby&action=friend.create')).body.data;
+        assert.equal(exact.length, 1);
+        assert.equal(exact[0].owner, 'bobby');
+    });
+
+    it('filters by time and pages through the results', async () => {
+        const since = (await admin.get(`/admin/audit?actor=alice&action=friend&from=${renamedAt}`)).body.data;
+        assert.deepEqual(since.map(event => event.action), ['friend.delete', 'friend.update']);
+
+        const until = (await admin.get(`/admin/audit?actor=alice&action=friend&to=${renamedAt}`)).body.data;
+        assert.deepEqual(until.map(event => event.action), ['friend.update', 'friend.create']);
+
+        const page = await admin.get('/admin/audit?actor=alice&action=friend&limit=3&page=2');
+        assert.deepEqual(page.body.pagination, { page: 2, limit: 3, total: 4, totalPages: 2 });
+        assert.deepEqual(page.body.data.map(event => event.action), ['friend.create']);
+
+        const invalid = await admin.get('/admin/audit?from=yesterday&action=friend.hug');
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(invalid.body.errors.map(error => error.field).sort(), ['action', 'from']);
+    });
+
+    it("lists a friend's history, even from the trash", async () => {
+        const res = await alice.get(`/friends/${friend.id}/history`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(event => event.action), [
+            'friend.delete', 'friend.update', 'friend.update', 'friend.create'
+        ]);
+
+        const [latest] = (await alice.get(`/friends/${friend.id}/history?action=friend.update`)).body.data;
+        assert.equal(latest.before.lastName, 'Smith');
+        assert.equal(latest.after.lastName, 'Jones');
+        assert.deepEqual(latest.changes, ['lastName']);
+
+        const since = (await alice.get(`/friends/${friend.id}/history?from=${renamedAt}&limit=1`)).body;
+        assert.equal(since.pagination.total, 2);
+        assert.deepEqual(since.data.map(event => event.action), ['friend.delete']);
+
+        // By email address, once the friend is purged
+        await alice.delete(`/friends/trash/${friend.id}`);
+        const purged = (await alice.get(`/friends/${FRIEND.email}/history`)).body.data;
+        assert.equal(purged[0].action, 'friend.purge');
+        assert.equal(purged[0].friendId, friend.id);
+    });
+
+    it("doesn't show another user's friend history", async () => {
+        const bob = await server.login('bobby');
+        assert.equal((await bob.get(`/friends/${friend.id}/history`)).status, 404);
+
+        // bobby's own friend with the same email has its own history
+        const own = (await bob.get(`/friends/${FRIEND.email}/history`)).body.data;
+        assert.deepEqual(own.map(event => event.action), ['friend.create']);
+        assert.ok(own.every(event => event.owner === 'bobby'));
+    });
+});
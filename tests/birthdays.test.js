@@ -0,0 +1,104 @@
+/**
+ * Birthdays fall on the user's local date, and friends born on 29 February
+ * celebrate on 28 February in non-leap years. Every check runs at a fixed
+ * time.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { localToday, nextBirthday, upcomingBirthdays } = require('../lib/birthdays.js');
+const { sendUserReminders } = require('../lib/reminders.js');
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('birthdays', () => {
+    it("uses the date in the user's timezone", () => {
+        const now = new Date('2024-05-01T23:30:00Z');
+
+        assert.deepEqual(localToday(undefined, now), day('2024-05-01'));
+        assert.deepEqual(localToday('Asia/Tokyo', now), day('2024-05-02'));
+        assert.deepEqual(localToday('America/Los_Angeles', new Date('2024-05-02T03:00:00Z')), day('2024-05-01'));
+    });
+
+    it('moves 29 February birthdays to 28 February in non-leap years', () => {
+        assert.deepEqual(nextBirthday('29-02-2000', day('2025-02-01')), { date: '28-02-2025', turning: 25, daysUntil: 27 });
+        assert.deepEqual(nextBirthday('29-02-2000', day('2024-02-01')), { date: '29-02-2024', turning: 24, daysUntil: 28 });
+        assert.deepEqual(nextBirthday('29-02-2000', day('2025-02-28')), { date: '28-02-2025', turning: 25, daysUntil: 0 });
+        assert.deepEqual(nextBirthday('29-02-2000', day('2025-03-01')), { date: '28-02-2026', turning: 26, daysUntil: 364 });
+        assert.deepEqual(nextBirthday('29-02-2000', day('2027-03-01')), { date: '29-02-2028', turning: 28, daysUntil: 365 });
+    });
+
+    it("counts today's birthday and moves yesterday's to next year", () => {
+        assert.equal(nextBirthday('15-06-1990', day('2024-06-15')).daysUntil, 0);
+        assert.deepEqual(nextBirthday('14-06-1990', day('2024-06-15')), { date: '14-06-2025', turning: 35, daysUntil: 364 });
+        assert.equal(nextBirthday('not-a-date', day('2024-06-15')), null);
+    });
+
+    it('lists the birthdays within the period, soonest first', () => {
+        const friends = [
+            { id: '1', firstName: 'Zoe', lastName: 'Young', DOB: '10-03-1990' },
+            { id: '2', firstName: 'Adam', lastName: 'Young', DOB: '10-03-1985' },
+            { id: '3', firstName: 'Leap', lastName: 'Day', DOB: '29-02-1996' },
+            { id: '4', firstName: 'Far', lastName: 'Away', DOB: '01-12-1990' }
+        ];
+
+        const upcoming = upcomingBirthdays(friends, { within: 14, today: day('2025-02-27') });
+
+        assert.deepEqual(upcoming.map(entry => [entry.friend.firstName, entry.birthday, entry.daysUntil]), [
+            ['Leap', '28-02-2025', 1],
+            ['Adam', '10-03-2025', 11],
+            ['Zoe', '10-03-2025', 11]
+        ]);
+    });
+});
+
+describe('birthday reminders', () => {
+    let server;
+
+    /**
+     * Create a user with the given profile and one friend born on 29 February
+     */
+    const userWithLeapFriend = async (username, profile) => {
+        const client = await server.login(username);
+        assert.equal((await client.patch('/me', { body: profile })).status, 200);
+        await client.post('/friends', {
+            body: { email: `leap@${username}.example.com`, firstName: 'Leap', lastName: 'Day', DOB: '29-02-1996' }
+        });
+        return server.app.locals.store.getUser(username);
+    };
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it("sends reminders on the user's local date", async () => {
+        // 28 February 01:00 in Auckland, still 27 February in UTC
+        const now = new Date('2025-02-27T12:00:00Z');
+        const auckland = await userWithLeapFriend('alice', { timezone: 'Pacific/Auckland', reminderDays: [0] });
+        const utc = await userWithLeapFriend('bobby', { reminderDays: [0] });
+
+        const [sent] = await sendUserReminders(server.app.locals, auckland, now);
+        assert.equal(sent.type, 'birthday.reminder');
+        assert.equal(sent.birthday, '28-02-2025');
+        assert.equal(sent.turning, 29);
+        assert.equal(sent.daysUntil, 0);
+
+        assert.deepEqual(await sendUserReminders(server.app.locals, utc, now), []);
+        const tomorrow = await sendUserReminders(server.app.locals, utc, new Date('2025-02-28T12:00:00Z'));
+        assert.equal(tomorrow.length, 1);
+    });
+
+    it('sends each reminder once per birthday', async () => {
+        const user = await userWithLeapFriend('carol', { reminderDays: [1] });
+        const locals = server.app.locals;
+
+        assert.equal((await sendUserReminders(locals, user, new Date('2025-02-27T08:00:00Z'))).length, 1);
+        assert.equal((await sendUserReminders(locals, user, new Date('2025-02-27T20:00:00Z'))).length, 0);
+
+        // The next one, a leap year
+        assert.equal((await sendUserReminders(locals, user, new Date('2028-02-28T08:00:00Z'))).length, 1);
+    });
+});
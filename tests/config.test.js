@@ -0,0 +1,87 @@
+/**
+ * Every setting goes through loadConfig(): values are checked, the test
+ * profile relaxes the rate limits, and each app follows its own config.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, loadConfig } = require('../lib/config.js');
+const { startApp } = require('./helpers.js');
+
+describe('loadConfig', () => {
+    it('reads feature settings from the environment', () => {
+        const config = loadConfig({
+            env: {
+                RATE_LIMIT_REGISTER_IP: '7',
+                LOCKOUT_THRESHOLD: '3',
+                REQUIRE_EMAIL_VERIFICATION: 'true',
+                BIRTHDAY_REMINDER_DAYS: '14, 0',
+                ADMIN_USERNAME: 'root',
+                ADMIN_PASSWORD: 'a long admin password'
+            }
+        });
+
+        assert.equal(config.rateLimits.registerIp, 7);
+        assert.equal(config.lockout.threshold, 3);
+        assert.equal(config.accountTokens.requireVerifiedEmail, true);
+        assert.deepEqual(config.reminders.days, [14, 0]);
+        assert.deepEqual(config.admin, { username: 'root', password: 'a long admin password' });
+    });
+
+    it('reports every invalid feature setting at once', () => {
+        assert.throws(() => loadConfig({
+            env: {
+                RATE_LIMIT_LOGIN_IP: 'lots',
+                MAIL_TRANSPORT: 'pigeon',
+                BIRTHDAY_REMINDER_DAYS: '7,-1',
+                PASSWORD_HASH_COST: '1000',
+                PASSWORD_MIN_LENGTH: '20',
+                PASSWORD_MAX_LENGTH: '10',
+                ADMIN_USERNAME: 'root'
+            }
+        }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.equal(error.problems.length, 6);
+            return true;
+        });
+    });
+
+    it('relaxes the rate limits in the test profile only', () => {
+        assert.equal(loadConfig({ env: {} }).rateLimits.registerIp, 5);
+        assert.ok(loadConfig({ env: { NODE_ENV: 'test' } }).rateLimits.registerIp > 5);
+    });
+});
+
+describe('per-app settings', () => {
+    const servers = [];
+    after(() => Promise.all(servers.map(server => server.close())));
+
+    it('lets the test profile register more than the default limit', async () => {
+        const server = await startApp();
+        servers.push(server);
+
+        for (let i = 0; i < 8; i++) {
+            const res = await server.register(`user${i}`);
+            assert.equal(res.status, 201);
+        }
+    });
+
+    it('applies each app its own limits', async () => {
+        const strict = await startApp({ overrides: { rateLimits: { registerIp: 2 } } });
+        const relaxed = await startApp();
+        servers.push(strict, relaxed);
+
+        assert.equal((await strict.register('alice')).status, 201);
+        assert.equal((await strict.register('bobby')).status, 201);
+        assert.equal((await strict.register('carol')).status, 429);
+        assert.equal((await relaxed.register('carol')).status, 201);
+    });
+
+    it('applies the configured password policy', async () => {
+        const server = await startApp({ overrides: { password: { minLength: 30 } } });
+        servers.push(server);
+
+        const res = await server.register('alice');
+        assert.equal(res.status, 422);
+    });
+});
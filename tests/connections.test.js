@@ -0,0 +1,67 @@
+/**
+ * POST /connections/requests by email doesn't reveal which email addresses
+ * are registered.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+describe('friend requests by email', () => {
+    let server;
+    let alice;
+    let bob;
+
+    before(async () => {
+        server = await startApp();
+        await server.register('alice', { email: 'alice@example.com' });
+        await server.register('bobby', { email: 'bob@example.com' });
+        await server.register('carol', { email: 'carol@example.com' });
+        alice = await server.login('alice');
+        bob = await server.login('bobby');
+    });
+
+    after(() => server.close());
+
+    const requestByEmail = (client, email) => client.post('/connections/requests', { body: { email } });
+
+    it('answers the same for a registered and an unknown address', async () => {
+        const registered = await requestByEmail(alice, 'BOB@example.com');
+        const unknown = await requestByEmail(alice, 'nobody@example.com');
+
+        assert.equal(registered.status, 202);
+        assert.equal(unknown.status, 202);
+        assert.deepEqual(unknown.body, registered.body);
+        assert.equal(registered.body.data, undefined);
+    });
+
+    it('still sends the request to a registered address', async () => {
+        const res = await bob.get('/connections/requests?direction=incoming');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(request => request.from), ['alice']);
+    });
+
+    it('answers the same when the request already exists or is blocked', async () => {
+        const unknown = await requestByEmail(alice, 'nobody@example.com');
+
+        const pending = await requestByEmail(alice, 'bob@example.com');
+        assert.equal(pending.status, 202);
+        assert.deepEqual(pending.body, unknown.body);
+
+        const carol = await server.login('carol');
+        assert.equal((await carol.put('/connections/blocks/alice')).status, 200);
+        const blocked = await requestByEmail(alice, 'carol@example.com');
+        assert.equal(blocked.status, 202);
+        assert.deepEqual(blocked.body, unknown.body);
+    });
+
+    it('refuses a request to your own address', async () => {
+        const res = await requestByEmail(alice, 'alice@example.com');
+        assert.equal(res.status, 400);
+    });
+
+    it('still answers 404 for an unknown username', async () => {
+        const res = await alice.post('/connections/requests', { body: { username: 'nobody' } });
+        assert.equal(res.status, 404);
+    });
+});
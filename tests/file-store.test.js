@@ -0,0 +1,79 @@
+/**
+ * FileStore batches its writes: many changes in a row end up in one write
+ * of the data file, and close() writes whatever is still pending.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FileStore } = require('../storage');
+
+const readFile = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+describe('FileStore', () => {
+    let dir;
+    let file;
+    let writes;
+    const rename = fs.promises.rename;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'friends-api-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    beforeEach((t) => {
+        file = path.join(dir, `${t.name.replace(/\W+/g, '-')}.json`);
+        writes = 0;
+        // Every write of the data file ends with a rename over it
+        fs.promises.rename = async (from, to) => {
+            if (to === file) writes++;
+            return rename(from, to);
+        };
+    });
+
+    afterEach(() => {
+        fs.promises.rename = rename;
+    });
+
+    it('writes many changes at once', async () => {
+        const store = new FileStore({ file, writeDelayMs: 50 });
+
+        for (let i = 0; i < 100; i++) {
+            await store.set('audit', `event-${i}`, { id: `event-${i}` });
+        }
+        await store.delete('audit', 'event-0');
+        assert.equal(writes, 0);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(writes, 1);
+        assert.equal(Object.keys(readFile(file).audit).length, 99);
+    });
+
+    it('writes pending changes on close()', async () => {
+        const store = new FileStore({ file, writeDelayMs: 60 * 1000 });
+
+        await store.saveUser({ username: 'alice', createdAt: '2024-01-01T00:00:00.000Z' });
+        await store.close();
+        assert.equal(writes, 1);
+
+        const reopened = new FileStore({ file });
+        assert.equal((await reopened.getUser('alice')).username, 'alice');
+
+        await store.close();
+        assert.equal(writes, 1, 'nothing left to write');
+    });
+
+    it('writes every change straight away without a delay', async () => {
+        const store = new FileStore({ file, writeDelayMs: 0 });
+
+        await store.set('sessions', 'a', { id: 'a' });
+        assert.equal(writes, 1);
+        assert.deepEqual(readFile(file).sessions, { a: { id: 'a' } });
+
+        await store.set('sessions', 'b', { id: 'b' });
+        assert.equal(writes, 2);
+    });
+});
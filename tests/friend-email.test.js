@@ -0,0 +1,107 @@
+/**
+ * A friend keeps its id when its email address changes, and two friends in
+ * one list never share an email address.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const FRIEND = { firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+describe('friend email addresses', () => {
+    let dir;
+    let server;
+    let alice;
+
+    const createFriend = async (email) => {
+        const res = await alice.post('/friends', { body: { ...FRIEND, email } });
+        assert.equal(res.status, 201);
+        return res.body.data;
+    };
+
+    const patchFriend = (id, fields) => alice.patch(`/friends/${id}`, {
+        body: fields,
+        headers: { 'content-type': 'application/merge-patch+json' }
+    });
+
+    const listEmails = async () => (await server.app.locals.store.listFriends('alice')).map(friend => friend.email);
+
+    before(async () => {
+        // The file driver awaits every write, so concurrent requests interleave
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'friends-api-'));
+        server = await startApp({
+            env: { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(dir, 'db.json'), STORAGE_WRITE_DELAY: '0' }
+        });
+        alice = await server.login('alice');
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps the id when the email changes', async () => {
+        const friend = await createFriend('old@example.com');
+
+        const res = await patchFriend(friend.id, { email: 'new@example.com' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.id, friend.id);
+        assert.equal(res.body.data.email, 'new@example.com');
+
+        const byId = await alice.get(`/friends/${friend.id}`);
+        assert.equal(byId.body.data.email, 'new@example.com');
+        const byNewEmail = await alice.get('/friends/new@example.com');
+        assert.equal(byNewEmail.body.data.id, friend.id);
+        assert.equal((await alice.get('/friends/old@example.com')).status, 404);
+
+        // The old address is free again
+        const other = await createFriend('old@example.com');
+        assert.notEqual(other.id, friend.id);
+    });
+
+    it('rejects an email used by another friend', async () => {
+        const first = await createFriend('first@example.com');
+        const second = await createFriend('second@example.com');
+
+        const patched = await patchFriend(second.id, { email: 'FIRST@example.com' });
+        assert.equal(patched.status, 409);
+
+        const put = await alice.put(`/friends/${second.id}`, { body: { ...FRIEND, email: 'first@example.com' } });
+        assert.equal(put.status, 409);
+
+        const created = await alice.post('/friends', { body: { ...FRIEND, email: 'First@Example.com' } });
+        assert.equal(created.status, 400);
+
+        assert.equal((await alice.get(`/friends/${second.id}`)).body.data.email, 'second@example.com');
+        assert.equal((await alice.get(`/friends/${first.id}`)).body.data.email, 'first@example.com');
+    });
+
+    it('lets a friend change the case of its own email', async () => {
+        const friend = await createFriend('case@example.com');
+
+        const res = await patchFriend(friend.id, { email: 'Case@Example.com' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.email, 'Case@Example.com');
+    });
+
+    it('gives an email address to one friend only, even at the same time', async () => {
+        const a = await createFriend('a@example.com');
+        const b = await createFriend('b@example.com');
+
+        const moves = await Promise.all([a, b].map(friend => {
+            return patchFriend(friend.id, { email: 'wanted@example.com' });
+        }));
+        assert.deepEqual(moves.map(res => res.status).sort(), [200, 409]);
+
+        const creates = await Promise.all([1, 2].map(() => alice.post('/friends', { body: { ...FRIEND, email: 'new-friend@example.com' } })));
+        assert.deepEqual(creates.map(res => res.status).sort(), [201, 400]);
+
+        const emails = await listEmails();
+        assert.equal(emails.filter(email => email === 'wanted@example.com').length, 1);
+        assert.equal(emails.filter(email => email === 'new-friend@example.com').length, 1);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * GET /friends/stream: open streams share one audit listener per app, and a
+ * stream ends once its credentials stop being valid.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+/**
+ * Open a stream and collect what it sends until it ends
+ * 
+ * @returns {Promise<Object>} - { status, text, ended, closed, close }
+ */
+const openStream = async (server, token) => {
+    const controller = new AbortController();
+    const res = await fetch(`${server.baseUrl}/friends/stream`, {
+        headers: { authorization: `Bearer ${token}` },
+        signal: controller.signal
+    });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const stream = { status: res.status, text: '', ended: false };
+
+    stream.closed = (async () => {
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                stream.text += decoder.decode(value, { stream: true });
+            }
+        } catch (error) {
+            // Aborted by close()
+        }
+        stream.ended = true;
+    })();
+    stream.close = () => {
+        controller.abort();
+        return stream.closed;
+    };
+
+    return stream;
+};
+
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe('friend stream', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp({ overrides: { stream: { revalidateInterval: 1 } } });
+    });
+
+    after(() => server.close());
+
+    it('shares one audit listener between all open streams', async () => {
+        const alice = await server.login('alice');
+        const { auditEvents, friendStream } = server.app.locals;
+        const listeners = auditEvents.listenerCount('recorded');
+
+        const streams = [];
+        for (let i = 0; i < 12; i++) {
+            streams.push(await openStream(server, alice.token));
+        }
+
+        assert.equal(auditEvents.listenerCount('recorded'), listeners);
+        assert.equal(friendStream.size, 12);
+
+        const res = await alice.post('/friends', { body: FRIEND });
+        assert.equal(res.status, 201);
+        await waitFor(() => streams.every(stream => stream.text.includes('event: friend.created')));
+
+        await Promise.all(streams.map(stream => stream.close()));
+        await waitFor(() => friendStream.size === 0);
+    });
+
+    it("doesn't send another user's changes", async () => {
+        const bob = await server.login('bobby');
+        const carol = await server.login('carol');
+        const stream = await openStream(server, bob.token);
+
+        await carol.post('/friends', { body: FRIEND });
+        await bob.post('/friends', { body: { ...FRIEND, email: 'joe@example.com' } });
+        await waitFor(() => stream.text.includes('event: friend.created'));
+        await stream.close();
+
+        assert.ok(stream.text.includes('joe@example.com'));
+        assert.ok(!stream.text.includes('jane@example.com'));
+    });
+
+    it('ends a personal access token stream once the token is revoked', async () => {
+        const dave = await server.login('david');
+        const created = await dave.post('/tokens', { body: { name: 'feed', scopes: ['friends:read'] } });
+        assert.equal(created.status, 201);
+
+        const stream = await openStream(server, created.body.data.token);
+        assert.equal(stream.status, 200);
+
+        const revoked = await dave.delete(`/tokens/${created.body.data.id}`);
+        assert.equal(revoked.status, 200);
+
+        await waitFor(() => stream.ended);
+    });
+
+    it('ends an access token stream after logging out everywhere', async () => {
+        const erin = await server.login('erin1');
+        const stream = await openStream(server, erin.token);
+        assert.equal(stream.status, 200);
+
+        const res = await erin.post('/logout-all');
+        assert.equal(res.status, 200);
+
+        await waitFor(() => stream.ended);
+    });
+
+    it('keeps a stream open while its credentials stay valid', async () => {
+        const frank = await server.login('frank');
+        const stream = await openStream(server, frank.token);
+
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        assert.equal(stream.ended, false);
+        await stream.close();
+    });
+});
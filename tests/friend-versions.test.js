@@ -0,0 +1,156 @@
+/**
+ * Friend versions and ETags: an ETag names exactly one version of a friend,
+ * conditional requests honour it, and concurrent writes never reuse a
+ * version or lose a change.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+// The file driver writes (and awaits) every change, so requests interleave
+const DRIVERS = {
+    memory: () => ({}),
+    file: (dir) => ({
+        STORAGE_DRIVER: 'file',
+        STORAGE_FILE: path.join(dir, 'db.json'),
+        STORAGE_WRITE_DELAY: '0'
+    })
+};
+
+for (const [driver, storageEnv] of Object.entries(DRIVERS)) {
+    describe(`friend versions (${driver} storage)`, () => {
+        let dir;
+        let server;
+        let alice;
+
+        /**
+         * Add a friend and return its record and ETag
+         */
+        const createFriend = async (fields = {}) => {
+            const res = await alice.post('/friends', { body: { ...FRIEND, ...fields } });
+            assert.equal(res.status, 201);
+            return { friend: res.body.data, etag: res.headers.get('etag') };
+        };
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'friends-api-'));
+            server = await startApp({ env: storageEnv(dir) });
+            alice = await server.login('alice');
+        });
+
+        after(async () => {
+            await server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('serves the same ETag until the friend changes', async () => {
+            const { friend, etag } = await createFriend({ email: 'stable@example.com' });
+            assert.equal(etag, '"v1"');
+
+            const first = await alice.get(`/friends/${friend.id}`);
+            const second = await alice.get(`/friends/${friend.id}`);
+            assert.equal(first.headers.get('etag'), etag);
+            assert.equal(second.headers.get('etag'), etag);
+
+            const updated = await alice.put(`/friends/${friend.id}`, { body: { lastName: 'Smith' } });
+            assert.equal(updated.headers.get('etag'), '"v2"');
+
+            const read = await alice.get(`/friends/${friend.id}`);
+            assert.equal(read.headers.get('etag'), '"v2"');
+            assert.deepEqual(read.body.data, updated.body.data);
+        });
+
+        it('answers 304 to If-None-Match with the current ETag', async () => {
+            const { friend, etag } = await createFriend({ email: 'cached@example.com' });
+
+            const res = await alice.get(`/friends/${friend.id}`, { headers: { 'if-none-match': etag } });
+            assert.equal(res.status, 304);
+
+            await alice.put(`/friends/${friend.id}`, { body: { notes: 'Changed' } });
+            const changed = await alice.get(`/friends/${friend.id}`, { headers: { 'if-none-match': etag } });
+            assert.equal(changed.status, 200);
+        });
+
+        it('answers 412 to a write with a stale If-Match', async () => {
+            const { friend, etag } = await createFriend({ email: 'stale@example.com' });
+
+            const first = await alice.put(`/friends/${friend.id}`, {
+                body: { firstName: 'Janet' },
+                headers: { 'if-match': etag }
+            });
+            assert.equal(first.status, 200);
+
+            const stale = await alice.put(`/friends/${friend.id}`, {
+                body: { firstName: 'Mallory' },
+                headers: { 'if-match': etag }
+            });
+            assert.equal(stale.status, 412);
+            assert.equal(stale.headers.get('etag'), '"v2"');
+
+            const deleted = await alice.delete(`/friends/${friend.id}`, { headers: { 'if-match': etag } });
+            assert.equal(deleted.status, 412);
+
+            const read = await alice.get(`/friends/${friend.id}`);
+            assert.equal(read.body.data.firstName, 'Janet');
+        });
+
+        it('keeps every change of concurrent writes without If-Match', async () => {
+            const { friend } = await createFriend({ email: 'busy@example.com', tags: ['family'] });
+            const path = `/friends/${friend.id}`;
+
+            const responses = await Promise.all([
+                alice.put(path, { body: { firstName: 'Janet' } }),
+                alice.put(path, { body: { lastName: 'Smith' } }),
+                alice.patch(path, {
+                    body: { notes: 'Met at work' },
+                    headers: { 'content-type': 'application/merge-patch+json' }
+                }),
+                alice.patch(path, {
+                    body: [{ op: 'add', path: '/tags/-', value: 'work' }],
+                    headers: { 'content-type': 'application/json-patch+json' }
+                })
+            ]);
+
+            const etags = responses.map(res => {
+                assert.equal(res.status, 200);
+                return res.headers.get('etag');
+            });
+            assert.deepEqual([...etags].sort(), ['"v2"', '"v3"', '"v4"', '"v5"']);
+
+            const read = await alice.get(path);
+            assert.equal(read.headers.get('etag'), '"v5"');
+            assert.equal(read.body.data.firstName, 'Janet');
+            assert.equal(read.body.data.lastName, 'Smith');
+            assert.equal(read.body.data.notes, 'Met at work');
+            assert.deepEqual(read.body.data.tags, ['family', 'work']);
+
+            // The response carrying the latest ETag shows the stored friend
+            const latest = responses.find(res => res.headers.get('etag') === '"v5"');
+            assert.deepEqual(latest.body.data, read.body.data);
+        });
+
+        it('records what was actually deleted', async () => {
+            const { friend } = await createFriend({ email: 'gone@example.com' });
+
+            const [updated, deleted] = await Promise.all([
+                alice.put(`/friends/${friend.id}`, { body: { notes: 'Last words' } }),
+                alice.delete(`/friends/${friend.id}`)
+            ]);
+            assert.equal(deleted.status, 200);
+
+            const events = await server.app.locals.store.listAuditEvents();
+            const deletion = events.find(event => event.action === 'friend.delete' && event.friendId === friend.id);
+            const { deletedAt, purgeAt, ...trashed } = deleted.body.data;
+            assert.deepEqual(deletion.before, trashed);
+            if (updated.status === 200) {
+                assert.equal(trashed.version, 2);
+            }
+        });
+    });
+}
@@ -0,0 +1,85 @@
+/**
+ * Friends lists are private: one user can't read, change or delete another
+ * user's friends, whether they refer to them by id or by email address.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const FRIEND = {
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    DOB: '01-02-1990'
+};
+
+describe('friends isolation between users', () => {
+    let server;
+    let alice;
+    let bob;
+    let friend;
+
+    before(async () => {
+        server = await startApp();
+        alice = await server.login('alice');
+        bob = await server.login('bobby');
+
+        const created = await alice.post('/friends', { body: FRIEND });
+        assert.equal(created.status, 201);
+        friend = created.body.data;
+    });
+
+    after(() => server.close());
+
+    for (const ref of ['id', 'email']) {
+        describe(`by ${ref}`, () => {
+            const path = () => `/friends/${encodeURIComponent(friend[ref])}`;
+
+            it('GET is 404 for another user', async () => {
+                const res = await bob.get(path());
+                assert.equal(res.status, 404);
+                assert.equal(res.body.success, false);
+            });
+
+            it('PUT is 404 for another user', async () => {
+                const res = await bob.put(path(), { body: { firstName: 'Mallory' } });
+                assert.equal(res.status, 404);
+            });
+
+            it('PATCH is 404 for another user', async () => {
+                const res = await bob.patch(path(), {
+                    body: { firstName: 'Mallory' },
+                    headers: { 'content-type': 'application/merge-patch+json' }
+                });
+                assert.equal(res.status, 404);
+            });
+
+            it('DELETE is 404 for another user', async () => {
+                const res = await bob.delete(path());
+                assert.equal(res.status, 404);
+            });
+        });
+    }
+
+    it("leaves the owner's friend untouched", async () => {
+        const res = await alice.get(`/friends/${friend.id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.firstName, 'Jane');
+        assert.equal(res.body.data.version, friend.version);
+    });
+
+    it("doesn't list another user's friends", async () => {
+        const res = await bob.get('/friends');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.count, 0);
+    });
+
+    it('lets another user add a friend with the same email to their own list', async () => {
+        const res = await bob.post('/friends', { body: { ...FRIEND, firstName: 'Janet' } });
+        assert.equal(res.status, 201);
+
+        const own = await alice.get(`/friends/${friend.id}`);
+        assert.equal(own.body.data.firstName, 'Jane');
+    });
+});
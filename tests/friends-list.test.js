@@ -0,0 +1,75 @@
+/**
+ * GET /friends keeps its original shape (every friend, keyed by email) for
+ * clients that don't ask for pages, and pages when they do.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const COUNT = 25;
+
+describe('GET /friends', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startApp();
+        alice = await server.login('alice');
+
+        for (let i = 0; i < COUNT; i++) {
+            const res = await alice.post('/friends', {
+                body: {
+                    email: `friend${String(i).padStart(2, '0')}@example.com`,
+                    firstName: i % 5 === 0 ? 'Sam' : 'Alex',
+                    lastName: 'Doe',
+                    DOB: '01-02-1990'
+                }
+            });
+            assert.equal(res.status, 201);
+        }
+    });
+
+    after(() => server.close());
+
+    it('returns every friend keyed by email without pagination parameters', async () => {
+        const res = await alice.get('/friends');
+
+        assert.equal(res.status, 200);
+        assert.ok(!Array.isArray(res.body.data));
+        assert.equal(Object.keys(res.body.data).length, COUNT);
+        assert.equal(res.body.count, COUNT);
+        assert.equal(res.body.data['friend07@example.com'].email, 'friend07@example.com');
+        assert.equal(res.body.pagination, undefined);
+    });
+
+    it('still applies filters in the original shape', async () => {
+        const res = await alice.get('/friends?firstName=sam');
+
+        assert.equal(res.body.count, 5);
+        assert.deepEqual(Object.keys(res.body.data), [
+            'friend00@example.com', 'friend05@example.com', 'friend10@example.com',
+            'friend15@example.com', 'friend20@example.com'
+        ]);
+    });
+
+    it('returns a page when limit is given', async () => {
+        const res = await alice.get('/friends?limit=10');
+
+        assert.ok(Array.isArray(res.body.data));
+        assert.equal(res.body.data.length, 10);
+        assert.equal(res.body.total, COUNT);
+        assert.equal(res.body.pagination.hasMore, true);
+    });
+
+    it('uses the default page size when only offset is given', async () => {
+        const res = await alice.get('/friends?offset=0');
+
+        assert.ok(Array.isArray(res.body.data));
+        assert.equal(res.body.data.length, 20);
+        assert.ok(res.body.nextCursor);
+
+        const next = await alice.get(`/friends?cursor=${encodeURIComponent(res.body.nextCursor)}`);
+        assert.equal(next.body.data.length, COUNT - 20);
+    });
+});
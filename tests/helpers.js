@@ -0,0 +1,131 @@
+/**
+ * ============================================================================
+ * Test Helpers
+ * ============================================================================
+ * 
+ * Starts an app built by createApp() on a free port and talks to it over
+ * HTTP, the way a client would. Every app has its own in-memory storage, so
+ * tests don't share users or friends.
+ * 
+ * @example
+ * const server = await startApp();
+ * const alice = await server.login('alice');
+ * const res = await alice.get('/friends');
+ * await server.close();
+ * ============================================================================
+ */
+
+const { createApp, loadConfig } = require('../index.js');
+
+const PASSWORD = 'correct-horse-battery';
+
+/**
+ * Create a client that keeps the session cookie and an optional Bearer token
+ * 
+ * @param {string} baseUrl - e.g. http://127.0.0.1:34567
+ * @returns {Object} - { request, get, post, put, patch, delete, token }
+ */
+const createClient = (baseUrl) => {
+    const client = { token: null, cookie: null };
+
+    client.request = async (method, path, { body, headers = {} } = {}) => {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method: method,
+            headers: {
+                ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+                ...(client.cookie ? { cookie: client.cookie } : {}),
+                ...(client.token ? { authorization: `Bearer ${client.token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) client.cookie = setCookie.split(';')[0];
+
+        const text = await res.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not JSON (CSV export, empty body...): keep the text
+        }
+
+        return { status: res.status, headers: res.headers, body: parsed };
+    };
+
+    for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+        client[method] = (path, options) => client.request(method.toUpperCase(), path, options);
+    }
+
+    return client;
+};
+
+/**
+ * Start an app on a free port
+ * 
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables for loadConfig()
+ *                                 (NODE_ENV defaults to "test")
+ * @param {Object} [options.overrides] - Settings for loadConfig()
+ * @returns {Promise<Object>} - { app, baseUrl, client, register, login, close }
+ */
+const startApp = async ({ env = {}, overrides = {} } = {}) => {
+    const app = createApp(loadConfig({ env: { NODE_ENV: 'test', ...env }, overrides }));
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const harness = {
+        app: app,
+        baseUrl: baseUrl,
+        client: () => createClient(baseUrl)
+    };
+
+    /**
+     * Register a user (with the default test password)
+     * 
+     * @param {string} username
+     * @param {Object} [fields] - Extra registration fields (email...)
+     * @returns {Promise<Object>} - The response
+     */
+    harness.register = (username, fields = {}) => {
+        return createClient(baseUrl).post('/register', { body: { username, password: PASSWORD, ...fields } });
+    };
+
+    /**
+     * Register (if needed) and login a user
+     * 
+     * @param {string} username
+     * @returns {Promise<Object>} - A client sending the user's access token
+     */
+    harness.login = async (username) => {
+        if (!(await app.locals.store.getUser(username))) {
+            await harness.register(username);
+        }
+
+        const client = createClient(baseUrl);
+        const res = await client.post('/login', { body: { username, password: PASSWORD } });
+        if (res.status !== 200) {
+            throw new Error(`Login of ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+        }
+
+        client.token = res.body.data.accessToken;
+        client.refreshToken = res.body.data.refreshToken;
+        return client;
+    };
+
+    harness.close = () => new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+
+    return harness;
+};
+
+module.exports = {
+    PASSWORD,
+    createClient,
+    startApp
+};
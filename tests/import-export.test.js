@@ -0,0 +1,160 @@
+/**
+ * A friends list exported as CSV, JSON or vCard imports back unchanged,
+ * including quotes, separators and line breaks inside fields.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { FORMATS, parseDocument } = require('../lib/formats');
+const { planImport } = require('../lib/friend-import.js');
+const schemas = require('../lib/schemas.js');
+
+// Fields every format carries, with the characters each one has to escape
+const FRIENDS = [
+    {
+        email: 'ann.o@example.com',
+        firstName: 'Ann, "Annie"',
+        lastName: "O'Neil; Jr.",
+        DOB: '29-02-1996',
+        phones: [{ label: 'mobile', number: '+44 7700 900123' }, { number: '0113 496-0000' }],
+        tags: ['family', 'climbing club'],
+        notes: 'First line, with a comma\nSecond line; "quoted"\nBack\\slash',
+        customFields: { 'shoe size': '42', 'favourite': 'Crème brûlée, 🍮' }
+    },
+    {
+        email: 'bob@example.com',
+        firstName: 'Bob',
+        lastName: 'Builder',
+        DOB: '01-12-1980'
+    }
+];
+
+const ADDRESS = { label: 'home', street: '1 Main St, Flat 2', city: 'Leeds', postalCode: 'LS1 1AA', country: 'UK' };
+
+/**
+ * Serialize records the way GET /friends/export does
+ */
+const serialize = (format, records) => [...FORMATS[format].serialize(records)].join('');
+
+describe('friend list formats', () => {
+    for (const format of ['csv', 'json', 'vcf']) {
+        it(`reads back what ${format} writes`, () => {
+            const parsed = parseDocument(format, serialize(format, FRIENDS));
+            assert.deepEqual(parsed, FRIENDS);
+        });
+    }
+
+    it('carries addresses in JSON and vCard', () => {
+        const records = [{ ...FRIENDS[1], addresses: [ADDRESS] }];
+
+        assert.deepEqual(parseDocument('json', serialize('json', records)), records);
+        assert.deepEqual(parseDocument('vcf', serialize('vcf', records)), records);
+    });
+
+    it('quotes CSV cells with commas, quotes and line breaks', () => {
+        const text = serialize('csv', FRIENDS);
+
+        assert.match(text, /^email,firstName,lastName,DOB,phones,tags,notes,custom\.favourite,custom\.shoe size\r\n/);
+        assert.ok(text.includes('"Ann, ""Annie"""'));
+        assert.ok(text.includes('"First line, with a comma\nSecond line; ""quoted""\nBack\\slash"'));
+    });
+
+    it('escapes vCard text and folds long lines', () => {
+        const text = serialize('vcf', [{ ...FRIENDS[0], notes: 'x'.repeat(200) }]);
+
+        assert.ok(text.includes("N:O'Neil\\; Jr.;Ann\\, \"Annie\";;;\r\n"));
+        assert.ok(text.includes('CATEGORIES:family,climbing club\r\n'));
+        assert.ok(text.includes('X-CUSTOM;NAME="shoe size":42\r\n'));
+        assert.ok(text.split('\r\n').every(line => line.length <= 75));
+    });
+
+    it("doesn't split characters when folding", () => {
+        const notes = `${'n'.repeat(68)}🍮🍮🍮 and crème brûlée ${'é'.repeat(80)}`;
+        const text = serialize('vcf', [{ ...FRIENDS[1], notes }]);
+
+        // As sent over HTTP
+        const received = Buffer.from(text).toString('utf8');
+        assert.ok(received.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+        assert.equal(parseDocument('vcf', received)[0].notes, notes);
+    });
+
+    it('reads vCards from other applications', () => {
+        const text = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'FN:Carol Ann Smith',
+            'EMAIL;TYPE=INTERNET,PREF:carol@example.com',
+            'BDAY:19850315',
+            'TEL;TYPE=CELL,VOICE:+1 555 0100',
+            'NOTE:Met at the\\, erm\\, conference\\nin Berlin',
+            'END:VCARD',
+            ''
+        ].join('\r\n');
+
+        assert.deepEqual(parseDocument('vcf', text), [{
+            firstName: 'Carol Ann',
+            lastName: 'Smith',
+            email: 'carol@example.com',
+            DOB: '15-03-1985',
+            phones: [{ label: 'cell', number: '+1 555 0100' }],
+            notes: 'Met at the, erm, conference\nin Berlin'
+        }]);
+    });
+
+    it('rejects unterminated CSV quotes and vCards', () => {
+        assert.throws(() => parseDocument('csv', 'email,notes\r\na@example.com,"open'), { name: 'FormatError' });
+        assert.throws(() => parseDocument('vcf', 'BEGIN:VCARD\r\nFN:Ann\r\n'), { name: 'FormatError' });
+    });
+
+    it('plans an import of parsed rows', () => {
+        const records = parseDocument('csv', serialize('csv', FRIENDS));
+        const { summary, changes } = planImport([], records, { schema: schemas.createFriend });
+
+        assert.equal(summary.created, 2);
+        assert.equal(changes[0].notes, FRIENDS[0].notes);
+        assert.deepEqual(changes[0].customFields, FRIENDS[0].customFields);
+    });
+});
+
+describe('GET /friends/export and POST /friends/import', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startApp();
+        alice = await server.login('alice');
+
+        for (const friend of [{ ...FRIENDS[0], addresses: [ADDRESS] }, FRIENDS[1]]) {
+            assert.equal((await alice.post('/friends', { body: friend })).status, 201);
+        }
+    });
+
+    after(() => server.close());
+
+    for (const format of ['csv', 'json', 'vcf']) {
+        it(`imports a ${format} export into another list unchanged`, async () => {
+            const exported = await alice.get(`/friends/export?format=${format}`);
+            assert.equal(exported.status, 200);
+            const document = typeof exported.body === 'string' ? exported.body : JSON.stringify(exported.body);
+
+            const bob = await server.login(`bob-${format}`);
+            const imported = await bob.post('/friends/import', {
+                body: document,
+                headers: { 'content-type': FORMATS[format].contentType }
+            });
+            assert.equal(imported.status, 200);
+            assert.equal(imported.body.summary.created, 2);
+
+            const again = await bob.get(`/friends/export?format=${format}`);
+            assert.deepEqual(again.body, exported.body);
+
+            // Importing the same document again finds nothing new
+            const repeated = await bob.post('/friends/import?onDuplicate=overwrite', {
+                body: document,
+                headers: { 'content-type': FORMATS[format].contentType }
+            });
+            assert.equal(repeated.body.summary.unchanged, 2);
+        });
+    }
+});
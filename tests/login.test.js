@@ -0,0 +1,49 @@
+/**
+ * POST /login doesn't reveal which usernames exist, neither through its
+ * answer nor through how long it takes.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+describe('login with an unknown username', () => {
+    let server;
+
+    before(async () => {
+        // A realistic hash cost, so that skipping the hash would show
+        server = await startApp({ overrides: { password: { hashCost: 16384 }, lockout: { threshold: 100 } } });
+        await server.register('alice');
+    });
+
+    after(() => server.close());
+
+    const timeLogin = async (username) => {
+        const started = process.hrtime.bigint();
+        const res = await server.client().post('/login', { body: { username, password: 'wrong-password-1' } });
+        return { res, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+    };
+
+    it('answers like a wrong password', async () => {
+        const known = await timeLogin('alice');
+        const unknown = await timeLogin('nobody');
+
+        assert.equal(known.res.status, 401);
+        assert.equal(unknown.res.status, 401);
+        assert.deepEqual(unknown.res.body, known.res.body);
+    });
+
+    it('takes as long as a wrong password', async () => {
+        const known = [];
+        const unknown = [];
+        for (let i = 0; i < 5; i++) {
+            known.push((await timeLogin('alice')).ms);
+            unknown.push((await timeLogin(`nobody${i}`)).ms);
+        }
+
+        assert.ok(median(unknown) >= median(known) / 2,
+            `unknown user ${median(unknown)}ms, wrong password ${median(known)}ms`);
+    });
+});
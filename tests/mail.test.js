@@ -0,0 +1,74 @@
+/**
+ * Emails (which carry verification and reset tokens) and notifications are
+ * only printed to the console where that was asked for.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { loadConfig } = require('../index.js');
+const { notify } = require('../lib/notifications.js');
+
+/**
+ * Run a task and return what it printed with console.log
+ */
+const captureLog = async (task) => {
+    const printed = [];
+    const log = console.log;
+    console.log = (...args) => printed.push(args.join(' '));
+    try {
+        await task();
+    } finally {
+        console.log = log;
+    }
+    return printed;
+};
+
+describe('mail and notification logging', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('uses the console transport in development only', () => {
+        const production = loadConfig({
+            env: {
+                NODE_ENV: 'production',
+                SESSION_SECRET: 'session-secret-for-tests',
+                JWT_SECRET: 'jwt-secret-for-tests',
+                ACCOUNT_TOKEN_SECRET: 'account-secret-for-tests'
+            }
+        });
+
+        assert.equal(loadConfig({ env: { NODE_ENV: 'development' } }).mail.transport, 'console');
+        assert.equal(loadConfig({ env: { NODE_ENV: 'test' } }).mail.transport, 'memory');
+        assert.equal(production.mail.transport, 'directory');
+    });
+
+    it("keeps test mail in memory and doesn't print it", async () => {
+        const printed = await captureLog(async () => {
+            const res = await server.register('alice', { email: 'alice@example.com' });
+            assert.equal(res.status, 201);
+        });
+
+        const [message] = server.app.locals.mailer.transport.messages;
+        assert.equal(message.to, 'alice@example.com');
+        assert.match(message.text, /confirm that alice@example.com/);
+        assert.deepEqual(printed, []);
+    });
+
+    it('logs notifications only when notifications.log is on', async () => {
+        const event = { type: 'birthday.reminder', username: 'alice' };
+
+        const quiet = await captureLog(() => notify(server.app.locals, event));
+        assert.deepEqual(quiet, []);
+
+        const config = loadConfig({ env: { NODE_ENV: 'test', NOTIFY_LOG: 'true' } });
+        const logged = await captureLog(() => notify({ ...server.app.locals, config }, event));
+        assert.equal(logged.length, 1);
+        assert.match(logged[0], /birthday\.reminder for alice/);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * The personal access token limit and name uniqueness only count active
+ * tokens: expired and revoked ones stay listed but don't get in the way.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+const MAX_TOKENS = 20;
+
+describe('POST /tokens', () => {
+    let server;
+
+    const create = (client, name) => client.post('/tokens', { body: { name, scopes: ['friends:read'] } });
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('limits the number of active tokens', async () => {
+        const alice = await server.login('alice');
+
+        for (let i = 0; i < MAX_TOKENS; i++) {
+            assert.equal((await create(alice, `token ${i}`)).status, 201);
+        }
+
+        const over = await create(alice, 'one too many');
+        assert.equal(over.status, 400);
+    });
+
+    it('rejects a second active token with the same name', async () => {
+        const bob = await server.login('bobby');
+
+        assert.equal((await create(bob, 'ci')).status, 201);
+        assert.equal((await create(bob, 'CI')).status, 409);
+    });
+
+    it("doesn't count revoked tokens", async () => {
+        const carol = await server.login('carol');
+        for (let i = 0; i < MAX_TOKENS - 1; i++) {
+            await create(carol, `token ${i}`);
+        }
+        await create(carol, 'ci');
+
+        // Logging out everywhere revokes every token (and the login)
+        assert.equal((await carol.post('/logout-all')).status, 200);
+        const again = await server.login('carol');
+
+        const listed = await again.get('/tokens');
+        assert.equal(listed.body.data.length, MAX_TOKENS);
+        assert.ok(listed.body.data.every(token => token.status === 'revoked'));
+
+        assert.equal((await create(again, 'ci')).status, 201);
+        assert.equal((await create(again, 'another')).status, 201);
+    });
+
+    it("doesn't count expired tokens", async () => {
+        const dave = await server.login('david');
+        const created = await create(dave, 'ci');
+
+        const store = server.app.locals.store;
+        const record = await store.getPersonalToken(created.body.data.id);
+        await store.savePersonalToken({ ...record, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        const res = await create(dave, 'ci');
+        assert.equal(res.status, 201);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * /register and /login are rate limited (429 with Retry-After), and repeated
+ * failed logins lock a username out for longer and longer.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+
+/**
+ * Check a 429 response and return its Retry-After in seconds
+ */
+const retryAfterOf = (res) => {
+    assert.equal(res.status, 429);
+    const retryAfter = Number(res.headers.get('retry-after'));
+    assert.equal(res.body.retryAfter, retryAfter);
+    return retryAfter;
+};
+
+describe('rate limits', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp({
+            env: {
+                RATE_LIMIT_REGISTER_IP: '3',
+                RATE_LIMIT_REGISTER_WINDOW: '600',
+                RATE_LIMIT_LOGIN_USERNAME: '4',
+                RATE_LIMIT_LOGIN_WINDOW: '300'
+            }
+        });
+    });
+
+    after(() => server.close());
+
+    it('limits registrations per IP address', async () => {
+        for (const username of ['user1', 'user2', 'user3']) {
+            assert.equal((await server.register(username)).status, 201);
+        }
+
+        const retryAfter = retryAfterOf(await server.register('user4'));
+        assert.ok(retryAfter > 590 && retryAfter <= 600);
+    });
+
+    it('limits login attempts per username', async () => {
+        const client = server.client();
+        const login = () => client.post('/login', { body: { username: 'someone', password: 'wrong-password' } });
+
+        for (let i = 0; i < 4; i++) {
+            assert.notEqual((await login()).status, 429);
+        }
+
+        const retryAfter = retryAfterOf(await login());
+        assert.ok(retryAfter > 290 && retryAfter <= 300);
+
+        // Other usernames aren't affected
+        const other = await client.post('/login', { body: { username: 'user1', password: PASSWORD } });
+        assert.equal(other.status, 200);
+    });
+});
+
+describe('login lockout', () => {
+    let server;
+
+    const login = (username, password) => server.client().post('/login', { body: { username, password } });
+
+    /**
+     * Fail to login until the username gets locked out
+     */
+    const failUntilLocked = async (username) => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await login(username, 'wrong-password')).status, 401);
+        }
+        return retryAfterOf(await login(username, PASSWORD));
+    };
+
+    /**
+     * End a lockout early, as if its time had run out
+     */
+    const expireLockout = (username) => server.app.locals.rateLimitStore.delete(`lockout:${username}`);
+
+    before(async () => {
+        server = await startApp({
+            env: { LOCKOUT_THRESHOLD: '3', LOCKOUT_DURATION: '60', LOCKOUT_MAX_DURATION: '200' }
+        });
+        await server.register('alice');
+        await server.register('bobby');
+    });
+
+    after(() => server.close());
+
+    it('locks a username out even with the right password', async () => {
+        const retryAfter = await failUntilLocked('alice');
+        assert.ok(retryAfter > 55 && retryAfter <= 60);
+
+        // Other users can still login
+        assert.equal((await login('bobby', PASSWORD)).status, 200);
+    });
+
+    it('doubles the lockout on every offence, up to the maximum', async () => {
+        await expireLockout('alice');
+        const second = await failUntilLocked('alice');
+        assert.ok(second > 115 && second <= 120);
+
+        await expireLockout('alice');
+        const third = await failUntilLocked('alice');
+        assert.ok(third > 195 && third <= 200);
+
+        await expireLockout('alice');
+        assert.equal((await login('alice', PASSWORD)).status, 200);
+    });
+
+    it('forgets failures after a successful login', async () => {
+        for (let round = 0; round < 3; round++) {
+            assert.equal((await login('bobby', 'wrong-password')).status, 401);
+            assert.equal((await login('bobby', 'wrong-password')).status, 401);
+            assert.equal((await login('bobby', PASSWORD)).status, 200);
+        }
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Refresh tokens rotate on every use, and replaying a used one revokes the
+ * whole login (token family): its refresh and access tokens stop working.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+describe('POST /token/refresh', () => {
+    let dir;
+    let server;
+
+    /**
+     * Exchange a refresh token
+     */
+    const refresh = (refreshToken) => server.client().post('/token/refresh', { body: { refreshToken } });
+
+    /**
+     * Call an authenticated route with an access token
+     */
+    const me = (accessToken) => {
+        const client = server.client();
+        client.token = accessToken;
+        return client.get('/me');
+    };
+
+    before(async () => {
+        // The file driver awaits every write, so concurrent requests interleave
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'friends-api-'));
+        server = await startApp({
+            env: { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(dir, 'db.json'), STORAGE_WRITE_DELAY: '0' }
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns a new refresh token and access token', async () => {
+        const alice = await server.login('alice');
+
+        const res = await refresh(alice.refreshToken);
+        assert.equal(res.status, 200);
+        assert.notEqual(res.body.data.refreshToken, alice.refreshToken);
+        assert.equal((await me(res.body.data.accessToken)).status, 200);
+
+        const again = await refresh(res.body.data.refreshToken);
+        assert.equal(again.status, 200);
+    });
+
+    it('revokes the whole family when a used refresh token is replayed', async () => {
+        const bob = await server.login('bobby');
+        const other = await server.login('bobby');
+
+        const first = await refresh(bob.refreshToken);
+        const second = await refresh(first.body.data.refreshToken);
+        assert.equal(second.status, 200);
+
+        // An attacker replays the token the victim already used
+        const replayed = await refresh(bob.refreshToken);
+        assert.equal(replayed.status, 401);
+        assert.match(replayed.body.message, /reuse detected/);
+
+        // The newest tokens of that login are revoked too
+        const latest = await refresh(second.body.data.refreshToken);
+        assert.equal(latest.status, 401);
+        assert.equal((await me(second.body.data.accessToken)).status, 403);
+        assert.equal((await me(bob.token)).status, 403);
+
+        // Another login of the same user is unaffected
+        assert.equal((await me(other.token)).status, 200);
+        assert.equal((await refresh(other.refreshToken)).status, 200);
+    });
+
+    it('lets only one of two concurrent uses of a token succeed', async () => {
+        const carol = await server.login('carol');
+
+        const responses = await Promise.all([refresh(carol.refreshToken), refresh(carol.refreshToken)]);
+        const statuses = responses.map(res => res.status).sort();
+        assert.deepEqual(statuses, [200, 401]);
+
+        // The second use was a replay, so the token it raced with is revoked
+        const winner = responses.find(res => res.status === 200);
+        assert.equal((await refresh(winner.body.data.refreshToken)).status, 401);
+        assert.equal((await me(winner.body.data.accessToken)).status, 403);
+    });
+
+    it('rejects unknown and logged-out refresh tokens', async () => {
+        const dave = await server.login('david');
+        const [id] = dave.refreshToken.split('.');
+
+        assert.equal((await refresh(`${id}.not-the-secret`)).status, 401);
+        assert.equal((await refresh('garbage')).status, 401);
+
+        const loggedOut = await dave.post('/logout', { body: { refreshToken: dave.refreshToken } });
+        assert.equal(loggedOut.status, 200);
+        assert.equal((await refresh(dave.refreshToken)).status, 401);
+    });
+});
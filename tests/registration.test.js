@@ -0,0 +1,60 @@
+/**
+ * Usernames and email addresses are unique, even when requests claiming
+ * them arrive at the same time.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+
+describe('concurrent registration', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('creates a username only once', async () => {
+        const passwords = ['first-password-1', 'second-password-2'];
+        const results = await Promise.all(passwords.map(password => {
+            return server.client().post('/register', { body: { username: 'carol', password } });
+        }));
+
+        assert.deepEqual(results.map(res => res.status).sort(), [201, 409]);
+
+        // The account that was created is the one that answered 201
+        const winner = passwords[results.findIndex(res => res.status === 201)];
+        const loser = passwords.find(password => password !== winner);
+        const login = (password) => server.client().post('/login', { body: { username: 'carol', password } });
+        assert.equal((await login(winner)).status, 200);
+        assert.equal((await login(loser)).status, 401);
+    });
+
+    it('gives an email address to one account only', async () => {
+        const results = await Promise.all(['dave', 'erin'].map(username => {
+            return server.register(username, { email: 'shared@example.com' });
+        }));
+
+        assert.deepEqual(results.map(res => res.status).sort(), [201, 409]);
+    });
+
+    it('lets only one account change to an email address', async () => {
+        const clients = await Promise.all(['frank', 'grace'].map(username => server.login(username)));
+        const results = await Promise.all(clients.map(client => {
+            return client.patch('/me', { body: { email: 'wanted@example.com' } });
+        }));
+
+        assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+
+        const owners = (await server.app.locals.store.listUsers())
+            .filter(user => user.email === 'wanted@example.com');
+        assert.equal(owners.length, 1);
+    });
+
+    it('still answers 409 for a taken username', async () => {
+        const res = await server.client().post('/register', { body: { username: 'carol', password: PASSWORD } });
+        assert.equal(res.status, 409);
+    });
+});
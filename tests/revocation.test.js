@@ -0,0 +1,113 @@
+/**
+ * Revoked access tokens stop working at once: after logging out, logging
+ * out everywhere, changing the password or ending a session.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+
+const NEW_PASSWORD = 'another-long-passphrase';
+
+describe('access token revocation', () => {
+    let server;
+
+    /**
+     * Whether a client's access token (or session cookie) is still accepted
+     */
+    const accepted = async (client) => (await client.get('/me')).status === 200;
+
+    /**
+     * Whether a refresh token can still be exchanged
+     */
+    const refreshes = async (refreshToken) => {
+        const res = await server.client().post('/token/refresh', { body: { refreshToken } });
+        return res.status === 200;
+    };
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('rejects the access token after /logout', async () => {
+        const alice = await server.login('alice');
+        const token = alice.token;
+
+        const res = await alice.post('/logout');
+        assert.equal(res.status, 200);
+
+        const client = server.client();
+        client.token = token;
+        assert.equal((await client.get('/me')).status, 403);
+    });
+
+    it('rejects every login of the user after /logout-all', async () => {
+        const laptop = await server.login('bobby');
+        const phone = await server.login('bobby');
+        const other = await server.login('carol');
+
+        // A cookie client, without the Bearer token
+        phone.token = null;
+        assert.ok(await accepted(phone));
+
+        const res = await laptop.post('/logout-all');
+        assert.equal(res.status, 200);
+
+        assert.equal(await accepted(laptop), false);
+        assert.equal(await accepted(phone), false);
+        assert.equal(await refreshes(laptop.refreshToken), false);
+        assert.equal(await refreshes(phone.refreshToken), false);
+
+        assert.ok(await accepted(other));
+        assert.ok(await accepted(await server.login('bobby')), 'a new login works');
+    });
+
+    it('rejects every login of the user after a password change', async () => {
+        const laptop = await server.login('david');
+        const phone = await server.login('david');
+
+        const res = await laptop.post('/me/password', {
+            body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD }
+        });
+        assert.equal(res.status, 200);
+
+        assert.equal(await accepted(laptop), false);
+        assert.equal(await accepted(phone), false);
+        assert.equal(await refreshes(phone.refreshToken), false);
+
+        const client = server.client();
+        const oldPassword = await client.post('/login', { body: { username: 'david', password: PASSWORD } });
+        assert.equal(oldPassword.status, 401);
+        const newPassword = await client.post('/login', { body: { username: 'david', password: NEW_PASSWORD } });
+        assert.equal(newPassword.status, 200);
+    });
+
+    it('rejects the tokens of an ended session only', async () => {
+        const laptop = await server.login('erin1');
+        const phone = await server.login('erin1');
+
+        const listed = await laptop.get('/sessions');
+        assert.equal(listed.body.count, 2);
+        const session = listed.body.data.find(entry => !entry.current);
+
+        const res = await laptop.delete(`/sessions/${session.id}`);
+        assert.equal(res.status, 200);
+
+        assert.equal(await accepted(phone), false);
+        assert.equal(await refreshes(phone.refreshToken), false);
+        assert.ok(await accepted(laptop));
+        assert.ok(await refreshes(laptop.refreshToken));
+    });
+
+    it("doesn't let a user end another user's session", async () => {
+        const frank = await server.login('frank');
+        const grace = await server.login('grace');
+        const [session] = (await grace.get('/sessions')).body.data;
+
+        const res = await frank.delete(`/sessions/${session.id}`);
+        assert.equal(res.status, 404);
+        assert.ok(await accepted(grace));
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * GET /tags is a friends read: it takes a personal access token with the
+ * friends:read scope, like the /friends routes do.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+
+describe('GET /tags', () => {
+    let server;
+    let alice;
+
+    /**
+     * Create a personal access token for alice and a client that sends it
+     */
+    const tokenClient = async (scopes) => {
+        const created = await alice.post('/tokens', { body: { name: scopes.join(' '), scopes } });
+        assert.equal(created.status, 201);
+
+        const client = server.client();
+        client.token = created.body.data.token;
+        return client;
+    };
+
+    before(async () => {
+        server = await startApp();
+        alice = await server.login('alice');
+
+        const res = await alice.post('/friends', {
+            body: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990', tags: ['family'] }
+        });
+        assert.equal(res.status, 201);
+    });
+
+    after(() => server.close());
+
+    it('lists tags with a friends:read token', async () => {
+        const client = await tokenClient(['friends:read']);
+        const res = await client.get('/tags');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data, [{ tag: 'family', count: 1 }]);
+    });
+
+    it('is 403 for a token without friends:read', async () => {
+        const client = await tokenClient(['friends:write']);
+        const res = await client.get('/tags');
+
+        assert.equal(res.status, 403);
+    });
+
+    it('still takes a login access token', async () => {
+        const res = await alice.get('/tags');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.length, 1);
+    });
+});
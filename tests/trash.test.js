@@ -0,0 +1,137 @@
+/**
+ * Deleted friends go to a trash they can be restored from until they are
+ * purged, and a purge never removes a friend that is being restored.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { purgeUserTrash } = require('../lib/trash.js');
+
+const FRIEND = { firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('friends trash', () => {
+    let dir;
+    let server;
+    let alice;
+    let count = 0;
+
+    /**
+     * Add a friend and move it to the trash
+     */
+    const trashFriend = async () => {
+        const created = await alice.post('/friends', { body: { ...FRIEND, email: `friend${count++}@example.com` } });
+        const deleted = await alice.delete(`/friends/${created.body.data.id}`);
+        assert.equal(deleted.status, 200);
+        return deleted.body.data;
+    };
+
+    /**
+     * Backdate a trash entry past the retention period
+     */
+    const expire = async (friend) => {
+        const store = server.app.locals.store;
+        const deletedAt = new Date(Date.now() - 31 * DAY).toISOString();
+        await store.set(`trash:alice`, friend.id, { ...await store.getTrashedFriend('alice', friend.id), deletedAt });
+    };
+
+    const purgeEvents = async (friend) => {
+        const events = await server.app.locals.store.listAuditEvents();
+        return events.filter(event => event.action === 'friend.purge' && event.friendId === friend.id);
+    };
+
+    before(async () => {
+        // The file driver awaits every write, so concurrent work interleaves
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'friends-api-'));
+        server = await startApp({
+            env: { STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(dir, 'db.json'), STORAGE_WRITE_DELAY: '0' }
+        });
+        alice = await server.login('alice');
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('moves a deleted friend to the trash and restores it', async () => {
+        const friend = await trashFriend();
+        assert.ok(friend.deletedAt);
+        assert.equal(new Date(friend.purgeAt) - new Date(friend.deletedAt), 30 * DAY);
+
+        assert.equal((await alice.get(`/friends/${friend.id}`)).status, 404);
+        const trash = await alice.get('/friends/trash');
+        assert.ok(trash.body.data.some(entry => entry.id === friend.id));
+
+        const restored = await alice.post(`/friends/${friend.id}/restore`);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.data.version, friend.version + 1);
+        assert.equal(restored.body.data.deletedAt, undefined);
+        assert.equal((await alice.get(`/friends/${friend.id}`)).status, 200);
+    });
+
+    it("doesn't restore a friend whose email is used again", async () => {
+        const friend = await trashFriend();
+        await alice.post('/friends', { body: { ...FRIEND, email: friend.email } });
+
+        const res = await alice.post(`/friends/${friend.id}/restore`);
+        assert.equal(res.status, 409);
+    });
+
+    it('purges one friend or the whole trash', async () => {
+        const first = await trashFriend();
+        const purged = await alice.delete(`/friends/trash/${first.id}`);
+        assert.equal(purged.status, 200);
+        assert.equal((await alice.post(`/friends/${first.id}/restore`)).status, 404);
+        assert.equal((await alice.delete(`/friends/trash/${first.id}`)).status, 404);
+
+        await trashFriend();
+        const emptied = await alice.delete('/friends/trash');
+        assert.equal(emptied.status, 200);
+        assert.ok(emptied.body.purgedCount >= 1);
+        assert.equal((await alice.get('/friends/trash')).body.data.length, 0);
+    });
+
+    it('purges expired entries when the trash is read', async () => {
+        const friend = await trashFriend();
+        await expire(friend);
+
+        const trash = await alice.get('/friends/trash');
+        assert.ok(!trash.body.data.some(entry => entry.id === friend.id));
+
+        const [event] = await purgeEvents(friend);
+        assert.equal(event.reason, 'expired');
+        assert.equal(event.actor, 'system');
+    });
+
+    it("doesn't purge a friend that is being restored", async () => {
+        const locals = server.app.locals;
+
+        for (let i = 0; i < 5; i++) {
+            const friend = await trashFriend();
+            await expire(friend);
+
+            const [restored] = await Promise.all([
+                locals.store.restoreFriend('alice', friend.id),
+                purgeUserTrash(locals, 'alice')
+            ]);
+
+            const live = await locals.store.getFriend('alice', friend.id);
+            const inTrash = await locals.store.getTrashedFriend('alice', friend.id);
+            const purges = await purgeEvents(friend);
+
+            assert.equal(inTrash, null);
+            if (restored) {
+                assert.ok(live, 'a restored friend is in the list');
+                assert.equal(purges.length, 0, 'a restored friend is not reported as purged');
+            } else {
+                assert.equal(live, null);
+                assert.equal(purges.length, 1);
+            }
+        }
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * With two-factor authentication on, /login answers 202 with a challenge
+ * that /login/2fa exchanges for the tokens given a TOTP or recovery code.
+ * Every code works once.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp } = require('./helpers.js');
+const { totp } = require('../lib/totp.js');
+const { startEnrolment, confirmEnrolment, useSecondFactor } = require('../lib/two-factor.js');
+
+const STEP_MS = 30 * 1000;
+
+describe('two-factor authentication', () => {
+    let server;
+
+    const login = (username) => server.client().post('/login', { body: { username, password: PASSWORD } });
+
+    const secondStep = (challengeToken, code) => server.client().post('/login/2fa', { body: { challengeToken, code } });
+
+    /**
+     * Turn on two-factor authentication for a new user
+     * 
+     * @returns {Promise<Object>} - { client, secret, recoveryCodes }
+     */
+    const enrol = async (username) => {
+        const client = await server.login(username);
+
+        const started = await client.post('/me/2fa');
+        assert.equal(started.status, 200);
+        const { secret, otpauthUri } = started.body.data;
+        assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+
+        const confirmed = await client.post('/me/2fa/confirm', { body: { code: totp(secret) } });
+        assert.equal(confirmed.status, 200);
+
+        return { client, secret, recoveryCodes: confirmed.body.data.recoveryCodes };
+    };
+
+    /**
+     * The code of the next time step: the current one was used to confirm
+     */
+    const nextCode = (secret) => totp(secret, Date.now() + STEP_MS);
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('asks for a second factor, then logs in with a TOTP code', async () => {
+        const { secret } = await enrol('alice');
+
+        const first = await login('alice');
+        assert.equal(first.status, 202);
+        assert.equal(first.body.data.twoFactorRequired, true);
+        assert.equal(first.body.data.accessToken, undefined);
+
+        const res = await secondStep(first.body.data.challengeToken, nextCode(secret));
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.accessToken);
+        assert.ok(res.body.data.refreshToken);
+
+        // The challenge and the code are both spent
+        const again = await login('alice');
+        const replayed = await secondStep(again.body.data.challengeToken, nextCode(secret));
+        assert.equal(replayed.status, 401);
+        assert.equal((await secondStep(first.body.data.challengeToken, nextCode(secret))).status, 401);
+    });
+
+    it('rejects a wrong code', async () => {
+        await enrol('bobby');
+
+        const first = await login('bobby');
+        const res = await secondStep(first.body.data.challengeToken, '000000');
+        assert.equal(res.status, 401);
+        assert.equal(res.body.message, "Invalid authentication code.");
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { recoveryCodes } = await enrol('carol');
+        assert.equal(recoveryCodes.length, 10);
+
+        const first = await login('carol');
+        const res = await secondStep(first.body.data.challengeToken, recoveryCodes[0]);
+        assert.equal(res.status, 200);
+        assert.match(res.body.message, /9 recovery codes left/);
+
+        const again = await login('carol');
+        const reused = await secondStep(again.body.data.challengeToken, recoveryCodes[0]);
+        assert.equal(reused.status, 401);
+        assert.equal((await secondStep(again.body.data.challengeToken, recoveryCodes[1])).status, 200);
+    });
+
+    it('turns two-factor authentication off', async () => {
+        const { client, secret } = await enrol('david');
+
+        const wrongPassword = await client.delete('/me/2fa', { body: { password: 'wrong-password', code: nextCode(secret) } });
+        assert.equal(wrongPassword.status, 401);
+
+        const res = await client.delete('/me/2fa', { body: { password: PASSWORD, code: nextCode(secret) } });
+        assert.equal(res.status, 200);
+
+        const plain = await login('david');
+        assert.equal(plain.status, 200);
+        assert.ok(plain.body.data.accessToken);
+    });
+
+    it('rejects a challenge once two-factor authentication is off', async () => {
+        const { client, recoveryCodes } = await enrol('erin1');
+        const first = await login('erin1');
+
+        await client.delete('/me/2fa', { body: { password: PASSWORD, code: recoveryCodes[0] } });
+
+        const res = await secondStep(first.body.data.challengeToken, recoveryCodes[1]);
+        assert.equal(res.status, 401);
+        assert.match(res.body.message, /challenge is invalid/);
+    });
+
+    it('fails with not-found for a deleted user', async () => {
+        const { store, config } = server.app.locals;
+        await server.register('frank');
+        await store.deleteUser('frank');
+
+        const notFound = { name: 'TwoFactorError', reason: 'not-found' };
+        await assert.rejects(startEnrolment(config, store, 'frank'), notFound);
+        await assert.rejects(confirmEnrolment(store, 'frank', '123456'), notFound);
+        await assert.rejects(useSecondFactor(store, 'frank', '123456'), notFound);
+    });
+});
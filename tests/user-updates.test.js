@@ -0,0 +1,66 @@
+/**
+ * Concurrent writes to the same user record don't undo each other: every
+ * read-modify-write of a user runs under the user's lock.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { withUser } = require('../lib/users.js');
+
+describe('concurrent user updates', () => {
+    let server;
+
+    before(async () => {
+        server = await startApp();
+    });
+
+    after(() => server.close());
+
+    it('keeps both of two concurrent profile changes', async () => {
+        const alice = await server.login('alice');
+
+        for (let i = 0; i < 10; i++) {
+            const timezone = i % 2 ? 'Europe/Paris' : 'America/New_York';
+            await Promise.all([
+                alice.patch('/me', { body: { displayName: `Alice ${i}` } }),
+                alice.patch('/me', { body: { timezone } })
+            ]);
+
+            const user = await server.app.locals.store.getUser('alice');
+            assert.equal(user.displayName, `Alice ${i}`);
+            assert.equal(user.timezone, timezone);
+        }
+    });
+
+    it("doesn't let other writes undo a change made under the lock", async () => {
+        await server.register('carol');
+        const carol = await server.login('carol');
+        const store = server.app.locals.store;
+        const { tokenVersion = 0 } = await store.getUser('carol');
+        let release;
+
+        // Stands for a slow two-factor step that records the last code used
+        const held = withUser(store, 'carol', async (user) => {
+            await new Promise(resolve => { release = resolve; });
+            user.twoFactor = { enabled: true, lastStep: 42 };
+            return store.saveUser(user);
+        });
+        const others = Promise.all([
+            carol.patch('/me', { body: { timezone: 'Asia/Tokyo' } }),
+            carol.post('/logout-all')
+        ]);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        release();
+        await held;
+        const [patched, loggedOut] = await others;
+        assert.equal(patched.status, 200);
+        assert.equal(loggedOut.status, 200);
+
+        const user = await store.getUser('carol');
+        assert.equal(user.twoFactor.lastStep, 42);
+        assert.equal(user.timezone, 'Asia/Tokyo');
+        assert.equal(user.tokenVersion, tokenVersion + 1);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Invalid requests get a 422 listing every failing field, and fields a
+ * schema doesn't declare are rejected rather than ignored.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { validateObject } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+/**
+ * The { field: message } pairs of a validation result
+ */
+const messagesOf = (errors) => Object.fromEntries(errors.map(error => [error.field, error.message]));
+
+describe('request validation', () => {
+    let server;
+    let alice;
+
+    before(async () => {
+        server = await startApp();
+        alice = await server.login('alice');
+    });
+
+    after(() => server.close());
+
+    it('answers 422 with every failing field', async () => {
+        const res = await alice.post('/friends', { body: { email: 'not-an-email', firstName: '', DOB: '31-02-1990' } });
+
+        assert.equal(res.status, 422);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.message, "Validation failed");
+        assert.deepEqual(res.body.errors, [
+            { field: 'email', location: 'body', message: 'must be a valid email address' },
+            { field: 'firstName', location: 'body', message: 'must not be empty' },
+            { field: 'lastName', location: 'body', message: 'is required' },
+            { field: 'DOB', location: 'body', message: 'must be a valid date in DD-MM-YYYY format' }
+        ]);
+    });
+
+    it('rejects unknown fields', async () => {
+        const res = await alice.post('/friends', { body: { ...FRIEND, id: 'chosen-id', owner: 'bobby' } });
+
+        assert.equal(res.status, 422);
+        assert.deepEqual(messagesOf(res.body.errors), { id: 'is not allowed', owner: 'is not allowed' });
+        assert.equal((await alice.get('/friends')).body.count, 0);
+    });
+
+    it('rejects ill-typed fields', async () => {
+        const res = await alice.post('/friends', {
+            body: { ...FRIEND, firstName: 42, tags: 'family', phones: [{ number: 123 }], customFields: ['x'] }
+        });
+
+        assert.equal(res.status, 422);
+        assert.deepEqual(messagesOf(res.body.errors), {
+            'firstName': 'must be a string',
+            'tags': 'must be an array',
+            'phones[0].number': 'must be a string',
+            'customFields': 'must be an object'
+        });
+    });
+
+    it('checks query parameters and route parameters', async () => {
+        const query = await alice.get('/friends?limit=1000&order=up&colour=blue');
+        assert.equal(query.status, 422);
+        assert.ok(query.body.errors.every(error => error.location === 'query'));
+        assert.deepEqual(messagesOf(query.body.errors), {
+            limit: 'must be at most 100',
+            order: 'must be one of: asc, desc',
+            colour: 'is not allowed'
+        });
+
+        const params = await alice.get('/friends/not%20an%20id');
+        assert.equal(params.status, 422);
+        assert.deepEqual(params.body.errors, [
+            { field: 'id', location: 'params', message: 'must be a friend id or an email address' }
+        ]);
+    });
+
+    it('rejects a body that is not an object', async () => {
+        const res = await alice.post('/friends', { body: [FRIEND] });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.errors[0].message, 'must be a JSON object');
+    });
+
+    it('passes the cleaned values on', async () => {
+        const res = await alice.post('/friends', {
+            body: { ...FRIEND, firstName: '  Jane  ', tags: ['Family', 'family', 'work'] }
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.firstName, 'Jane');
+        assert.deepEqual(res.body.data.tags, ['family', 'work']);
+    });
+});
+
+describe('validateObject()', () => {
+    it('reports nested errors with their path', () => {
+        const { errors } = validateObject({
+            ...FRIEND,
+            addresses: [{ city: 'Paris' }, { zip: '75001' }],
+            customFields: { 'shoe size': 42, '1st': 'x' }
+        }, schemas.createFriend);
+
+        assert.deepEqual(messagesOf(errors), {
+            'addresses[1].zip': 'is not allowed',
+            'customFields.shoe size': 'must be a string',
+            'customFields.1st': 'key must start with a letter and only contain letters, digits, spaces, "_" and "-"'
+        });
+    });
+
+    it('coerces query strings and keeps nulls where allowed', () => {
+        const query = validateObject({ limit: '20', offset: '0' }, schemas.listFriendsQuery, 'query');
+        assert.deepEqual(query, { value: { limit: 20, offset: 0 }, errors: [] });
+
+        const update = validateObject({ notes: null, firstName: null }, schemas.updateFriend);
+        assert.deepEqual(messagesOf(update.errors), { firstName: 'must not be null' });
+        assert.equal(update.value.notes, null);
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * Webhooks: URLs on this host or a private network are refused, and
+ * deliveries to a local receiver are signed, retried with backoff and
+ * paused after too many failures.
+ */
+
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers.js');
+const { verifySignature, retryDueDeliveries } = require('../lib/webhooks.js');
+
+const FRIEND = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', DOB: '01-02-1990' };
+
+/**
+ * Start a receiver on 127.0.0.1 that records every request and answers
+ * with the queued status codes (200 once the queue is empty)
+ * 
+ * @returns {Promise<Object>} - { url, requests, answers, close }
+ */
+const startReceiver = async () => {
+    const receiver = { requests: [], answers: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ at: Date.now(), headers: req.headers, body: body });
+            res.writeHead(receiver.answers.shift() || 200).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+    receiver.close = () => new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+    return receiver;
+};
+
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+/**
+ * Register a webhook for friend.created and return it (with its secret)
+ */
+const createWebhook = async (client, url) => {
+    const res = await client.post('/webhooks', { body: { url: url, events: ['friend.created'] } });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.data;
+};
+
+const listDeliveries = async (client, webhook) => {
+    return (await client.get(`/webhooks/${webhook.id}/deliveries`)).body.data;
+};
+
+describe('webhook destinations', () => {
+    let server;
+    let receiver;
+    let alice;
+
+    before(async () => {
+        server = await startApp();
+        receiver = await startReceiver();
+        alice = await server.login('alice');
+    });
+
+    after(async () => {
+        await server.close();
+        await receiver.close();
+    });
+
+    for (const url of [
+        'http://127.0.0.1:8080/hook',
+        'http://localhost/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[::127.0.0.1]/hook',
+        'http://[64:ff9b::7f00:1]/hook',
+        'http://[64:ff9b::a9fe:a9fe]/hook',
+        'http://[2002:7f00:1::1]/hook',
+        'http://10.0.0.1/hook',
+        'http://192.168.1.20/hook',
+        'http://2130706433/hook'
+    ]) {
+        it(`refuses ${url}`, async () => {
+            const res = await alice.post('/webhooks', { body: { url: url, events: ['friend.created'] } });
+            assert.equal(res.status, 422);
+            assert.equal(res.body.errors[0].field, 'url');
+        });
+    }
+
+    it('refuses a private url on PATCH', async () => {
+        const webhook = await createWebhook(alice, 'https://hooks.example.invalid/friends');
+
+        const res = await alice.patch(`/webhooks/${webhook.id}`, { body: { url: 'http://127.0.0.1/hook' } });
+        assert.equal(res.status, 422);
+
+        const stored = await alice.get(`/webhooks/${webhook.id}`);
+        assert.equal(stored.body.data.url, 'https://hooks.example.invalid/friends');
+    });
+
+    it("doesn't send to a stored private url, and doesn't retry", async () => {
+        const bobby = await server.login('bobby');
+        const webhook = await server.app.locals.store.saveWebhook('bobby', {
+            id: 'd2b1c1a4-0d7e-4a57-9a31-6f1f0a4c2b10',
+            url: receiver.url,
+            events: ['friend.created'],
+            secret: 'whsec_test',
+            active: true,
+            createdAt: new Date().toISOString()
+        });
+
+        const test = await bobby.post(`/webhooks/${webhook.id}/test`);
+        assert.equal(test.status, 200);
+        assert.equal(test.body.data.status, 'failed');
+        assert.match(test.body.message, /private or local address/);
+
+        await bobby.post('/friends', { body: FRIEND });
+        await waitFor(async () => (await listDeliveries(bobby, webhook)).some(d => d.event === 'friend.created' && d.status === 'failed'));
+
+        const [delivery] = (await listDeliveries(bobby, webhook)).filter(d => d.event === 'friend.created');
+        assert.equal(delivery.attempts.length, 1);
+        assert.equal(receiver.requests.length, 0);
+    });
+});
+
+describe('webhook delivery', () => {
+    const RETRY_DELAY = 100;
+    let server;
+    let receiver;
+
+    before(async () => {
+        server = await startApp({
+            overrides: { webhooks: { allowedHosts: ['127.0.0.1'], retryDelayMs: RETRY_DELAY, maxAttempts: 3 } }
+        });
+        receiver = await startReceiver();
+    });
+
+    after(async () => {
+        await server.close();
+        await receiver.close();
+    });
+
+    it('sends a payload signed with the webhook secret', async () => {
+        const alice = await server.login('alice');
+        const webhook = await createWebhook(alice, receiver.url);
+
+        await alice.post('/friends', { body: FRIEND });
+        await waitFor(() => receiver.requests.length === 1);
+
+        const [request] = receiver.requests;
+        const payload = JSON.parse(request.body);
+        assert.equal(request.headers['x-webhook-event'], 'friend.created');
+        assert.equal(payload.type, 'friend.created');
+        assert.equal(payload.data.friend.email, FRIEND.email);
+
+        assert.equal(verifySignature(webhook.secret, request.headers['x-webhook-signature'], request.body), true);
+        assert.equal(verifySignature(webhook.secret, request.headers['x-webhook-signature'], request.body.replace('Jane', 'Joan')), false);
+        assert.equal(verifySignature('whsec_wrong', request.headers['x-webhook-signature'], request.body), false);
+    });
+
+    it('retries a failed delivery with exponential backoff', async () => {
+        receiver.requests.length = 0;
+        receiver.answers.push(500, 500);
+
+        const bobby = await server.login('bobby');
+        const webhook = await createWebhook(bobby, receiver.url);
+        await bobby.post('/friends', { body: FRIEND });
+
+        await waitFor(async () => {
+            await retryDueDeliveries(server.app.locals);
+            const deliveries = await listDeliveries(bobby, webhook);
+            return deliveries.length > 0 && deliveries.every(d => d.status !== 'pending');
+        });
+
+        const [delivery] = await listDeliveries(bobby, webhook);
+        assert.equal(delivery.status, 'succeeded');
+        assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 500, 200]);
+
+        const [first, second, third] = receiver.requests.map(request => request.at);
+        assert.equal(receiver.requests.length, 3);
+        assert.ok(second - first >= RETRY_DELAY, `first retry after ${second - first}ms`);
+        assert.ok(third - second >= 2 * RETRY_DELAY, `second retry after ${third - second}ms`);
+        assert.equal(new Set(receiver.requests.map(request => request.headers['x-webhook-id'])).size, 1);
+    });
+});
+
+describe('webhook paused after failures', () => {
+    let server;
+    let receiver;
+
+    before(async () => {
+        server = await startApp({
+            overrides: { webhooks: { allowedHosts: ['127.0.0.1'], maxAttempts: 1, disableAfter: 2 } }
+        });
+        receiver = await startReceiver();
+    });
+
+    after(async () => {
+        await server.close();
+        await receiver.close();
+    });
+
+    it('pauses the webhook after failed deliveries in a row', async () => {
+        const alice = await server.login('alice');
+        const webhook = await createWebhook(alice, receiver.url);
+
+        const failures = async () => (await alice.get(`/webhooks/${webhook.id}`)).body.data.consecutiveFailures;
+
+        // A success in between starts the count again
+        receiver.answers.push(500, 200, 500, 500, 500);
+        for (const [email, expected] of [['a@example.com', 1], ['b@example.com', 0], ['c@example.com', 1]]) {
+            await alice.post('/friends', { body: { ...FRIEND, email } });
+            await waitFor(async () => (await failures()) === expected);
+        }
+
+        // Test deliveries don't count
+        const test = await alice.post(`/webhooks/${webhook.id}/test`);
+        assert.equal(test.body.data.status, 'failed');
+
+        let current = (await alice.get(`/webhooks/${webhook.id}`)).body.data;
+        assert.equal(current.active, true);
+        assert.equal(current.consecutiveFailures, 1);
+
+        await alice.post('/friends', { body: { ...FRIEND, email: 'd@example.com' } });
+        await waitFor(async () => (await alice.get(`/webhooks/${webhook.id}`)).body.data.active === false);
+
+        current = (await alice.get(`/webhooks/${webhook.id}`)).body.data;
+        assert.equal(current.consecutiveFailures, 2);
+        assert.ok(current.disabledAt);
+        assert.match(current.disabledReason, /2 failed deliveries/);
+
+        // Paused: nothing more is sent
+        const sent = receiver.requests.length;
+        await alice.post('/friends', { body: { ...FRIEND, email: 'e@example.com' } });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(receiver.requests.length, sent);
+        assert.equal((await listDeliveries(alice, webhook)).filter(d => d.event === 'friend.created').length, 4);
+
+        // Reactivating starts again from zero
+        const resumed = await alice.patch(`/webhooks/${webhook.id}`, { body: { active: true } });
+        assert.equal(resumed.status, 200);
+        assert.equal(resumed.body.data.consecutiveFailures, 0);
+        assert.equal(resumed.body.data.disabledAt, undefined);
+        assert.equal(resumed.body.data.disabledReason, undefined);
+
+        await alice.post('/friends', { body: { ...FRIEND, email: 'f@example.com' } });
+        await waitFor(() => receiver.requests.length === sent + 1);
+    });
+});